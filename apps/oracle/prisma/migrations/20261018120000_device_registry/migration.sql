@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Device" ADD COLUMN "aliases" TEXT;
+ALTER TABLE "Device" ADD COLUMN "zwaveName" TEXT;
+ALTER TABLE "Device" ADD COLUMN "zwaveLocation" TEXT;
+ALTER TABLE "Device" ADD COLUMN "lastSeen" DATETIME;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Device_nodeId_key" ON "Device" ("nodeId");
+
+-- CreateIndex
+CREATE INDEX "Device_mqttTopic_idx" ON "Device" ("mqttTopic");
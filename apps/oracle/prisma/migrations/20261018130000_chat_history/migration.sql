@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "Conversation"
+(
+    "id"        TEXT     NOT NULL PRIMARY KEY,
+    "title"     TEXT     NOT NULL,
+    "model"     TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "Message"
+(
+    "id"             TEXT     NOT NULL PRIMARY KEY,
+    "conversationId" TEXT     NOT NULL,
+    "position"       INTEGER  NOT NULL,
+    "role"           TEXT     NOT NULL,
+    "content"        TEXT     NOT NULL,
+    "toolCalls"      TEXT,
+    "toolCallId"     TEXT,
+    "durationMs"     INTEGER,
+    "createdAt"      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Message_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "Conversation" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Conversation_updatedAt_idx" ON "Conversation" ("updatedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Message_conversationId_position_key" ON "Message" ("conversationId", "position");
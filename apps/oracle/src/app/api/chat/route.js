@@ -2,6 +2,9 @@ import {createOllamaClient} from '../../../lib/ollama/client.js';
 import {createAnthropicClient} from '../../../lib/anthropic/client.js';
 import {createCalculatorTool} from '../../../lib/langchain/tools/calculator-tool.js';
 import {initializeMCPIntegration} from '../../../lib/mcp/integration.js';
+import {chatHistory} from '../../../lib/chat/service.js';
+import {contentToText, ConversationRequestError, toModelMessages} from '../../../lib/chat/history.js';
+import {formatToolStart} from '../../../lib/chat/display.js';
 import {AIMessage, HumanMessage, SystemMessage, ToolMessage} from '@langchain/core/messages';
 
 export const runtime = 'nodejs';
@@ -38,7 +41,7 @@ function convertToLangChainMessages(messages) {
 
 export async function POST(req) {
     try {
-        const {messages, model: selectedModel} = await req.json();
+        const {messages, model: selectedModel, conversationId} = await req.json();
 
         const isDebug = process.env.NODE_ENV !== 'production' || process.env.LOG_LEVEL === 'debug';
         const aiProvider = process.env.AI_PROVIDER || 'anthropic'; // Default to anthropic
@@ -77,6 +80,49 @@ export async function POST(req) {
             );
         }
 
+        // Save the new user message and load the stored history; chat keeps working if the database is unavailable
+        const lastMessage = messages[messages.length - 1];
+        let conversation = null;
+        let history = messages;
+        try {
+            conversation = await chatHistory.startConversation({
+                conversationId,
+                firstMessage: lastMessage?.content,
+                model: selectedModel,
+            });
+            if (lastMessage?.role === 'user') {
+                await chatHistory.appendMessages(conversation.id, [{role: 'user', content: lastMessage.content}]);
+            }
+            if (conversationId) {
+                // The client only keeps display bubbles; the model also needs its earlier tool calls and results
+                const stored = await chatHistory.getConversation(conversation.id);
+                history = toModelMessages(stored.messages);
+            }
+        } catch (error) {
+            if (error instanceof ConversationRequestError) {
+                return new Response(
+                    JSON.stringify({error: 'Conversation not found', message: error.message}),
+                    {
+                        status: error.status,
+                        headers: {'Content-Type': 'application/json'},
+                    },
+                );
+            }
+            console.error('[chat/route] Failed to save or load chat history:', error);
+            conversation = null;
+        }
+
+        const saveMessages = async (turnMessages) => {
+            if (!conversation) {
+                return;
+            }
+            try {
+                await chatHistory.appendMessages(conversation.id, turnMessages);
+            } catch (error) {
+                console.error('[chat/route] Failed to save chat history:', error);
+            }
+        };
+
         // Create model based on AI_PROVIDER
         let model;
         if (aiProvider === 'anthropic') {
@@ -151,7 +197,7 @@ IMPORTANT RULES:
 6. list_zwave_devices takes NO parameters - just call it directly.`
         };
 
-        const allMessages = [systemMessage, ...messages];
+        const allMessages = [systemMessage, ...history];
 
         // Convert to LangChain message objects
         const langChainMessages = convertToLangChainMessages(allMessages);
@@ -160,6 +206,16 @@ IMPORTANT RULES:
         const readableStream = new ReadableStream({
             async start(controller) {
                 try {
+                    const startTime = Date.now();
+
+                    if (conversation) {
+                        controller.enqueue(encoder.encode(`data: ${JSON.stringify({
+                            type: 'conversation',
+                            conversationId: conversation.id,
+                            title: conversation.title
+                        })}\n\n`));
+                    }
+
                     let currentMessages = langChainMessages;
                     let response = await modelWithTools.invoke(currentMessages);
                     const maxIterations = 5; // Prevent infinite loops
@@ -178,7 +234,7 @@ IMPORTANT RULES:
                                 // Show tool usage
                                 const toolData = `data: ${JSON.stringify({
                                     type: 'tool_start',
-                                    content: `🔧 Using tool: ${toolCall.name}\n`
+                                    content: formatToolStart(toolCall.name)
                                 })}\n\n`;
                                 controller.enqueue(encoder.encode(toolData));
 
@@ -249,6 +305,15 @@ IMPORTANT RULES:
                             }
                         }
 
+                        await saveMessages([
+                            {
+                                role: 'assistant',
+                                content: contentToText(response.content),
+                                toolCalls: response.tool_calls.map(({id, name, args}) => ({id, name, args}))
+                            },
+                            ...toolResults.map(tr => ({role: 'tool', content: tr.content, toolCallId: tr.tool_call_id}))
+                        ]);
+
                         // Add assistant message with tool calls and tool results to conversation
                         currentMessages = [
                             ...currentMessages,
@@ -286,7 +351,9 @@ IMPORTANT RULES:
                     }
 
                     // Final response (no more tool calls) - stream token by token for better UX
+                    let finalContent = '';
                     if (response.content) {
+                        finalContent = contentToText(response.content);
                         // If response already has content from invoke, send it
                         const data = `data: ${JSON.stringify({
                             type: 'content',
@@ -300,6 +367,7 @@ IMPORTANT RULES:
 
                             for await (const chunk of stream) {
                                 if (chunk.content) {
+                                    finalContent += contentToText(chunk.content);
                                     const data = `data: ${JSON.stringify({
                                         type: 'content',
                                         content: chunk.content
@@ -312,6 +380,7 @@ IMPORTANT RULES:
                             // Fallback: if streaming fails, invoke and send complete response
                             const fallbackResponse = await model.invoke(currentMessages);
                             if (fallbackResponse.content) {
+                                finalContent = contentToText(fallbackResponse.content);
                                 const data = `data: ${JSON.stringify({
                                     type: 'content',
                                     content: fallbackResponse.content
@@ -321,6 +390,8 @@ IMPORTANT RULES:
                         }
                     }
 
+                    await saveMessages([{role: 'assistant', content: finalContent, durationMs: Date.now() - startTime}]);
+
                     controller.enqueue(encoder.encode(`data: ${JSON.stringify({type: 'done'})}\n\n`));
                     controller.close();
                 } catch (error) {
@@ -0,0 +1,67 @@
+/**
+ * Conversation API Route - One saved chat conversation
+ *
+ * GET    /api/conversations/:id - Read it with every message, including tool calls and results
+ * PATCH  /api/conversations/:id - Rename it: {title}
+ * DELETE /api/conversations/:id - Delete it and its messages
+ */
+
+import {NextResponse} from 'next/server';
+import {chatHistory} from '../../../../lib/chat/service.js';
+import {ConversationRequestError} from '../../../../lib/chat/history.js';
+
+export const runtime = 'nodejs';
+
+/**
+ * @param {Error} error
+ * @param {string} failure - Summary for the `error` field
+ * @returns {NextResponse}
+ */
+function errorResponse(error, failure) {
+    if (error instanceof ConversationRequestError) {
+        return NextResponse.json({error: failure, message: error.message}, {status: error.status});
+    }
+
+    console.error(`[conversations/route] ${failure}:`, error);
+    return NextResponse.json(
+        {
+            error: failure,
+            message: error instanceof Error ? error.message : 'Unknown error',
+        },
+        {status: 500},
+    );
+}
+
+export async function GET(request, {params}) {
+    try {
+        const {id} = await params;
+        return NextResponse.json({conversation: await chatHistory.getConversation(id)});
+    } catch (error) {
+        return errorResponse(error, 'Failed to read conversation');
+    }
+}
+
+export async function PATCH(request, {params}) {
+    try {
+        const {id} = await params;
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            throw new ConversationRequestError('Request body must be valid JSON');
+        }
+        return NextResponse.json({conversation: await chatHistory.renameConversation(id, body?.title)});
+    } catch (error) {
+        return errorResponse(error, 'Failed to rename conversation');
+    }
+}
+
+export async function DELETE(request, {params}) {
+    try {
+        const {id} = await params;
+        await chatHistory.deleteConversation(id);
+        return NextResponse.json({deleted: true});
+    } catch (error) {
+        return errorResponse(error, 'Failed to delete conversation');
+    }
+}
@@ -0,0 +1,29 @@
+/**
+ * Conversations API Route - Saved chat conversations
+ *
+ * GET /api/conversations[?search=kitchen] - List conversations, most recent first, optionally
+ * filtered by title or message text. Conversations are created by /api/chat.
+ */
+
+import {NextResponse} from 'next/server';
+import {chatHistory} from '../../../lib/chat/service.js';
+
+export const runtime = 'nodejs';
+
+export async function GET(request) {
+    try {
+        const {searchParams} = new URL(request.url);
+        const conversations = await chatHistory.listConversations({search: searchParams.get('search') || undefined});
+
+        return NextResponse.json({conversations});
+    } catch (error) {
+        console.error('[conversations/route] Error listing conversations:', error);
+        return NextResponse.json(
+            {
+                error: 'Failed to list conversations',
+                message: error instanceof Error ? error.message : 'Unknown error',
+            },
+            {status: 500},
+        );
+    }
+}
@@ -0,0 +1,73 @@
+/**
+ * Device API Route - One device in the oracle device registry
+ *
+ * GET   /api/devices/:id - Read a device
+ * PATCH /api/devices/:id - Edit its friendly name, location or aliases: {name?, location?, aliases?}
+ * POST  /api/devices/:id - Control it through the Z-Wave MCP server: {action: 'on'|'off'|'dim', level?}
+ */
+
+import {NextResponse} from 'next/server';
+import {getDeviceSync} from '../../../../lib/devices/service.js';
+import {DeviceRequestError} from '../../../../lib/devices/sync.js';
+
+export const runtime = 'nodejs';
+
+/**
+ * @param {Error} error
+ * @param {string} failure - Summary for the `error` field
+ * @returns {NextResponse}
+ */
+function errorResponse(error, failure) {
+    if (error instanceof DeviceRequestError) {
+        return NextResponse.json({error: failure, message: error.message}, {status: error.status});
+    }
+
+    console.error(`[devices/route] ${failure}:`, error);
+    return NextResponse.json(
+        {
+            error: failure,
+            message: error instanceof Error ? error.message : 'Unknown error',
+        },
+        {status: 500},
+    );
+}
+
+async function readJson(request) {
+    try {
+        return await request.json();
+    } catch {
+        throw new DeviceRequestError('Request body must be valid JSON');
+    }
+}
+
+export async function GET(request, {params}) {
+    try {
+        const {id} = await params;
+        const deviceSync = await getDeviceSync();
+        return NextResponse.json({device: await deviceSync.getDevice(id)});
+    } catch (error) {
+        return errorResponse(error, 'Failed to read device');
+    }
+}
+
+export async function PATCH(request, {params}) {
+    try {
+        const {id} = await params;
+        const changes = await readJson(request);
+        const deviceSync = await getDeviceSync();
+        return NextResponse.json({device: await deviceSync.updateDevice(id, changes)});
+    } catch (error) {
+        return errorResponse(error, 'Failed to update device');
+    }
+}
+
+export async function POST(request, {params}) {
+    try {
+        const {id} = await params;
+        const command = await readJson(request);
+        const deviceSync = await getDeviceSync();
+        return NextResponse.json(await deviceSync.controlDevice(id, command));
+    } catch (error) {
+        return errorResponse(error, 'Failed to control device');
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Devices API Route - The device registry stored in the oracle database
+ *
+ * GET  /api/devices[?type=dimmer&location=Kitchen] - List devices
+ * POST /api/devices                                - Re-sync from the Z-Wave MCP registry now
+ */
+
+import {NextResponse} from 'next/server';
+import {getDeviceSync} from '../../../lib/devices/service.js';
+
+export const runtime = 'nodejs';
+
+export async function GET(request) {
+    try {
+        const deviceSync = await getDeviceSync();
+        const {searchParams} = new URL(request.url);
+        const devices = await deviceSync.listDevices({
+            type: searchParams.get('type') || undefined,
+            location: searchParams.get('location') || undefined,
+        });
+
+        return NextResponse.json({
+            devices,
+            lastSync: deviceSync.lastSync,
+            syncError: deviceSync.lastError ? deviceSync.lastError.message : null,
+        });
+    } catch (error) {
+        console.error('[devices/route] Error listing devices:', error);
+        return NextResponse.json(
+            {
+                error: 'Failed to list devices',
+                message: error instanceof Error ? error.message : 'Unknown error',
+            },
+            {status: 500},
+        );
+    }
+}
+
+export async function POST() {
+    try {
+        const deviceSync = await getDeviceSync();
+        const result = await deviceSync.sync();
+
+        return NextResponse.json({
+            ...result,
+            devices: await deviceSync.listDevices(),
+            lastSync: deviceSync.lastSync,
+        });
+    } catch (error) {
+        console.error('[devices/route] Error syncing devices:', error);
+        return NextResponse.json(
+            {
+                error: 'Failed to sync devices',
+                message: error instanceof Error ? error.message : 'Unknown error',
+            },
+            {status: 500},
+        );
+    }
+}
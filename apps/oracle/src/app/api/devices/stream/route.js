@@ -0,0 +1,36 @@
+/**
+ * Device Stream API Route - Live device updates for the dashboard
+ *
+ * GET /api/devices/stream - Server-Sent Events: `snapshot` with every device on connect and after
+ * each registry sync, then `device` whenever MQTT reports a new state or reading or a device is edited
+ */
+
+import {NextResponse} from 'next/server';
+import {getDeviceSync} from '../../../../lib/devices/service.js';
+import {createDeviceEventStream} from '../../../../lib/devices/stream.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+    try {
+        const deviceSync = await getDeviceSync();
+
+        return new Response(createDeviceEventStream(deviceSync, {signal: request.signal}), {
+            headers: {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                Connection: 'keep-alive',
+            },
+        });
+    } catch (error) {
+        console.error('[devices/stream] Error opening device stream:', error);
+        return NextResponse.json(
+            {
+                error: 'Failed to open device stream',
+                message: error instanceof Error ? error.message : 'Unknown error',
+            },
+            {status: 500},
+        );
+    }
+}
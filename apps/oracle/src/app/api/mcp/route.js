@@ -2,10 +2,11 @@
  * MCP API Route - Exposes Z-Wave MCP Server via SSE Transport
  *
  * This route provides a Server-Sent Events (SSE) endpoint that bridges
- * the browser to the Z-Wave MCP server running via stdio transport.
+ * the browser to the Z-Wave MCP server. Like the chat API, it connects to the
+ * shared server at ZWAVE_MCP_URL when set, and otherwise spawns one via stdio.
  *
  * Architecture:
- * - Browser → SSE → Next.js API Route → stdio → Z-Wave MCP Server
+ * - Browser → SSE → Next.js API Route → Streamable HTTP or stdio → Z-Wave MCP Server
  * - Implements Vercel MCP Adapter for seamless integration
  *
  * @see https://vercel.com/templates/next.js/model-context-protocol-mcp-with-next-js
@@ -14,6 +15,7 @@
 import {createMcpHandler} from '@vercel/mcp-adapter';
 import {fileURLToPath} from 'url';
 import {dirname, join} from 'path';
+import {getRemoteServerConfig} from '../../../lib/mcp/integration.js';
 
 // Get absolute path to zwave-mcp-server
 const __filename = fileURLToPath(import.meta.url);
@@ -25,7 +27,7 @@ const zwaveServerPath = join(__dirname, '../../../../../../zwave-mcp-server/src/
  */
 const mcpConfig = {
     servers: {
-        zwave: {
+        zwave: getRemoteServerConfig() || {
             transport: 'stdio',
             command: 'node',
             args: [zwaveServerPath],
@@ -59,6 +61,6 @@ export const POST = createMcpHandler(mcpConfig);
 
 /**
  * Runtime configuration for Next.js
- * - nodejs: Required for stdio process spawning
+ * - nodejs: Required for stdio process spawning and the HTTP client
  */
 export const runtime = 'nodejs';
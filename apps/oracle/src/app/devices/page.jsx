@@ -0,0 +1,9 @@
+import {DeviceDashboard} from '../../components/DeviceDashboard.jsx';
+
+export const metadata = {
+    title: 'Devices',
+};
+
+export default function DevicesPage() {
+    return <DeviceDashboard/>;
+}
@@ -1,9 +1,12 @@
 'use client';
 
-import {useEffect, useRef, useState} from 'react';
+import {useCallback, useEffect, useRef, useState} from 'react';
+import Link from 'next/link';
 import {Button} from './ui/button.jsx';
 import {Input} from './ui/input.jsx';
 import {ChatMessage} from './ChatMessage.jsx';
+import {ConversationSidebar} from './ConversationSidebar.jsx';
+import {toDisplayMessages} from '../lib/chat/display.js';
 import {Loader2, Send} from 'lucide-react';
 
 // Browser-compatible UUID generator
@@ -17,8 +20,55 @@ export function ChatInterface() {
     const [isLoading, setIsLoading] = useState(false);
     const [selectedModel, setSelectedModel] = useState('');
     const [availableModels, setAvailableModels] = useState([]);
+    const [conversationId, setConversationId] = useState(null);
+    // Bumped whenever the sidebar's conversation list may have changed
+    const [historyVersion, setHistoryVersion] = useState(0);
     const scrollRef = useRef(null);
 
+    const loadConversation = useCallback(async (id) => {
+        try {
+            const response = await fetch(`/api/conversations/${id}`);
+            if (!response.ok) {
+                if (response.status === 404) {
+                    localStorage.removeItem('activeConversationId');
+                }
+                return;
+            }
+            const {conversation} = await response.json();
+            setMessages(toDisplayMessages(conversation.messages));
+            setConversationId(conversation.id);
+        } catch (err) {
+            console.error('Failed to load conversation:', err);
+        }
+    }, []);
+
+    const startNewConversation = () => {
+        setMessages([]);
+        setConversationId(null);
+        localStorage.removeItem('activeConversationId');
+    };
+
+    const handleConversationDeleted = (id) => {
+        if (id === conversationId) {
+            startNewConversation();
+        }
+    };
+
+    // Resume the conversation that was open before the page was refreshed
+    useEffect(() => {
+        const savedConversationId = localStorage.getItem('activeConversationId');
+        if (savedConversationId) {
+            loadConversation(savedConversationId);
+        }
+    }, [loadConversation]);
+
+    // Remember the open conversation across refreshes
+    useEffect(() => {
+        if (conversationId) {
+            localStorage.setItem('activeConversationId', conversationId);
+        }
+    }, [conversationId]);
+
     // Fetch available models on mount and load saved model from localStorage
     useEffect(() => {
         const savedModel = localStorage.getItem('selectedModel');
@@ -87,6 +137,7 @@ export function ChatInterface() {
                         content: m.content,
                     })),
                     model: selectedModel || undefined,
+                    conversationId: conversationId || undefined,
                 }),
             });
 
@@ -136,7 +187,10 @@ export function ChatInterface() {
                             try {
                                 const data = JSON.parse(line.slice(6));
 
-                                if (data.type === 'content') {
+                                if (data.type === 'conversation') {
+                                    setConversationId(data.conversationId);
+                                    setHistoryVersion((v) => v + 1);
+                                } else if (data.type === 'content') {
                                     assistantContent += data.content;
 
                                     setMessages((prev) =>
@@ -168,6 +222,7 @@ export function ChatInterface() {
                                         )
                                     );
                                 } else if (data.type === 'done') {
+                                    setHistoryVersion((v) => v + 1);
                                     const duration = Date.now() - startTime;
                                     setMessages((prev) =>
                                         prev.map((m) =>
@@ -217,130 +272,145 @@ export function ChatInterface() {
     };
 
     return (
-        <div className="flex flex-col h-screen bg-gray-50 dark:bg-gray-900">
-            {/* Header */}
-            <header className="border-b border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-950 shadow-sm">
-                <div className="max-w-4xl mx-auto px-6 py-4">
-                    <div className="flex items-center justify-between">
-                        <div>
-                            <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
-                                Home Automation Assistant
-                            </h1>
-                            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
-                                Control your smart home with AI
-                            </p>
-                        </div>
-                        {/* Model Selector */}
-                        {availableModels.length > 0 && (
-                            <div className="flex items-center gap-2">
-                                <label htmlFor="model-select" className="text-sm text-gray-600 dark:text-gray-400">
-                                    Model:
-                                </label>
-                                <select
-                                    id="model-select"
-                                    value={selectedModel}
-                                    onChange={(e) => setSelectedModel(e.target.value)}
-                                    className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                                >
-                                    {availableModels.map((model) => (
-                                        <option key={model} value={model}>
-                                            {model}
-                                        </option>
-                                    ))}
-                                </select>
+        <div className="flex h-screen">
+            <ConversationSidebar
+                activeId={conversationId}
+                refreshKey={historyVersion}
+                disabled={isLoading}
+                onSelect={loadConversation}
+                onNew={startNewConversation}
+                onDeleted={handleConversationDeleted}
+            />
+            <div className="flex flex-1 flex-col min-w-0 bg-gray-50 dark:bg-gray-900">
+                {/* Header */}
+                <header className="border-b border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-950 shadow-sm">
+                    <div className="max-w-4xl mx-auto px-6 py-4">
+                        <div className="flex items-center justify-between">
+                            <div>
+                                <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+                                    Home Automation Assistant
+                                </h1>
+                                <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                                    Control your smart home with AI
+                                </p>
                             </div>
-                        )}
-                    </div>
-                </div>
-            </header>
-
-            {/* Messages Area */}
-            <div
-                ref={scrollRef}
-                className="flex-1 overflow-y-auto bg-gray-50 dark:bg-gray-900"
-            >
-                <div className="max-w-4xl mx-auto px-6 py-8">
-                    {messages.length === 0 && (
-                        <div className="flex flex-col items-center justify-center min-h-[60vh] text-center">
-                            <div
-                                className="w-20 h-20 mb-6 rounded-full bg-blue-600 flex items-center justify-center shadow-lg">
-                                <svg
-                                    className="w-10 h-10 text-white"
-                                    fill="none"
-                                    stroke="currentColor"
-                                    viewBox="0 0 24 24"
-                                >
-                                    <path
-                                        strokeLinecap="round"
-                                        strokeLinejoin="round"
-                                        strokeWidth={2}
-                                        d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z"
-                                    />
-                                </svg>
+                            <div className="flex items-center gap-4">
+                                <Link href="/devices" className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-400">
+                                    Devices
+                                </Link>
+                                {/* Model Selector */}
+                                {availableModels.length > 0 && (
+                                    <div className="flex items-center gap-2">
+                                        <label htmlFor="model-select" className="text-sm text-gray-600 dark:text-gray-400">
+                                            Model:
+                                        </label>
+                                        <select
+                                            id="model-select"
+                                            value={selectedModel}
+                                            onChange={(e) => setSelectedModel(e.target.value)}
+                                            className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-700 rounded-lg bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                        >
+                                            {availableModels.map((model) => (
+                                                <option key={model} value={model}>
+                                                    {model}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
                             </div>
-                            <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-3">
-                                What can I help with?
-                            </h2>
-                            <p className="text-gray-600 dark:text-gray-400 max-w-lg text-lg">
-                                Ask me to control your smart devices, check their status, or automate your home.
-                            </p>
                         </div>
-                    )}
-
-                    <div className="space-y-6">
-                        {messages.map((message) => (
-                            <ChatMessage key={message.id} message={message}/>
-                        ))}
-
-                        {isLoading && (
-                            <div className="flex items-start gap-3">
-                                <div
-                                    className="w-10 h-10 rounded-full bg-blue-600 flex items-center justify-center flex-shrink-0">
-                                    <Loader2 className="w-5 h-5 text-white animate-spin"/>
-                                </div>
+                    </div>
+                </header>
+
+                {/* Messages Area */}
+                <div
+                    ref={scrollRef}
+                    className="flex-1 overflow-y-auto bg-gray-50 dark:bg-gray-900"
+                >
+                    <div className="max-w-4xl mx-auto px-6 py-8">
+                        {messages.length === 0 && (
+                            <div className="flex flex-col items-center justify-center min-h-[60vh] text-center">
                                 <div
-                                    className="flex items-center gap-2 px-5 py-4 bg-white dark:bg-gray-800 rounded-3xl shadow-md border border-gray-200 dark:border-gray-700">
-                                    <span className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"
-                                          style={{animationDelay: '0ms'}}/>
-                                    <span className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"
-                                          style={{animationDelay: '150ms'}}/>
-                                    <span className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"
-                                          style={{animationDelay: '300ms'}}/>
+                                    className="w-20 h-20 mb-6 rounded-full bg-blue-600 flex items-center justify-center shadow-lg">
+                                    <svg
+                                        className="w-10 h-10 text-white"
+                                        fill="none"
+                                        stroke="currentColor"
+                                        viewBox="0 0 24 24"
+                                    >
+                                        <path
+                                            strokeLinecap="round"
+                                            strokeLinejoin="round"
+                                            strokeWidth={2}
+                                            d="M8 10h.01M12 10h.01M16 10h.01M9 16H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-5l-5 5v-5z"
+                                        />
+                                    </svg>
                                 </div>
+                                <h2 className="text-3xl font-bold text-gray-900 dark:text-gray-100 mb-3">
+                                    What can I help with?
+                                </h2>
+                                <p className="text-gray-600 dark:text-gray-400 max-w-lg text-lg">
+                                    Ask me to control your smart devices, check their status, or automate your home.
+                                </p>
                             </div>
                         )}
+
+                        <div className="space-y-6">
+                            {messages.map((message) => (
+                                <ChatMessage key={message.id} message={message}/>
+                            ))}
+
+                            {isLoading && (
+                                <div className="flex items-start gap-3">
+                                    <div
+                                        className="w-10 h-10 rounded-full bg-blue-600 flex items-center justify-center flex-shrink-0">
+                                        <Loader2 className="w-5 h-5 text-white animate-spin"/>
+                                    </div>
+                                    <div
+                                        className="flex items-center gap-2 px-5 py-4 bg-white dark:bg-gray-800 rounded-3xl shadow-md border border-gray-200 dark:border-gray-700">
+                                        <span className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"
+                                              style={{animationDelay: '0ms'}}/>
+                                        <span className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"
+                                              style={{animationDelay: '150ms'}}/>
+                                        <span className="w-2 h-2 bg-gray-400 rounded-full animate-bounce"
+                                              style={{animationDelay: '300ms'}}/>
+                                    </div>
+                                </div>
+                            )}
+                        </div>
                     </div>
                 </div>
-            </div>
 
-            {/* Input Area */}
-            <div className="border-t border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-950 shadow-lg">
-                <div className="max-w-4xl mx-auto px-6 py-5">
-                    <form onSubmit={handleSubmit}>
-                        <div className="flex gap-3 items-center">
-                            <Input
-                                value={input}
-                                onChange={(e) => setInput(e.target.value)}
-                                placeholder="Message your assistant..."
-                                disabled={isLoading}
-                                className="flex-1 px-5 py-6 text-base rounded-3xl border-2 border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:border-blue-500 dark:focus:border-blue-400 focus:ring-0 transition-colors"
-                            />
-                            <Button
-                                type="submit"
-                                disabled={isLoading || !input.trim()}
-                                className="h-14 w-14 rounded-full bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 flex items-center justify-center flex-shrink-0 transition-colors shadow-lg"
-                            >
-                                {isLoading ? (
-                                    <Loader2 className="h-6 w-6 text-white animate-spin"/>
-                                ) : (
-                                    <Send className="h-6 w-6 text-white"/>
-                                )}
-                            </Button>
-                        </div>
-                    </form>
-                    <p className="text-xs text-center text-gray-500 dark:text-gray-400 mt-4">
-                        AI can make mistakes. Check important info.
-                    </p>
+                {/* Input Area */}
+                <div className="border-t border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-950 shadow-lg">
+                    <div className="max-w-4xl mx-auto px-6 py-5">
+                        <form onSubmit={handleSubmit}>
+                            <div className="flex gap-3 items-center">
+                                <Input
+                                    value={input}
+                                    onChange={(e) => setInput(e.target.value)}
+                                    placeholder="Message your assistant..."
+                                    disabled={isLoading}
+                                    className="flex-1 px-5 py-6 text-base rounded-3xl border-2 border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 focus:border-blue-500 dark:focus:border-blue-400 focus:ring-0 transition-colors"
+                                />
+                                <Button
+                                    type="submit"
+                                    disabled={isLoading || !input.trim()}
+                                    className="h-14 w-14 rounded-full bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 flex items-center justify-center flex-shrink-0 transition-colors shadow-lg"
+                                >
+                                    {isLoading ? (
+                                        <Loader2 className="h-6 w-6 text-white animate-spin"/>
+                                    ) : (
+                                        <Send className="h-6 w-6 text-white"/>
+                                    )}
+                                </Button>
+                            </div>
+                        </form>
+                        <p className="text-xs text-center text-gray-500 dark:text-gray-400 mt-4">
+                            AI can make mistakes. Check important info.
+                        </p>
+                    </div>
                 </div>
             </div>
         </div>
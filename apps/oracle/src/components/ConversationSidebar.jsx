@@ -0,0 +1,175 @@
+'use client';
+
+import {useCallback, useEffect, useState} from 'react';
+import {Check, MessageSquarePlus, Pencil, Search, Trash2, X} from 'lucide-react';
+import {Button} from './ui/button.jsx';
+import {Input} from './ui/input.jsx';
+import {cn} from '../lib/utils.js';
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+/**
+ * Saved conversations: list, search, rename, delete and resume
+ *
+ * @param {Object} props - Component props
+ * @param {string|null} props.activeId - Conversation shown in the chat
+ * @param {number} props.refreshKey - Changes whenever the list should be re-fetched (e.g. after a turn)
+ * @param {boolean} [props.disabled] - Block switching while a reply is streaming
+ * @param {(id: string) => void} props.onSelect - Resume a conversation
+ * @param {() => void} props.onNew - Start a new conversation
+ * @param {(id: string) => void} props.onDeleted - Called after a conversation is deleted
+ */
+export function ConversationSidebar({activeId, refreshKey, disabled = false, onSelect, onNew, onDeleted}) {
+    const [conversations, setConversations] = useState([]);
+    const [search, setSearch] = useState('');
+    const [error, setError] = useState(null);
+    const [editingId, setEditingId] = useState(null);
+    const [draftTitle, setDraftTitle] = useState('');
+
+    const loadConversations = useCallback(async (query) => {
+        try {
+            const params = query.trim() ? `?search=${encodeURIComponent(query.trim())}` : '';
+            const response = await fetch(`/api/conversations${params}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || data.error);
+            }
+            setConversations(data.conversations);
+            setError(null);
+        } catch (err) {
+            console.error('Failed to load conversations:', err);
+            setError('Chat history is unavailable');
+        }
+    }, []);
+
+    // Re-fetch after each turn and, debounced, as the search changes
+    useEffect(() => {
+        const timer = setTimeout(() => loadConversations(search), search ? SEARCH_DEBOUNCE_MS : 0);
+        return () => clearTimeout(timer);
+    }, [search, refreshKey, loadConversations]);
+
+    const startRename = (conversation) => {
+        setEditingId(conversation.id);
+        setDraftTitle(conversation.title);
+    };
+
+    const saveRename = async (e) => {
+        e.preventDefault();
+        const title = draftTitle.trim();
+        if (!title) return;
+
+        const response = await fetch(`/api/conversations/${editingId}`, {
+            method: 'PATCH',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify({title}),
+        });
+        if (response.ok) {
+            const {conversation} = await response.json();
+            setConversations((prev) => prev.map((c) => (c.id === conversation.id ? {...c, title: conversation.title} : c)));
+        }
+        setEditingId(null);
+    };
+
+    const deleteConversation = async (conversation) => {
+        if (!window.confirm(`Delete "${conversation.title}"?`)) return;
+
+        const response = await fetch(`/api/conversations/${conversation.id}`, {method: 'DELETE'});
+        if (response.ok) {
+            setConversations((prev) => prev.filter((c) => c.id !== conversation.id));
+            onDeleted(conversation.id);
+        }
+    };
+
+    return (
+        <aside
+            className="hidden md:flex w-72 flex-shrink-0 flex-col border-r border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-950">
+            <div className="space-y-3 p-4 border-b border-gray-200 dark:border-gray-800">
+                <Button onClick={onNew} disabled={disabled} variant="outline" className="w-full">
+                    <MessageSquarePlus className="h-4 w-4"/>
+                    New chat
+                </Button>
+                <div className="relative">
+                    <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-gray-400"/>
+                    <Input
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        placeholder="Search conversations"
+                        aria-label="Search conversations"
+                        className="pl-9"
+                    />
+                </div>
+            </div>
+
+            <nav className="flex-1 overflow-y-auto p-2">
+                {error && <p className="px-2 py-4 text-sm text-gray-500 dark:text-gray-400">{error}</p>}
+                {!error && conversations.length === 0 && (
+                    <p className="px-2 py-4 text-sm text-gray-500 dark:text-gray-400">
+                        {search ? 'No matching conversations' : 'No conversations yet'}
+                    </p>
+                )}
+
+                <ul className="space-y-1">
+                    {conversations.map((conversation) => (
+                        <li key={conversation.id}>
+                            {editingId === conversation.id ? (
+                                <form onSubmit={saveRename} className="flex items-center gap-1">
+                                    <Input
+                                        value={draftTitle}
+                                        onChange={(e) => setDraftTitle(e.target.value)}
+                                        onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                                        maxLength={80}
+                                        aria-label="Conversation title"
+                                        autoFocus
+                                    />
+                                    <Button type="submit" variant="ghost" size="icon" aria-label="Save title">
+                                        <Check className="h-4 w-4"/>
+                                    </Button>
+                                    <Button type="button" variant="ghost" size="icon" aria-label="Cancel rename"
+                                            onClick={() => setEditingId(null)}>
+                                        <X className="h-4 w-4"/>
+                                    </Button>
+                                </form>
+                            ) : (
+                                <div
+                                    className={cn(
+                                        'group flex items-center rounded-lg',
+                                        conversation.id === activeId
+                                            ? 'bg-gray-100 dark:bg-gray-800'
+                                            : 'hover:bg-gray-50 dark:hover:bg-gray-900',
+                                    )}
+                                >
+                                    <button
+                                        type="button"
+                                        onClick={() => onSelect(conversation.id)}
+                                        disabled={disabled}
+                                        className="min-w-0 flex-1 px-3 py-2 text-left disabled:cursor-not-allowed"
+                                    >
+                                        <span className="block truncate text-sm text-gray-900 dark:text-gray-100">
+                                            {conversation.title}
+                                        </span>
+                                        <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                            {new Date(conversation.updatedAt).toLocaleDateString()}
+                                        </span>
+                                    </button>
+                                    <div className="flex pr-1 opacity-0 transition-opacity group-hover:opacity-100 focus-within:opacity-100">
+                                        <Button variant="ghost" size="icon" className="h-8 w-8"
+                                                aria-label={`Rename ${conversation.title}`}
+                                                onClick={() => startRename(conversation)}>
+                                            <Pencil className="h-3.5 w-3.5"/>
+                                        </Button>
+                                        <Button variant="ghost" size="icon" className="h-8 w-8"
+                                                aria-label={`Delete ${conversation.title}`}
+                                                disabled={disabled && conversation.id === activeId}
+                                                onClick={() => deleteConversation(conversation)}>
+                                            <Trash2 className="h-3.5 w-3.5"/>
+                                        </Button>
+                                    </div>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            </nav>
+        </aside>
+    );
+}
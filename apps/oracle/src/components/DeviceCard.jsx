@@ -0,0 +1,126 @@
+'use client';
+
+import {useState} from 'react';
+import {Loader2} from 'lucide-react';
+import {Card, CardContent, CardDescription, CardHeader, CardTitle} from './ui/card.jsx';
+import {cn} from '../lib/utils.js';
+import {formatReading, getDimLevel, isDeviceOn, isSwitchable} from '../lib/devices/display.js';
+
+function formatTime(value) {
+    return value ? new Date(value).toLocaleTimeString([], {hour: 'numeric', minute: '2-digit'}) : null;
+}
+
+export function DeviceCard({device, onControl}) {
+    const [isSending, setIsSending] = useState(false);
+    const [error, setError] = useState(null);
+    // Slider position while dragging; null shows the reported level
+    const [draftLevel, setDraftLevel] = useState(null);
+
+    const isOn = isDeviceOn(device.state);
+    const level = getDimLevel(device.state) ?? 0;
+    const isOffline = device.metadata?.available === false;
+    const readings = Object.entries(device.readings || {});
+    const updatedAt = formatTime(device.lastSeen);
+
+    const send = async (command) => {
+        setIsSending(true);
+        setError(null);
+        try {
+            await onControl(device.id, command);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsSending(false);
+            setDraftLevel(null);
+        }
+    };
+
+    const commitLevel = () => {
+        if (draftLevel !== null && draftLevel !== level) {
+            send(draftLevel === 0 ? {action: 'off'} : {action: 'dim', level: draftLevel});
+        } else {
+            setDraftLevel(null);
+        }
+    };
+
+    return (
+        <Card className={cn('flex flex-col', isOffline && 'opacity-60')}>
+            <CardHeader className="pb-3">
+                <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                        <CardTitle className="truncate">{device.name}</CardTitle>
+                        <CardDescription className="mt-1 capitalize">
+                            {device.type}{isOffline ? ' · offline' : ''}
+                        </CardDescription>
+                    </div>
+                    {isSwitchable(device) ? (
+                        <button
+                            type="button"
+                            role="switch"
+                            aria-checked={isOn === true}
+                            aria-label={`Turn ${device.name} ${isOn ? 'off' : 'on'}`}
+                            disabled={isSending || isOffline}
+                            onClick={() => send({action: isOn ? 'off' : 'on'})}
+                            className={cn(
+                                'relative inline-flex h-6 w-11 shrink-0 items-center rounded-full transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 disabled:cursor-not-allowed disabled:opacity-50',
+                                isOn ? 'bg-blue-600' : 'bg-gray-300 dark:bg-gray-700',
+                            )}
+                        >
+                            <span
+                                className={cn(
+                                    'inline-block h-5 w-5 transform rounded-full bg-white shadow transition-transform',
+                                    isOn ? 'translate-x-5' : 'translate-x-0.5',
+                                )}
+                            />
+                        </button>
+                    ) : (
+                        <span className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                            {device.state || 'unknown'}
+                        </span>
+                    )}
+                </div>
+            </CardHeader>
+            <CardContent className="flex flex-1 flex-col gap-3">
+                {device.type === 'dimmer' && (
+                    <div className="flex items-center gap-3">
+                        <input
+                            type="range"
+                            min={0}
+                            max={100}
+                            value={draftLevel ?? level}
+                            aria-label={`${device.name} brightness`}
+                            disabled={isSending || isOffline}
+                            onChange={(e) => setDraftLevel(Number(e.target.value))}
+                            onPointerUp={commitLevel}
+                            onKeyUp={commitLevel}
+                            className="flex-1 accent-blue-600"
+                        />
+                        <span className="w-10 text-right text-sm text-gray-600 dark:text-gray-400">
+                            {draftLevel ?? level}%
+                        </span>
+                    </div>
+                )}
+
+                {readings.length > 0 && (
+                    <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+                        {readings.map(([label, reading]) => (
+                            <div key={label} className="contents">
+                                <dt className="capitalize text-gray-600 dark:text-gray-400">{label}</dt>
+                                <dd className="text-right font-medium text-gray-900 dark:text-gray-100">
+                                    {formatReading(reading)}
+                                </dd>
+                            </div>
+                        ))}
+                    </dl>
+                )}
+
+                {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+                <div className="mt-auto flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+                    <span>{updatedAt ? `Updated ${updatedAt}` : 'No reports yet'}</span>
+                    {isSending && <Loader2 className="h-4 w-4 animate-spin"/>}
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
@@ -0,0 +1,75 @@
+'use client';
+
+import Link from 'next/link';
+import {Loader2} from 'lucide-react';
+import {DeviceCard} from './DeviceCard.jsx';
+import {useDeviceStream} from '../hooks/useDeviceStream.js';
+import {groupDevicesByRoom} from '../lib/devices/display.js';
+import {cn} from '../lib/utils.js';
+
+export function DeviceDashboard() {
+    const {devices, isConnected, isLoading, syncError, controlDevice} = useDeviceStream();
+    const rooms = groupDevicesByRoom(devices);
+
+    return (
+        <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+            {/* Header */}
+            <header className="border-b border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-950 shadow-sm">
+                <div className="max-w-6xl mx-auto px-6 py-4">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+                                Devices
+                            </h1>
+                            <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                                Live state from your Z-Wave network
+                            </p>
+                        </div>
+                        <div className="flex items-center gap-4">
+                            <span className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+                                <span
+                                    className={cn('h-2 w-2 rounded-full', isConnected ? 'bg-green-500' : 'bg-gray-400')}/>
+                                {isConnected ? 'Live' : 'Reconnecting…'}
+                            </span>
+                            <Link href="/" className="text-sm font-medium text-blue-600 hover:underline dark:text-blue-400">
+                                Chat
+                            </Link>
+                        </div>
+                    </div>
+                </div>
+            </header>
+
+            <main className="max-w-6xl mx-auto px-6 py-8">
+                {syncError && (
+                    <div
+                        className="mb-6 rounded-lg border border-amber-300 bg-amber-50 px-4 py-3 text-sm text-amber-900 dark:border-amber-800 dark:bg-amber-950 dark:text-amber-200">
+                        Could not refresh devices from the Z-Wave server ({syncError}). Showing the last known devices.
+                    </div>
+                )}
+
+                {isLoading ? (
+                    <div className="flex justify-center py-24 text-gray-500">
+                        <Loader2 className="h-6 w-6 animate-spin"/>
+                    </div>
+                ) : rooms.length === 0 ? (
+                    <p className="py-24 text-center text-gray-600 dark:text-gray-400">
+                        No devices yet. They appear here once the Z-Wave registry has been synced.
+                    </p>
+                ) : (
+                    <div className="space-y-10">
+                        {rooms.map(({room, devices: roomDevices}) => (
+                            <section key={room}>
+                                <h2 className="mb-4 text-lg font-semibold text-gray-900 dark:text-gray-100">{room}</h2>
+                                <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
+                                    {roomDevices.map(device => (
+                                        <DeviceCard key={device.id} device={device} onControl={controlDevice}/>
+                                    ))}
+                                </div>
+                            </section>
+                        ))}
+                    </div>
+                )}
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,81 @@
+/**
+ * Device Stream Hook
+ *
+ * Follows the device registry over Server-Sent Events from `/api/devices/stream`, so state,
+ * readings and edits appear as soon as MQTT reports them. EventSource reconnects on its own
+ * and the server sends a fresh snapshot on every connect.
+ *
+ * @example
+ * ```jsx
+ * const { devices, isConnected, controlDevice } = useDeviceStream();
+ * await controlDevice(device.id, { action: 'dim', level: 40 });
+ * ```
+ */
+
+'use client';
+
+import {useCallback, useEffect, useState} from 'react';
+import {mergeDevice} from '../lib/devices/display.js';
+
+/**
+ * @param {Object} options - Configuration options
+ * @param {string} options.url - Stream endpoint URL (default: '/api/devices/stream')
+ * @returns {Object} Devices, connection state and a control function
+ */
+export function useDeviceStream(options = {}) {
+    const {url = '/api/devices/stream'} = options;
+
+    const [devices, setDevices] = useState([]);
+    const [isConnected, setIsConnected] = useState(false);
+    const [isLoading, setIsLoading] = useState(true);
+    const [lastSync, setLastSync] = useState(null);
+    const [syncError, setSyncError] = useState(null);
+
+    useEffect(() => {
+        const source = new EventSource(url);
+
+        source.onopen = () => setIsConnected(true);
+        source.onerror = () => setIsConnected(false);
+
+        source.addEventListener('snapshot', (event) => {
+            const snapshot = JSON.parse(event.data);
+            setDevices(snapshot.devices);
+            setLastSync(snapshot.lastSync);
+            setSyncError(snapshot.syncError);
+            setIsLoading(false);
+        });
+
+        source.addEventListener('device', (event) => {
+            const device = JSON.parse(event.data);
+            setDevices(current => mergeDevice(current, device));
+        });
+
+        return () => source.close();
+    }, [url]);
+
+    /**
+     * Send an on/off/dim command; the new state arrives over the stream once the device reports it
+     */
+    const controlDevice = useCallback(async (id, command) => {
+        const response = await fetch(`/api/devices/${id}`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify(command),
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to control device');
+        }
+        return data;
+    }, []);
+
+    return {
+        devices,
+        isConnected,
+        isLoading,
+        lastSync,
+        syncError,
+        controlDevice,
+    };
+}
@@ -5,7 +5,7 @@
  * This hook is optional - the chat interface uses backend MCP integration.
  *
  * Use this hook when you need direct frontend access to MCP tools,
- * such as for a device control dashboard or admin panel.
+ * such as for an admin panel. The /devices dashboard uses useDeviceStream instead.
  *
  * @example
  * ```jsx
@@ -0,0 +1,48 @@
+/**
+ * Tests for the Chat Display Helpers
+ */
+
+import {toDisplayMessages} from '../display.js';
+
+const at = minute => new Date(Date.UTC(2026, 9, 18, 12, minute)).toISOString();
+
+describe('toDisplayMessages()', () => {
+    it('should fold tool calls into the assistant reply like the live stream', () => {
+        const display = toDisplayMessages([
+            {id: '1', role: 'user', content: 'Turn on the lamp', createdAt: at(0)},
+            {id: '2', role: 'assistant', content: 'Let me check.', toolCalls: [{name: 'list_zwave_devices'}], createdAt: at(1)},
+            {id: '3', role: 'tool', content: 'Lamp: OFF', toolCallId: 'a', createdAt: at(1)},
+            {id: '4', role: 'assistant', content: '', toolCalls: [{name: 'control_zwave_device'}], createdAt: at(2)},
+            {id: '5', role: 'tool', content: 'Confirmed', toolCallId: 'b', createdAt: at(2)},
+            {id: '6', role: 'assistant', content: 'Done.', durationMs: 2500, createdAt: at(3)},
+            {id: '7', role: 'user', content: 'Thanks', createdAt: at(4)},
+            {id: '8', role: 'assistant', content: 'Any time!', createdAt: at(5)},
+        ]);
+
+        expect(display).toEqual([
+            {id: '1', role: 'user', content: 'Turn on the lamp', timestamp: new Date(at(0))},
+            {
+                id: '6',
+                role: 'assistant',
+                content: '🔧 Using tool: list_zwave_devices\n🔧 Using tool: control_zwave_device\nDone.',
+                timestamp: new Date(at(3)),
+                duration: 2500,
+            },
+            {id: '7', role: 'user', content: 'Thanks', timestamp: new Date(at(4))},
+            {id: '8', role: 'assistant', content: 'Any time!', timestamp: new Date(at(5))},
+        ]);
+    });
+
+    it('should still show the tools of a turn that never got a reply', () => {
+        const display = toDisplayMessages([
+            {id: '1', role: 'user', content: 'Lock up', createdAt: at(0)},
+            {id: '2', role: 'assistant', content: '', toolCalls: [{name: 'lock_device'}], createdAt: at(1)},
+            {id: '3', role: 'tool', content: 'Error: timeout', createdAt: at(1)},
+        ]);
+
+        expect(display.map(m => [m.role, m.content])).toEqual([
+            ['user', 'Lock up'],
+            ['assistant', '🔧 Using tool: lock_device\n'],
+        ]);
+    });
+});
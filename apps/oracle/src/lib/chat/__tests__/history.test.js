@@ -0,0 +1,196 @@
+/**
+ * Tests for the Chat History Store
+ *
+ * These tests verify that turns are stored in order with their tool calls and can be replayed to the model, and that
+ * conversations can be listed, searched, renamed and deleted.
+ */
+
+import {jest} from '@jest/globals';
+import {ChatHistoryStore, ConversationRequestError, contentToText, titleFromMessage, toModelMessages} from '../history.js';
+
+/**
+ * In-memory stand-in for the Prisma `conversation` and `message` delegates
+ */
+function createFakePrisma() {
+    let nextId = 1;
+    let clock = Date.UTC(2026, 9, 18, 12, 0);
+    const conversations = [];
+    const messages = [];
+    let writes = Promise.resolve();
+    const now = () => new Date(clock++);
+    const contains = (text, query) => text.toLowerCase().includes(query.toLowerCase());
+    const matchesSearch = (conversation, where) => !where || where.OR.some(condition => condition.title
+        ? contains(conversation.title, condition.title.contains)
+        : messages.some(m => m.conversationId === conversation.id && contains(m.content, condition.messages.some.content.contains)));
+    const withIncludes = (conversation, include) => ({
+        ...conversation,
+        ...(include?._count ? {_count: {messages: messages.filter(m => m.conversationId === conversation.id).length}} : {}),
+        ...(include?.messages
+            ? {messages: messages.filter(m => m.conversationId === conversation.id).sort((a, b) => a.position - b.position)}
+            : {}),
+    });
+
+    const prisma = {
+        conversations,
+        messages,
+        conversation: {
+            create: jest.fn(async ({data}) => {
+                const row = {id: `conversation-${nextId++}`, model: null, createdAt: now(), updatedAt: now(), ...data};
+                conversations.push(row);
+                return {...row};
+            }),
+            findUnique: jest.fn(async ({where, include}) => {
+                const row = conversations.find(c => c.id === where.id);
+                return row ? withIncludes(row, include) : null;
+            }),
+            findMany: jest.fn(async ({where, include}) => conversations
+                .filter(c => matchesSearch(c, where))
+                .sort((a, b) => b.updatedAt - a.updatedAt)
+                .map(c => withIncludes(c, include))),
+            update: jest.fn(async ({where, data}) => {
+                const row = conversations.find(c => c.id === where.id);
+                Object.assign(row, data, {updatedAt: data.updatedAt || now()});
+                return {...row};
+            }),
+            delete: jest.fn(async ({where}) => {
+                conversations.splice(conversations.findIndex(c => c.id === where.id), 1);
+            }),
+        },
+        message: {
+            count: jest.fn(async ({where}) => messages.filter(m => m.conversationId === where.conversationId).length),
+            create: jest.fn(async ({data}) => {
+                if (messages.some(m => m.conversationId === data.conversationId && m.position === data.position)) {
+                    throw new Error('Unique constraint failed on the fields: (`conversationId`,`position`)');
+                }
+                const row = {id: `message-${nextId++}`, createdAt: now(), ...data};
+                messages.push(row);
+                return {...row};
+            }),
+            deleteMany: jest.fn(async ({where}) => {
+                for (let i = messages.length - 1; i >= 0; i--) {
+                    if (messages[i].conversationId === where.conversationId) {
+                        messages.splice(i, 1);
+                    }
+                }
+            }),
+        },
+        $transaction: jest.fn(async operations => {
+            if (Array.isArray(operations)) {
+                return Promise.all(operations);
+            }
+            // Interactive transactions run one at a time, like SQLite's single writer
+            const run = writes.then(() => operations(prisma));
+            writes = run.catch(() => {
+            });
+            return run;
+        }),
+    };
+    return prisma;
+}
+
+describe('ChatHistoryStore', () => {
+    let prisma;
+    let store;
+
+    beforeEach(() => {
+        prisma = createFakePrisma();
+        store = new ChatHistoryStore({prisma});
+    });
+
+    it('should start conversations titled after the first message and continue existing ones', async () => {
+        const conversation = await store.startConversation({firstMessage: '  Turn off\nthe kitchen light ', model: 'claude-3-5-haiku-20241022'});
+
+        expect(conversation).toMatchObject({title: 'Turn off the kitchen light', model: 'claude-3-5-haiku-20241022'});
+        expect(await store.startConversation({conversationId: conversation.id, firstMessage: 'ignored'})).toMatchObject({id: conversation.id});
+        await expect(store.startConversation({conversationId: 'missing'})).rejects.toMatchObject({status: 404});
+    });
+
+    it('should store turns in order with their tool calls and results', async () => {
+        const {id} = await store.startConversation({firstMessage: 'Is the lamp on?'});
+        await store.appendMessages(id, [{role: 'user', content: 'Is the lamp on?'}]);
+        await store.appendMessages(id, [
+            {role: 'assistant', content: '', toolCalls: [{id: 'call-1', name: 'list_zwave_devices', args: {}}]},
+            {role: 'tool', content: 'Lamp: ON', toolCallId: 'call-1'},
+        ]);
+        await store.appendMessages(id, [{role: 'assistant', content: 'Yes, the lamp is on.', durationMs: 1200}]);
+
+        const conversation = await store.getConversation(id);
+        expect(conversation.messages.map(m => [m.role, m.content])).toEqual([
+            ['user', 'Is the lamp on?'],
+            ['assistant', ''],
+            ['tool', 'Lamp: ON'],
+            ['assistant', 'Yes, the lamp is on.'],
+        ]);
+        expect(conversation.messages[1].toolCalls).toEqual([{id: 'call-1', name: 'list_zwave_devices', args: {}}]);
+        expect(conversation.messages[2]).toMatchObject({toolCalls: null, toolCallId: 'call-1'});
+        expect(conversation.messages[3].durationMs).toBe(1200);
+
+        expect(toModelMessages(conversation.messages)).toEqual([
+            {role: 'user', content: 'Is the lamp on?'},
+            {role: 'assistant', content: '', tool_calls: [{id: 'call-1', name: 'list_zwave_devices', args: {}}]},
+            {role: 'tool', content: 'Lamp: ON', tool_call_id: 'call-1'},
+            {role: 'assistant', content: 'Yes, the lamp is on.', tool_calls: []},
+        ]);
+    });
+
+    it('should give overlapping appends their own positions', async () => {
+        const {id} = await store.startConversation({firstMessage: 'Is the lamp on?'});
+
+        await Promise.all([
+            store.appendMessages(id, [{role: 'user', content: 'Is the lamp on?'}]),
+            store.appendMessages(id, [{role: 'user', content: 'And the fan?'}, {role: 'assistant', content: 'Checking.'}]),
+        ]);
+        expect(prisma.messages.map(m => [m.position, m.content])).toEqual([
+            [0, 'Is the lamp on?'],
+            [1, 'And the fan?'],
+            [2, 'Checking.'],
+        ]);
+    });
+
+    it('should list the most recently updated conversations first and search titles and messages', async () => {
+        const lights = await store.startConversation({firstMessage: 'Lights'});
+        const weather = await store.startConversation({firstMessage: 'Weather'});
+        await store.appendMessages(lights.id, [{role: 'user', content: 'Dim the KITCHEN lights'}]);
+
+        expect((await store.listConversations()).map(c => [c.title, c.messageCount])).toEqual([['Lights', 1], ['Weather', 0]]);
+        expect((await store.listConversations({search: 'kitchen'})).map(c => c.id)).toEqual([lights.id]);
+        expect((await store.listConversations({search: 'weath'})).map(c => c.id)).toEqual([weather.id]);
+        expect(await store.listConversations({search: 'garage'})).toEqual([]);
+    });
+
+    it('should rename conversations with valid titles', async () => {
+        const {id} = await store.startConversation({firstMessage: 'Hello'});
+
+        expect(await store.renameConversation(id, ' Evening routine ')).toMatchObject({title: 'Evening routine'});
+        await expect(store.renameConversation(id, ' ')).rejects.toThrow(ConversationRequestError);
+        await expect(store.renameConversation(id, 'x'.repeat(81))).rejects.toThrow('at most 80');
+        await expect(store.renameConversation('missing', 'Title')).rejects.toMatchObject({status: 404});
+    });
+
+    it('should delete conversations with their messages', async () => {
+        const {id} = await store.startConversation({firstMessage: 'Hello'});
+        const other = await store.startConversation({firstMessage: 'Other'});
+        await store.appendMessages(id, [{role: 'user', content: 'Hello'}]);
+        await store.appendMessages(other.id, [{role: 'user', content: 'Other'}]);
+
+        await store.deleteConversation(id);
+        expect(prisma.conversations.map(c => c.id)).toEqual([other.id]);
+        expect(prisma.messages.map(m => m.content)).toEqual(['Other']);
+        await expect(store.deleteConversation(id)).rejects.toMatchObject({status: 404});
+    });
+});
+
+describe('contentToText()', () => {
+    it('should flatten content blocks to their text', () => {
+        expect(contentToText('Hello')).toBe('Hello');
+        expect(contentToText([{type: 'text', text: 'Let me '}, {type: 'tool_use', id: 'x'}, {type: 'text', text: 'check.'}])).toBe('Let me check.');
+        expect(contentToText(undefined)).toBe('');
+    });
+});
+
+describe('titleFromMessage()', () => {
+    it('should shorten long messages and name empty ones', () => {
+        expect(titleFromMessage('a'.repeat(100))).toBe(`${'a'.repeat(59)}…`);
+        expect(titleFromMessage('')).toBe('New conversation');
+    });
+});
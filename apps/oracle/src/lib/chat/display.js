@@ -0,0 +1,59 @@
+/**
+ * Chat Display Helpers
+ *
+ * Turn stored conversation messages back into the bubbles ChatInterface shows while streaming:
+ * one assistant bubble per turn, with a "🔧 Using tool" line for each tool it called.
+ */
+
+/**
+ * @param {string} name - Tool name
+ * @returns {string} The line the chat stream shows when a tool starts
+ */
+export function formatToolStart(name) {
+    return `🔧 Using tool: ${name}\n`;
+}
+
+/**
+ * @param {Object[]} messages - Serialized messages from `/api/conversations/{id}`
+ * @returns {{id: string, role: string, content: string, timestamp: Date, duration?: number}[]}
+ */
+export function toDisplayMessages(messages) {
+    const display = [];
+    let toolLines = '';
+    let lastToolMessage = null;
+
+    const flushToolLines = () => {
+        if (toolLines) {
+            // The turn ended before a final reply; still show which tools ran
+            display.push({
+                id: lastToolMessage.id,
+                role: 'assistant',
+                content: toolLines,
+                timestamp: new Date(lastToolMessage.createdAt),
+            });
+            toolLines = '';
+        }
+    };
+
+    for (const message of messages) {
+        if (message.role === 'user') {
+            flushToolLines();
+            display.push({id: message.id, role: 'user', content: message.content, timestamp: new Date(message.createdAt)});
+        } else if (message.role === 'assistant' && message.toolCalls?.length) {
+            toolLines += message.toolCalls.map(call => formatToolStart(call.name)).join('');
+            lastToolMessage = message;
+        } else if (message.role === 'assistant') {
+            display.push({
+                id: message.id,
+                role: 'assistant',
+                content: toolLines + message.content,
+                timestamp: new Date(message.createdAt),
+                ...(message.durationMs ? {duration: message.durationMs} : {}),
+            });
+            toolLines = '';
+        }
+    }
+
+    flushToolLines();
+    return display;
+}
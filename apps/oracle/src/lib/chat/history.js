@@ -0,0 +1,263 @@
+/**
+ * Chat History Store
+ *
+ * Persists chat conversations in the Prisma `Conversation` and `Message` tables so they survive
+ * a page refresh and can be listed, searched, renamed, deleted and resumed.
+ *
+ * Each turn is stored as the model saw it: the user message, any assistant messages that
+ * requested tools (with their tool calls), the tool results, and the final assistant reply.
+ */
+
+const MAX_TITLE_LENGTH = 80;
+const GENERATED_TITLE_LENGTH = 60;
+
+/**
+ * Error caused by the request rather than the server, carrying the HTTP status to answer with
+ */
+export class ConversationRequestError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [status=400]
+     */
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ConversationRequestError';
+        this.status = status;
+    }
+}
+
+/**
+ * Flatten LangChain message content (a string or a list of content blocks) to text
+ *
+ * @param {string|Array|undefined} content
+ * @returns {string}
+ */
+export function contentToText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (Array.isArray(content)) {
+        return content
+            .map(block => (typeof block === 'string' ? block : block?.type === 'text' ? block.text : ''))
+            .join('');
+    }
+    return '';
+}
+
+/**
+ * Title a new conversation after its first message
+ *
+ * @param {string} [text]
+ * @returns {string} e.g. 'Turn off the kitchen light'
+ */
+export function titleFromMessage(text) {
+    const title = (text || '').replace(/\s+/g, ' ').trim();
+    if (!title) {
+        return 'New conversation';
+    }
+    return title.length > GENERATED_TITLE_LENGTH ? `${title.slice(0, GENERATED_TITLE_LENGTH - 1).trimEnd()}…` : title;
+}
+
+/**
+ * Rebuild the messages the model saw from stored messages, tool calls and results included
+ *
+ * @param {Object[]} messages - Serialized messages, in order
+ * @returns {{role: string, content: string, tool_calls?: Object[], tool_call_id?: string}[]} In the shape the
+ *   chat route turns into LangChain messages
+ */
+export function toModelMessages(messages) {
+    return messages.map(message => {
+        if (message.role === 'assistant') {
+            return {role: 'assistant', content: message.content, tool_calls: message.toolCalls || []};
+        }
+        if (message.role === 'tool') {
+            return {role: 'tool', content: message.content, tool_call_id: message.toolCallId};
+        }
+        return {role: message.role, content: message.content};
+    });
+}
+
+/**
+ * @param {Object} row - Prisma Message row
+ * @returns {Object}
+ */
+export function serializeMessage(row) {
+    let toolCalls = null;
+    if (row.toolCalls) {
+        try {
+            toolCalls = JSON.parse(row.toolCalls);
+        } catch {
+            // Leave malformed tool calls out rather than failing the whole conversation
+        }
+    }
+
+    return {
+        id: row.id,
+        role: row.role,
+        content: row.content,
+        toolCalls,
+        toolCallId: row.toolCallId,
+        durationMs: row.durationMs,
+        createdAt: row.createdAt,
+    };
+}
+
+/**
+ * @param {Object} row - Prisma Conversation row, optionally with `messages` and `_count`
+ * @returns {Object}
+ */
+export function serializeConversation(row) {
+    const conversation = {
+        id: row.id,
+        title: row.title,
+        model: row.model,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+    };
+
+    if (row._count) {
+        conversation.messageCount = row._count.messages;
+    }
+    if (row.messages) {
+        conversation.messages = row.messages.map(serializeMessage);
+    }
+    return conversation;
+}
+
+/**
+ * Reads and writes conversations through an injected Prisma client
+ */
+export class ChatHistoryStore {
+    /**
+     * @param {Object} options
+     * @param {Object} options.prisma - Prisma client (or anything with the same delegates)
+     */
+    constructor({prisma}) {
+        this.prisma = prisma;
+    }
+
+    /**
+     * Continue a conversation, or start one titled after its first message
+     *
+     * @param {Object} options
+     * @param {string} [options.conversationId] - Conversation to continue
+     * @param {string} [options.firstMessage] - Used as the title of a new conversation
+     * @param {string} [options.model] - Selected model
+     * @returns {Promise<Object>} Serialized conversation (without messages)
+     * @throws {ConversationRequestError} 404 if conversationId does not exist
+     */
+    async startConversation({conversationId, firstMessage, model}) {
+        if (conversationId) {
+            const existing = await this.prisma.conversation.findUnique({where: {id: conversationId}});
+            if (!existing) {
+                throw new ConversationRequestError(`Conversation ${conversationId} not found`, 404);
+            }
+            return serializeConversation(existing);
+        }
+
+        const created = await this.prisma.conversation.create({
+            data: {title: titleFromMessage(firstMessage), model: model || null},
+        });
+        return serializeConversation(created);
+    }
+
+    /**
+     * Append messages after the last stored one and mark the conversation as updated. The position
+     * is read in the same transaction as the writes, so overlapping requests can't share one.
+     *
+     * @param {string} conversationId
+     * @param {{role: string, content: string, toolCalls?: Object[], toolCallId?: string, durationMs?: number}[]} messages
+     * @returns {Promise<void>}
+     */
+    async appendMessages(conversationId, messages) {
+        if (messages.length === 0) {
+            return;
+        }
+
+        await this.prisma.$transaction(async tx => {
+            const position = await tx.message.count({where: {conversationId}});
+
+            for (const [index, message] of messages.entries()) {
+                await tx.message.create({
+                    data: {
+                        conversationId,
+                        position: position + index,
+                        role: message.role,
+                        content: message.content || '',
+                        toolCalls: message.toolCalls?.length ? JSON.stringify(message.toolCalls) : null,
+                        toolCallId: message.toolCallId || null,
+                        durationMs: message.durationMs ?? null,
+                    },
+                });
+            }
+            await tx.conversation.update({where: {id: conversationId}, data: {updatedAt: new Date()}});
+        });
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.search] - Matches titles and message text
+     * @returns {Promise<Object[]>} Serialized conversations, most recently updated first
+     */
+    async listConversations({search} = {}) {
+        const query = search?.trim();
+        const rows = await this.prisma.conversation.findMany({
+            where: query
+                ? {OR: [{title: {contains: query}}, {messages: {some: {content: {contains: query}}}}]}
+                : undefined,
+            orderBy: {updatedAt: 'desc'},
+            include: {_count: {select: {messages: true}}},
+        });
+        return rows.map(serializeConversation);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object>} Serialized conversation with its messages in order
+     * @throws {ConversationRequestError} 404 if there is no such conversation
+     */
+    async getConversation(id) {
+        const row = await this.prisma.conversation.findUnique({
+            where: {id},
+            include: {messages: {orderBy: {position: 'asc'}}},
+        });
+        if (!row) {
+            throw new ConversationRequestError(`Conversation ${id} not found`, 404);
+        }
+        return serializeConversation(row);
+    }
+
+    /**
+     * @param {string} id
+     * @param {string} title
+     * @returns {Promise<Object>} Serialized conversation
+     * @throws {ConversationRequestError} 400 for invalid titles, 404 for unknown conversations
+     */
+    async renameConversation(id, title) {
+        if (typeof title !== 'string' || !title.trim()) {
+            throw new ConversationRequestError('title must be a non-empty string');
+        }
+        if (title.trim().length > MAX_TITLE_LENGTH) {
+            throw new ConversationRequestError(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+        }
+
+        await this.getConversation(id);
+        const row = await this.prisma.conversation.update({where: {id}, data: {title: title.trim()}});
+        return serializeConversation(row);
+    }
+
+    /**
+     * Delete a conversation and all of its messages
+     *
+     * @param {string} id
+     * @returns {Promise<void>}
+     * @throws {ConversationRequestError} 404 if there is no such conversation
+     */
+    async deleteConversation(id) {
+        await this.getConversation(id);
+        await this.prisma.$transaction([
+            this.prisma.message.deleteMany({where: {conversationId: id}}),
+            this.prisma.conversation.delete({where: {id}}),
+        ]);
+    }
+}
@@ -0,0 +1,8 @@
+/**
+ * Chat history store shared by the chat and conversations API routes
+ */
+
+import {prisma} from '../db.js';
+import {ChatHistoryStore} from './history.js';
+
+export const chatHistory = new ChatHistoryStore({prisma});
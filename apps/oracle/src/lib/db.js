@@ -0,0 +1,15 @@
+/**
+ * Prisma client shared by API routes.
+ * Kept on globalThis in development so hot reloads do not open a new connection each time.
+ * Generate the client with `npx prisma generate` (output: src/generated/prisma).
+ */
+
+import {PrismaClient} from '../generated/prisma/index.js';
+
+const globalForPrisma = globalThis;
+
+export const prisma = globalForPrisma.prisma || new PrismaClient();
+
+if (process.env.NODE_ENV !== 'production') {
+    globalForPrisma.prisma = prisma;
+}
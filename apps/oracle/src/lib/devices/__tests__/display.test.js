@@ -0,0 +1,54 @@
+/**
+ * Tests for the Device Display Helpers
+ */
+
+import {formatReading, getDimLevel, groupDevicesByRoom, isDeviceOn, mergeDevice} from '../display.js';
+
+describe('groupDevicesByRoom()', () => {
+    it('should sort rooms and devices by name with unassigned devices last', () => {
+        const rooms = groupDevicesByRoom([
+            {id: '1', name: 'Lamp', location: 'Office'},
+            {id: '2', name: 'Plug', location: null},
+            {id: '3', name: 'Desk Light', location: 'Office'},
+            {id: '4', name: 'Lock', location: 'Entry'},
+        ]);
+
+        expect(rooms.map(({room, devices}) => [room, devices.map(device => device.name)])).toEqual([
+            ['Entry', ['Lock']],
+            ['Office', ['Desk Light', 'Lamp']],
+            ['Unassigned', ['Plug']],
+        ]);
+    });
+});
+
+describe('mergeDevice()', () => {
+    it('should replace devices by id and add new ones', () => {
+        const devices = [{id: '1', state: 'OFF'}, {id: '2', state: 'ON'}];
+
+        expect(mergeDevice(devices, {id: '1', state: 'ON'})).toEqual([{id: '1', state: 'ON'}, {id: '2', state: 'ON'}]);
+        expect(mergeDevice(devices, {id: '3', state: '40'})).toHaveLength(3);
+    });
+});
+
+describe('getDimLevel() and isDeviceOn()', () => {
+    it('should read switch and dimmer states', () => {
+        expect(getDimLevel('ON')).toBe(100);
+        expect(getDimLevel('OFF')).toBe(0);
+        expect(getDimLevel('40')).toBe(40);
+        expect(getDimLevel('99, warm white')).toBe(100);
+        expect(getDimLevel('unknown')).toBeNull();
+        expect(getDimLevel(null)).toBeNull();
+
+        expect(isDeviceOn('ON')).toBe(true);
+        expect(isDeviceOn('0')).toBe(false);
+        expect(isDeviceOn('unknown')).toBeNull();
+    });
+});
+
+describe('formatReading()', () => {
+    it('should attach units', () => {
+        expect(formatReading({value: '78', unit: '%'})).toBe('78%');
+        expect(formatReading({value: '42.5', unit: 'W'})).toBe('42.5 W');
+        expect(formatReading({value: 'motion'})).toBe('motion');
+    });
+});
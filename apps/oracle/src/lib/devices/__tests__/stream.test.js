@@ -0,0 +1,80 @@
+/**
+ * Tests for the Device Event Stream
+ */
+
+import {jest} from '@jest/globals';
+import {createDeviceEventStream, formatServerSentEvent} from '../stream.js';
+
+/**
+ * Minimal stand-in for DeviceSyncService's listing and change listeners
+ */
+function createFakeDeviceSync(devices) {
+    const listeners = new Set();
+    return {
+        lastSync: null,
+        lastError: null,
+        listDevices: jest.fn(async () => devices),
+        onChange: jest.fn(listener => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }),
+        emit: change => listeners.forEach(listener => listener(change)),
+        listeners,
+    };
+}
+
+async function readEvent(reader) {
+    const {value} = await reader.read();
+    return new TextDecoder().decode(value);
+}
+
+describe('formatServerSentEvent()', () => {
+    it('should frame JSON payloads as named events', () => {
+        expect(formatServerSentEvent('device', {id: '1'})).toBe('event: device\ndata: {"id":"1"}\n\n');
+    });
+});
+
+describe('createDeviceEventStream()', () => {
+    it('should send a snapshot, then device changes and fresh snapshots after syncs', async () => {
+        const deviceSync = createFakeDeviceSync([{id: '1', state: 'OFF'}]);
+        const reader = createDeviceEventStream(deviceSync).getReader();
+
+        expect(await readEvent(reader)).toBe(formatServerSentEvent('snapshot', {devices: [{id: '1', state: 'OFF'}], lastSync: null, syncError: null}));
+
+        deviceSync.emit({type: 'device', device: {id: '1', state: 'ON'}});
+        expect(await readEvent(reader)).toBe(formatServerSentEvent('device', {id: '1', state: 'ON'}));
+
+        deviceSync.lastError = new Error('MCP server unavailable');
+        deviceSync.emit({type: 'sync'});
+        expect(await readEvent(reader)).toContain('"syncError":"MCP server unavailable"');
+
+        await reader.cancel();
+        expect(deviceSync.listeners.size).toBe(0);
+    });
+
+    it('should stop listening and close when the client disconnects', async () => {
+        const deviceSync = createFakeDeviceSync([]);
+        const abort = new AbortController();
+        const reader = createDeviceEventStream(deviceSync, {signal: abort.signal}).getReader();
+        await readEvent(reader);
+
+        abort.abort();
+        expect(await reader.read()).toEqual({done: true, value: undefined});
+        expect(deviceSync.listeners.size).toBe(0);
+    });
+
+    it('should send keep-alive comments', async () => {
+        jest.useFakeTimers();
+        try {
+            const deviceSync = createFakeDeviceSync([]);
+            const reader = createDeviceEventStream(deviceSync, {keepAliveMs: 1000}).getReader();
+            await readEvent(reader);
+
+            jest.advanceTimersByTime(1000);
+            expect(await readEvent(reader)).toBe(': keep-alive\n\n');
+            await reader.cancel();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,350 @@
+/**
+ * Tests for the Device Registry Sync
+ *
+ * These tests verify that registry syncs keep user-edited names and locations, MQTT state
+ * reports reach the right row, and edits and commands are validated before they are applied.
+ */
+
+import {jest} from '@jest/globals';
+import {
+    buildDeviceUpdate,
+    describeReading,
+    DeviceRequestError,
+    DeviceSyncService,
+    formatStateMessage,
+    parseValueTopic,
+} from '../sync.js';
+
+/**
+ * In-memory stand-in for the Prisma `device` delegate, covering the calls the service makes
+ */
+function createFakePrisma(rows = []) {
+    let nextId = 1;
+    const devices = rows.map(row => ({...row}));
+    const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+    return {
+        devices,
+        device: {
+            findMany: jest.fn(async ({where} = {}) => devices.filter(row => matches(row, where)).map(row => ({...row}))),
+            findUnique: jest.fn(async ({where}) => {
+                const row = devices.find(device => device.id === where.id);
+                return row ? {...row} : null;
+            }),
+            create: jest.fn(async ({data}) => {
+                const row = {
+                    id: `device-${nextId++}`, aliases: null, nodeId: null, zwaveName: null, zwaveLocation: null,
+                    mqttTopic: null, state: null, metadata: null, lastSeen: null, ...data,
+                };
+                devices.push(row);
+                return {...row};
+            }),
+            update: jest.fn(async ({where, data}) => {
+                const row = devices.find(device => device.id === where.id);
+                Object.assign(row, data);
+                return {...row};
+            }),
+            updateMany: jest.fn(async ({where, data}) => {
+                const updated = devices.filter(row => matches(row, where));
+                updated.forEach(row => Object.assign(row, data));
+                return {count: updated.length};
+            }),
+        },
+    };
+}
+
+const lampResource = {
+    uri: 'zwave://device/Living%20Room%20Lamp',
+    name: 'Living Room Lamp',
+    nodeId: 2,
+    location: 'Living Room',
+    type: 'dimmer',
+    state: '40',
+    ready: true,
+    available: true,
+    status: 'Alive',
+    isActive: true,
+    lastSeen: '2026-10-18T12:00:00.000Z',
+    topics: {
+        control: 'zwave/Living_Room/Living_Room_Lamp/switch_multilevel/endpoint_0/targetValue/set',
+        state: 'zwave/Living_Room/Living_Room_Lamp/switch_multilevel/endpoint_0/currentValue',
+    },
+};
+const lockResource = {
+    name: 'Front Door Lock',
+    nodeId: 6,
+    location: 'Entry',
+    type: 'lock',
+    state: 'Secured',
+    topics: {control: 'zwave/Entry/Front_Door_Lock/door_lock/endpoint_0/targetMode/set', state: 'zwave/Entry/Front_Door_Lock/door_lock/endpoint_0/currentMode'},
+};
+
+describe('DeviceSyncService', () => {
+    let prisma;
+    let registry;
+    let callTool;
+    let service;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {
+        });
+        prisma = createFakePrisma();
+        registry = [lampResource, lockResource];
+        callTool = jest.fn(async () => 'Living Room Lamp turned on (Confirmed)');
+        service = new DeviceSyncService({prisma, readDevices: async () => registry, callTool});
+    });
+
+    afterEach(() => {
+        service.stop();
+        jest.restoreAllMocks();
+    });
+
+    describe('sync()', () => {
+        it('should create a row per registry device', async () => {
+            expect(await service.sync()).toEqual({created: 2, updated: 0, total: 2});
+
+            const [lamp] = await service.listDevices({type: 'dimmer'});
+            expect(lamp).toMatchObject({
+                name: 'Living Room Lamp',
+                location: 'Living Room',
+                aliases: [],
+                nodeId: 2,
+                zwaveName: 'Living Room Lamp',
+                mqttTopic: lampResource.topics.state,
+                state: '40',
+                metadata: {available: true, status: 'Alive', controlTopic: lampResource.topics.control},
+            });
+            expect(lamp.lastSeen).toEqual(new Date('2026-10-18T12:00:00.000Z'));
+            expect(service.lastSync).toBeInstanceOf(Date);
+        });
+
+        it('should keep edited names and locations when the registry changes', async () => {
+            await service.sync();
+            const [lamp, lock] = prisma.devices;
+            await service.updateDevice(lamp.id, {name: 'Reading Lamp', location: 'Den'});
+
+            registry = [
+                {...lampResource, name: 'Sofa Lamp', location: 'Lounge', state: '0'},
+                {...lockResource, name: 'Front Door', location: 'Hall'},
+            ];
+            expect(await service.sync()).toEqual({created: 0, updated: 2, total: 2});
+
+            expect(await service.getDevice(lamp.id)).toMatchObject({name: 'Reading Lamp', location: 'Den', zwaveName: 'Sofa Lamp', state: '0'});
+            expect(await service.getDevice(lock.id)).toMatchObject({name: 'Front Door', location: 'Hall', zwaveName: 'Front Door'});
+        });
+
+        it('should claim rows added by hand before the first sync', async () => {
+            prisma = createFakePrisma([{id: 'manual', name: 'living room lamp', type: 'light', location: 'Upstairs', nodeId: null, zwaveName: null}]);
+            service = new DeviceSyncService({prisma, readDevices: async () => registry, callTool});
+
+            expect(await service.sync()).toEqual({created: 1, updated: 1, total: 2});
+            expect(await service.getDevice('manual')).toMatchObject({name: 'Living Room Lamp', location: 'Upstairs', nodeId: 2, type: 'dimmer'});
+        });
+
+        it('should share one sync between overlapping calls and record failures', async () => {
+            const readDevices = jest.fn(async () => registry);
+            service = new DeviceSyncService({prisma, readDevices, callTool});
+
+            await Promise.all([service.sync(), service.sync()]);
+            expect(readDevices).toHaveBeenCalledTimes(1);
+
+            readDevices.mockRejectedValueOnce(new Error('MCP server unavailable'));
+            await expect(service.sync()).rejects.toThrow('MCP server unavailable');
+            expect(service.lastError.message).toBe('MCP server unavailable');
+        });
+    });
+
+    describe('start()', () => {
+        it('should store MQTT state reports on the matching device', async () => {
+            let onMessage;
+            const mqtt = {
+                subscribe: jest.fn(async (topic, callback) => {
+                    onMessage = callback;
+                }),
+            };
+            service = new DeviceSyncService({prisma, readDevices: async () => registry, callTool, mqtt});
+
+            await service.start();
+            expect(mqtt.subscribe).toHaveBeenCalledWith('zwave/#', expect.any(Function));
+
+            expect(await service.handleStateMessage(lampResource.topics.state, Buffer.from('{"time":1,"value":75}'))).toBe(1);
+            expect(await service.handleStateMessage('zwave/Other/Thing/status', Buffer.from('{"value":true}'))).toBe(0);
+            expect(prisma.device.updateMany).toHaveBeenCalledTimes(1);
+            onMessage(lockResource.topics.state, Buffer.from('{"value":"Unsecured"}'));
+            await new Promise(resolve => setImmediate(resolve));
+
+            const states = Object.fromEntries(prisma.devices.map(row => [row.name, row.state]));
+            expect(states).toEqual({'Living Room Lamp': '75', 'Front Door Lock': 'Unsecured'});
+        });
+
+        it('should keep live readings and tell listeners about every change', async () => {
+            await service.start();
+            const changes = [];
+            const unsubscribe = service.onChange(change => changes.push(change));
+            const [lamp] = prisma.devices;
+
+            await service.handleStateMessage(lampResource.topics.state, Buffer.from('{"value":0}'));
+            await service.handleStateMessage('zwave/Living_Room/Living_Room_Lamp/meter/endpoint_0/value/66049', Buffer.from('{"value":0.4}'));
+            await service.handleStateMessage('zwave/Living_Room/Living_Room_Lamp/switch_multilevel/endpoint_0/targetValue', Buffer.from('{"value":0}'));
+            await service.updateDevice(lamp.id, {aliases: ['lamp']});
+            await service.sync();
+
+            expect(changes.map(change => change.type)).toEqual(['device', 'device', 'device', 'sync']);
+            expect(changes[0].device).toMatchObject({id: lamp.id, state: '0', readings: {}});
+            expect(changes[1].device.readings).toEqual({Power: {value: '0.4', unit: 'W', updatedAt: expect.any(Date)}});
+            expect((await service.getDevice(lamp.id)).readings.Power.value).toBe('0.4');
+
+            unsubscribe();
+            await service.handleStateMessage(lampResource.topics.state, Buffer.from('{"value":99}'));
+            expect(changes).toHaveLength(4);
+        });
+
+        it('should keep serving stored devices when the first sync fails', async () => {
+            service = new DeviceSyncService({
+                prisma,
+                readDevices: async () => {
+                    throw new Error('spawn node ENOENT');
+                },
+                callTool,
+            });
+
+            await expect(service.start()).resolves.toBeUndefined();
+            expect(await service.listDevices()).toEqual([]);
+            expect(console.error).toHaveBeenCalled();
+        });
+    });
+
+    describe('updateDevice()', () => {
+        beforeEach(async () => {
+            await service.sync();
+        });
+
+        it('should save trimmed names and de-duplicated aliases', async () => {
+            const [lamp] = prisma.devices;
+
+            const device = await service.updateDevice(lamp.id, {name: ' Reading Lamp ', aliases: ['lamp', 'Lamp', ' big light ', '']});
+            expect(device).toMatchObject({name: 'Reading Lamp', aliases: ['lamp', 'big light']});
+        });
+
+        it('should reject aliases another device already answers to', async () => {
+            const [lamp, lock] = prisma.devices;
+            await service.updateDevice(lamp.id, {aliases: ['lamp']});
+
+            await expect(service.updateDevice(lock.id, {aliases: ['LAMP']})).rejects.toMatchObject({status: 409});
+            await expect(service.updateDevice(lock.id, {aliases: ['living room lamp']})).rejects.toThrow('already used by Living Room Lamp');
+        });
+
+        it('should answer 404 for unknown devices', async () => {
+            await expect(service.updateDevice('missing', {name: 'x'})).rejects.toMatchObject({status: 404});
+        });
+
+        it('should publish friendly names and aliases to the MCP name resolver', async () => {
+            const [lamp, lock] = prisma.devices;
+            expect(callTool).toHaveBeenLastCalledWith('set_device_names', {devices: []});
+
+            await service.updateDevice(lamp.id, {name: 'Reading Lamp', aliases: ['big light']});
+            await service.updateDevice(lock.id, {name: 'front door lock', location: 'Hall'});
+            expect(callTool).toHaveBeenLastCalledWith('set_device_names', {
+                devices: [{nodeId: 2, names: ['Reading Lamp', 'big light']}],
+            });
+
+            callTool.mockRejectedValueOnce(new Error('MCP server unavailable'));
+            await expect(service.updateDevice(lamp.id, {aliases: []})).resolves.toMatchObject({aliases: []});
+            expect(console.error).toHaveBeenCalledWith('[devices/sync] Failed to publish device names:', 'MCP server unavailable');
+        });
+    });
+
+    describe('controlDevice()', () => {
+        beforeEach(async () => {
+            await service.sync();
+        });
+
+        it('should send commands by node ID through the MCP server', async () => {
+            const [lamp] = prisma.devices;
+            await service.updateDevice(lamp.id, {name: 'Reading Lamp'});
+
+            const {device, result} = await service.controlDevice(lamp.id, {action: 'dim', level: 30});
+            expect(callTool).toHaveBeenCalledWith('control_zwave_device', {nodeId: 2, deviceName: 'Living Room Lamp', action: 'dim', level: 30});
+            expect(device.name).toBe('Reading Lamp');
+            expect(result).toBe('Living Room Lamp turned on (Confirmed)');
+
+            await service.controlDevice(lamp.id, {action: 'off', level: 30});
+            expect(callTool).toHaveBeenLastCalledWith('control_zwave_device', {nodeId: 2, deviceName: 'Living Room Lamp', action: 'off'});
+        });
+
+        it('should answer 502 when the MCP server does not send the command', async () => {
+            const [lamp] = prisma.devices;
+            callTool.mockRejectedValueOnce(new Error('Error: Node 2 ("Living Room Lamp") not found.'));
+
+            await expect(service.controlDevice(lamp.id, {action: 'on'})).rejects.toMatchObject({
+                status: 502,
+                message: 'Could not control Living Room Lamp: Error: Node 2 ("Living Room Lamp") not found.',
+            });
+        });
+
+        it('should reject invalid commands before calling the MCP server', async () => {
+            const [lamp] = prisma.devices;
+
+            await expect(service.controlDevice(lamp.id, {action: 'toggle'})).rejects.toThrow('action must be one of');
+            await expect(service.controlDevice(lamp.id, {action: 'dim'})).rejects.toThrow('level');
+            await expect(service.controlDevice(lamp.id, {action: 'dim', level: 150})).rejects.toThrow('level');
+            expect(callTool).not.toHaveBeenCalledWith('control_zwave_device', expect.anything());
+        });
+
+        it('should refuse devices that are not in the Z-Wave registry', async () => {
+            const manual = await prisma.device.create({data: {name: 'Hue Bulb', type: 'light'}});
+
+            await expect(service.controlDevice(manual.id, {action: 'on'})).rejects.toThrow('not in the Z-Wave registry');
+        });
+    });
+});
+
+describe('formatStateMessage()', () => {
+    it('should format Z-Wave JS UI payloads like the MCP server', () => {
+        expect(formatStateMessage(Buffer.from('{"time":1,"value":true}'))).toBe('ON');
+        expect(formatStateMessage(Buffer.from('{"time":1,"value":false}'))).toBe('OFF');
+        expect(formatStateMessage(Buffer.from('{"time":1,"value":72.5}'))).toBe('72.5');
+        expect(formatStateMessage(Buffer.from('{"time":1,"value":null}'))).toBe('unknown');
+        expect(formatStateMessage('Secured')).toBe('Secured');
+        expect(formatStateMessage('42')).toBe('42');
+    });
+});
+
+describe('parseValueTopic() and describeReading()', () => {
+    it('should split value topics with and without a location', () => {
+        expect(parseValueTopic('zwave/Hallway/Multisensor/sensor_multilevel/endpoint_0/Air_temperature')).toEqual({
+            prefix: 'zwave/Hallway/Multisensor', commandClass: 'sensor_multilevel', endpoint: 0, property: 'Air_temperature',
+        });
+        expect(parseValueTopic('zwave/Thermostat/thermostat_setpoint/endpoint_0/setpoint/1')).toMatchObject({
+            prefix: 'zwave/Thermostat', property: 'setpoint/1',
+        });
+        expect(parseValueTopic('zwave/Hallway/Multisensor/status')).toBeNull();
+    });
+
+    it('should describe sensor, battery, meter and notification reports', () => {
+        const reading = (topic, payload) => describeReading(parseValueTopic(topic), Buffer.from(JSON.stringify(payload)));
+
+        expect(reading('zwave/Hall/Sensor/sensor_multilevel/endpoint_0/Air_temperature', {value: 70.4})).toEqual({label: 'Air temperature', value: '70.4'});
+        expect(reading('zwave/Hall/Sensor/battery/endpoint_0/level', {value: 78})).toEqual({label: 'Battery', value: '78', unit: '%'});
+        expect(reading('zwave/Hall/Plug/meter/endpoint_0/value/65537', {value: 12.8})).toEqual({label: 'Energy', value: '12.8', unit: 'kWh'});
+        expect(reading('zwave/Hall/Plug/meter/endpoint_0/value/50', {value: 1})).toBeNull();
+        expect(reading('zwave/Hall/Sensor/notification/endpoint_0/Home_Security/Motion_sensor_status', {value: 8}))
+            .toEqual({label: 'Motion sensor status', value: 'motion'});
+        expect(reading('zwave/Hall/Lamp/switch_binary/endpoint_0/currentValue', {value: true})).toBeNull();
+    });
+});
+
+describe('buildDeviceUpdate()', () => {
+    it('should reject invalid fields and empty updates', () => {
+        expect(() => buildDeviceUpdate(null)).toThrow(DeviceRequestError);
+        expect(() => buildDeviceUpdate({name: '  '})).toThrow('name');
+        expect(() => buildDeviceUpdate({location: 3})).toThrow('location');
+        expect(() => buildDeviceUpdate({aliases: 'lamp'})).toThrow('aliases');
+        expect(() => buildDeviceUpdate({nodeId: 4})).toThrow('Nothing to update');
+    });
+
+    it('should clear a location set to null or blank', () => {
+        expect(buildDeviceUpdate({location: null})).toEqual({location: null});
+        expect(buildDeviceUpdate({location: ' '})).toEqual({location: null});
+    });
+});
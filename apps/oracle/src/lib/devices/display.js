@@ -0,0 +1,102 @@
+/**
+ * Device Display Helpers
+ *
+ * Pure helpers the device dashboard uses to group devices and read their state strings
+ * ('ON', 'OFF', '40', '70.2°F', ...) as the MCP server and MQTT reports format them.
+ */
+
+export const UNASSIGNED_ROOM = 'Unassigned';
+
+const SWITCH_TYPES = ['switch', 'dimmer'];
+
+/**
+ * Group devices by location, rooms sorted by name with unassigned devices last
+ *
+ * @param {Object[]} devices - Serialized devices from the API
+ * @returns {{room: string, devices: Object[]}[]}
+ */
+export function groupDevicesByRoom(devices) {
+    const rooms = new Map();
+
+    for (const device of devices) {
+        const room = device.location || UNASSIGNED_ROOM;
+        if (!rooms.has(room)) {
+            rooms.set(room, []);
+        }
+        rooms.get(room).push(device);
+    }
+
+    return [...rooms.entries()]
+        .sort(([a], [b]) => {
+            if (a === UNASSIGNED_ROOM || b === UNASSIGNED_ROOM) {
+                return a === UNASSIGNED_ROOM ? 1 : -1;
+            }
+            return a.localeCompare(b);
+        })
+        .map(([room, roomDevices]) => ({
+            room,
+            devices: [...roomDevices].sort((a, b) => a.name.localeCompare(b.name)),
+        }));
+}
+
+/**
+ * Replace a device in the list by id, or add it when it is new
+ *
+ * @param {Object[]} devices
+ * @param {Object} device
+ * @returns {Object[]}
+ */
+export function mergeDevice(devices, device) {
+    const index = devices.findIndex(existing => existing.id === device.id);
+    if (index === -1) {
+        return [...devices, device];
+    }
+    return devices.map((existing, i) => (i === index ? device : existing));
+}
+
+/**
+ * @param {Object} device
+ * @returns {boolean} True for devices the dashboard can switch on and off
+ */
+export function isSwitchable(device) {
+    return SWITCH_TYPES.includes(device.type);
+}
+
+/**
+ * Dimmer level from a state string, as a 0-100 percentage
+ *
+ * @param {string|null} state - e.g. '40', '99, warm white', 'OFF'
+ * @returns {number|null} null when the state has no level
+ */
+export function getDimLevel(state) {
+    if (state === 'ON') {
+        return 100;
+    }
+    if (state === 'OFF') {
+        return 0;
+    }
+
+    const level = Number.parseFloat(state);
+    if (!Number.isFinite(level)) {
+        return null;
+    }
+    // Z-Wave dimmers report 0-99; 99 is fully on
+    return level >= 99 ? 100 : Math.max(0, Math.round(level));
+}
+
+/**
+ * @param {string|null} state
+ * @returns {boolean|null} null when the state is unknown
+ */
+export function isDeviceOn(state) {
+    const level = getDimLevel(state);
+    return level === null ? null : level > 0;
+}
+
+/**
+ * @param {{value: string, unit?: string}} reading
+ * @returns {string} e.g. '78%' or 'motion'
+ */
+export function formatReading(reading) {
+    return reading.unit ? `${reading.value}${reading.unit === '%' ? '' : ' '}${reading.unit}` : reading.value;
+}
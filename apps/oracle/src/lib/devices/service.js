@@ -0,0 +1,76 @@
+/**
+ * Device Sync Service Wiring
+ *
+ * Builds the process-wide DeviceSyncService for the API routes from the shared Prisma client,
+ * an MCP client for the Z-Wave server and the oracle MQTT client. The first call starts it.
+ */
+
+import {prisma} from '../db.js';
+import {createMCPClient} from '../mcp/integration.js';
+import {mqttClient} from '../mqtt/client.js';
+import {DeviceSyncService} from './sync.js';
+
+const DEVICE_LIST_URI = 'zwave://devices';
+const SYNC_INTERVAL_MS = Number.parseInt(process.env.DEVICE_SYNC_INTERVAL_MS || '300000', 10);
+
+// Reused across requests, like the chat route's MCP client
+let mcpClientPromise = null;
+let deviceSyncPromise = null;
+
+function getMCPClient() {
+    if (!mcpClientPromise) {
+        mcpClientPromise = createMCPClient().catch(error => {
+            mcpClientPromise = null;
+            throw error;
+        });
+    }
+    return mcpClientPromise;
+}
+
+/**
+ * @returns {Promise<Object[]>} Devices from the MCP `zwave://devices` resource
+ */
+async function readRegistryDevices() {
+    const mcpClient = await getMCPClient();
+    const [content] = await mcpClient.readResource('zwave', DEVICE_LIST_URI);
+    return JSON.parse(content.text).devices;
+}
+
+/**
+ * @param {string} name - MCP tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<string>} The tool's text reply
+ */
+async function callZWaveTool(name, args) {
+    const mcpClient = await getMCPClient();
+    const client = await mcpClient.getClient('zwave');
+    const result = await client.callTool({name, arguments: args});
+    const text = result.content
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+
+    if (result.isError) {
+        throw new Error(text || `${name} failed`);
+    }
+    return text;
+}
+
+/**
+ * Get the started device sync service, starting it on first use
+ *
+ * @returns {Promise<DeviceSyncService>}
+ */
+export function getDeviceSync() {
+    if (!deviceSyncPromise) {
+        const service = new DeviceSyncService({
+            prisma,
+            readDevices: readRegistryDevices,
+            callTool: callZWaveTool,
+            mqtt: mqttClient,
+            intervalMs: Number.isFinite(SYNC_INTERVAL_MS) ? SYNC_INTERVAL_MS : 0,
+        });
+        deviceSyncPromise = service.start().then(() => service);
+    }
+    return deviceSyncPromise;
+}
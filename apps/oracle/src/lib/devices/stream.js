@@ -0,0 +1,83 @@
+/**
+ * Device Event Stream
+ *
+ * Server-Sent Events feed for the device dashboard. Sends a `snapshot` of every device when a
+ * client connects and after each registry sync, then a `device` event for every change the sync
+ * service hears about, so the page never polls.
+ */
+
+const KEEP_ALIVE_MS = 25000;
+
+/**
+ * @param {string} event - SSE event name
+ * @param {*} data - JSON-serializable payload
+ * @returns {string}
+ */
+export function formatServerSentEvent(event, data) {
+    return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create the SSE body for one dashboard client
+ *
+ * @param {import('./sync.js').DeviceSyncService} deviceSync
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Request signal; the stream closes when the client disconnects
+ * @param {number} [options.keepAliveMs=25000] - Comment ping interval that stops proxies timing the stream out
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function createDeviceEventStream(deviceSync, {signal, keepAliveMs = KEEP_ALIVE_MS} = {}) {
+    const encoder = new TextEncoder();
+    let cleanup = () => {
+    };
+
+    return new ReadableStream({
+        async start(controller) {
+            let closed = false;
+            const write = text => {
+                if (!closed) {
+                    controller.enqueue(encoder.encode(text));
+                }
+            };
+            const sendSnapshot = async () => {
+                write(formatServerSentEvent('snapshot', {
+                    devices: await deviceSync.listDevices(),
+                    lastSync: deviceSync.lastSync,
+                    syncError: deviceSync.lastError ? deviceSync.lastError.message : null,
+                }));
+            };
+
+            const unsubscribe = deviceSync.onChange(change => {
+                if (change.type === 'sync') {
+                    sendSnapshot().catch(error => {
+                        console.error('[devices/stream] Failed to send device snapshot:', error);
+                    });
+                } else {
+                    write(formatServerSentEvent('device', change.device));
+                }
+            });
+            const keepAlive = setInterval(() => write(': keep-alive\n\n'), keepAliveMs);
+
+            cleanup = () => {
+                if (closed) {
+                    return;
+                }
+                closed = true;
+                unsubscribe();
+                clearInterval(keepAlive);
+            };
+
+            signal?.addEventListener('abort', () => {
+                if (!closed) {
+                    cleanup();
+                    controller.close();
+                }
+            });
+
+            await sendSnapshot();
+        },
+        cancel() {
+            cleanup();
+        },
+    });
+}
@@ -0,0 +1,590 @@
+/**
+ * Device Registry Sync
+ *
+ * Keeps the Prisma `Device` table in step with the Z-Wave MCP registry so the database is the
+ * shared source for friendly names, locations, aliases and metadata.
+ *
+ * - Registry syncs create a row per Z-Wave node and refresh its type, topics, state and status
+ * - Friendly names and locations follow the registry until they are edited here
+ * - MQTT state reports on a device's state topic update its `state` and `lastSeen` as they arrive
+ * - Sensor, battery and meter reports under a device's topics are kept in memory as live readings
+ * - Listeners registered with onChange() hear about every change, for the dashboard's live stream
+ * - Friendly names and aliases are published to the MCP server's name resolver (`set_device_names`)
+ *   after every sync and edit, so the assistants understand them too
+ * - Commands are sent through the MCP `control_zwave_device` tool by node ID
+ */
+
+const DEBUG = process.env.LOG_LEVEL === 'debug';
+
+const CONTROL_ACTIONS = ['on', 'off', 'dim'];
+
+// zwave/[Location/]Name/command_class/endpoint_N/property[/key]
+const VALUE_TOPIC = /^(zwave(?:\/[^/]+){1,2})\/([a-z_]+)\/endpoint_(\d+)\/(.+)$/;
+const READING_COMMAND_CLASSES = new Set(['sensor_multilevel', 'sensor_binary', 'battery', 'meter', 'notification']);
+const METER_READINGS = {
+    65537: {label: 'Energy', unit: 'kWh'},
+    66049: {label: 'Power', unit: 'W'},
+};
+const NOTIFICATION_EVENTS = {0: 'idle', 7: 'motion', 8: 'motion', 22: 'open', 23: 'closed'};
+
+/**
+ * Error caused by the request rather than the server, carrying the HTTP status to answer with
+ */
+export class DeviceRequestError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} [status=400]
+     */
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'DeviceRequestError';
+        this.status = status;
+    }
+}
+
+/**
+ * Parse a JSON column, falling back when it is empty or malformed
+ *
+ * @param {string|null} value
+ * @param {*} fallback
+ * @returns {*}
+ */
+function parseJsonColumn(value, fallback) {
+    if (!value) {
+        return fallback;
+    }
+    try {
+        return JSON.parse(value);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Shape a `Device` row for API responses, decoding its JSON columns
+ *
+ * @param {Object} row - Prisma Device row
+ * @returns {Object}
+ */
+export function serializeDevice(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        type: row.type,
+        location: row.location,
+        aliases: parseJsonColumn(row.aliases, []),
+        nodeId: row.nodeId,
+        zwaveName: row.zwaveName,
+        zwaveLocation: row.zwaveLocation,
+        mqttTopic: row.mqttTopic,
+        state: row.state,
+        metadata: parseJsonColumn(row.metadata, {}),
+        lastSeen: row.lastSeen,
+        createdAt: row.createdAt,
+        updatedAt: row.updatedAt,
+    };
+}
+
+/**
+ * Turn an MQTT state payload into the same state strings the MCP server reports
+ *
+ * @param {Buffer|string} message - Z-Wave JS UI payload, e.g. `{"time":..., "value":true}`
+ * @returns {string}
+ */
+export function formatStateMessage(message) {
+    const text = message.toString();
+    let value = text;
+
+    try {
+        const payload = JSON.parse(text);
+        value = payload !== null && typeof payload === 'object' && 'value' in payload ? payload.value : payload;
+    } catch {
+        // Plain-text payload
+    }
+
+    if (value === undefined || value === null) {
+        return 'unknown';
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'ON' : 'OFF';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Split a Z-Wave value topic into the device's topic prefix and the value it reports
+ *
+ * @param {string} topic - e.g. `zwave/Hallway/Multisensor/sensor_multilevel/endpoint_0/Air_temperature`
+ * @returns {{prefix: string, commandClass: string, endpoint: number, property: string}|null}
+ */
+export function parseValueTopic(topic) {
+    const match = VALUE_TOPIC.exec(topic);
+    if (!match) {
+        return null;
+    }
+
+    const [, prefix, commandClass, endpoint, property] = match;
+    return {prefix, commandClass, endpoint: Number(endpoint), property};
+}
+
+/**
+ * Describe a sensor, battery, meter or notification report as a dashboard reading
+ *
+ * @param {{commandClass: string, property: string}} value - From parseValueTopic()
+ * @param {Buffer|string} message
+ * @returns {{label: string, value: string, unit?: string}|null} null for values that are not readings
+ */
+export function describeReading({commandClass, property}, message) {
+    if (!READING_COMMAND_CLASSES.has(commandClass)) {
+        return null;
+    }
+
+    const value = formatStateMessage(message);
+    const keys = property.split('/');
+
+    if (commandClass === 'battery') {
+        return {label: 'Battery', value, unit: '%'};
+    }
+    if (commandClass === 'meter') {
+        const meter = METER_READINGS[keys[1]];
+        return meter ? {label: meter.label, value, unit: meter.unit} : null;
+    }
+
+    const label = keys[keys.length - 1].replace(/_/g, ' ');
+    if (commandClass === 'notification') {
+        return {label, value: NOTIFICATION_EVENTS[value] ?? value};
+    }
+    return {label, value};
+}
+
+/**
+ * Validate a PATCH body and build the Prisma update for it
+ *
+ * @param {Object} changes - `{name?, location?, aliases?}`
+ * @returns {Object} Prisma update data
+ * @throws {DeviceRequestError} If a field is invalid
+ */
+export function buildDeviceUpdate(changes) {
+    if (!changes || typeof changes !== 'object') {
+        throw new DeviceRequestError('Request body must be a JSON object');
+    }
+
+    const data = {};
+
+    if (changes.name !== undefined) {
+        if (typeof changes.name !== 'string' || !changes.name.trim()) {
+            throw new DeviceRequestError('name must be a non-empty string');
+        }
+        data.name = changes.name.trim();
+    }
+
+    if (changes.location !== undefined) {
+        if (changes.location !== null && typeof changes.location !== 'string') {
+            throw new DeviceRequestError('location must be a string or null');
+        }
+        data.location = changes.location?.trim() || null;
+    }
+
+    if (changes.aliases !== undefined) {
+        if (!Array.isArray(changes.aliases) || changes.aliases.some(alias => typeof alias !== 'string')) {
+            throw new DeviceRequestError('aliases must be a list of strings');
+        }
+        const aliases = [];
+        for (const alias of changes.aliases.map(a => a.trim()).filter(Boolean)) {
+            if (!aliases.some(existing => existing.toLowerCase() === alias.toLowerCase())) {
+                aliases.push(alias);
+            }
+        }
+        data.aliases = JSON.stringify(aliases);
+    }
+
+    if (Object.keys(data).length === 0) {
+        throw new DeviceRequestError('Nothing to update: send name, location or aliases');
+    }
+
+    return data;
+}
+
+/**
+ * Syncs the `Device` table from the Z-Wave MCP registry and MQTT state reports
+ */
+export class DeviceSyncService {
+    /**
+     * @param {Object} options
+     * @param {Object} options.prisma - Prisma client (or anything with the same `device` delegate)
+     * @param {() => Promise<Object[]>} options.readDevices - Reads the `zwave://devices` resource body's `devices`
+     * @param {(name: string, args: Object) => Promise<string>} options.callTool - Calls an MCP tool and returns its text
+     * @param {Object} [options.mqtt] - MQTT client with `subscribe(topic, callback)`
+     * @param {number} [options.intervalMs=0] - Re-sync period; 0 syncs only on start and on demand
+     */
+    constructor({prisma, readDevices, callTool, mqtt, intervalMs = 0}) {
+        this.prisma = prisma;
+        this.readDevices = readDevices;
+        this.callTool = callTool;
+        this.mqtt = mqtt;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.syncing = null;
+        this.lastSync = null;
+        this.lastError = null;
+        this.listeners = new Set();
+        this.readings = new Map();
+        this.devicePrefixes = new Map();
+        this.stateTopics = new Set();
+    }
+
+    /**
+     * Register a listener for device changes
+     *
+     * @param {(change: {type: 'device', device: Object} | {type: 'sync'}) => void} listener
+     * @returns {() => void} Unsubscribe function
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    emitChange(change) {
+        for (const listener of this.listeners) {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('[devices/sync] Device change listener failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Run the first sync, follow MQTT state reports and schedule periodic re-syncs.
+     * Failures are logged rather than thrown so stored devices stay available while the
+     * MCP server or broker is down.
+     */
+    async start() {
+        try {
+            await this.refreshTopicIndex();
+        } catch (error) {
+            console.error('[devices/sync] Failed to load stored devices:', error);
+        }
+
+        if (this.mqtt) {
+            try {
+                await this.mqtt.subscribe('zwave/#', (topic, message) => {
+                    this.handleStateMessage(topic, message).catch(error => {
+                        console.error('[devices/sync] Failed to store device state:', error);
+                    });
+                });
+            } catch (error) {
+                console.error('[devices/sync] Failed to subscribe to device state:', error);
+            }
+        }
+
+        try {
+            await this.sync();
+        } catch {
+            // Already recorded and logged by sync()
+        }
+
+        if (this.intervalMs > 0 && !this.timer) {
+            this.timer = setInterval(() => {
+                this.sync().catch(() => {
+                });
+            }, this.intervalMs);
+            this.timer.unref?.();
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Pull the registry from the MCP server and upsert a row per device.
+     * Overlapping calls share one sync.
+     *
+     * @returns {Promise<{created: number, updated: number, total: number}>}
+     */
+    sync() {
+        if (!this.syncing) {
+            this.syncing = this.runSync().finally(() => {
+                this.syncing = null;
+            });
+        }
+        return this.syncing;
+    }
+
+    async runSync() {
+        try {
+            const registryDevices = await this.readDevices();
+            const rows = await this.prisma.device.findMany();
+            const byNodeId = new Map(rows.filter(row => row.nodeId !== null).map(row => [row.nodeId, row]));
+            let created = 0;
+            let updated = 0;
+
+            for (const device of registryDevices) {
+                if (!Number.isInteger(device.nodeId)) {
+                    continue;
+                }
+
+                // Rows added by hand before the first sync are claimed by name
+                const existing = byNodeId.get(device.nodeId) || rows.find(row =>
+                    row.nodeId === null && row.name.toLowerCase() === device.name.toLowerCase());
+                const data = {
+                    type: device.type,
+                    nodeId: device.nodeId,
+                    zwaveName: device.name,
+                    zwaveLocation: device.location || null,
+                    mqttTopic: device.topics?.state || null,
+                    state: device.state ?? null,
+                    metadata: JSON.stringify({
+                        uri: device.uri,
+                        ready: device.ready,
+                        available: device.available,
+                        status: device.status,
+                        isActive: device.isActive,
+                        controlTopic: device.topics?.control,
+                    }),
+                };
+                if (device.lastSeen) {
+                    data.lastSeen = new Date(device.lastSeen);
+                }
+
+                if (!existing) {
+                    await this.prisma.device.create({
+                        data: {...data, name: device.name, location: device.location || null},
+                    });
+                    created++;
+                    continue;
+                }
+
+                if (existing.zwaveName === null || existing.name === existing.zwaveName) {
+                    data.name = device.name;
+                }
+                const locationFollows = existing.zwaveName === null
+                    ? existing.location === null
+                    : existing.location === existing.zwaveLocation;
+                if (locationFollows) {
+                    data.location = device.location || null;
+                }
+                await this.prisma.device.update({where: {id: existing.id}, data});
+                updated++;
+            }
+
+            this.lastSync = new Date();
+            this.lastError = null;
+            await this.refreshTopicIndex();
+            await this.publishNames();
+            this.emitChange({type: 'sync'});
+
+            if (DEBUG) {
+                console.log('[devices/sync] Synced device registry', {created, updated, total: registryDevices.length});
+            }
+
+            return {created, updated, total: registryDevices.length};
+        } catch (error) {
+            this.lastError = error;
+            console.error('[devices/sync] Device registry sync failed:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Index stored devices by their state topic and the topic prefix their values are reported under
+     */
+    async refreshTopicIndex() {
+        const rows = await this.prisma.device.findMany();
+        this.devicePrefixes = new Map();
+        this.stateTopics = new Set();
+
+        for (const row of rows) {
+            if (!row.mqttTopic) {
+                continue;
+            }
+            this.stateTopics.add(row.mqttTopic);
+            const value = parseValueTopic(row.mqttTopic);
+            if (value) {
+                this.devicePrefixes.set(value.prefix, row.id);
+            }
+        }
+    }
+
+    /**
+     * Publish every device's friendly name (when it differs from the Z-Wave name) and aliases to
+     * the MCP server, replacing what was published before. Failures are logged, not thrown.
+     */
+    async publishNames() {
+        const rows = await this.prisma.device.findMany();
+        const devices = rows
+            .filter(row => row.nodeId !== null)
+            .map(row => ({
+                nodeId: row.nodeId,
+                names: [
+                    ...(row.name.toLowerCase() === row.zwaveName?.toLowerCase() ? [] : [row.name]),
+                    ...parseJsonColumn(row.aliases, []),
+                ],
+            }))
+            .filter(device => device.names.length > 0);
+
+        try {
+            await this.callTool('set_device_names', {devices});
+        } catch (error) {
+            console.error('[devices/sync] Failed to publish device names:', error.message);
+        }
+    }
+
+    /**
+     * Store a state report for the device whose state topic it arrived on, and keep sensor
+     * readings reported under a device's topics
+     *
+     * @param {string} topic
+     * @param {Buffer|string} message
+     * @returns {Promise<number>} Number of devices updated
+     */
+    async handleStateMessage(topic, message) {
+        // Most reports (meters, sensors, the retained flood on connect) are not on a state topic
+        const {count} = this.stateTopics.has(topic)
+            ? await this.prisma.device.updateMany({
+                where: {mqttTopic: topic},
+                data: {state: formatStateMessage(message), lastSeen: new Date()},
+            })
+            : {count: 0};
+
+        const value = parseValueTopic(topic);
+        const readingDeviceId = value ? this.devicePrefixes.get(value.prefix) : undefined;
+        const reading = readingDeviceId ? describeReading(value, message) : null;
+        if (reading) {
+            const readings = this.readings.get(readingDeviceId) || {};
+            readings[reading.label] = {value: reading.value, unit: reading.unit, updatedAt: new Date()};
+            this.readings.set(readingDeviceId, readings);
+        }
+
+        if (this.listeners.size > 0 && (count > 0 || reading)) {
+            const where = count > 0 ? {mqttTopic: topic} : {id: readingDeviceId};
+            for (const row of await this.prisma.device.findMany({where})) {
+                this.emitChange({type: 'device', device: this.present(row)});
+            }
+        }
+
+        return count;
+    }
+
+    /**
+     * @param {Object} row - Prisma Device row
+     * @returns {Object} Serialized device with its live readings
+     */
+    present(row) {
+        return {...serializeDevice(row), readings: this.readings.get(row.id) || {}};
+    }
+
+    /**
+     * @param {Object} [filter]
+     * @param {string} [filter.type]
+     * @param {string} [filter.location]
+     * @returns {Promise<Object[]>} Serialized devices ordered by location and name
+     */
+    async listDevices(filter = {}) {
+        const where = {};
+        if (filter.type) {
+            where.type = filter.type;
+        }
+        if (filter.location) {
+            where.location = filter.location;
+        }
+
+        const rows = await this.prisma.device.findMany({where, orderBy: [{location: 'asc'}, {name: 'asc'}]});
+        return rows.map(row => this.present(row));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object>} Serialized device
+     * @throws {DeviceRequestError} 404 if there is no such device
+     */
+    async getDevice(id) {
+        const row = await this.prisma.device.findUnique({where: {id}});
+        if (!row) {
+            throw new DeviceRequestError(`Device ${id} not found`, 404);
+        }
+        return this.present(row);
+    }
+
+    /**
+     * Edit a device's friendly name, location or aliases.
+     * Aliases must not clash with another device's name or aliases.
+     *
+     * @param {string} id
+     * @param {Object} changes - `{name?, location?, aliases?}`
+     * @returns {Promise<Object>} Serialized device
+     * @throws {DeviceRequestError} 400 for invalid fields, 404 for unknown devices, 409 for clashing aliases
+     */
+    async updateDevice(id, changes) {
+        const data = buildDeviceUpdate(changes);
+        await this.getDevice(id);
+
+        if (data.aliases) {
+            const others = (await this.prisma.device.findMany()).filter(row => row.id !== id);
+            for (const alias of JSON.parse(data.aliases)) {
+                const clash = others.find(row =>
+                    row.name.toLowerCase() === alias.toLowerCase() ||
+                    parseJsonColumn(row.aliases, []).some(other => other.toLowerCase() === alias.toLowerCase()));
+                if (clash) {
+                    throw new DeviceRequestError(`Alias "${alias}" is already used by ${clash.name}`, 409);
+                }
+            }
+        }
+
+        const device = this.present(await this.prisma.device.update({where: {id}, data}));
+        if (data.name || data.aliases) {
+            await this.publishNames();
+        }
+        this.emitChange({type: 'device', device});
+        return device;
+    }
+
+    /**
+     * Send an on/off/dim command to a device through the MCP server
+     *
+     * @param {string} id
+     * @param {Object} command
+     * @param {'on'|'off'|'dim'} command.action
+     * @param {number} [command.level] - Brightness 0-100, required for dim
+     * @returns {Promise<{device: Object, result: string}>} The device and the MCP server's reply
+     * @throws {DeviceRequestError} 400 for invalid commands or devices outside the registry, 404 for unknown devices,
+     *   502 if the MCP server did not send the command
+     */
+    async controlDevice(id, command) {
+        const {action, level} = command || {};
+        if (!CONTROL_ACTIONS.includes(action)) {
+            throw new DeviceRequestError(`action must be one of: ${CONTROL_ACTIONS.join(', ')}`);
+        }
+        if (action === 'dim' && (typeof level !== 'number' || level < 0 || level > 100)) {
+            throw new DeviceRequestError('level must be a number from 0 to 100 to dim');
+        }
+
+        const device = await this.getDevice(id);
+        if (device.nodeId === null) {
+            throw new DeviceRequestError(`${device.name} is not in the Z-Wave registry and cannot be controlled`);
+        }
+
+        // By node ID: Z-Wave names repeat across rooms, and a name match could ask a question instead
+        const args = {nodeId: device.nodeId, deviceName: device.zwaveName || device.name, action};
+        if (action === 'dim') {
+            args.level = level;
+        }
+
+        let result;
+        try {
+            result = await this.callTool('control_zwave_device', args);
+        } catch (error) {
+            throw new DeviceRequestError(`Could not control ${device.name}: ${error.message}`, 502);
+        }
+
+        if (DEBUG) {
+            console.log('[devices/sync] Sent device command', {device: device.zwaveName, action, level, result});
+        }
+
+        return {device, result};
+    }
+}
@@ -7,6 +7,7 @@
  * Features:
  * - Auto-discovery of MCP tools via MultiServerMCPClient
  * - Stdio transport for local process communication
+ * - Streamable HTTP transport to a shared server when ZWAVE_MCP_URL is set
  * - Environment variable configuration
  * - Error handling and logging
  */
@@ -18,6 +19,26 @@ import {fileURLToPath} from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Connection to a shared long-lived Z-Wave MCP server over Streamable HTTP
+ *
+ * @returns {{transport: 'http', url: string, headers?: Record<string, string>} | null}
+ *   null when ZWAVE_MCP_URL is not set and a local stdio server should be spawned instead
+ */
+export function getRemoteServerConfig() {
+    if (!process.env.ZWAVE_MCP_URL) {
+        return null;
+    }
+
+    return {
+        transport: "http",
+        url: process.env.ZWAVE_MCP_URL,
+        headers: process.env.ZWAVE_MCP_AUTH_TOKEN
+            ? {Authorization: `Bearer ${process.env.ZWAVE_MCP_AUTH_TOKEN}`}
+            : undefined,
+    };
+}
+
 /**
  * Create and configure MCP client for auto-discovering tools from MCP servers
  *
@@ -28,6 +49,19 @@ const __dirname = path.dirname(__filename);
 export async function createMCPClient(options = {}) {
     const debug = options.debug || process.env.LOG_LEVEL === 'debug';
 
+    // Connect to a shared long-lived server over Streamable HTTP when one is configured
+    const remoteServer = getRemoteServerConfig();
+    if (remoteServer) {
+        if (debug) {
+            console.log('[mcp/integration] Configuring MCP client', {
+                serverUrl: remoteServer.url,
+                transport: 'http'
+            });
+        }
+
+        return new MultiServerMCPClient({zwave: remoteServer});
+    }
+
     // Resolve path to zwave-mcp-server (relative to this file)
     // From: apps/oracle/src/lib/mcp/integration.js
     // To:   apps/zwave-mcp-server/src/index.js
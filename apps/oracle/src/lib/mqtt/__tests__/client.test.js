@@ -27,7 +27,7 @@ jest.unstable_mockModule('mqtt', () => ({
 }));
 
 // Import after mocking
-const {mqttClient} = await import('../client.js');
+const {mqttClient, topicMatches} = await import('../client.js');
 
 describe('MQTT Client', () => {
     beforeEach(() => {
@@ -225,6 +225,40 @@ describe('MQTT Client', () => {
         });
     });
 
+    describe('subscribe()', () => {
+        it('should dispatch messages to matching wildcard subscriptions', async () => {
+            mockMqttClient.subscribe.mockImplementation((topic, options, callback) => {
+                callback(null);
+            });
+            const all = jest.fn();
+            const lamp = jest.fn();
+            const other = jest.fn();
+
+            await mqttClient.subscribe('zwave/#', all);
+            await mqttClient.subscribe('zwave/Office/Lamp/+/+/currentValue', lamp);
+            await mqttClient.subscribe('zigbee2mqtt/#', other);
+
+            const [, onMessage] = mockMqttClient.on.mock.calls.findLast(([event]) => event === 'message');
+            const message = Buffer.from('{"value":40}');
+            onMessage('zwave/Office/Lamp/switch_multilevel/endpoint_0/currentValue', message);
+
+            expect(all).toHaveBeenCalledWith('zwave/Office/Lamp/switch_multilevel/endpoint_0/currentValue', message);
+            expect(lamp).toHaveBeenCalledTimes(1);
+            expect(other).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('topicMatches()', () => {
+        it('should match MQTT + and # wildcards', () => {
+            expect(topicMatches('zwave/#', 'zwave/Office/Lamp/status')).toBe(true);
+            expect(topicMatches('zwave/#', 'zwave')).toBe(true);
+            expect(topicMatches('zwave/+/Lamp/status', 'zwave/Office/Lamp/status')).toBe(true);
+            expect(topicMatches('zwave/+/Lamp', 'zwave/Office/Lamp/status')).toBe(false);
+            expect(topicMatches('zwave/Office/Lamp/status', 'zwave/Office/Lamp')).toBe(false);
+            expect(topicMatches('#', 'anything/at/all')).toBe(true);
+        });
+    });
+
     describe('Options preservation - edge cases', () => {
         it('should preserve empty options object', async () => {
             mockMqttClient.publish.mockImplementation((topic, payload, options, callback) => {
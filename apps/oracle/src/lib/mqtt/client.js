@@ -5,6 +5,29 @@ const MQTT_USERNAME = process.env.MQTT_USERNAME || '';
 const MQTT_PASSWORD = process.env.MQTT_PASSWORD || '';
 const DEBUG = process.env.LOG_LEVEL === 'debug' || process.env.NODE_ENV === 'development';
 
+/**
+ * Check whether a topic matches a subscription filter with MQTT `+` and `#` wildcards
+ *
+ * @param {string} filter - Subscription filter, e.g. `zwave/#` or `zwave/+/Lamp/#`
+ * @param {string} topic - Topic a message was published on
+ * @returns {boolean}
+ */
+export function topicMatches(filter, topic) {
+    const filterLevels = filter.split('/');
+    const topicLevels = topic.split('/');
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === '#') {
+            return true;
+        }
+        if (i >= topicLevels.length || (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i])) {
+            return false;
+        }
+    }
+
+    return filterLevels.length === topicLevels.length;
+}
+
 class MQTTClientSingleton {
     constructor() {
         this.client = null;
@@ -68,15 +91,11 @@ class MQTTClientSingleton {
             });
 
             this.client.on('message', (topic, message) => {
-                const topicSubscribers = this.subscribers.get(topic);
-                if (topicSubscribers) {
-                    topicSubscribers.forEach((callback) => callback(topic, message));
-                }
-
-                const wildcardSubscribers = this.subscribers.get('#');
-                if (wildcardSubscribers) {
-                    wildcardSubscribers.forEach((callback) => callback(topic, message));
-                }
+                this.subscribers.forEach((callbacks, filter) => {
+                    if (topicMatches(filter, topic)) {
+                        callbacks.forEach((callback) => callback(topic, message));
+                    }
+                });
             });
 
             this.client.on('reconnect', () => {
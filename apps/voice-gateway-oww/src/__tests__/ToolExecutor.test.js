@@ -153,6 +153,15 @@ describe('ToolExecutor - Error Translation', () => {
         });
     });
 
+    describe('sanitizeForLogging()', () => {
+        it('should redact security PINs for unlock requests', () => {
+            const sanitized = toolExecutor.sanitizeForLogging({deviceName: 'Front Door', pin: '2468'});
+
+            expect(sanitized.pin).toBe('[REDACTED]');
+            expect(sanitized.deviceName).toBe('Front Door');
+        });
+    });
+
     describe('execute() error handling integration', () => {
         it('should call formatErrorMessage when tool execution fails', async () => {
             const mockTool = {
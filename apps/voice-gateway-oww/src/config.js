@@ -90,6 +90,9 @@ const config = {
     mcp: {
         retryAttempts: process.env.MCP_RETRY_ATTEMPTS ? Number(process.env.MCP_RETRY_ATTEMPTS) : 2,
         retryBaseDelay: process.env.MCP_RETRY_BASE_DELAY ? Number(process.env.MCP_RETRY_BASE_DELAY) : MCP_RETRY_BASE_DELAY_MS,
+        // Shared Z-Wave MCP server (MCP_TRANSPORT=http). When unset, a stdio child process is spawned.
+        zwaveServerUrl: process.env.ZWAVE_MCP_URL,
+        zwaveServerToken: process.env.ZWAVE_MCP_AUTH_TOKEN,
     },
     ai: {
         // Default to Anthropic unless --ollama flag is passed or AI_PROVIDER is set to 'ollama'
@@ -7,6 +7,7 @@
  * Features:
  * - Exponential backoff retry logic for transient connection failures
  * - stderr capture from MCP server subprocess for debugging
+ * - Optional connection to a shared Z-Wave MCP server over Streamable HTTP (ZWAVE_MCP_URL)
  * - Graceful degradation when MCP server is unavailable
  */
 
@@ -87,6 +88,24 @@ async function captureStderr(mcpClient, logger) {
  * @returns {Promise<MultiServerMCPClient>} Configured MCP client
  */
 export async function createMCPClient(config, logger) {
+    // Connect to a shared long-lived server over Streamable HTTP when one is configured
+    if (config.mcp?.zwaveServerUrl) {
+        logger.info('🔧 Configuring MCP client', {serverUrl: config.mcp.zwaveServerUrl, transport: 'http'});
+
+        const client = new MultiServerMCPClient({
+            zwave: {
+                transport: "http",
+                url: config.mcp.zwaveServerUrl,
+                headers: config.mcp.zwaveServerToken
+                    ? {Authorization: `Bearer ${config.mcp.zwaveServerToken}`}
+                    : undefined,
+            }
+        });
+
+        logger.info('✅ MCP client configured successfully', {server: 'zwave'});
+        return client;
+    }
+
     // Resolve path to zwave-mcp-server (relative to this file)
     // From: apps/voice-gateway-oww/src/services/MCPIntegration.js
     // To:   apps/zwave-mcp-server/src/index.js
@@ -122,7 +122,7 @@ export class ToolExecutor {
         }
 
         const sanitized = {...args};
-        const sensitiveFields = ['apiKey', 'api_key', 'password', 'token', 'secret', 'auth'];
+        const sensitiveFields = ['apiKey', 'api_key', 'password', 'token', 'secret', 'auth', 'pin'];
 
         for (const field of sensitiveFields) {
             if (field in sanitized) {
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Run the Z-Wave JS UI and MQTT simulator on its own, so test-dynamic.js, debug-nodes.js,
+ * test-mqtt-sensor.js, the MCP server, oracle and the voice gateway can all use it with their
+ * default URLs (http://localhost:8091 and mqtt://localhost:1883).
+ *
+ * Usage: npm run simulator
+ */
+import 'dotenv/config';
+import {getSimulatorConfig} from './src/config.js';
+import {startSimulator} from './src/simulator.js';
+
+const config = getSimulatorConfig();
+const simulator = await startSimulator(config);
+
+console.log(`\n🧪 Simulating ${simulator.network.nodes.size} Z-Wave nodes from ${config.fixturePath}`);
+console.log(`   Z-Wave JS UI: ${simulator.zwaveUrl}`);
+console.log(`   MQTT broker:  ${simulator.mqttUrl}`);
+console.log('\n💡 Point ZWAVE_UI_URL and MQTT_BROKER_URL here, or run the MCP server with ZWAVE_SIMULATOR=true instead.');
+console.log('   Press Ctrl+C to stop.\n');
+
+const shutdown = async () => {
+    await simulator.close();
+    process.exit(0);
+};
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
@@ -0,0 +1,64 @@
+import {isAdminTool, resolveAdminTarget, resolveInclusionStrategy, validateNodeUpdate} from '../admin.js';
+
+const nodes = [
+    {id: 1, name: '', loc: ''},
+    {id: 3, name: 'Light', loc: 'Kitchen'},
+    {id: 4, name: 'Light', loc: 'Bedroom'},
+    {id: 5, name: 'Porch Light', loc: 'Outside'},
+];
+
+describe('isAdminTool()', () => {
+    it('should only flag network management tools', () => {
+        expect(isAdminTool('start_inclusion')).toBe(true);
+        expect(isAdminTool('heal_network')).toBe(true);
+        expect(isAdminTool('control_zwave_device')).toBe(false);
+    });
+});
+
+describe('resolveInclusionStrategy()', () => {
+    it('should map security names to zwave-js strategies', () => {
+        expect(resolveInclusionStrategy()).toBe(0);
+        expect(resolveInclusionStrategy('S2')).toBe(4);
+        expect(resolveInclusionStrategy('insecure')).toBe(2);
+    });
+
+    it('should reject unknown strategies', () => {
+        expect(() => resolveInclusionStrategy('smartstart')).toThrow('security must be one of');
+    });
+});
+
+describe('resolveAdminTarget()', () => {
+    it('should find nodes by id', () => {
+        expect(resolveAdminTarget({nodeId: 5}, nodes).id).toBe(5);
+        expect(() => resolveAdminTarget({nodeId: 9}, nodes)).toThrow('Node 9 not found');
+    });
+
+    it('should find nodes by exact name only', () => {
+        expect(resolveAdminTarget({deviceName: 'porch light'}, nodes).id).toBe(5);
+        expect(resolveAdminTarget({deviceName: 'Node 1'}, nodes).id).toBe(1);
+        expect(() => resolveAdminTarget({deviceName: 'Porch'}, nodes)).toThrow('not found');
+    });
+
+    it('should refuse names shared by several nodes', () => {
+        expect(() => resolveAdminTarget({deviceName: 'Light'}, nodes)).toThrow('nodes 3, 4');
+    });
+
+    it('should require a target', () => {
+        expect(() => resolveAdminTarget({}, nodes)).toThrow('nodeId or deviceName is required');
+    });
+});
+
+describe('validateNodeUpdate()', () => {
+    it('should trim the name and location', () => {
+        expect(validateNodeUpdate({name: ' Pantry Light ', location: ' Kitchen '})).toEqual({name: 'Pantry Light', location: 'Kitchen'});
+    });
+
+    it('should allow clearing the location', () => {
+        expect(validateNodeUpdate({location: ''})).toEqual({location: ''});
+    });
+
+    it('should reject blank names and empty updates', () => {
+        expect(() => validateNodeUpdate({name: '  '})).toThrow('non-empty');
+        expect(() => validateNodeUpdate({})).toThrow('Provide a new name');
+    });
+});
@@ -0,0 +1,302 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {jest} from '@jest/globals';
+import {
+    AutomationEngine,
+    describeAutomation,
+    isWithinTimeWindow,
+    matchesTrigger,
+    validateAutomation,
+} from '../automations.js';
+import {getSunTimes} from '../sun.js';
+
+const CHICAGO = {latitude: 41.88, longitude: -87.63};
+
+const motionRule = {
+    name: 'Hallway Motion Light',
+    trigger: {device: 'Motion Sensor', equals: true},
+    actions: [{device: 'Hallway Light', action: 'on', for: '5m'}],
+};
+
+const fanRule = {
+    name: 'Office Fan',
+    trigger: {device: 'Office Sensor', property: 'Air temperature', above: 78},
+    actions: [{device: 'Office Fan', action: 'on'}],
+};
+
+const report = (overrides = {}) => ({
+    location: 'Hallway',
+    device: 'Motion_Sensor',
+    commandClass: 'sensor_binary',
+    endpoint: 0,
+    property: 'Motion',
+    value: true,
+    timestamp: Date.now(),
+    topic: 'zwave/Hallway/Motion_Sensor/sensor_binary/endpoint_0/Motion',
+    ...overrides,
+});
+
+const temperature = (value, overrides = {}) => report({
+    device: 'Office_Sensor',
+    commandClass: 'sensor_multilevel',
+    property: 'Air_temperature',
+    value,
+    ...overrides,
+});
+
+describe('validateAutomation()', () => {
+    it('should normalize a rule and default to enabled', () => {
+        expect(validateAutomation({...motionRule, trigger: {device: ' Motion Sensor ', equals: true}})).toEqual({
+            name: 'Hallway Motion Light',
+            enabled: true,
+            trigger: {device: 'Motion Sensor', equals: true},
+            actions: [{device: 'Hallway Light', action: 'on', for: '5m'}],
+        });
+    });
+
+    it('should require a property or value condition', () => {
+        expect(() => validateAutomation({...motionRule, trigger: {device: 'Motion Sensor'}}))
+            .toThrow('needs a property or a value condition');
+    });
+
+    it('should reject invalid durations and actions', () => {
+        expect(() => validateAutomation({...motionRule, actions: [{device: 'Light', action: 'on', for: 'a while'}]}))
+            .toThrow('invalid duration');
+        expect(() => validateAutomation({...motionRule, actions: [{device: 'Light', action: 'unlock'}]}))
+            .toThrow('invalid action');
+    });
+
+    it('should only allow sun conditions when a location is configured', () => {
+        const rule = {...motionRule, conditions: {after: 'sunset'}};
+        expect(() => validateAutomation(rule)).toThrow('needs ZWAVE_LATITUDE and ZWAVE_LONGITUDE');
+        expect(validateAutomation(rule, {hasLocation: true}).conditions).toEqual({after: 'sunset'});
+        expect(() => validateAutomation({...motionRule, conditions: {after: '25:00'}})).toThrow('must be "HH:MM"');
+    });
+});
+
+describe('matchesTrigger()', () => {
+    it('should match the device by its topic name and the value', () => {
+        expect(matchesTrigger({device: 'Motion Sensor', equals: true}, report())).toBe(true);
+        expect(matchesTrigger({device: 'Motion Sensor', equals: true}, report({value: false}))).toBe(false);
+        expect(matchesTrigger({device: 'Door Sensor', equals: true}, report())).toBe(false);
+    });
+
+    it('should filter by location, command class and property', () => {
+        expect(matchesTrigger({device: 'Motion Sensor', location: 'Garage', equals: true}, report())).toBe(false);
+        expect(matchesTrigger({device: 'Motion Sensor', commandClass: 'notification', equals: true}, report())).toBe(false);
+        expect(matchesTrigger({device: 'Motion Sensor', property: 'motion'}, report())).toBe(true);
+    });
+
+    it('should compare numeric thresholds', () => {
+        expect(matchesTrigger({device: 'Office Sensor', above: 78}, temperature(80))).toBe(true);
+        expect(matchesTrigger({device: 'Office Sensor', below: 78}, temperature(80))).toBe(false);
+        expect(matchesTrigger({device: 'Office Sensor', above: 78}, temperature('n/a'))).toBe(false);
+    });
+});
+
+describe('isWithinTimeWindow()', () => {
+    const at = (hours, minutes = 0) => new Date(2024, 11, 21, hours, minutes).getTime();
+
+    it('should allow everything without conditions', () => {
+        expect(isWithinTimeWindow(undefined, at(3))).toBe(true);
+    });
+
+    it('should handle clock windows, including ones that wrap past midnight', () => {
+        expect(isWithinTimeWindow({after: '08:00', before: '18:00'}, at(12))).toBe(true);
+        expect(isWithinTimeWindow({after: '08:00', before: '18:00'}, at(19))).toBe(false);
+        expect(isWithinTimeWindow({after: '22:00', before: '06:00'}, at(23, 30))).toBe(true);
+        expect(isWithinTimeWindow({after: '22:00', before: '06:00'}, at(2))).toBe(true);
+        expect(isWithinTimeWindow({after: '22:00', before: '06:00'}, at(12))).toBe(false);
+        expect(isWithinTimeWindow({before: '06:00'}, at(5, 59))).toBe(true);
+    });
+
+    it('should resolve sunset and sunrise for the configured location', () => {
+        const noon = new Date(2024, 11, 21, 12).getTime();
+        const {sunrise, sunset} = getSunTimes(noon, CHICAGO.latitude, CHICAGO.longitude);
+        const night = {after: 'sunset', before: 'sunrise'};
+
+        expect(isWithinTimeWindow(night, sunset + 60 * 1000, CHICAGO)).toBe(true);
+        expect(isWithinTimeWindow(night, sunset - 60 * 1000, CHICAGO)).toBe(false);
+        expect(isWithinTimeWindow(night, sunrise - 60 * 1000, CHICAGO)).toBe(true);
+        expect(isWithinTimeWindow(night, sunset, undefined)).toBe(false);
+    });
+});
+
+describe('describeAutomation()', () => {
+    it('should describe the trigger, window and actions', () => {
+        const automation = validateAutomation({...motionRule, conditions: {after: 'sunset', before: 'sunrise'}}, {hasLocation: true});
+        expect(describeAutomation(automation)).toBe(
+            'When Motion Sensor reports true after sunset and before sunrise: turn on Hallway Light for 5m'
+        );
+    });
+});
+
+describe('AutomationEngine', () => {
+    let tempDir;
+    let filePath;
+    let executeAction;
+    let engine;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-automations-'));
+        filePath = path.join(tempDir, 'automations.json');
+        executeAction = jest.fn(async () => ({success: true, message: 'ok'}));
+        engine = new AutomationEngine(filePath, {executeAction});
+    });
+
+    afterEach(() => {
+        engine.close();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    it('should treat a missing file as no automations', async () => {
+        expect(await engine.load()).toBe(0);
+        expect(engine.listAutomations()).toEqual([]);
+    });
+
+    it('should load rules and skip invalid ones', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({
+            automations: [motionRule, {name: 'Broken', trigger: {device: 'X', equals: 1}, actions: []}],
+        }));
+
+        expect(await engine.load()).toBe(1);
+        expect(engine.findAutomation('hallway motion light').name).toBe('Hallway Motion Light');
+    });
+
+    it('should run actions when a rule fires and record the result', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({automations: [motionRule]}));
+        await engine.load();
+
+        await engine.handleStateChange(report());
+
+        expect(executeAction).toHaveBeenCalledWith({device: 'Hallway Light', action: 'on'});
+        expect(engine.getStatus('Hallway Motion Light')).toEqual({
+            lastTriggered: expect.any(Number),
+            lastResult: 'all actions succeeded',
+        });
+    });
+
+    it('should ignore stale retained reports and disabled rules', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({automations: [motionRule]}));
+        await engine.load();
+
+        await engine.handleStateChange(report({timestamp: Date.now() - 10 * 60 * 1000}));
+        expect(executeAction).not.toHaveBeenCalled();
+
+        await engine.setEnabled('Hallway Motion Light', false);
+        await engine.handleStateChange(report());
+        expect(executeAction).not.toHaveBeenCalled();
+    });
+
+    it('should persist enabled state', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({automations: [motionRule]}));
+        await engine.load();
+        await engine.setEnabled('hallway motion light', false);
+
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        expect(saved.automations[0]).toMatchObject({name: 'Hallway Motion Light', enabled: false});
+        await expect(engine.setEnabled('Nope', true)).rejects.toThrow('not found');
+    });
+
+    it('should turn the device back off after the duration, restarting on repeat triggers', async () => {
+        jest.useFakeTimers();
+        fs.writeFileSync(filePath, JSON.stringify({automations: [motionRule]}));
+        await engine.load();
+
+        await engine.handleStateChange(report({timestamp: Date.now()}));
+        jest.advanceTimersByTime(4 * 60 * 1000);
+        await engine.handleStateChange(report({timestamp: Date.now()}));
+        jest.advanceTimersByTime(4 * 60 * 1000);
+
+        expect(executeAction).not.toHaveBeenCalledWith({device: 'Hallway Light', action: 'off'});
+
+        jest.advanceTimersByTime(60 * 1000);
+        expect(executeAction).toHaveBeenLastCalledWith({device: 'Hallway Light', action: 'off'});
+    });
+
+    it('should report failed actions without stopping the rest', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({
+            automations: [{
+                ...motionRule,
+                actions: [{device: 'Hallway Light', action: 'on'}, {device: 'Stair Light', action: 'on'}],
+            }],
+        }));
+        await engine.load();
+        executeAction.mockResolvedValueOnce({success: false, message: 'offline'});
+
+        await engine.handleStateChange(report());
+
+        expect(executeAction).toHaveBeenCalledTimes(2);
+        expect(engine.getStatus('Hallway Motion Light').lastResult).toBe('failed: turn on Hallway Light (offline)');
+    });
+
+    it('should fire threshold rules only when the value crosses the threshold', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({automations: [fanRule]}));
+        await engine.load();
+
+        // A retained reading from before the restart already counts as past the threshold
+        await engine.handleStateChange(temperature(80, {timestamp: Date.now() - 10 * 60 * 1000}));
+        await engine.handleStateChange(temperature(81));
+        expect(executeAction).not.toHaveBeenCalled();
+
+        await engine.handleStateChange(temperature(77));
+        await engine.handleStateChange(temperature(79));
+        await engine.handleStateChange(temperature(80));
+        expect(executeAction).toHaveBeenCalledTimes(1);
+        expect(executeAction).toHaveBeenCalledWith({device: 'Office Fan', action: 'on'});
+    });
+
+    it('should send actions to the node resolved when the rules load', async () => {
+        const resolveTarget = jest.fn(async step => (step.location === 'Upstairs'
+            ? {nodeId: 12, location: 'Upstairs'}
+            : {nodeId: 7, location: 'Hallway', endpoint: 2}));
+        engine = new AutomationEngine(filePath, {executeAction, resolveTarget});
+        fs.writeFileSync(filePath, JSON.stringify({
+            automations: [{
+                ...motionRule,
+                actions: [
+                    {device: 'Hallway Light', action: 'on', for: '5m'},
+                    {device: 'Hallway Light', location: 'Upstairs', action: 'on'},
+                ],
+            }],
+        }));
+        jest.useFakeTimers();
+        await engine.load();
+
+        await engine.handleStateChange(report({timestamp: Date.now()}));
+        await engine.handleStateChange(report({timestamp: Date.now()}));
+        jest.advanceTimersByTime(5 * 60 * 1000);
+
+        expect(resolveTarget).toHaveBeenCalledTimes(2);
+        expect(resolveTarget).toHaveBeenCalledWith({device: 'Hallway Light', location: 'Upstairs', action: 'on'});
+        expect(executeAction).toHaveBeenCalledWith({device: 'Hallway Light', action: 'on', nodeId: 7, location: 'Hallway', endpoint: 2});
+        expect(executeAction).toHaveBeenCalledWith({device: 'Hallway Light', action: 'on', nodeId: 12, location: 'Upstairs'});
+        expect(executeAction).toHaveBeenLastCalledWith({device: 'Hallway Light', action: 'off', nodeId: 7, location: 'Hallway', endpoint: 2});
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).automations[0].actions[0]).not.toHaveProperty('nodeId');
+    });
+
+    it('should retry unresolved actions when the rule runs and never fall back to the name', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {
+        });
+        const resolveTarget = jest.fn()
+            .mockRejectedValueOnce(new Error('Z-Wave JS UI is not reachable'))
+            .mockRejectedValueOnce(new Error('"Hallway Light" matches several devices'))
+            .mockResolvedValueOnce({nodeId: 7, location: 'Hallway'});
+        engine = new AutomationEngine(filePath, {executeAction, resolveTarget});
+        fs.writeFileSync(filePath, JSON.stringify({automations: [motionRule]}));
+        await engine.load();
+
+        await engine.handleStateChange(report());
+        expect(executeAction).not.toHaveBeenCalled();
+        expect(engine.getStatus('Hallway Motion Light').lastResult)
+            .toBe('failed: turn on Hallway Light (Error: "Hallway Light" matches several devices)');
+
+        await engine.handleStateChange(report());
+        expect(executeAction).toHaveBeenCalledWith({device: 'Hallway Light', action: 'on', nodeId: 7, location: 'Hallway'});
+    });
+});
@@ -0,0 +1,111 @@
+import {jest} from '@jest/globals';
+import {BackendManager, describeSwitchState, splitLocation, switchReportMatches} from '../backends.js';
+import {ZWaveBackend} from '../zwave-backend.js';
+import {DeviceRegistryBuilder} from '../device-registry.js';
+
+const fakeBackend = (id, devices) => ({
+    id,
+    label: id,
+    topics: [],
+    handleMessage: () => false,
+    listDevices: async () => devices,
+    buildCommand: () => ({topic: `${id}/set`, payload: 'ON'}),
+});
+
+describe('BackendManager', () => {
+    it('should list devices from every backend in registration order', async () => {
+        const manager = new BackendManager();
+        manager.register(fakeBackend('zwave', [{id: 'zwave:2', name: 'Lamp'}]));
+        manager.register(fakeBackend('mqtt', [{id: 'mqtt:Desk Fan', name: 'Desk Fan'}]));
+
+        expect((await manager.listDevices()).map(device => device.id)).toEqual(['zwave:2', 'mqtt:Desk Fan']);
+        expect((await manager.listDevices({except: ['zwave']})).map(device => device.id)).toEqual(['mqtt:Desk Fan']);
+        expect(manager.get('mqtt').label).toBe('mqtt');
+    });
+
+    it('should refuse a second backend with the same id', () => {
+        const manager = new BackendManager();
+        manager.register(fakeBackend('mqtt', []));
+        expect(() => manager.register(fakeBackend('mqtt', []))).toThrow('already registered');
+    });
+
+    it('should leave out a backend that fails to list its devices', async () => {
+        const manager = new BackendManager();
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {
+        });
+        manager.register({...fakeBackend('zwave', []), listDevices: async () => {
+            throw new Error('socket timeout');
+        }});
+        manager.register(fakeBackend('mqtt', [{id: 'mqtt:Desk Fan', name: 'Desk Fan'}]));
+
+        expect(await manager.listDevices()).toHaveLength(1);
+        expect(consoleError).toHaveBeenCalled();
+        consoleError.mockRestore();
+    });
+});
+
+describe('switch helpers', () => {
+    it('should split path-style names into location and name', () => {
+        expect(splitLocation('Kitchen/Ceiling Light')).toEqual({location: 'Kitchen', name: 'Ceiling Light'});
+        expect(splitLocation('Upstairs/Hall/Lamp')).toEqual({location: 'Upstairs Hall', name: 'Lamp'});
+        expect(splitLocation('Lamp')).toEqual({location: '', name: 'Lamp'});
+    });
+
+    it('should speak switch states like Z-Wave devices', () => {
+        expect(describeSwitchState({power: true})).toBe('ON');
+        expect(describeSwitchState({power: true, level: 40})).toBe('40%');
+        expect(describeSwitchState({power: false, level: 40})).toBe('OFF');
+        expect(describeSwitchState({})).toBe('unknown');
+    });
+
+    it('should match reports against the requested action', () => {
+        expect(switchReportMatches({power: true}, 'on')).toBe(true);
+        expect(switchReportMatches({power: true}, 'off')).toBe(false);
+        expect(switchReportMatches({power: true, level: 49}, 'dim', 50)).toBe(true);
+        expect(switchReportMatches({power: true, level: 80}, 'dim', 50)).toBe(false);
+        expect(switchReportMatches({power: false}, 'dim', 0)).toBe(true);
+        expect(switchReportMatches({}, 'on')).toBe(false);
+    });
+});
+
+describe('ZWaveBackend', () => {
+    const nodes = [
+        {
+            id: 2,
+            name: 'Lamp',
+            loc: 'Office',
+            ready: true,
+            available: true,
+            values: {a: {commandClass: 38, endpoint: 0, property: 'currentValue', value: 40}},
+        },
+        {id: 3, name: 'Porch Light', loc: '', ready: true, available: false, values: {}},
+    ];
+    const backend = new ZWaveBackend({
+        getNodes: async () => nodes,
+        registryBuilder: new DeviceRegistryBuilder(),
+        describeState: node => (node.id === 2 ? '40' : 'unknown'),
+    });
+
+    it('should list nodes as devices with their registry entries', async () => {
+        const [lamp, porch] = await backend.listDevices();
+
+        expect(lamp).toMatchObject({id: 'zwave:2', backend: 'zwave', name: 'Lamp', location: 'Office', type: 'dimmer', available: true, state: '40'});
+        expect(lamp.node).toBe(nodes[0]);
+        expect(lamp.entry.topics.control).toBe('zwave/Office/Lamp/switch_multilevel/endpoint_0/targetValue/set');
+        expect(porch.available).toBe(false);
+    });
+
+    it('should build targetValue commands confirmed on currentValue', async () => {
+        const [lamp] = await backend.listDevices();
+
+        const dim = backend.buildCommand(lamp.entry, 'dim', 100);
+        expect(dim).toMatchObject({
+            topic: 'zwave/Office/Lamp/switch_multilevel/endpoint_0/targetValue/set',
+            payload: {value: 99},
+            stateTopic: 'zwave/Office/Lamp/switch_multilevel/endpoint_0/currentValue',
+        });
+        expect(dim.matches(98)).toBe(true);
+        expect(backend.buildCommand(lamp.entry, 'off').payload).toEqual({value: false});
+        expect(backend.buildCommand(lamp.entry, 'on').describe(true)).toBe('on');
+    });
+});
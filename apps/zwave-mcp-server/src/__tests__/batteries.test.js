@@ -0,0 +1,114 @@
+import {jest} from '@jest/globals';
+import {BatteryMonitor, formatLowBatteries, listBatteryLevels, readBatteryLevel} from '../batteries.js';
+
+const NOW = Date.UTC(2024, 5, 10, 12);
+
+const batteryValue = level => ({'128-0-level': {commandClass: 128, endpoint: 0, property: 'level', value: level}});
+
+const report = (level, device = 'Front_Door_Sensor', location = 'Hallway') => ({
+    location,
+    device,
+    commandClass: 'battery',
+    endpoint: 0,
+    property: 'level',
+    value: level,
+    timestamp: NOW,
+    topic: `zwave/${location}/${device}/battery/endpoint_0/level`,
+});
+
+describe('readBatteryLevel()', () => {
+    it('should prefer Battery CC values over the node summary', () => {
+        expect(readBatteryLevel({id: 5, minBatteryLevel: 80}, batteryValue(42))).toBe(42);
+        expect(readBatteryLevel({id: 5, minBatteryLevel: 80}, {})).toBe(80);
+        expect(readBatteryLevel({id: 5}, {})).toBeNull();
+    });
+});
+
+describe('listBatteryLevels()', () => {
+    const nodes = [
+        {id: 2, name: 'Kitchen Light', loc: 'Kitchen', values: {}},
+        {id: 3, name: 'Front Door Sensor', loc: 'Hallway', values: batteryValue(15)},
+        {id: 4, name: 'Motion Sensor', loc: '', values: batteryValue(60)},
+        {id: 5, name: 'Leak Sensor', loc: 'Basement', values: batteryValue(8)},
+    ];
+
+    it('should list battery devices lowest first', () => {
+        const levels = listBatteryLevels(nodes, node => node.values);
+        expect(levels.map(entry => [entry.name, entry.level])).toEqual([
+            ['Leak Sensor', 8],
+            ['Front Door Sensor', 15],
+            ['Motion Sensor', 60],
+        ]);
+    });
+
+    it('should speak the devices at or below the threshold', () => {
+        expect(formatLowBatteries(listBatteryLevels(nodes, node => node.values), 15)).toBe(
+            '2 of 3 battery devices are at or below 15%:\n' +
+            '- Leak Sensor in the Basement: 8%\n' +
+            '- Front Door Sensor in the Hallway: 15%'
+        );
+    });
+
+    it('should name the lowest device when none are low', () => {
+        expect(formatLowBatteries(listBatteryLevels(nodes, node => node.values), 5))
+            .toBe('All 3 battery devices are above 5%. The lowest is Leak Sensor in the Basement at 8%.');
+        expect(formatLowBatteries([], 20)).toBe('No battery-powered devices have reported a battery level.');
+    });
+});
+
+describe('BatteryMonitor', () => {
+    let publishAlert;
+    let monitor;
+
+    beforeEach(() => {
+        publishAlert = jest.fn(async () => {});
+        monitor = new BatteryMonitor({threshold: 20, publishAlert, now: () => NOW});
+    });
+
+    it('should alert once when a battery crosses the threshold', async () => {
+        expect(await monitor.handleStateChange(report(25))).toBeNull();
+
+        const alert = await monitor.handleStateChange(report(18));
+        expect(alert).toEqual({
+            device: 'Front Door Sensor',
+            location: 'Hallway',
+            level: 18,
+            threshold: 20,
+            message: 'Battery low on Front Door Sensor in the Hallway: 18%.',
+            timestamp: NOW,
+        });
+        expect(publishAlert).toHaveBeenCalledWith(alert);
+
+        expect(await monitor.handleStateChange(report(12))).toBeNull();
+        expect(publishAlert).toHaveBeenCalledTimes(1);
+    });
+
+    it('should alert again only after the battery recovers', async () => {
+        await monitor.handleStateChange(report(18));
+
+        // Hovering just above the threshold doesn't re-arm
+        await monitor.handleStateChange(report(22));
+        await monitor.handleStateChange(report(19));
+        expect(publishAlert).toHaveBeenCalledTimes(1);
+
+        await monitor.handleStateChange(report(100));
+        await monitor.handleStateChange(report(19));
+        expect(publishAlert).toHaveBeenCalledTimes(2);
+    });
+
+    it('should track devices separately and ignore other values', async () => {
+        await monitor.handleStateChange(report(10));
+        await monitor.handleStateChange(report(10, 'Leak_Sensor', 'Basement'));
+        await monitor.handleStateChange({...report(5), commandClass: 'sensor_multilevel'});
+
+        expect(publishAlert).toHaveBeenCalledTimes(2);
+    });
+
+    it('should retry an alert that failed to publish', async () => {
+        publishAlert.mockRejectedValueOnce(new Error('MQTT client not connected'));
+
+        await expect(monitor.handleStateChange(report(15))).rejects.toThrow('not connected');
+        expect(await monitor.handleStateChange(report(15))).toMatchObject({level: 15});
+        expect(publishAlert).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,110 @@
+import {
+    buildColorMatcher,
+    buildTargetColor,
+    colorTemperature,
+    describeColor,
+    getColorComponents,
+    kelvinToRgb,
+    parseColor,
+    readColorState,
+} from '../colors.js';
+
+const component = (key, value) => ({commandClass: 51, endpoint: 0, property: 'currentColor', propertyKey: key, value});
+
+const rgbwValues = {
+    '38-0-currentValue': {commandClass: 38, endpoint: 0, property: 'currentValue', value: 75},
+    '51-0-currentColor-0': component(0, 0),
+    '51-0-currentColor-1': component(1, 0),
+    '51-0-currentColor-2': component(2, 255),
+    '51-0-currentColor-3': component(3, 128),
+    '51-0-currentColor-4': component(4, 0),
+};
+
+describe('parseColor()', () => {
+    it('should accept color names, whites, hex values and color temperatures', () => {
+        expect(parseColor('Orange')).toEqual({kind: 'rgb', rgb: [255, 128, 0], label: 'orange'});
+        expect(parseColor('warm  white')).toEqual({kind: 'kelvin', kelvin: 2700, label: 'warm white'});
+        expect(parseColor('#FF8000')).toEqual({kind: 'rgb', rgb: [255, 128, 0], label: '#ff8000'});
+        expect(parseColor('0f8').rgb).toEqual([0, 255, 136]);
+        expect(parseColor('4000K')).toEqual({kind: 'kelvin', kelvin: 4000, label: '4000K'});
+        expect(parseColor('2700 kelvin').kelvin).toBe(2700);
+    });
+
+    it('should reject anything else', () => {
+        expect(() => parseColor('chartreuse-ish')).toThrow('is not a color name');
+        expect(() => parseColor('#12345')).toThrow('is not a color name');
+        expect(() => parseColor('50000K')).toThrow('between 1000K and 10000K');
+        expect(() => colorTemperature(NaN)).toThrow('between');
+    });
+});
+
+describe('kelvinToRgb()', () => {
+    it('should run from orange to blue-white', () => {
+        expect(kelvinToRgb(2000)).toEqual([255, 137, 14]);
+        expect(kelvinToRgb(6600)).toEqual([255, 255, 255]);
+        expect(kelvinToRgb(10000)[2]).toBe(255);
+    });
+});
+
+describe('buildTargetColor()', () => {
+    const rgbw = getColorComponents(rgbwValues);
+
+    it('should send RGB with the white channels off', () => {
+        expect(buildTargetColor(parseColor('blue'), rgbw)).toEqual({red: 0, green: 0, blue: 255, warmWhite: 0, coldWhite: 0});
+    });
+
+    it('should mix the white channels for color temperatures', () => {
+        expect(buildTargetColor(parseColor('warm white'), rgbw)).toEqual({warmWhite: 255, coldWhite: 0, red: 0, green: 0, blue: 0});
+        expect(buildTargetColor(colorTemperature(4600), rgbw)).toMatchObject({warmWhite: 128, coldWhite: 128});
+    });
+
+    it('should fall back to RGB for bulbs without white channels', () => {
+        const rgbOnly = new Set(['red', 'green', 'blue']);
+        expect(buildTargetColor(colorTemperature(2000), rgbOnly)).toEqual({red: 255, green: 137, blue: 14});
+    });
+
+    it('should refuse colors on white-only bulbs', () => {
+        expect(() => buildTargetColor(parseColor('red'), new Set(['warmWhite', 'coldWhite']))).toThrow('only show white light');
+    });
+});
+
+describe('readColorState()', () => {
+    it('should read per-component values', () => {
+        expect(readColorState(rgbwValues)).toEqual({warmWhite: 0, coldWhite: 0, red: 255, green: 128, blue: 0});
+    });
+
+    it('should read the combined currentColor object', () => {
+        const values = {color: {commandClass: 51, property: 'currentColor', value: {warmWhite: 200, coldWhite: 55, red: 0, green: 0, blue: 0}}};
+        expect(readColorState(values)).toEqual({warmWhite: 200, coldWhite: 55, red: 0, green: 0, blue: 0});
+        expect(getColorComponents(values)).toEqual(new Set(['warmWhite', 'coldWhite', 'red', 'green', 'blue']));
+    });
+
+    it('should return null for nodes without color', () => {
+        expect(readColorState({'38-0-currentValue': rgbwValues['38-0-currentValue']})).toBeNull();
+    });
+});
+
+describe('describeColor()', () => {
+    it('should name colors so they can be read aloud', () => {
+        expect(describeColor(readColorState(rgbwValues))).toBe('orange');
+        for (const name of ['red', 'yellow', 'lime', 'green', 'cyan', 'blue', 'purple', 'magenta', 'pink']) {
+            expect(describeColor(buildTargetColor(parseColor(name), new Set()))).toBe(name);
+        }
+        expect(describeColor({red: 250, green: 245, blue: 240})).toBe('white');
+    });
+
+    it('should name whites with their color temperature', () => {
+        expect(describeColor({warmWhite: 255, coldWhite: 0})).toBe('warm white (2700K)');
+        expect(describeColor({warmWhite: 0, coldWhite: 255, red: 0})).toBe('daylight (6500K)');
+        expect(describeColor({warmWhite: 0, coldWhite: 0})).toBe('no color');
+    });
+});
+
+describe('buildColorMatcher()', () => {
+    it('should allow bulbs to round', () => {
+        const matches = buildColorMatcher({red: 255, green: 128, blue: 0});
+        expect(matches({red: 254, green: 126, blue: 0, warmWhite: 0})).toBe(true);
+        expect(matches({red: 0, green: 0, blue: 255})).toBe(false);
+        expect(matches(42)).toBe(false);
+    });
+});
@@ -1,4 +1,4 @@
-import {DeviceRegistryBuilder} from '../device-registry.js';
+import {DeviceRegistryBuilder, sanitizeForTopic, topicKey} from '../device-registry.js';
 
 describe('DeviceRegistryBuilder', () => {
     let builder;
@@ -85,6 +85,20 @@ describe('DeviceRegistryBuilder', () => {
         });
     });
 
+    describe('buildEntries()', () => {
+        it('should keep same-named devices in different locations apart', () => {
+            const config = {
+                '7': {name: 'Light', loc: 'Kitchen', values: {'37-0-currentValue': {commandClass: 37}}},
+                '8': {name: 'Light', loc: 'Bedroom', values: {'37-0-currentValue': {commandClass: 37}}},
+            };
+
+            const entries = builder.buildEntries(config);
+            expect(entries.map(entry => [entry.nodeId, entry.location])).toEqual([[7, 'Kitchen'], [8, 'Bedroom']]);
+            expect(entries[0].topics.control).toBe('zwave/Kitchen/Light/switch_binary/endpoint_0/targetValue/set');
+            expect(Object.keys(builder.build(config))).toEqual(['Light']);
+        });
+    });
+
     describe('getDeviceCount()', () => {
         it('should return 0 for empty registry', () => {
             const registry = builder.build({});
@@ -187,6 +201,13 @@ describe('DeviceRegistryBuilder', () => {
             expect(lastSeen).toBeLessThanOrEqual(after);
         });
 
+        it('should match activity reported under the topic form of the name', () => {
+            builder.updateDeviceActivity('Desk_Lamp');
+
+            expect(builder.getLastSeen('Desk Lamp')).not.toBeNull();
+            expect(builder.isDeviceActive('Desk Lamp')).toBe(true);
+        });
+
         it('should return null for unknown device lastSeen', () => {
             expect(builder.getLastSeen('Unknown Device')).toBeNull();
         });
@@ -315,10 +336,105 @@ describe('DeviceRegistryBuilder', () => {
             expect(topic).toBe('zwave/Bedroom/Dimmer/switch_multilevel/endpoint_0/currentValue');
         });
 
+        it('should build value topic for non-targetValue properties', () => {
+            const topic = builder.buildValueTopic('Hall', 'Thermostat', 64, 'mode');
+            expect(topic).toBe('zwave/Hall/Thermostat/thermostat_mode/endpoint_0/mode');
+        });
+
+        it('should append property key to value topic', () => {
+            const topic = builder.buildValueTopic('Hall', 'Thermostat', 67, 'setpoint', 1);
+            expect(topic).toBe('zwave/Hall/Thermostat/thermostat_setpoint/endpoint_0/setpoint/1');
+        });
+
+        it('should use targetMode/currentMode for door locks', () => {
+            expect(builder.buildControlTopic('Entry', 'Front Door', 98))
+                .toBe('zwave/Entry/Front_Door/door_lock/endpoint_0/targetMode/set');
+            expect(builder.buildStateTopic('Entry', 'Front Door', 98))
+                .toBe('zwave/Entry/Front_Door/door_lock/endpoint_0/currentMode');
+        });
+
+        it('should use targetState for barrier operators', () => {
+            expect(builder.buildControlTopic('Garage', 'Garage Door', 102))
+                .toBe('zwave/Garage/Garage_Door/barrier_operator/endpoint_0/targetState/set');
+        });
+
         it('should sanitize special characters in topic', () => {
             const topic = builder.buildControlTopic('Test Room!', 'Light #1', 37);
             expect(topic).toBe('zwave/Test_Room_/Light__1/switch_binary/endpoint_0/targetValue/set');
         });
+
+        it('should address other endpoints', () => {
+            expect(builder.buildControlTopic('Office', 'Power Strip', 37, undefined, 2))
+                .toBe('zwave/Office/Power_Strip/switch_binary/endpoint_2/targetValue/set');
+            expect(builder.buildStateTopic('Office', 'Power Strip', 37, undefined, 2))
+                .toBe('zwave/Office/Power_Strip/switch_binary/endpoint_2/currentValue');
+        });
+    });
+
+    describe('Multi-endpoint devices', () => {
+        const powerStrip = {
+            name: 'Power Strip',
+            loc: 'Office',
+            ready: true,
+            available: true,
+            endpoints: [{index: 0}, {index: 1}, {index: 2}, {index: 3, label: 'USB'}],
+            values: {
+                '37-0-currentValue': {commandClass: 37, endpoint: 0, property: 'currentValue'},
+                '37-1-currentValue': {commandClass: 37, endpoint: 1, property: 'currentValue'},
+                '37-2-currentValue': {commandClass: 37, endpoint: 2, property: 'currentValue'},
+                '38-3-currentValue': {commandClass: 38, endpoint: 3, property: 'currentValue'},
+                '50-1-value-65537': {commandClass: 50, endpoint: 1, property: 'value'},
+            },
+        };
+
+        it('should expose each switchable endpoint as a sub-device', () => {
+            expect(builder.detectEndpoints(powerStrip)).toEqual([
+                {
+                    index: 1,
+                    name: 'Power Strip outlet 1',
+                    type: 'switch',
+                    commandClass: 37,
+                    topics: {
+                        control: 'zwave/Office/Power_Strip/switch_binary/endpoint_1/targetValue/set',
+                        state: 'zwave/Office/Power_Strip/switch_binary/endpoint_1/currentValue',
+                    },
+                },
+                expect.objectContaining({index: 2, name: 'Power Strip outlet 2', type: 'switch'}),
+                expect.objectContaining({index: 3, name: 'Power Strip USB', type: 'dimmer', commandClass: 38}),
+            ]);
+        });
+
+        it('should not split devices with a single switchable endpoint', () => {
+            const plug = {
+                name: 'Plug',
+                values: {
+                    '37-0': {commandClass: 37, endpoint: 0},
+                    '37-1': {commandClass: 37, endpoint: 1},
+                    '50-2': {commandClass: 50, endpoint: 2},
+                },
+            };
+            expect(builder.detectEndpoints(plug)).toEqual([]);
+            expect(builder.build({'6': plug}).Plug.endpoints).toBeUndefined();
+        });
+
+        it('should keep the device itself on endpoint 0 and list its endpoints', () => {
+            const registry = builder.build({'8': powerStrip});
+            expect(Object.keys(registry)).toEqual(['Power Strip']);
+            expect(registry['Power Strip'].topics.control).toContain('/endpoint_0/');
+            expect(registry['Power Strip'].endpoints.map(endpoint => endpoint.index)).toEqual([1, 2, 3]);
+        });
+
+        it('should find an endpoint by its sub-device name', () => {
+            const registry = builder.build({'8': powerStrip});
+            expect(builder.findEndpointByName(registry, 'power strip outlet 2')).toMatchObject({
+                nodeId: 8,
+                name: 'Power Strip outlet 2',
+                location: 'Office',
+                type: 'switch',
+                endpoint: 2,
+            });
+            expect(builder.findEndpointByName(registry, 'Power Strip')).toBeUndefined();
+        });
     });
 
     describe('Command Class Detection', () => {
@@ -344,6 +460,27 @@ describe('DeviceRegistryBuilder', () => {
             expect(result.type).toBe('thermostat');
         });
 
+        it('should detect door locks before switches', () => {
+            const node = {
+                values: {
+                    '37-0': {commandClass: 37},
+                    '98-0': {commandClass: 98}
+                }
+            };
+            const result = builder.detectDeviceType(node);
+            expect(result.type).toBe('lock');
+            expect(result.commandClass).toBe(98);
+        });
+
+        it('should detect barrier operators', () => {
+            const node = {
+                values: {
+                    '102-0': {commandClass: 102}
+                }
+            };
+            expect(builder.detectDeviceType(node).type).toBe('barrier');
+        });
+
         it('should return unknown for unrecognized command class', () => {
             const node = {
                 values: {
@@ -361,3 +498,18 @@ describe('DeviceRegistryBuilder', () => {
         });
     });
 });
+
+describe('sanitizeForTopic()', () => {
+    it('should replace characters topics cannot carry and keep numeric keys', () => {
+        expect(sanitizeForTopic('Living Room/Lamp #2')).toBe('Living_Room_Lamp__2');
+        expect(sanitizeForTopic(0)).toBe('0');
+        expect(sanitizeForTopic(undefined)).toBe('');
+    });
+});
+
+describe('topicKey()', () => {
+    it('should compare friendly and sanitized names case-insensitively', () => {
+        expect(topicKey('Kitchen Light')).toBe(topicKey('kitchen_light'));
+        expect(topicKey(null)).toBe('');
+    });
+});
@@ -0,0 +1,130 @@
+import {
+    diagnoseNode,
+    formatNetworkDiagnosis,
+    formatNodeDetails,
+    formatNodeDiagnosis,
+    rankDiagnoses,
+    readNodeStatistics,
+} from '../diagnostics.js';
+
+const NOW = Date.UTC(2024, 5, 10, 12);
+const HOUR = 60 * 60 * 1000;
+
+const healthyStats = {commandsTX: 200, commandsDroppedTX: 0, timeoutResponse: 1, rtt: 40, rssi: -65, lwr: {repeaters: []}, lastSeen: NOW - 10 * 60 * 1000};
+
+const node = (overrides = {}) => ({
+    id: 5,
+    name: 'Porch Light',
+    loc: 'Front Yard',
+    ready: true,
+    status: 'Alive',
+    interviewStage: 'Complete',
+    isListening: true,
+    statistics: healthyStats,
+    ...overrides,
+});
+
+describe('readNodeStatistics()', () => {
+    it('should count dropped commands as attempts and failures', () => {
+        const stats = readNodeStatistics(node({statistics: {commandsTX: 90, commandsDroppedTX: 10, timeoutResponse: 5, lwr: {repeaters: [3, 7]}}}));
+        expect(stats).toMatchObject({commandsSent: 100, commandsFailed: 15, repeaters: [3, 7]});
+    });
+
+    it('should ignore zwave-js RSSI error codes', () => {
+        expect(readNodeStatistics(node({statistics: {rssi: 127}})).rssi).toBeNull();
+        expect(readNodeStatistics(node({statistics: {lwr: {rssi: -71}}})).rssi).toBe(-71);
+    });
+
+    it('should fall back to lastActive', () => {
+        expect(readNodeStatistics(node({statistics: undefined, lastActive: NOW})).lastSeen).toBe(NOW);
+    });
+});
+
+describe('diagnoseNode()', () => {
+    it('should report a healthy node', () => {
+        const diagnosis = diagnoseNode(node(), {now: NOW});
+        expect(diagnosis).toMatchObject({severity: 'ok', findings: []});
+        expect(formatNodeDiagnosis(diagnosis)).toBe('Porch Light in the Front Yard looks healthy: it is answering normally and its signal is fine.');
+    });
+
+    it('should flag dead nodes', () => {
+        const diagnosis = diagnoseNode(node({status: 'Dead'}), {now: NOW});
+        expect(diagnosis.severity).toBe('dead');
+        expect(formatNodeDiagnosis(diagnosis)).toContain('Check that it has power');
+    });
+
+    it('should grade failed commands by ratio', () => {
+        const flaky = diagnoseNode(node({statistics: {...healthyStats, commandsTX: 90, commandsDroppedTX: 10}}), {now: NOW});
+        expect(flaky.severity).toBe('warning');
+        expect(flaky.findings[0]).toBe('11 of its last 100 commands failed, so it is a little flaky');
+
+        const failing = diagnoseNode(node({statistics: {...healthyStats, commandsTX: 60, commandsDroppedTX: 40}}), {now: NOW});
+        expect(failing.severity).toBe('critical');
+    });
+
+    it('should not judge a handful of commands', () => {
+        expect(diagnoseNode(node({statistics: {...healthyStats, commandsTX: 2, commandsDroppedTX: 2}}), {now: NOW}).severity).toBe('ok');
+    });
+
+    it('should flag weak signal, long routes and slow answers', () => {
+        const diagnosis = diagnoseNode(node({statistics: {...healthyStats, rssi: -93, rtt: 800, lwr: {repeaters: [2, 3, 4]}}}), {now: NOW});
+        expect(diagnosis.severity).toBe('critical');
+        expect(diagnosis.findings).toEqual([
+            'its signal is very weak (-93 dBm)',
+            'messages hop through 3 other devices to reach it',
+            'it takes 800 milliseconds to answer',
+        ]);
+    });
+
+    it('should flag low batteries and allow sleepy devices more quiet time', () => {
+        const values = {level: {commandClass: 128, property: 'level', value: 15}};
+        const sensor = node({name: 'Door Sensor', isListening: false, statistics: {lastSeen: NOW - 30 * HOUR}});
+
+        const diagnosis = diagnoseNode(sensor, {values, now: NOW});
+        expect(diagnosis.findings).toEqual(['its battery is low (15%)']);
+        expect(formatNodeDiagnosis(diagnosis)).toContain('Replace its batteries soon.');
+
+        expect(diagnoseNode(sensor, {values, now: NOW, lowBatteryPercent: 10}).findings).toEqual([]);
+
+        expect(diagnoseNode(node({statistics: {lastSeen: NOW - 30 * HOUR}}), {now: NOW}).findings)
+            .toEqual(['it hasn\'t been heard from in 30 hours']);
+    });
+
+    it('should flag incomplete interviews', () => {
+        const diagnosis = diagnoseNode(node({interviewStage: 'NodeInfo', ready: false}), {now: NOW});
+        expect(diagnosis.findings).toEqual(['its interview stopped at the NodeInfo stage, so some features may be missing']);
+    });
+});
+
+describe('formatNodeDetails()', () => {
+    it('should list the raw statistics', () => {
+        expect(formatNodeDetails(diagnoseNode(node(), {now: NOW}), NOW)).toBe(
+            'Details: signal -65 dBm, 1 of 200 commands failed, round trip 40 ms, direct route, last seen 10 min ago, interview Complete'
+        );
+    });
+});
+
+describe('network diagnosis', () => {
+    const diagnoses = [
+        diagnoseNode(node({id: 2, name: 'Kitchen Light', loc: 'Kitchen'}), {now: NOW}),
+        diagnoseNode(node({id: 3, name: 'Door Sensor', loc: '', minBatteryLevel: 15, isListening: false}), {now: NOW}),
+        diagnoseNode(node({id: 4, name: 'Garage Plug', loc: '', status: 'Dead'}), {now: NOW}),
+        diagnoseNode(node({id: 5, name: 'Porch Light', loc: '', statistics: {...healthyStats, rssi: -92}}), {now: NOW}),
+    ];
+
+    it('should rank dead, then critical, then warnings', () => {
+        expect(rankDiagnoses(diagnoses).map(diagnosis => diagnosis.nodeId)).toEqual([4, 5, 3, 2]);
+    });
+
+    it('should summarize problem nodes only', () => {
+        const text = formatNetworkDiagnosis(diagnoses);
+        expect(text.split('\n')[0]).toBe(
+            'Checked 4 devices: 1 dead, 1 with serious problems and 1 with minor problems, including 1 low battery.'
+        );
+        expect(text).not.toContain('Kitchen Light');
+    });
+
+    it('should say when everything is healthy', () => {
+        expect(formatNetworkDiagnosis([diagnoses[0]])).toBe('The only device looks healthy.');
+    });
+});
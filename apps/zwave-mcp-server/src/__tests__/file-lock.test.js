@@ -0,0 +1,54 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {jest} from '@jest/globals';
+import {withFileLock} from '../file-lock.js';
+
+describe('withFileLock()', () => {
+    let tempDir;
+    let lockPath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-lock-'));
+        lockPath = path.join(tempDir, 'nested', 'file.json.lock');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    it('should run overlapping tasks one at a time and remove the lock', async () => {
+        const events = [];
+        const task = (name) => async () => {
+            events.push(`${name} start`);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            events.push(`${name} end`);
+            return name;
+        };
+
+        expect(await Promise.all([withFileLock(lockPath, task('a')), withFileLock(lockPath, task('b'))])).toEqual(['a', 'b']);
+        expect(events).toEqual(['a start', 'a end', 'b start', 'b end']);
+        expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    it('should release the lock when the task throws', async () => {
+        await expect(withFileLock(lockPath, async () => {
+            throw new Error('boom');
+        })).rejects.toThrow('boom');
+        expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    it('should take over stale locks and time out on live ones', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {
+        });
+        fs.mkdirSync(path.dirname(lockPath));
+        fs.writeFileSync(lockPath, '12345\n');
+
+        await expect(withFileLock(lockPath, async () => 'late', {timeoutMs: 60})).rejects.toThrow('Timed out waiting for lock');
+
+        const old = new Date(Date.now() - 60 * 1000);
+        fs.utimesSync(lockPath, old, old);
+        expect(await withFileLock(lockPath, async () => 'taken over')).toBe('taken over');
+    });
+});
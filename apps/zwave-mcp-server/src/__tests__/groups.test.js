@@ -0,0 +1,170 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {controlGroup, formatGroupResults, GroupManager, resolveGroupTargets, validateGroup} from '../groups.js';
+
+const entry = (name, type, location = 'Kitchen') => ({
+    nodeId: name.length,
+    name,
+    location,
+    type,
+    commandClass: type === 'dimmer' ? 38 : 37,
+    topics: {control: '', state: ''},
+});
+
+const registry = {
+    'Kitchen Light': entry('Kitchen Light', 'dimmer'),
+    'Coffee Maker': entry('Coffee Maker', 'switch'),
+    'Kitchen Sensor': entry('Kitchen Sensor', 'sensor'),
+    'Back Door': entry('Back Door', 'lock'),
+    'Bedroom Lamp': entry('Bedroom Lamp', 'dimmer', 'Bedroom'),
+};
+
+const devices = Object.values(registry);
+
+const findDevice = name => Object.values(registry).find(e => e.name.toLowerCase() === name.toLowerCase());
+
+describe('Groups', () => {
+    describe('validateGroup()', () => {
+        it('should trim names and drop blank members', () => {
+            expect(validateGroup({name: ' Outside ', devices: [' Porch Light ', '', 42]}))
+                .toEqual({name: 'Outside', devices: ['Porch Light']});
+        });
+
+        it('should require at least one device', () => {
+            expect(() => validateGroup({name: 'Empty', devices: []})).toThrow('at least one device');
+        });
+    });
+
+    describe('GroupManager', () => {
+        let tempDir;
+        let filePath;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-groups-'));
+            filePath = path.join(tempDir, 'groups.json');
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, {recursive: true, force: true});
+        });
+
+        it('should treat a missing file as no groups', async () => {
+            const manager = new GroupManager(filePath);
+            expect(await manager.load()).toBe(0);
+        });
+
+        it('should load groups, skip invalid ones and find them case-insensitively', async () => {
+            fs.writeFileSync(filePath, JSON.stringify({
+                groups: [{name: 'Bedroom Lights', devices: ['Bedroom Lamp']}, {name: 'Broken'}],
+            }));
+
+            const manager = new GroupManager(filePath);
+            expect(await manager.load()).toBe(1);
+            expect(manager.findGroup('bedroom lights').devices).toEqual(['Bedroom Lamp']);
+        });
+    });
+
+    describe('resolveGroupTargets()', () => {
+        it('should target switches and dimmers in a location and mention locks', () => {
+            const resolved = resolveGroupTargets('kitchen', 'off', {devices, findDevice});
+
+            expect(resolved.label).toBe('the Kitchen');
+            expect(resolved.targets.map(e => e.name)).toEqual(['Kitchen Light', 'Coffee Maker']);
+            expect(resolved.skipped).toEqual([
+                {name: 'Back Door', reason: 'locks and barriers must use lock_device or unlock_device'},
+            ]);
+        });
+
+        it('should skip devices that cannot dim', () => {
+            const resolved = resolveGroupTargets('Kitchen', 'dim', {devices, findDevice});
+
+            expect(resolved.targets.map(e => e.name)).toEqual(['Kitchen Light']);
+            expect(resolved.skipped).toContainEqual({name: 'Coffee Maker', reason: 'not dimmable'});
+        });
+
+        it('should prefer a user-defined group and report missing members', () => {
+            const group = {name: 'Kitchen', devices: ['Bedroom Lamp', 'Kitchen Sensor', 'Garage Light']};
+            const resolved = resolveGroupTargets('Kitchen', 'on', {devices, group, findDevice});
+
+            expect(resolved.label).toBe('Kitchen');
+            expect(resolved.targets.map(e => e.name)).toEqual(['Bedroom Lamp']);
+            expect(resolved.skipped).toEqual([
+                {name: 'Kitchen Sensor', reason: "a sensor can't be switched on or off"},
+                {name: 'Garage Light', reason: 'not found'},
+            ]);
+        });
+
+        it('should return null for unknown names', () => {
+            expect(resolveGroupTargets('Attic', 'on', {devices, findDevice})).toBeNull();
+        });
+
+        it('should keep same-named devices in other rooms out of a location', () => {
+            const kitchenLight = {...entry('Light', 'switch', 'Kitchen'), nodeId: 7};
+            const bedroomLight = {...entry('Light', 'switch', 'Bedroom'), nodeId: 8};
+
+            const resolved = resolveGroupTargets('Kitchen', 'off', {devices: [bedroomLight, kitchenLight], findDevice});
+
+            expect(resolved.targets).toEqual([kitchenLight]);
+        });
+    });
+
+    describe('controlGroup()', () => {
+        it('should send the step to every target and keep going after failures', async () => {
+            const sent = [];
+            const results = await controlGroup(
+                [registry['Kitchen Light'], registry['Bedroom Lamp']],
+                {action: 'dim', level: 30},
+                async (step) => {
+                    sent.push(step);
+                    if (step.device === 'Kitchen Light') throw new Error('offline');
+                    return {success: true, message: 'ok'};
+                }
+            );
+
+            expect(sent).toEqual([
+                {action: 'dim', level: 30, device: 'Kitchen Light'},
+                {action: 'dim', level: 30, device: 'Bedroom Lamp'},
+            ]);
+            expect(results).toEqual([
+                {name: 'Kitchen Light', success: false, message: 'Error: offline'},
+                {name: 'Bedroom Lamp', success: true, message: 'ok'},
+            ]);
+        });
+
+        it('should pass each target entry so same-named devices can be addressed by node', async () => {
+            const kitchenLight = {...entry('Light', 'switch', 'Kitchen'), nodeId: 7};
+            const bedroomLight = {...entry('Light', 'switch', 'Bedroom'), nodeId: 8};
+            const nodeIds = [];
+
+            await controlGroup([kitchenLight, bedroomLight], {action: 'off'}, async (step, target) => {
+                nodeIds.push(target.nodeId);
+                return {success: true, message: 'ok'};
+            });
+
+            expect(nodeIds).toEqual([7, 8]);
+        });
+    });
+
+    describe('formatGroupResults()', () => {
+        it('should summarize and list each device', () => {
+            const text = formatGroupResults(
+                'the Kitchen',
+                'turn off',
+                [{name: 'Kitchen Light', success: true, message: 'ok'}, {name: 'Coffee Maker', success: false, message: 'offline'}],
+                [{name: 'Back Door', reason: 'locks and barriers must use lock_device or unlock_device'}]
+            );
+
+            expect(text).toBe([
+                'Turn off the Kitchen: 1 of 2 devices succeeded.',
+                '- OK: Kitchen Light',
+                '- FAILED: Coffee Maker (offline)',
+                '- SKIPPED: Back Door (locks and barriers must use lock_device or unlock_device)',
+            ].join('\n'));
+        });
+
+        it('should say when nothing could take the action', () => {
+            expect(formatGroupResults('Outside', 'dim to 30%', [], [])).toBe('Nothing in Outside can dim to 30%.');
+        });
+    });
+});
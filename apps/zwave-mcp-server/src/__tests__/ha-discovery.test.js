@@ -0,0 +1,206 @@
+import {jest} from '@jest/globals';
+import {buildDiscoveryMessages, DiscoveryPublisher} from '../ha-discovery.js';
+import {ZWaveBackend} from '../zwave-backend.js';
+import {DeviceRegistryBuilder} from '../device-registry.js';
+
+const registryBuilder = new DeviceRegistryBuilder();
+
+const lamp = {
+    id: 2,
+    name: 'Lamp',
+    loc: 'Office',
+    ready: true,
+    available: true,
+    manufacturer: 'Zooz',
+    productLabel: 'ZEN77',
+    values: {
+        '38-0-currentValue': {commandClass: 38, endpoint: 0, property: 'currentValue', value: 40},
+    },
+};
+const powerStrip = {
+    id: 8,
+    name: 'Power Strip',
+    loc: 'Office',
+    ready: true,
+    available: true,
+    endpoints: [{index: 0}, {index: 1}, {index: 2}],
+    values: {
+        '37-0-currentValue': {commandClass: 37, endpoint: 0, property: 'currentValue'},
+        '37-1-currentValue': {commandClass: 37, endpoint: 1, property: 'currentValue'},
+        '37-2-currentValue': {commandClass: 37, endpoint: 2, property: 'currentValue'},
+        '50-0-value-65537': {commandClass: 50, endpoint: 0, property: 'value', propertyKey: 65537, label: 'Electric Consumption [kWh]', unit: 'kWh'},
+    },
+};
+const multisensor = {
+    id: 9,
+    name: 'Multisensor',
+    loc: 'Hall',
+    ready: true,
+    available: false,
+    values: {
+        '49-0-Air temperature': {commandClass: 49, endpoint: 0, property: 'Air temperature', label: 'Air temperature', unit: '°C', value: 21.5},
+        '49-0-Humidity': {commandClass: 49, endpoint: 0, property: 'Humidity', label: 'Humidity', unit: '%', value: 40},
+        '128-0-level': {commandClass: 128, endpoint: 0, property: 'level', label: 'Battery level', unit: '%', value: 80},
+        '113-0-Home Security-Motion sensor status': {
+            commandClass: 113,
+            endpoint: 0,
+            property: 'Home Security',
+            propertyKey: 'Motion sensor status',
+            propertyKeyName: 'Motion sensor status',
+            label: 'Motion sensor status',
+        },
+    },
+};
+const frontDoor = {
+    id: 12,
+    name: 'Front Door',
+    loc: '',
+    ready: true,
+    available: true,
+    values: {
+        '98-0-currentMode': {commandClass: 98, endpoint: 0, property: 'currentMode', value: 255},
+    },
+};
+
+const backendFor = nodes => new ZWaveBackend({getNodes: async () => nodes, registryBuilder, describeState: () => 'unknown'});
+const byTopic = messages => Object.fromEntries(messages.map(message => [message.topic, message.payload]));
+
+describe('buildDiscoveryMessages()', () => {
+    it('should publish dimmers as lights driven by the control topic', async () => {
+        const devices = await backendFor([lamp]).listDevices();
+        const [light] = buildDiscoveryMessages(devices, {registryBuilder});
+
+        expect(light.topic).toBe('homeassistant/light/zwave_mcp_2/config');
+        expect(light.payload).toMatchObject({
+            unique_id: 'zwave_mcp_2',
+            name: null,
+            command_topic: 'zwave/Office/Lamp/switch_multilevel/endpoint_0/targetValue/set',
+            state_topic: 'zwave/Office/Lamp/switch_multilevel/endpoint_0/currentValue',
+            payload_on: '{"value":true}',
+            brightness_scale: 99,
+            availability: [{topic: 'zwave-mcp/status'}, {topic: 'zwave-mcp/zwave_mcp_2/availability'}],
+            availability_mode: 'all',
+            device: {identifiers: ['zwave_mcp_2'], name: 'Lamp', suggested_area: 'Office', manufacturer: 'Zooz', model: 'ZEN77'},
+        });
+    });
+
+    it('should publish each outlet of a multi-endpoint device and its meter', async () => {
+        const devices = await backendFor([powerStrip]).listDevices();
+        const messages = byTopic(buildDiscoveryMessages(devices, {registryBuilder, discoveryPrefix: 'ha'}));
+
+        expect(Object.keys(messages)).toEqual([
+            'ha/switch/zwave_mcp_8/config',
+            'ha/switch/zwave_mcp_8_endpoint_1/config',
+            'ha/switch/zwave_mcp_8_endpoint_2/config',
+            'ha/sensor/zwave_mcp_8_value_65537/config',
+        ]);
+        expect(messages['ha/switch/zwave_mcp_8_endpoint_1/config']).toMatchObject({
+            name: 'outlet 1',
+            command_topic: 'zwave/Office/Power_Strip/switch_binary/endpoint_1/targetValue/set',
+        });
+        expect(messages['ha/sensor/zwave_mcp_8_value_65537/config']).toMatchObject({
+            state_topic: 'zwave/Office/Power_Strip/meter/endpoint_0/value/65537',
+            device_class: 'energy',
+            state_class: 'total_increasing',
+            unit_of_measurement: 'kWh',
+        });
+    });
+
+    it('should publish sensors and binary sensors, even before they report', async () => {
+        const devices = await backendFor([multisensor]).listDevices();
+        const messages = byTopic(buildDiscoveryMessages(devices, {registryBuilder}));
+
+        expect(messages['homeassistant/sensor/zwave_mcp_9_air_temperature/config']).toMatchObject({
+            name: 'Air temperature',
+            state_topic: 'zwave/Hall/Multisensor/sensor_multilevel/endpoint_0/Air_temperature',
+            device_class: 'temperature',
+            unit_of_measurement: '°C',
+        });
+        expect(messages['homeassistant/sensor/zwave_mcp_9_humidity/config']).toMatchObject({device_class: 'humidity'});
+        expect(messages['homeassistant/sensor/zwave_mcp_9_level/config']).toMatchObject({
+            name: 'Battery',
+            device_class: 'battery',
+            entity_category: 'diagnostic',
+        });
+        expect(messages['homeassistant/binary_sensor/zwave_mcp_9_home_security_motion_sensor_status/config']).toMatchObject({
+            name: 'Motion sensor status',
+            device_class: 'motion',
+            state_topic: 'zwave/Hall/Multisensor/notification/endpoint_0/Home_Security/Motion_sensor_status',
+        });
+    });
+
+    it('should leave locks out', async () => {
+        const devices = await backendFor([frontDoor]).listDevices();
+        expect(buildDiscoveryMessages(devices, {registryBuilder})).toEqual([]);
+    });
+});
+
+describe('DiscoveryPublisher', () => {
+    let nodes;
+    let published;
+    let publisher;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {
+        });
+        nodes = [lamp, multisensor];
+        published = [];
+        const backend = new ZWaveBackend({getNodes: async () => nodes, registryBuilder, describeState: () => 'unknown'});
+        publisher = new DiscoveryPublisher({
+            publish: async (topic, payload, options) => {
+                published.push({topic, payload, retain: options.retain});
+            },
+            listDevices: () => backend.listDevices(),
+            registryBuilder,
+        });
+    });
+
+    afterEach(async () => {
+        await publisher.stop();
+        jest.restoreAllMocks();
+    });
+
+    it('should announce itself, then publish retained configs and availability once', async () => {
+        await publisher.start();
+
+        expect(published[0]).toEqual({topic: 'zwave-mcp/status', payload: 'online', retain: true});
+        expect(published.every(message => message.retain)).toBe(true);
+        expect(published).toContainEqual({topic: 'zwave-mcp/zwave_mcp_2/availability', payload: 'online', retain: true});
+        expect(published).toContainEqual({topic: 'zwave-mcp/zwave_mcp_9/availability', payload: 'offline', retain: true});
+
+        published = [];
+        expect(await publisher.refresh()).toBe(0);
+        expect(published).toEqual([]);
+    });
+
+    it('should share one refresh between overlapping calls', async () => {
+        const [first, second] = await Promise.all([publisher.refresh(), publisher.refresh()]);
+        expect(first).toBe(second);
+        expect(published).toHaveLength(first);
+    });
+
+    it('should clear the configs of removed devices', async () => {
+        await publisher.refresh();
+        nodes = [lamp];
+        published = [];
+
+        await publisher.refresh();
+        expect(published.length).toBeGreaterThan(0);
+        expect(published.every(message => message.payload === '' && message.topic.includes('zwave_mcp_9'))).toBe(true);
+    });
+
+    it('should republish everything when Home Assistant comes back online', async () => {
+        await publisher.refresh();
+        const count = published.length;
+        published = [];
+
+        expect(await publisher.handleHomeAssistantStatus('offline')).toBe(0);
+        expect(await publisher.handleHomeAssistantStatus('online')).toBe(count);
+        expect(published[0].topic).toBe('zwave-mcp/status');
+    });
+
+    it('should mark the server offline when stopped', async () => {
+        await publisher.stop();
+        expect(published).toEqual([{topic: 'zwave-mcp/status', payload: 'offline', retain: true}]);
+    });
+});
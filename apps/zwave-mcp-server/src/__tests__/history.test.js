@@ -0,0 +1,233 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    aggregate,
+    chooseBucketSize,
+    describeSeries,
+    HistoryStore,
+    parseDuration,
+    resolveTime,
+    selectSeries,
+    summarizeSeries,
+} from '../history.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const entry = (overrides = {}) => ({
+    location: 'Office',
+    device: 'Temp_Sensor',
+    commandClass: 'sensor_multilevel',
+    endpoint: 0,
+    property: 'Air_temperature',
+    value: 68,
+    timestamp: Date.UTC(2024, 5, 10, 12),
+    topic: 'zwave/Office/Temp_Sensor/sensor_multilevel/endpoint_0/Air_temperature',
+    ...overrides,
+});
+
+describe('HistoryStore', () => {
+    let dir;
+    let store;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-history-'));
+        store = new HistoryStore(dir, {retentionDays: 0});
+    });
+
+    afterEach(async () => {
+        await store.close();
+        fs.rmSync(dir, {recursive: true, force: true});
+    });
+
+    it('should write readings to daily files and read them back in order', async () => {
+        const day1 = Date.UTC(2024, 5, 10, 23);
+        const day2 = Date.UTC(2024, 5, 11, 1);
+
+        store.record(entry({timestamp: day2, value: 66}));
+        store.record(entry({timestamp: day1, value: 70}));
+        await store.flush();
+
+        expect(fs.readdirSync(dir).sort()).toEqual(['history-2024-06-10.jsonl', 'history-2024-06-11.jsonl']);
+
+        const points = await store.query({location: 'Office', device: 'Temp Sensor', from: day1 - HOUR, to: day2 + HOUR});
+        expect(points.map(point => point.value)).toEqual([70, 66]);
+        expect(points[0]).toMatchObject({commandClass: 'sensor_multilevel', property: 'Air_temperature', endpoint: 0});
+    });
+
+    it('should only return the requested device and time range', async () => {
+        const t = Date.UTC(2024, 5, 10, 12);
+        store.record(entry({timestamp: t, value: 68}));
+        store.record(entry({timestamp: t + 2 * HOUR, value: 72}));
+        store.record(entry({timestamp: t, device: 'Other_Sensor', value: 50}));
+        store.record(entry({timestamp: t, location: 'Garage', value: 40}));
+
+        const points = await store.query({location: 'Office', device: 'Temp_Sensor', from: t - HOUR, to: t + HOUR});
+        expect(points.map(point => point.value)).toEqual([68]);
+    });
+
+    it('should skip retained replays and non-scalar values', () => {
+        expect(store.record(entry())).toBe(true);
+        expect(store.record(entry())).toBe(false);
+        expect(store.record(entry({value: {mode: 1}}))).toBe(false);
+        expect(store.record(entry({value: null}))).toBe(false);
+        expect(store.buffer).toHaveLength(1);
+    });
+
+    it('should not write retained values again after a restart', async () => {
+        const t = Date.now() - HOUR;
+        store.record(entry({timestamp: t, value: 68}));
+        await store.close();
+
+        store = new HistoryStore(dir, {retentionDays: 0});
+        await store.start();
+        expect(store.record(entry({timestamp: t, value: 68}))).toBe(false);
+        expect(store.record(entry({timestamp: t + 1000, value: 69}))).toBe(true);
+
+        const points = await store.query({location: 'Office', device: 'Temp_Sensor', from: t - HOUR, to: t + HOUR});
+        expect(points.map(point => point.value)).toEqual([68, 69]);
+    });
+
+    it('should not duplicate readings that another process sharing the directory wrote', async () => {
+        const t = Date.UTC(2024, 5, 10, 12);
+        const other = new HistoryStore(dir, {retentionDays: 0});
+        for (const history of [store, other]) {
+            history.record(entry({timestamp: t, value: 68}));
+            history.record(entry({timestamp: t + HOUR, value: 70}));
+        }
+        other.record(entry({timestamp: t + 2 * HOUR, value: 72}));
+
+        await Promise.all([store.flush(), other.flush()]);
+        store.record(entry({timestamp: t + 3 * HOUR, value: 74}));
+        await Promise.all([store.close(), other.close()]);
+
+        const points = await store.query({location: 'Office', device: 'Temp_Sensor', from: t - HOUR, to: t + 4 * HOUR});
+        expect(points.map(point => point.value)).toEqual([68, 70, 72, 74]);
+        expect(fs.readdirSync(dir)).toEqual(['history-2024-06-10.jsonl']);
+    });
+
+    it('should ignore partially written lines', async () => {
+        const t = Date.UTC(2024, 5, 10, 12);
+        store.record(entry({timestamp: t}));
+        await store.flush();
+        fs.appendFileSync(path.join(dir, 'history-2024-06-10.jsonl'), '{"t":17180');
+
+        const points = await store.query({location: 'Office', device: 'Temp_Sensor', from: t - HOUR, to: t + HOUR});
+        expect(points).toHaveLength(1);
+    });
+
+    it('should delete files older than the retention period', async () => {
+        const old = new Date(Date.now() - 10 * DAY).toISOString().slice(0, 10);
+        const recent = new Date().toISOString().slice(0, 10);
+        fs.writeFileSync(path.join(dir, `history-${old}.jsonl`), '');
+        fs.writeFileSync(path.join(dir, `history-${recent}.jsonl`), '');
+        fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+
+        store.retentionDays = 7;
+        expect(await store.prune()).toBe(1);
+        expect(fs.readdirSync(dir).sort()).toEqual([`history-${recent}.jsonl`, 'notes.txt']);
+    });
+});
+
+describe('parseDuration and resolveTime', () => {
+    it('should parse short and long duration units', () => {
+        expect(parseDuration('30m')).toBe(30 * 60 * 1000);
+        expect(parseDuration('12h')).toBe(12 * HOUR);
+        expect(parseDuration('2 days')).toBe(2 * DAY);
+        expect(parseDuration('1w')).toBe(7 * DAY);
+        expect(parseDuration('yesterday')).toBeNull();
+    });
+
+    it('should resolve durations as "ago" and accept ISO times', () => {
+        const now = Date.UTC(2024, 5, 10, 12);
+        expect(resolveTime('6h', 0, now)).toBe(now - 6 * HOUR);
+        expect(resolveTime('2024-06-10T00:00:00Z', 0, now)).toBe(Date.UTC(2024, 5, 10));
+        expect(resolveTime(undefined, 42, now)).toBe(42);
+        expect(() => resolveTime('last tuesday', 0, now)).toThrow('not an ISO 8601 time');
+    });
+});
+
+describe('aggregate', () => {
+    it('should bucket numeric values into min/max/avg', () => {
+        const t = Date.UTC(2024, 5, 10, 12);
+        const buckets = aggregate([
+            {timestamp: t, value: 60},
+            {timestamp: t + 10 * 60 * 1000, value: 70},
+            {timestamp: t + HOUR, value: 65},
+            {timestamp: t + HOUR, value: 'n/a'},
+        ], HOUR);
+
+        expect(buckets).toEqual([
+            {start: t, min: 60, max: 70, avg: 65, count: 2},
+            {start: t + HOUR, min: 65, max: 65, avg: 65, count: 1},
+        ]);
+    });
+
+    it('should choose bucket sizes that fit the range', () => {
+        expect(chooseBucketSize(HOUR)).toBe(5 * 60 * 1000);
+        expect(chooseBucketSize(DAY)).toBe(3 * HOUR);
+        expect(chooseBucketSize(30 * DAY)).toBe(DAY);
+    });
+});
+
+describe('summarizeSeries', () => {
+    const formatTime = timestamp => new Date(timestamp).toISOString().slice(11, 16);
+    const t = Date.UTC(2024, 5, 10, 0);
+
+    it('should describe the range, average and latest reading', () => {
+        const points = [
+            {timestamp: t, value: 66},
+            {timestamp: t + 4 * HOUR, value: 61},
+            {timestamp: t + 8 * HOUR, value: 68},
+        ];
+
+        expect(summarizeSeries('Office air temperature', points, {unit: '°F', formatTime})).toBe(
+            'Office air temperature ranged from 61°F at 04:00 to 68°F at 08:00, averaging 65°F. ' +
+            'The latest reading was 68°F at 08:00.'
+        );
+    });
+
+    it('should count changes for on/off series', () => {
+        const points = [
+            {timestamp: t, value: false},
+            {timestamp: t + HOUR, value: true},
+            {timestamp: t + 2 * HOUR, value: false},
+        ];
+
+        expect(summarizeSeries('Porch Light state', points, {formatTime})).toBe(
+            'Porch Light state changed 2 times and was last reported off at 02:00.'
+        );
+    });
+
+    it('should say when a value held steady', () => {
+        expect(summarizeSeries('Humidity', [{timestamp: t, value: 40}, {timestamp: t + HOUR, value: 40}], {unit: '%'}))
+            .toBe('Humidity held steady at 40% across 2 readings.');
+    });
+});
+
+describe('selectSeries', () => {
+    const t = Date.UTC(2024, 5, 10, 0);
+    const points = [
+        {...entry({timestamp: t}), value: 68},
+        {...entry({timestamp: t, property: 'Humidity'}), value: 40},
+        {...entry({timestamp: t, commandClass: 'switch_binary', property: 'currentValue'}), value: true},
+        {...entry({timestamp: t, commandClass: 'meter', property: 'value', propertyKey: '66049'}), value: 12},
+    ];
+
+    it('should describe series in plain words', () => {
+        expect(describeSeries(points[0])).toBe('air temperature');
+        expect(describeSeries(points[2])).toBe('state');
+        expect(describeSeries(points[3])).toBe('power');
+    });
+
+    it('should prefer sensor readings when no property is given', () => {
+        expect(selectSeries(points).map(series => series.label)).toEqual(['air temperature', 'humidity']);
+    });
+
+    it('should filter by property', () => {
+        expect(selectSeries(points, 'temperature').map(series => series.label)).toEqual(['air temperature']);
+        expect(selectSeries(points, 'power').map(series => series.label)).toEqual(['power']);
+        expect(selectSeries(points, 'pressure')).toEqual([]);
+    });
+});
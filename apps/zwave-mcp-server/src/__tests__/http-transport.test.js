@@ -0,0 +1,143 @@
+import {Server} from '@modelcontextprotocol/sdk/server/index.js';
+import {Client} from '@modelcontextprotocol/sdk/client/index.js';
+import {StreamableHTTPClientTransport} from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import {ListToolsRequestSchema} from '@modelcontextprotocol/sdk/types.js';
+import {isAuthorized, startHttpServer} from '../http-transport.js';
+
+const TOKEN = 'test-token-0123456789';
+
+function createServer() {
+    const server = new Server({name: 'test', version: '1.0.0'}, {capabilities: {tools: {}}});
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({
+        tools: [{name: 'ping', description: 'Ping', inputSchema: {type: 'object', properties: {}}}],
+    }));
+    return server;
+}
+
+describe('isAuthorized', () => {
+    it('should accept the configured bearer token', () => {
+        expect(isAuthorized(`Bearer ${TOKEN}`, TOKEN)).toBe(true);
+        expect(isAuthorized(`bearer ${TOKEN}`, TOKEN)).toBe(true);
+    });
+
+    it('should reject missing, malformed or wrong tokens', () => {
+        expect(isAuthorized(undefined, TOKEN)).toBe(false);
+        expect(isAuthorized(TOKEN, TOKEN)).toBe(false);
+        expect(isAuthorized('Bearer nope', TOKEN)).toBe(false);
+        expect(isAuthorized(`Bearer ${TOKEN}`, undefined)).toBe(false);
+    });
+});
+
+describe('startHttpServer', () => {
+    let handle;
+    let url;
+
+    beforeEach(async () => {
+        handle = await startHttpServer({enabled: true, host: '127.0.0.1', port: 0, path: '/mcp', authToken: TOKEN}, createServer);
+        url = new URL(`http://127.0.0.1:${handle.httpServer.address().port}/mcp`);
+    });
+
+    afterEach(async () => {
+        await handle.close();
+    });
+
+    const connect = async (token = TOKEN) => {
+        const client = new Client({name: 'test-client', version: '1.0.0'});
+        await client.connect(new StreamableHTTPClientTransport(url, {
+            requestInit: {headers: {Authorization: `Bearer ${token}`}},
+        }));
+        return client;
+    };
+
+    it('should serve several clients, each with its own session', async () => {
+        const first = await connect();
+        const second = await connect();
+
+        await expect(first.listTools()).resolves.toMatchObject({tools: [{name: 'ping'}]});
+        await expect(second.listTools()).resolves.toMatchObject({tools: [{name: 'ping'}]});
+        expect(handle.sessions.size).toBe(2);
+
+        await first.close();
+        await second.close();
+    });
+
+    it('should reject requests without the bearer token', async () => {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json'},
+            body: JSON.stringify({jsonrpc: '2.0', id: 1, method: 'tools/list'}),
+        });
+
+        expect(response.status).toBe(401);
+        expect(response.headers.get('www-authenticate')).toBe('Bearer');
+        expect(handle.sessions.size).toBe(0);
+    });
+
+    it('should reject unknown sessions and non-initialize requests without a session', async () => {
+        const headers = {
+            'Authorization': `Bearer ${TOKEN}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream',
+        };
+        const body = JSON.stringify({jsonrpc: '2.0', id: 1, method: 'tools/list'});
+
+        expect((await fetch(url, {method: 'POST', headers, body})).status).toBe(400);
+        expect((await fetch(url, {method: 'POST', headers: {...headers, 'mcp-session-id': 'missing'}, body})).status).toBe(404);
+    });
+
+    it('should return 404 for other paths', async () => {
+        const response = await fetch(new URL('/other', url), {headers: {Authorization: `Bearer ${TOKEN}`}});
+        expect(response.status).toBe(404);
+    });
+
+    it('should close sessions left idle and keep ones with an open stream', async () => {
+        await handle.close();
+        let closedServers = 0;
+        handle = await startHttpServer(
+            {enabled: true, host: '127.0.0.1', port: 0, path: '/mcp', authToken: TOKEN, sessionIdleMs: 100},
+            () => {
+                const server = createServer();
+                server.onclose = () => {
+                    closedServers += 1;
+                };
+                return server;
+            },
+        );
+        url = new URL(`http://127.0.0.1:${handle.httpServer.address().port}/mcp`);
+
+        // A client that initializes and then disappears without a DELETE
+        const headers = {
+            'Authorization': `Bearer ${TOKEN}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream',
+        };
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'initialize',
+                params: {protocolVersion: '2025-03-26', capabilities: {}, clientInfo: {name: 'gone', version: '1.0.0'}},
+            }),
+        });
+        const abandoned = response.headers.get('mcp-session-id');
+        await response.text();
+
+        // The SDK client keeps a GET stream open for server notifications
+        const listening = await connect();
+        expect(handle.sessions.size).toBe(2);
+
+        await new Promise(resolve => setTimeout(resolve, 400));
+
+        expect(handle.sessions.has(abandoned)).toBe(false);
+        expect(handle.sessions.size).toBe(1);
+        expect(closedServers).toBe(1);
+        await expect(listening.listTools()).resolves.toMatchObject({tools: [{name: 'ping'}]});
+
+        const body = JSON.stringify({jsonrpc: '2.0', id: 2, method: 'tools/list'});
+        expect((await fetch(url, {method: 'POST', headers: {...headers, 'mcp-session-id': abandoned}, body})).status).toBe(404);
+
+        await listening.close();
+    });
+});
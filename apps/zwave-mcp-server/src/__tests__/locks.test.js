@@ -0,0 +1,163 @@
+import {jest} from '@jest/globals';
+import {formatLockState, getLockKind, normalizePin, readLockState, UnlockGuard} from '../locks.js';
+
+describe('Lock helpers', () => {
+    const lockNode = {
+        id: 12,
+        name: 'Front Door',
+        values: [
+            {commandClass: 98, property: 'currentMode', value: 255},
+            {commandClass: 98, property: 'doorStatus', value: 'closed'},
+        ],
+    };
+
+    const garageNode = {
+        id: 13,
+        name: 'Garage Door',
+        values: [
+            {commandClass: 102, property: 'currentState', value: 254},
+        ],
+    };
+
+    describe('getLockKind()', () => {
+        it('should detect door locks and barriers', () => {
+            expect(getLockKind(lockNode)).toBe('lock');
+            expect(getLockKind(garageNode)).toBe('barrier');
+        });
+
+        it('should return null for other devices', () => {
+            expect(getLockKind({values: {'37-0': {commandClass: 37}}})).toBeNull();
+            expect(getLockKind({})).toBeNull();
+        });
+    });
+
+    describe('readLockState()', () => {
+        it('should read a secured lock with door status', () => {
+            const state = readLockState(lockNode);
+            expect(state.kind).toBe('lock');
+            expect(state.secured).toBe(true);
+            expect(state.description).toBe('locked');
+            expect(state.doorStatus).toBe('closed');
+        });
+
+        it('should read an opening barrier as not secured', () => {
+            const state = readLockState(garageNode);
+            expect(state.kind).toBe('barrier');
+            expect(state.secured).toBe(false);
+            expect(state.description).toBe('opening');
+        });
+
+        it('should report unknown state when no value is reported', () => {
+            const state = readLockState({values: [{commandClass: 98, property: 'currentMode'}]});
+            expect(state.secured).toBeNull();
+            expect(state.description).toBe('in an unknown state');
+        });
+
+        it('should return null for non-lock nodes', () => {
+            expect(readLockState({values: {}})).toBeNull();
+        });
+    });
+
+    describe('formatLockState()', () => {
+        it('should include door status when reported', () => {
+            expect(formatLockState('Front Door', readLockState(lockNode))).toBe('Front Door is locked (door closed).');
+            expect(formatLockState('Garage Door', readLockState(garageNode))).toBe('Garage Door is opening.');
+        });
+    });
+
+    describe('normalizePin()', () => {
+        it('should normalize spoken and punctuated PINs to digits', () => {
+            expect(normalizePin('1234')).toBe('1234');
+            expect(normalizePin('1, 2, 3, 4')).toBe('1234');
+            expect(normalizePin('one two three four')).toBe('1234');
+            expect(normalizePin(5678)).toBe('5678');
+        });
+    });
+});
+
+describe('UnlockGuard', () => {
+    describe('without a PIN configured', () => {
+        let guard;
+
+        beforeEach(() => {
+            guard = new UnlockGuard({unlockPin: undefined, maxPinAttempts: 3, pinLockoutMs: 60000});
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should ask for confirmation with a token first, even if told the user confirmed', () => {
+            const result = guard.authorize('Front Door', {confirm: true});
+            expect(result.allowed).toBe(false);
+            expect(result.confirmationToken).toMatch(/^[0-9a-f]{8}$/);
+            expect(result.message).toContain(`confirmationToken "${result.confirmationToken}" within 2 minutes`);
+        });
+
+        it('should allow a second request carrying the token, once', () => {
+            const {confirmationToken} = guard.authorize('Front Door', {}, 'unlock', 'node 12');
+
+            expect(guard.authorize('Front Door', {confirmationToken}, 'unlock', 'node 12').allowed).toBe(true);
+            const reused = guard.authorize('Front Door', {confirmationToken}, 'unlock', 'node 12');
+            expect(reused.allowed).toBe(false);
+            expect(reused.message).toMatch(/not valid for Front Door/);
+        });
+
+        it('should refuse tokens issued for another device or verb, or made up', () => {
+            const {confirmationToken} = guard.authorize('Front Door', {}, 'unlock', 'node 12');
+
+            expect(guard.authorize('Front Door', {confirmationToken}, 'unlock', 'node 14').allowed).toBe(false);
+            expect(guard.authorize('Front Door', {confirmationToken}, 'open', 'node 12').allowed).toBe(false);
+            expect(guard.authorize('Front Door', {confirmationToken: 'deadbeef'}, 'unlock', 'node 12').allowed).toBe(false);
+            expect(guard.authorize('Front Door', {confirmationToken}, 'unlock', 'node 12').allowed).toBe(true);
+        });
+
+        it('should refuse expired tokens', () => {
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+            const {confirmationToken} = guard.authorize('Front Door', {});
+
+            Date.now.mockReturnValue(now + 2 * 60 * 1000);
+            expect(guard.authorize('Front Door', {confirmationToken}).allowed).toBe(false);
+            expect(guard.confirmations.size).toBe(0);
+        });
+    });
+
+    describe('with a PIN configured', () => {
+        let guard;
+
+        beforeEach(() => {
+            guard = new UnlockGuard({unlockPin: '2468', maxPinAttempts: 2, pinLockoutMs: 60000});
+        });
+
+        it('should ask for the PIN when missing, even if confirmed', () => {
+            const result = guard.authorize('Front Door', {confirm: true});
+            expect(result.allowed).toBe(false);
+            expect(result.message).toMatch(/PIN/);
+        });
+
+        it('should reject an incorrect PIN', () => {
+            const result = guard.authorize('Front Door', {pin: '1111'});
+            expect(result.allowed).toBe(false);
+            expect(result.message).toMatch(/incorrect/);
+        });
+
+        it('should accept the correct PIN in spoken form', () => {
+            expect(guard.authorize('Front Door', {pin: 'two four six eight'}).allowed).toBe(true);
+        });
+
+        it('should lock out after too many incorrect PINs', () => {
+            guard.authorize('Front Door', {pin: '0000'});
+            guard.authorize('Front Door', {pin: '0000'});
+
+            const result = guard.authorize('Front Door', {pin: '2468'});
+            expect(result.allowed).toBe(false);
+            expect(result.message).toMatch(/Too many incorrect PINs/);
+        });
+
+        it('should use the barrier verb in messages', () => {
+            const result = guard.authorize('Garage Door', {}, 'open');
+            expect(result.message).toMatch(/To open Garage Door/);
+        });
+    });
+});
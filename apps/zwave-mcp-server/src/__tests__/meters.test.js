@@ -0,0 +1,107 @@
+import {decodeMeterKey, describeMeterState, formatEnergyUsage, hasMeter, readMeterState} from '../meters.js';
+
+const KWH = 65537;
+const WATTS = 66049;
+const VOLTS = 66561;
+const PRODUCED_KWH = 131073;
+
+const meterValue = (propertyKey, value, endpoint = 0) => ({
+    commandClass: 50,
+    endpoint,
+    property: 'value',
+    propertyKey,
+    value,
+});
+
+describe('decodeMeterKey', () => {
+    it('should decode electric consumption keys', () => {
+        expect(decodeMeterKey(KWH)).toEqual({meterType: 1, scale: 0, rateType: 1});
+        expect(decodeMeterKey('66049')).toEqual({meterType: 1, scale: 2, rateType: 1});
+    });
+
+    it('should reject non-numeric keys', () => {
+        expect(decodeMeterKey('reset')).toBeNull();
+        expect(decodeMeterKey(undefined)).toBeNull();
+    });
+});
+
+describe('hasMeter', () => {
+    it('should detect Meter CC values', () => {
+        expect(hasMeter({id: 1, values: {a: meterValue(KWH, 1)}})).toBe(true);
+        expect(hasMeter({id: 2, values: {a: {commandClass: 37, property: 'currentValue'}}})).toBe(false);
+    });
+});
+
+describe('readMeterState', () => {
+    it('should read power, energy and voltage from node values', () => {
+        const values = {
+            a: meterValue(KWH, 12.345),
+            b: meterValue(WATTS, 142.1),
+            c: meterValue(VOLTS, 120.2),
+            d: {commandClass: 37, property: 'currentValue', value: true},
+        };
+
+        expect(readMeterState(values)).toEqual({power: 142.1, energy: 12.345, voltage: 120.2, current: null, updatedAt: null});
+    });
+
+    it('should prefer ccSpecific metadata when present', () => {
+        const values = {a: {...meterValue('x', 5), ccSpecific: {meterType: 1, scale: 2, rateType: 1}}};
+        expect(readMeterState(values).power).toBe(5);
+    });
+
+    it('should ignore produced energy and non-electric meters', () => {
+        const values = {
+            a: meterValue(PRODUCED_KWH, 99),
+            b: meterValue(0x010002, 3),
+        };
+        expect(readMeterState(values)).toBeNull();
+    });
+
+    it('should let newer MQTT reports override node values', () => {
+        const values = {a: meterValue(WATTS, 10)};
+        const stored = [{commandClass: 'meter', endpoint: 0, property: 'value', propertyKey: String(WATTS), value: 55, timestamp: 1234}];
+
+        expect(readMeterState(values, stored)).toMatchObject({power: 55, updatedAt: 1234});
+    });
+
+    it('should read MQTT reports when the node list has no meter values', () => {
+        const stored = [{commandClass: 'meter', endpoint: 0, property: 'value', propertyKey: String(KWH), value: 2.5, timestamp: 1}];
+        expect(readMeterState(undefined, stored).energy).toBe(2.5);
+    });
+
+    it('should use the endpoint 0 total for power strips, or sum outlets when there is none', () => {
+        const withTotal = {a: meterValue(WATTS, 30, 0), b: meterValue(WATTS, 10, 1), c: meterValue(WATTS, 20, 2)};
+        const outletsOnly = {b: meterValue(WATTS, 10, 1), c: meterValue(WATTS, 20, 2), d: meterValue(VOLTS, 120, 1), e: meterValue(VOLTS, 121, 2)};
+
+        expect(readMeterState(withTotal).power).toBe(30);
+        expect(readMeterState(outletsOnly)).toMatchObject({power: 30, voltage: 120});
+    });
+});
+
+describe('formatting', () => {
+    const meter = (power, energy) => ({power, energy, voltage: null, current: null, updatedAt: null});
+
+    it('should describe a single meter', () => {
+        expect(describeMeterState(meter(142.4, 12.345))).toBe('142 W, 12.35 kWh');
+        expect(describeMeterState(meter(3.21, null))).toBe('3.2 W');
+        expect(describeMeterState(meter(null, null))).toBe('no power or energy readings');
+    });
+
+    it('should speak a single device', () => {
+        expect(formatEnergyUsage('Coffee Maker', [{name: 'Coffee Maker', meter: meter(900, 4.2)}]))
+            .toBe('Coffee Maker is using 900 W and has used 4.2 kWh since its meter was last reset.');
+    });
+
+    it('should total a group with the biggest consumer first', () => {
+        const text = formatEnergyUsage('the Kitchen', [
+            {name: 'Lamp', meter: meter(5, 1)},
+            {name: 'Kettle', meter: meter(1500, 2.5)},
+        ]);
+
+        expect(text).toBe([
+            'Energy usage for the Kitchen (2 metered devices): 1505 W now, 3.5 kWh accumulated.',
+            '- Kettle: 1500 W, 2.5 kWh',
+            '- Lamp: 5 W, 1 kWh',
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,170 @@
+import {jest} from '@jest/globals';
+import {MQTTClientWrapper} from '../mqtt-client.js';
+
+// The broker address is unreachable on purpose: these tests drive the
+// underlying client's 'message' event directly instead of a real broker.
+describe('MQTTClientWrapper', () => {
+    let wrapper;
+
+    beforeEach(() => {
+        wrapper = new MQTTClientWrapper({brokerUrl: 'mqtt://127.0.0.1:1'});
+        wrapper.client.removeAllListeners('error');
+        wrapper.client.on('error', () => {
+        });
+    });
+
+    afterEach(() => {
+        wrapper.client.end(true);
+    });
+
+    describe('state cache', () => {
+        const emit = (topic, message) => {
+            wrapper.client.emit('message', topic, Buffer.from(JSON.stringify(message)), {retain: false});
+        };
+
+        it('should cache values from every command class', () => {
+            emit('zwave/Kitchen/Light/switch_binary/endpoint_0/currentValue', {time: Date.now(), value: true});
+            emit('zwave/Kitchen/Plug/meter/endpoint_0/value/65537', {time: Date.now(), value: 3.5});
+
+            expect(wrapper.stateStore.getValue('Kitchen', 'Light', 'switch_binary').value).toBe(true);
+            expect(wrapper.stateStore.getDeviceValues('Kitchen', 'Plug')).toHaveLength(1);
+        });
+
+        it('should notify state listeners until they unsubscribe', () => {
+            const seen = [];
+            const unsubscribe = wrapper.onStateChange(entry => seen.push(entry.value));
+
+            emit('zwave/Lamp/switch_binary/endpoint_0/currentValue', {value: true});
+            unsubscribe();
+            emit('zwave/Lamp/switch_binary/endpoint_0/currentValue', {value: false});
+
+            expect(seen).toEqual([true]);
+        });
+
+        it('should track device activity under the topic name', () => {
+            const activity = [];
+            wrapper.registryBuilder = {updateDeviceActivity: name => activity.push(name)};
+
+            emit('zwave/Office/Desk_Lamp/switch_binary/endpoint_0/currentValue', {value: true});
+
+            expect(activity).toEqual(['Desk_Lamp']);
+        });
+
+        it('should return fresh multilevel sensor readings by name', () => {
+            emit('zwave/Office/Temp_Sensor_1/sensor_multilevel/endpoint_0/Air_temperature', {time: Date.now(), value: 72.5, unit: '°F'});
+            emit('zwave/Office/Temp_Sensor_1/switch_binary/endpoint_0/currentValue', {time: Date.now() - 1000, value: true});
+
+            expect(wrapper.getCachedSensorValue('Temp Sensor 1')).toMatchObject({value: 72.5, unit: '°F'});
+            expect(wrapper.getCachedSensorValue('Temp_Sensor_1', 1000, 'Garage')).toBeNull();
+            expect(wrapper.getAllCachedSensors().size).toBe(1);
+        });
+
+        it('should treat old readings as stale', () => {
+            emit('zwave/Temp_Sensor_1/sensor_multilevel/endpoint_0/Air_temperature', {time: Date.now() - 60000, value: 70});
+
+            expect(wrapper.getCachedSensorValue('Temp_Sensor_1', 1000)).toBeNull();
+        });
+    });
+
+    describe('waitForState()', () => {
+        const topic = 'zwave/Living_Room/Lamp/switch_binary/endpoint_0/currentValue';
+
+        const emit = (value, retain = false, t = topic) => {
+            wrapper.client.emit('message', t, Buffer.from(JSON.stringify({time: Date.now(), value})), {retain});
+        };
+
+        it('should confirm when the device reports the expected value', async () => {
+            const pending = wrapper.waitForState(topic, value => value === true, 1000);
+            emit(true);
+
+            await expect(pending).resolves.toEqual({status: 'confirmed', value: true});
+        });
+
+        it('should report pending when the device reports a different value', async () => {
+            const pending = wrapper.waitForState(topic, value => value === true, 50);
+            emit(false);
+
+            await expect(pending).resolves.toEqual({status: 'pending', value: false});
+        });
+
+        it('should report no_response when nothing arrives', async () => {
+            await expect(wrapper.waitForState(topic, () => true, 50)).resolves.toEqual({status: 'no_response'});
+        });
+
+        it('should ignore retained messages and other topics', async () => {
+            const pending = wrapper.waitForState(topic, value => value === true, 50);
+            emit(true, true);
+            emit(true, false, 'zwave/Kitchen/Light/switch_binary/endpoint_0/currentValue');
+
+            await expect(pending).resolves.toEqual({status: 'no_response'});
+        });
+
+        it('should release the subscription and listener when done', async () => {
+            const listenersBefore = wrapper.client.listenerCount('message');
+            const pending = wrapper.waitForState(topic, () => true, 1000);
+            expect(wrapper.stateWaiters.get(topic)).toBe(1);
+
+            emit(true);
+            await pending;
+
+            expect(wrapper.stateWaiters.has(topic)).toBe(false);
+            expect(wrapper.client.listenerCount('message')).toBe(listenersBefore);
+        });
+
+        it('should keep topics that were subscribed separately', async () => {
+            const resultTopic = 'stat/desk_fan/RESULT';
+            const unsubscribed = [];
+            wrapper.subscribe(resultTopic, () => {
+            });
+            wrapper.client.unsubscribe = t => unsubscribed.push(t);
+
+            const pending = wrapper.waitForState(resultTopic, () => true, 1000);
+            emit('ON', false, resultTopic);
+            await pending;
+            await wrapper.waitForState(topic, () => true, 10);
+
+            expect(unsubscribed).toEqual([topic]);
+        });
+    });
+
+    describe('publish()', () => {
+        it('should pass retain through to the broker', async () => {
+            const sent = [];
+            wrapper.connected = true;
+            wrapper.client.publish = (topic, payload, options, callback) => {
+                sent.push({topic, payload, options});
+                callback();
+            };
+            jest.spyOn(console, 'warn').mockImplementation(() => {
+            });
+
+            await wrapper.publish('zwave-mcp/status', 'online', 1, {retain: true});
+            await wrapper.publish('zwave/Lamp/set', {value: true});
+
+            expect(sent).toEqual([
+                {topic: 'zwave-mcp/status', payload: 'online', options: {qos: 1, retain: true}},
+                {topic: 'zwave/Lamp/set', payload: '{"value":true}', options: {qos: 1, retain: false}},
+            ]);
+            console.warn.mockRestore();
+        });
+    });
+
+    describe('onConnect()', () => {
+        it('should call listeners on every connect until unsubscribed', () => {
+            const calls = [];
+            wrapper._subscribeToState = () => {
+            };
+            jest.spyOn(console, 'warn').mockImplementation(() => {
+            });
+            const unsubscribe = wrapper.onConnect(() => calls.push('connect'));
+
+            wrapper.client.emit('connect');
+            wrapper.client.emit('connect');
+            unsubscribe();
+            wrapper.client.emit('connect');
+
+            expect(calls).toEqual(['connect', 'connect']);
+            console.warn.mockRestore();
+        });
+    });
+});
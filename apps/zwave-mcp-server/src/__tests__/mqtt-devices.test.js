@@ -0,0 +1,131 @@
+import {jest} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {MqttDeviceBackend, validateMqttDevice} from '../mqtt-devices.js';
+
+const NOW = new Date(2024, 5, 10, 18, 0).getTime();
+
+describe('validateMqttDevice()', () => {
+    it('should expand Tasmota devices to their default topics', () => {
+        expect(validateMqttDevice({name: 'Desk Fan', location: 'Office', tasmota: 'desk_fan'})).toEqual({
+            name: 'Desk Fan',
+            location: 'Office',
+            commandTopic: 'cmnd/desk_fan/POWER',
+            payloadOn: 'ON',
+            payloadOff: 'OFF',
+            stateTopics: ['stat/desk_fan/RESULT', 'tele/desk_fan/STATE'],
+            stateKey: 'POWER',
+            brightnessScale: 100,
+            availabilityTopic: 'tele/desk_fan/LWT',
+            payloadAvailable: 'Online',
+        });
+
+        const strip = validateMqttDevice({name: 'Strip 2', tasmota: 'strip', relay: 2, dimmer: true});
+        expect(strip).toMatchObject({commandTopic: 'cmnd/strip/POWER2', stateKey: 'POWER2', brightnessCommandTopic: 'cmnd/strip/Dimmer'});
+    });
+
+    it('should accept generic devices with defaults', () => {
+        expect(validateMqttDevice({name: 'Porch Light', commandTopic: 'home/porch/set', stateTopic: 'home/porch'})).toEqual({
+            name: 'Porch Light',
+            location: '',
+            commandTopic: 'home/porch/set',
+            payloadOn: 'ON',
+            payloadOff: 'OFF',
+            stateTopics: ['home/porch'],
+            brightnessScale: 100,
+            payloadAvailable: 'online',
+        });
+    });
+
+    it('should reject incomplete entries', () => {
+        expect(() => validateMqttDevice({tasmota: 'fan'})).toThrow('name is required');
+        expect(() => validateMqttDevice({name: 'Fan'})).toThrow('commandTopic (or tasmota) is required');
+        expect(() => validateMqttDevice({name: 'Fan', commandTopic: 'home/+/set'})).toThrow('wildcards');
+        expect(() => validateMqttDevice({name: 'Fan', tasmota: 'a/b'})).toThrow('device topic');
+        expect(() => validateMqttDevice({name: 'Fan', tasmota: 'fan', relay: 0})).toThrow('relay');
+        expect(() => validateMqttDevice({name: 'Fan', commandTopic: 'fan/set', brightnessScale: -1})).toThrow('brightnessScale');
+    });
+});
+
+describe('MqttDeviceBackend', () => {
+    let tempDir;
+    let filePath;
+    let backend;
+
+    const write = devices => fs.writeFileSync(filePath, JSON.stringify({devices}));
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {
+        });
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-mqtt-devices-'));
+        filePath = path.join(tempDir, 'mqtt-devices.json');
+        backend = new MqttDeviceBackend(filePath, {now: () => NOW});
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, {recursive: true, force: true});
+        jest.restoreAllMocks();
+    });
+
+    it('should load devices, skipping invalid ones and duplicate names', async () => {
+        write([
+            {name: 'Desk Fan', location: 'Office', tasmota: 'desk_fan'},
+            {name: 'desk fan', tasmota: 'other_fan'},
+            {name: 'Porch Light', commandTopic: 'home/porch/set', stateTopic: 'home/porch', availabilityTopic: 'home/porch/status'},
+            {commandTopic: 'home/nameless/set'},
+        ]);
+
+        expect(await backend.load()).toBe(2);
+        expect(backend.topics).toEqual(['stat/desk_fan/RESULT', 'tele/desk_fan/STATE', 'tele/desk_fan/LWT', 'home/porch', 'home/porch/status']);
+    });
+
+    it('should treat a missing file as no devices and reject invalid JSON', async () => {
+        expect(await backend.load()).toBe(0);
+        fs.writeFileSync(filePath, '{nope');
+        await expect(backend.load()).rejects.toThrow('not valid JSON');
+    });
+
+    it('should track state and availability from reports', async () => {
+        write([
+            {name: 'Desk Lamp', location: 'Office', tasmota: 'desk_lamp', dimmer: true},
+            {name: 'Porch Light', commandTopic: 'home/porch/set', stateTopic: 'home/porch', payloadOn: 'true', payloadOff: 'false'},
+        ]);
+        await backend.load();
+
+        expect(backend.handleMessage('tele/desk_lamp/STATE', {Time: '2024-06-10T18:00:00', POWER: 'ON', Dimmer: 40})).toBe(true);
+        expect(backend.handleMessage('stat/desk_lamp/RESULT', {Upgrade: 'done'})).toBe(false);
+        backend.handleMessage('tele/desk_lamp/LWT', 'Online');
+        // "true" arrives parsed as JSON
+        backend.handleMessage('home/porch', true);
+
+        const [lamp, porch] = await backend.listDevices();
+        expect(lamp).toMatchObject({id: 'mqtt:Desk Lamp', backend: 'mqtt', type: 'dimmer', available: true, state: '40%', lastSeen: NOW});
+        expect(porch).toMatchObject({type: 'switch', available: null, state: 'ON'});
+
+        backend.handleMessage('tele/desk_lamp/LWT', 'Offline');
+        expect((await backend.listDevices())[0].available).toBe(false);
+    });
+
+    it('should build power and dimmer commands', async () => {
+        write([
+            {name: 'Desk Lamp', tasmota: 'desk_lamp', dimmer: true},
+            {name: 'Porch Light', commandTopic: 'home/porch/set'},
+        ]);
+        await backend.load();
+        const [lamp, porch] = await backend.listDevices();
+
+        const on = backend.buildCommand(lamp, 'on');
+        expect(on).toMatchObject({topic: 'cmnd/desk_lamp/POWER', payload: 'ON', stateTopic: 'stat/desk_lamp/RESULT'});
+        expect(on.matches({POWER: 'ON'})).toBe(true);
+        expect(on.matches({Dimmer: 40})).toBe(false);
+        expect(on.describe({POWER: 'ON', Dimmer: 40})).toBe('40%');
+
+        expect(backend.buildCommand(lamp, 'dim', 40)).toMatchObject({topic: 'cmnd/desk_lamp/Dimmer', payload: '40'});
+        expect(backend.buildCommand(lamp, 'dim', 0)).toMatchObject({topic: 'cmnd/desk_lamp/POWER', payload: 'OFF'});
+
+        // No state topic, so nothing to confirm against
+        expect(backend.buildCommand(porch, 'off')).toEqual({topic: 'home/porch/set', payload: 'OFF'});
+        expect(() => backend.buildCommand(porch, 'dim', 50)).toThrow('can only be turned on or off');
+    });
+});
@@ -0,0 +1,242 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    buildClarificationQuestion,
+    DeviceNameResolver,
+    editDistance,
+    phoneticKey,
+    scoreWords,
+    tokenize,
+} from '../name-resolver.js';
+
+const nodes = [
+    {id: 2, name: 'Demo Switch', loc: ''},
+    {id: 3, name: 'Light', loc: 'Kitchen'},
+    {id: 4, name: 'Light', loc: 'Bedroom'},
+    {id: 5, name: 'Desk Lamp', loc: 'Office'},
+    {id: 6, name: 'Living Room Floor Lamp', loc: 'Living Room'},
+    {id: 7, name: 'Porch Light', loc: 'Outside'},
+    {id: 8, name: 'Coffee Maker', loc: 'Kitchen'},
+];
+
+describe('tokenize()', () => {
+    it('should lower-case and drop punctuation and filler words', () => {
+        expect(tokenize('Turn the light in the Kitchen!')).toEqual(['turn', 'light', 'kitchen']);
+        expect(tokenize('My Desk-Lamp')).toEqual(['desk', 'lamp']);
+    });
+});
+
+describe('editDistance()', () => {
+    it('should count single-character edits', () => {
+        expect(editDistance('lamp', 'lamp')).toBe(0);
+        expect(editDistance('cofee', 'coffee')).toBe(1);
+        expect(editDistance('kitten', 'sitting')).toBe(3);
+        expect(editDistance('', 'lamp')).toBe(4);
+    });
+});
+
+describe('phoneticKey()', () => {
+    it('should give sound-alikes the same key', () => {
+        expect(phoneticKey('swish')).toBe('swx');
+        expect(phoneticKey('switch')).toBe('swx');
+        expect(phoneticKey('lite')).toBe(phoneticKey('light'));
+    });
+
+    it('should keep different words apart', () => {
+        expect(phoneticKey('lamp')).not.toBe(phoneticKey('light'));
+    });
+});
+
+describe('scoreWords()', () => {
+    it('should reserve 1 for an exact match', () => {
+        expect(scoreWords(['demo', 'switch'], ['demo', 'switch'])).toBe(1);
+        expect(scoreWords(['demo', 'swish'], ['demo', 'switch'])).toBeLessThan(1);
+    });
+
+    it('should prefer shorter names that explain the spoken words equally well', () => {
+        expect(scoreWords(['lamp'], ['desk', 'lamp'])).toBeGreaterThan(scoreWords(['lamp'], ['living', 'room', 'floor', 'lamp']));
+    });
+
+    it('should return 0 for nothing to compare', () => {
+        expect(scoreWords([], ['lamp'])).toBe(0);
+    });
+});
+
+describe('buildClarificationQuestion()', () => {
+    it('should list every candidate with its room', () => {
+        const candidates = [
+            {name: 'Light', location: 'Kitchen'},
+            {name: 'Light', location: 'Bedroom'},
+            {name: 'Porch Light', location: ''},
+        ];
+
+        expect(buildClarificationQuestion('light', candidates)).toBe(
+            'I\'m not sure which device you meant by "light". ' +
+            'Did you mean "Light" in the Kitchen, "Light" in the Bedroom or "Porch Light"?'
+        );
+    });
+});
+
+describe('DeviceNameResolver', () => {
+    let tempDir;
+    let filePath;
+    let resolver;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-aliases-'));
+        filePath = path.join(tempDir, 'aliases.json');
+        resolver = new DeviceNameResolver(filePath);
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    it('should treat a missing aliases file as no aliases', async () => {
+        expect(await resolver.load()).toBe(0);
+    });
+
+    it('should load aliases and skip invalid ones', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({aliases: {'The Lamp': 'Living Room Floor Lamp', broken: 42}}));
+
+        expect(await resolver.load()).toBe(1);
+        expect(resolver.aliases.get('lamp')).toBe('Living Room Floor Lamp');
+    });
+
+    it('should reject an aliases file that is not JSON', async () => {
+        fs.writeFileSync(filePath, '{not json');
+        await expect(resolver.load()).rejects.toThrow('not valid JSON');
+    });
+
+    it('should match exact names', () => {
+        const result = resolver.resolve('demo switch', nodes);
+        expect(result).toMatchObject({status: 'match', matchedBy: 'exact'});
+        expect(result.match.node.id).toBe(2);
+    });
+
+    it('should match mis-transcribed names', () => {
+        const switchResult = resolver.resolve('demo swish', nodes);
+        expect(switchResult).toMatchObject({status: 'match', matchedBy: 'fuzzy'});
+        expect(switchResult.match.node.id).toBe(2);
+        expect(switchResult.match.confidence).toBeGreaterThanOrEqual(0.85);
+
+        expect(resolver.resolve('cofee maker', nodes).match.node.id).toBe(8);
+        expect(resolver.resolve('porch lite', nodes).match.node.id).toBe(7);
+    });
+
+    it('should use aliases before fuzzy matching', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({aliases: {lamp: 'Living Room Floor Lamp'}}));
+        await resolver.load();
+
+        const result = resolver.resolve('the lamp', nodes);
+        expect(result).toMatchObject({status: 'match', matchedBy: 'alias'});
+        expect(result.match.node.id).toBe(6);
+    });
+
+    it('should ask when a short name fits several devices', () => {
+        const result = resolver.resolve('lamp', nodes);
+        expect(result.status).toBe('ambiguous');
+        expect(result.candidates.map(candidate => candidate.node.id)).toEqual([5, 6]);
+    });
+
+    it('should ask when the same name exists in several rooms', () => {
+        const result = resolver.resolve('light', nodes);
+        expect(result.status).toBe('ambiguous');
+        expect(result.candidates.map(candidate => candidate.location)).toEqual(['Kitchen', 'Bedroom']);
+    });
+
+    it('should use the room to tell same-named devices apart', () => {
+        expect(resolver.resolve('kitchen light', nodes).match.node.id).toBe(3);
+        expect(resolver.resolve('the light in the bedroom', nodes).match.node.id).toBe(4);
+    });
+
+    it('should resolve outlets of multi-endpoint devices by name', () => {
+        const strip = {id: 9, name: 'Power Strip', loc: 'Office'};
+        const subDevices = [1, 2].map(endpoint => ({node: strip, name: `Power Strip outlet ${endpoint}`, endpoint}));
+
+        const outlet = resolver.resolve('power strip outlet 2', [...nodes, strip], {subDevices});
+        expect(outlet).toMatchObject({status: 'match', matchedBy: 'exact'});
+        expect(outlet.match).toMatchObject({name: 'Power Strip outlet 2', endpoint: 2});
+        expect(outlet.match.node.id).toBe(9);
+
+        const whole = resolver.resolve('power strip', [...nodes, strip], {subDevices});
+        expect(whole.match.endpoint).toBeUndefined();
+    });
+
+    it('should resolve devices from other backends alongside Z-Wave nodes', () => {
+        const devices = [
+            {id: 'zigbee2mqtt:Bedroom/Bedside Lamp', backend: 'zigbee2mqtt', name: 'Bedside Lamp', location: 'Bedroom'},
+            {id: 'mqtt:Desk Fan', backend: 'mqtt', name: 'Desk Fan', location: 'Office'},
+        ];
+
+        const fan = resolver.resolve('office desk fan', nodes, {devices});
+        expect(fan).toMatchObject({status: 'match', matchedBy: 'exact'});
+        expect(fan.match.device.id).toBe('mqtt:Desk Fan');
+        expect(fan.match.node).toBeUndefined();
+
+        expect(resolver.resolve('bedside lamp', nodes, {devices}).match.device.backend).toBe('zigbee2mqtt');
+        expect(resolver.resolve('kitchen light', nodes, {devices}).match.node.id).toBe(3);
+    });
+
+    it('should return nothing for unknown devices', () => {
+        expect(resolver.resolve('garage door', nodes).status).toBe('none');
+    });
+
+    describe('registry names', () => {
+        let namesPath;
+
+        beforeEach(() => {
+            namesPath = path.join(tempDir, 'data', 'registry-names.json');
+            resolver = new DeviceNameResolver(filePath, namesPath);
+        });
+
+        it('should resolve friendly names and aliases to their node, even when the Z-Wave name is shared', async () => {
+            expect(await resolver.setRegistryNames([{nodeId: 4, names: ['Guest Room Light', ' reading light ']}])).toBe(2);
+
+            const friendly = resolver.resolve('the guest room light', nodes);
+            expect(friendly).toMatchObject({status: 'match', matchedBy: 'registry'});
+            expect(friendly.match.node.id).toBe(4);
+            expect(resolver.resolve('reading light', nodes).match.node.id).toBe(4);
+            expect(JSON.parse(fs.readFileSync(namesPath, 'utf8'))).toEqual({
+                devices: [{nodeId: 4, names: ['Guest Room Light', 'reading light']}],
+            });
+        });
+
+        it('should pick up names saved by another process', async () => {
+            await resolver.refreshRegistryNames();
+            expect(resolver.resolve('reading light', nodes).status).not.toBe('match');
+
+            const other = new DeviceNameResolver(filePath, namesPath);
+            const saved = new Date();
+            await other.setRegistryNames([{nodeId: 5, names: ['reading light']}]);
+            fs.utimesSync(namesPath, saved, saved);
+
+            await resolver.refreshRegistryNames();
+            expect(resolver.resolve('reading light', nodes).match.node.id).toBe(5);
+
+            // A second save in the same mtime tick is still noticed
+            await other.setRegistryNames([{nodeId: 8, names: ['reading light']}]);
+            fs.utimesSync(namesPath, saved, saved);
+
+            await resolver.refreshRegistryNames();
+            expect(resolver.resolve('reading light', nodes).match.node.id).toBe(8);
+
+            await other.setRegistryNames([]);
+            await resolver.refreshRegistryNames();
+            expect(resolver.resolve('reading light', nodes).status).not.toBe('match');
+        });
+
+        it('should reject malformed names and keep the saved ones when the file is broken', async () => {
+            await expect(resolver.setRegistryNames([{names: ['lamp']}])).rejects.toThrow('nodeId');
+            await expect(resolver.setRegistryNames({})).rejects.toThrow('must be a list');
+
+            await resolver.setRegistryNames([{nodeId: 5, names: ['reading light']}]);
+            fs.writeFileSync(namesPath, '{broken');
+            fs.utimesSync(namesPath, new Date(), new Date(Date.now() + 60 * 1000));
+
+            await resolver.refreshRegistryNames();
+            expect(resolver.resolve('reading light', nodes).match.node.id).toBe(5);
+        });
+    });
+});
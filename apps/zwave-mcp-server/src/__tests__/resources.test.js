@@ -0,0 +1,87 @@
+import {jest} from '@jest/globals';
+import {buildDeviceUri, DEVICE_LIST_URI, parseDeviceUri, ResourceSubscriptions} from '../resources.js';
+
+describe('device resource URIs', () => {
+    it('should round-trip device names with spaces and symbols', () => {
+        const uri = buildDeviceUri('Living Room Lamp #2');
+
+        expect(uri).toBe('zwave://device/Living%20Room%20Lamp%20%232');
+        expect(parseDeviceUri(uri)).toBe('Living Room Lamp #2');
+    });
+
+    it('should reject other URIs', () => {
+        expect(parseDeviceUri(DEVICE_LIST_URI)).toBeNull();
+        expect(parseDeviceUri('zwave://device/')).toBeNull();
+        expect(parseDeviceUri('zwave://device/a/b')).toBeNull();
+        expect(parseDeviceUri('https://example.com')).toBeNull();
+    });
+});
+
+describe('ResourceSubscriptions', () => {
+    let sent;
+    let subscriptions;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        sent = [];
+        subscriptions = new ResourceSubscriptions(async uri => {
+            sent.push(uri);
+        }, 100);
+    });
+
+    afterEach(() => {
+        subscriptions.clear();
+        jest.useRealTimers();
+    });
+
+    it('should notify subscribed device and list resources when a device changes', async () => {
+        subscriptions.subscribe(buildDeviceUri('Desk Lamp'));
+        subscriptions.subscribe(buildDeviceUri('Kitchen Light'));
+        subscriptions.subscribe(DEVICE_LIST_URI);
+
+        // Topics carry the sanitized name
+        subscriptions.deviceChanged('Desk_Lamp');
+        await jest.advanceTimersByTimeAsync(100);
+
+        expect(sent.sort()).toEqual([buildDeviceUri('Desk Lamp'), DEVICE_LIST_URI].sort());
+    });
+
+    it('should coalesce bursts of changes into one notification per URI', async () => {
+        subscriptions.subscribe(buildDeviceUri('Plug'));
+
+        subscriptions.deviceChanged('Plug');
+        subscriptions.deviceChanged('Plug');
+        subscriptions.deviceChanged('plug');
+        await jest.advanceTimersByTimeAsync(100);
+
+        expect(sent).toEqual([buildDeviceUri('Plug')]);
+    });
+
+    it('should not notify unsubscribed resources', async () => {
+        const uri = buildDeviceUri('Plug');
+        subscriptions.subscribe(uri);
+        subscriptions.deviceChanged('Plug');
+        subscriptions.unsubscribe(uri);
+        await jest.advanceTimersByTimeAsync(100);
+
+        expect(sent).toEqual([]);
+    });
+
+    it('should reject unknown resources', () => {
+        expect(() => subscriptions.subscribe('zwave://bogus')).toThrow('Unknown resource');
+    });
+
+    it('should keep notifying after a send fails', async () => {
+        const errors = jest.spyOn(console, 'error').mockImplementation(() => {
+        });
+        const failing = new ResourceSubscriptions(async () => {
+            throw new Error('closed');
+        }, 0);
+        failing.subscribe(DEVICE_LIST_URI);
+        failing.deviceChanged('Lamp');
+
+        await expect(failing.flush()).resolves.toBeUndefined();
+        expect(errors).toHaveBeenCalled();
+        errors.mockRestore();
+    });
+});
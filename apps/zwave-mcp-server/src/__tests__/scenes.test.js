@@ -0,0 +1,127 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {describeSceneStep, SceneManager, validateSceneSteps} from '../scenes.js';
+
+describe('Scenes', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-scenes-'));
+        filePath = path.join(tempDir, 'scenes.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    describe('validateSceneSteps()', () => {
+        it('should accept on/off/dim steps', () => {
+            const steps = validateSceneSteps([
+                {device: ' Lamp ', action: 'dim', level: '20'},
+                {device: 'Fan', action: 'off'},
+            ]);
+            expect(steps).toEqual([
+                {device: 'Lamp', action: 'dim', level: 20},
+                {device: 'Fan', action: 'off'},
+            ]);
+        });
+
+        it('should reject empty scenes', () => {
+            expect(() => validateSceneSteps([])).toThrow('at least one step');
+        });
+
+        it('should reject invalid actions', () => {
+            expect(() => validateSceneSteps([{device: 'Lamp', action: 'unlock'}])).toThrow('Step 1 has invalid action');
+        });
+
+        it('should require a level for dim steps', () => {
+            expect(() => validateSceneSteps([{device: 'Lamp', action: 'dim'}])).toThrow('level must be between 0 and 100');
+        });
+    });
+
+    describe('SceneManager', () => {
+        it('should treat a missing file as no scenes', async () => {
+            const manager = new SceneManager(filePath);
+            expect(await manager.load()).toBe(0);
+            expect(manager.listScenes()).toEqual([]);
+        });
+
+        it('should load scenes and skip invalid ones', async () => {
+            fs.writeFileSync(filePath, JSON.stringify({
+                scenes: [
+                    {name: 'Movie Mode', steps: [{device: 'Lamp', action: 'dim', level: 20}]},
+                    {name: 'Broken', steps: []},
+                ],
+            }));
+
+            const manager = new SceneManager(filePath);
+            expect(await manager.load()).toBe(1);
+            expect(manager.findScene('movie mode').name).toBe('Movie Mode');
+            expect(manager.findScene('Broken')).toBeUndefined();
+        });
+
+        it('should persist defined scenes', async () => {
+            const manager = new SceneManager(filePath);
+            await manager.load();
+
+            const {scene, replaced} = await manager.defineScene('Good Night', [{device: 'Lamp', action: 'off'}], 'Bedtime');
+            expect(replaced).toBe(false);
+            expect(scene.description).toBe('Bedtime');
+
+            const reloaded = new SceneManager(filePath);
+            await reloaded.load();
+            expect(reloaded.findScene('good night').steps).toEqual([{device: 'Lamp', action: 'off'}]);
+        });
+
+        it('should report when a scene is replaced', async () => {
+            const manager = new SceneManager(filePath);
+            await manager.defineScene('Good Night', [{device: 'Lamp', action: 'off'}]);
+            const {replaced} = await manager.defineScene('good night', [{device: 'Lamp', action: 'on'}]);
+            expect(replaced).toBe(true);
+            expect(manager.listScenes()).toHaveLength(1);
+        });
+
+        it('should refuse to overwrite an unreadable scenes file', async () => {
+            fs.writeFileSync(filePath, '{ not json');
+
+            const manager = new SceneManager(filePath);
+            await expect(manager.load()).rejects.toThrow('not valid JSON');
+            await expect(manager.defineScene('New', [{device: 'Lamp', action: 'on'}])).rejects.toThrow('could not be read');
+            expect(fs.readFileSync(filePath, 'utf8')).toBe('{ not json');
+        });
+
+        it('should run every step and report each result', async () => {
+            const manager = new SceneManager(filePath);
+            const scene = {
+                name: 'Movie Mode',
+                steps: [
+                    {device: 'Lamp', action: 'dim', level: 20},
+                    {device: 'Dead Node', action: 'off'},
+                    {device: 'Fan', action: 'off'},
+                ],
+            };
+
+            const executed = [];
+            const results = await manager.activate(scene, async (step) => {
+                executed.push(step.device);
+                if (step.device === 'Dead Node') {
+                    throw new Error('offline');
+                }
+                return {success: true, message: 'sent'};
+            });
+
+            expect(executed).toEqual(['Lamp', 'Dead Node', 'Fan']);
+            expect(results.map(result => result.success)).toEqual([true, false, true]);
+            expect(results[1].message).toBe('Error: offline');
+        });
+    });
+
+    describe('describeSceneStep()', () => {
+        it('should describe steps for display', () => {
+            expect(describeSceneStep({device: 'Lamp', action: 'dim', level: 20})).toBe('dim Lamp to 20%');
+            expect(describeSceneStep({device: 'Fan', action: 'on'})).toBe('turn on Fan');
+        });
+    });
+});
@@ -0,0 +1,297 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {jest} from '@jest/globals';
+import {describeJobTiming, DeviceScheduler, nextCronRun, parseCron, resolveClockTime} from '../schedules.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Local times so the tests pass in any time zone. June 10, 2024 is a Monday.
+const at = (day, hours, minutes = 0) => new Date(2024, 5, day, hours, minutes).getTime();
+
+describe('parseCron()', () => {
+    it('should parse lists, ranges, steps and names', () => {
+        const schedule = parseCron('*/15 6-8 * jan,jul mon-fri');
+        expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+        expect([...schedule.hours]).toEqual([6, 7, 8]);
+        expect([...schedule.months]).toEqual([1, 7]);
+        expect([...schedule.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should treat 7 as Sunday', () => {
+        expect([...parseCron('0 9 * * 7').daysOfWeek]).toEqual([0]);
+    });
+
+    it('should reject malformed expressions', () => {
+        expect(() => parseCron('0 6 * *')).toThrow('must have 5 fields');
+        expect(() => parseCron('0 25 * * *')).toThrow('out of range 0-23');
+        expect(() => parseCron('*/0 * * * *')).toThrow('invalid step');
+    });
+});
+
+describe('nextCronRun()', () => {
+    it('should find the next weekday run', () => {
+        // Friday 7am -> Monday 6am
+        expect(nextCronRun('0 6 * * 1-5', at(14, 7))).toBe(at(17, 6));
+        // Monday 5:59am -> Monday 6am
+        expect(nextCronRun('0 6 * * 1-5', at(10, 5, 59))).toBe(at(10, 6));
+    });
+
+    it('should run strictly after the given time', () => {
+        expect(nextCronRun('30 21 * * *', at(10, 21, 30))).toBe(at(11, 21, 30));
+    });
+
+    it('should match either restricted day field, like cron', () => {
+        // 1st of the month or any Sunday, from Monday June 10th -> Sunday June 16th
+        expect(nextCronRun('0 12 1 * 0', at(10, 13))).toBe(at(16, 12));
+    });
+
+    it('should return null for schedules that never run', () => {
+        expect(nextCronRun('0 0 30 2 *', at(10, 0))).toBeNull();
+    });
+});
+
+describe('resolveClockTime()', () => {
+    it('should resolve to the next occurrence', () => {
+        expect(resolveClockTime('6am', at(10, 5))).toBe(at(10, 6));
+        expect(resolveClockTime('6:30 pm', at(10, 19))).toBe(at(11, 18, 30));
+        expect(resolveClockTime('21:15', at(10, 12))).toBe(at(10, 21, 15));
+    });
+
+    it('should reject ambiguous or invalid times', () => {
+        expect(resolveClockTime('6', at(10, 5))).toBeNull();
+        expect(resolveClockTime('13pm', at(10, 5))).toBeNull();
+        expect(resolveClockTime('tomorrow', at(10, 5))).toBeNull();
+    });
+});
+
+describe('describeJobTiming()', () => {
+    const formatTime = timestamp => new Date(timestamp).getHours() + 'h';
+
+    it('should describe one-shot and recurring jobs', () => {
+        expect(describeJobTiming({runAt: at(10, 6)}, formatTime)).toBe('at 6h');
+        expect(describeJobTiming({runAt: at(10, 6), cron: '0 6 * * 1-5'}, formatTime)).toBe('on schedule "0 6 * * 1-5", next 6h');
+    });
+});
+
+describe('DeviceScheduler', () => {
+    let tempDir;
+    let filePath;
+    let now;
+    let executeAction;
+    let scheduler;
+
+    const createScheduler = () => new DeviceScheduler(filePath, {executeAction, now: () => now});
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-schedules-'));
+        filePath = path.join(tempDir, 'schedules.json');
+        now = at(10, 12);
+        executeAction = jest.fn(async () => ({success: true, message: 'ok'}));
+        scheduler = createScheduler();
+    });
+
+    afterEach(() => {
+        scheduler.close();
+        fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    it('should persist jobs with increasing ids', async () => {
+        await scheduler.load();
+        const first = await scheduler.schedule({device: 'Porch Light', action: 'off'}, {runAt: now + 20 * MINUTE});
+        const second = await scheduler.schedule({device: 'Coffee Maker', action: 'on'}, {cron: '0 6 * * 1-5'});
+
+        expect(first.id).toBe(1);
+        expect(second).toMatchObject({id: 2, cron: '0 6 * * 1-5', runAt: at(11, 6)});
+
+        const reloaded = createScheduler();
+        expect(await reloaded.load()).toBe(2);
+        expect(reloaded.nextId).toBe(3);
+        reloaded.close();
+    });
+
+    it('should reject past times and invalid steps', async () => {
+        await scheduler.load();
+        await expect(scheduler.schedule({device: 'Lamp', action: 'on'}, {runAt: now - MINUTE})).rejects.toThrow('in the future');
+        await expect(scheduler.schedule({device: 'Lamp', action: 'dim'}, {runAt: now + MINUTE})).rejects.toThrow('level');
+        await expect(scheduler.schedule({device: 'Lamp', action: 'on'}, {cron: 'often'})).rejects.toThrow('5 fields');
+    });
+
+    it('should run due one-shot jobs once and remove them', async () => {
+        await scheduler.load();
+        await scheduler.schedule({device: 'Porch Light', action: 'off'}, {runAt: now + 20 * MINUTE});
+
+        now += 20 * MINUTE;
+        await scheduler.runDueJobs();
+
+        expect(executeAction).toHaveBeenCalledWith({device: 'Porch Light', action: 'off'});
+        expect(scheduler.listJobs()).toEqual([]);
+    });
+
+    it('should reschedule recurring jobs and record the result', async () => {
+        await scheduler.load();
+        await scheduler.schedule({device: 'Lamp', action: 'dim', level: 30}, {cron: '0 18 * * *'});
+        executeAction.mockResolvedValueOnce({success: false, message: 'offline'});
+
+        now = at(10, 18);
+        await scheduler.runDueJobs();
+
+        expect(executeAction).toHaveBeenCalledWith({device: 'Lamp', action: 'dim', level: 30});
+        expect(scheduler.listJobs()[0]).toMatchObject({runAt: at(11, 18), lastRun: now, lastResult: 'failed: offline'});
+    });
+
+    it('should cancel jobs', async () => {
+        await scheduler.load();
+        const job = await scheduler.schedule({device: 'Porch Light', action: 'off'}, {runAt: now + HOUR});
+
+        expect(await scheduler.cancel(job.id)).toMatchObject({id: job.id});
+        expect(await scheduler.cancel(job.id)).toBeUndefined();
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).jobs).toEqual([]);
+    });
+
+    it('should catch up after a restart', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({
+            nextId: 4,
+            jobs: [
+                {id: 1, device: 'Porch Light', action: 'off', runAt: now - 5 * MINUTE, createdAt: now - HOUR},
+                {id: 2, device: 'Fan', action: 'off', runAt: now - 2 * HOUR, createdAt: now - 3 * HOUR},
+                {id: 3, device: 'Coffee Maker', action: 'on', cron: '0 6 * * *', runAt: at(10, 6), createdAt: now - HOUR},
+            ],
+        }));
+
+        expect(await scheduler.load()).toBe(2);
+
+        // Recently missed one-shot runs now; the long-missed one is dropped; recurring skips ahead
+        expect(scheduler.listJobs().map(job => job.id)).toEqual([1, 3]);
+        expect(scheduler.jobs.get(3).runAt).toBe(at(11, 6));
+
+        await scheduler.runDueJobs();
+        expect(executeAction).toHaveBeenCalledTimes(1);
+        expect(executeAction).toHaveBeenCalledWith({device: 'Porch Light', action: 'off'});
+    });
+
+    it('should run jobs by the node they were scheduled for', async () => {
+        await scheduler.load();
+        await scheduler.schedule({device: 'Light', action: 'off'}, {runAt: now + MINUTE}, {nodeId: 7, location: 'Kitchen'});
+
+        now += MINUTE;
+        await scheduler.runDueJobs();
+
+        expect(executeAction).toHaveBeenCalledWith({device: 'Light', action: 'off', nodeId: 7, location: 'Kitchen'});
+    });
+
+    it('should run outlets of multi-channel devices by node and endpoint', async () => {
+        await scheduler.load();
+        const job = await scheduler.schedule({device: 'Power Strip outlet 2', action: 'on'}, {runAt: now + MINUTE}, {nodeId: 9, location: 'Office', endpoint: 2});
+        expect(job).toMatchObject({nodeId: 9, endpoint: 2});
+
+        now += MINUTE;
+        await scheduler.runDueJobs();
+
+        expect(executeAction).toHaveBeenCalledWith({device: 'Power Strip outlet 2', action: 'on', nodeId: 9, location: 'Office', endpoint: 2});
+    });
+
+    it('should keep jobs that could not be sent yet and retry them on resume', async () => {
+        await scheduler.load();
+        await scheduler.schedule({device: 'Porch Light', action: 'off'}, {runAt: now + MINUTE});
+        executeAction.mockResolvedValueOnce({success: false, message: 'MQTT not connected', deferred: true});
+
+        now += MINUTE;
+        await scheduler.runDueJobs();
+        expect(scheduler.listJobs()).toHaveLength(1);
+        expect(scheduler.retryAt).toBe(now + 60 * 1000);
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).jobs).toHaveLength(1);
+
+        now += 5 * MINUTE;
+        await scheduler.resume();
+        expect(executeAction).toHaveBeenCalledTimes(2);
+        expect(scheduler.listJobs()).toEqual([]);
+
+        // Nothing is waiting, so another resume does nothing
+        await scheduler.resume();
+        expect(executeAction).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep jobs missed at startup until they can be sent', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({
+            nextId: 2,
+            jobs: [{id: 1, device: 'Porch Light', nodeId: 4, location: 'Front', action: 'off', runAt: now - 5 * MINUTE, createdAt: now - HOUR}],
+        }));
+        executeAction.mockResolvedValueOnce({success: false, message: 'MQTT not connected', deferred: true});
+
+        await scheduler.load();
+        await scheduler.runDueJobs();
+        expect(scheduler.listJobs().map(job => job.id)).toEqual([1]);
+
+        await scheduler.resume();
+        expect(executeAction).toHaveBeenLastCalledWith({device: 'Porch Light', action: 'off', nodeId: 4, location: 'Front'});
+        expect(scheduler.listJobs()).toEqual([]);
+    });
+
+    it('should give up on deferred runs once they are past the grace period', async () => {
+        await scheduler.load();
+        await scheduler.schedule({device: 'Porch Light', action: 'off'}, {runAt: now + MINUTE});
+        await scheduler.schedule({device: 'Lamp', action: 'on'}, {cron: '5 12 * * *'});
+        executeAction.mockResolvedValue({success: false, message: 'MQTT not connected', deferred: true});
+
+        now += 5 * MINUTE;
+        await scheduler.runDueJobs();
+        expect(scheduler.listJobs()).toHaveLength(2);
+
+        now += HOUR;
+        executeAction.mockClear();
+        await scheduler.resume();
+
+        expect(executeAction).not.toHaveBeenCalled();
+        expect(scheduler.listJobs()).toEqual([expect.objectContaining({device: 'Lamp', runAt: at(11, 12, 5), lastResult: 'missed'})]);
+    });
+
+    it('should share the file with other server processes without losing jobs or reusing ids', async () => {
+        const other = new DeviceScheduler(filePath, {executeAction, now: () => now, instanceId: 'other'});
+        await scheduler.load();
+        await other.load();
+
+        const [first, second] = await Promise.all([
+            scheduler.schedule({device: 'Porch Light', action: 'off'}, {runAt: now + MINUTE}),
+            other.schedule({device: 'Fan', action: 'off'}, {runAt: now + MINUTE}),
+        ]);
+        expect([first.id, second.id].sort()).toEqual([1, 2]);
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).jobs.map(job => job.device).sort()).toEqual(['Fan', 'Porch Light']);
+
+        await other.refresh();
+        expect(other.listJobs()).toHaveLength(2);
+        expect(await other.cancel(first.id)).toMatchObject({device: 'Porch Light'});
+
+        now += MINUTE;
+        await Promise.all([scheduler.runDueJobs(), other.runDueJobs()]);
+        expect(executeAction).toHaveBeenCalledTimes(1);
+        expect(executeAction).toHaveBeenCalledWith({device: 'Fan', action: 'off'});
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).jobs).toEqual([]);
+        other.close();
+    });
+
+    it('should leave jobs claimed by another process alone until the claim lapses', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({
+            nextId: 2,
+            jobs: [{id: 1, device: 'Porch Light', action: 'off', runAt: now - MINUTE, createdAt: now - HOUR, claimedBy: 'other', claimedUntil: now + MINUTE}],
+        }));
+
+        await scheduler.load();
+        await scheduler.runDueJobs();
+        expect(executeAction).not.toHaveBeenCalled();
+
+        now += 2 * MINUTE;
+        await scheduler.runDueJobs();
+        expect(executeAction).toHaveBeenCalledWith({device: 'Porch Light', action: 'off'});
+        expect(scheduler.listJobs()).toEqual([]);
+    });
+
+    it('should not overwrite a file it could not parse', async () => {
+        fs.writeFileSync(filePath, '{not json');
+
+        await expect(scheduler.load()).rejects.toThrow('not valid JSON');
+        await expect(scheduler.schedule({device: 'Lamp', action: 'on'}, {runAt: now + HOUR})).rejects.toThrow('could not be read');
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('{not json');
+    });
+});
@@ -0,0 +1,181 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    describeSecurityState,
+    formatSecurityEvents,
+    formatSecurityStatus,
+    listSecurityDevices,
+    readSecurityState,
+    readSensorValue,
+    SecurityEventLog,
+} from '../security-sensors.js';
+
+const NOW = new Date(2024, 5, 10, 18, 0).getTime();
+const MINUTE = 60 * 1000;
+
+const doorState = value => ({commandClass: 113, endpoint: 0, property: 'Access Control', propertyKey: 'Door state', value});
+const binary = (property, value) => ({commandClass: 48, endpoint: 0, property, value});
+const notification = (property, propertyKey, value) => ({commandClass: 113, endpoint: 0, property, propertyKey, value});
+
+const report = (value, timestamp, device = 'Back_Door', location = 'Kitchen') => ({
+    location,
+    device,
+    commandClass: 'notification',
+    endpoint: 0,
+    property: 'Access_Control',
+    propertyKey: 'Door_state',
+    value,
+    timestamp,
+    topic: `zwave/${location}/${device}/notification/endpoint_0/Access_Control/Door_state`,
+});
+
+describe('readSensorValue()', () => {
+    it('should read Binary Sensor values', () => {
+        expect(readSensorValue(binary('Door/Window', true))).toEqual({kind: 'door', active: true, text: 'open'});
+        expect(readSensorValue(binary('Motion', false))).toEqual({kind: 'motion', active: false, text: 'no motion'});
+        expect(readSensorValue(binary('Water', true)).text).toBe('water leak detected');
+        expect(readSensorValue(binary('Any', true))).toBeNull();
+    });
+
+    it('should read Notification events', () => {
+        expect(readSensorValue(doorState(22))).toMatchObject({kind: 'door', active: true});
+        expect(readSensorValue(doorState(23))).toMatchObject({kind: 'door', active: false});
+        expect(readSensorValue(notification('Home Security', 'Motion sensor status', 8))).toMatchObject({kind: 'motion', active: true});
+        expect(readSensorValue(notification('Home Security', 'Cover status', 3)).text).toBe('tampered with');
+        expect(readSensorValue(notification('Smoke Alarm', 'Sensor status', 2))).toMatchObject({kind: 'smoke', active: true});
+        expect(readSensorValue(notification('Water Alarm', 'Sensor status', 0))).toMatchObject({kind: 'water', active: false});
+        expect(readSensorValue(notification('Power Management', 'Mains status', 2))).toBeNull();
+    });
+
+    it('should use the reported state text for other door events', () => {
+        const tilt = {...doorState(5633), states: [{value: 5633, text: 'Window/door is open in tilt position'}]};
+        expect(readSensorValue(tilt).active).toBe(true);
+    });
+
+    it('should read state store entries with topic names', () => {
+        expect(readSensorValue(report(22, NOW))).toMatchObject({kind: 'door', active: true});
+        expect(readSensorValue({commandClass: 'sensor_binary', property: 'Door_Window', value: false}).text).toBe('closed');
+    });
+});
+
+describe('readSecurityState()', () => {
+    it('should merge the same sensor reported through both command classes', () => {
+        const values = {
+            a: doorState(23),
+            b: binary('Door/Window', true),
+            c: notification('Home Security', 'Cover status', 0),
+            d: {commandClass: 128, property: 'level', value: 90},
+        };
+        expect(readSecurityState(values)).toEqual([
+            {kind: 'door', active: true, text: 'open'},
+            {kind: 'tamper', active: false, text: 'not tampered with'},
+        ]);
+        expect(describeSecurityState(values)).toBe('open');
+        expect(describeSecurityState({a: doorState(23)})).toBe('closed');
+        expect(describeSecurityState({d: values.d})).toBeNull();
+    });
+});
+
+describe('formatSecurityStatus()', () => {
+    const nodes = [
+        {id: 2, name: 'Back Door', loc: 'Kitchen', values: {a: doorState(22)}},
+        {id: 3, name: 'Hallway Motion', loc: '', values: {a: notification('Home Security', 'Motion sensor status', 8)}},
+        {id: 4, name: 'Leak Sensor', loc: 'Basement', values: {a: notification('Water Alarm', 'Sensor status', 2)}},
+        {id: 5, name: 'Front Door', loc: 'Hallway', values: {a: doorState(23)}},
+        {id: 6, name: 'Lamp', loc: '', values: {a: {commandClass: 37, property: 'currentValue', value: true}}},
+    ];
+
+    it('should list alarms first, then open doors and motion', () => {
+        expect(formatSecurityStatus(listSecurityDevices(nodes, node => node.values))).toBe(
+            '1 alarm and 2 other events across 4 sensors:\n' +
+            '- ALARM: Leak Sensor in the Basement reports water leak\n' +
+            '- Back Door in the Kitchen is open\n' +
+            '- Hallway Motion detects motion'
+        );
+    });
+
+    it('should say when everything is quiet', () => {
+        expect(formatSecurityStatus(listSecurityDevices([nodes[3]], node => node.values)))
+            .toBe('All clear: 1 sensor checked, every door and window is closed, with no motion and no alarms.');
+        expect(formatSecurityStatus(listSecurityDevices([nodes[0]], node => node.values)))
+            .toBe('1 of 1 sensor needs attention:\n- Back Door in the Kitchen is open');
+        expect(formatSecurityStatus([])).toBe('No door, motion or alarm sensors have reported yet.');
+    });
+});
+
+describe('SecurityEventLog', () => {
+    let tempDir;
+    let filePath;
+    let log;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-events-'));
+        filePath = path.join(tempDir, 'events.json');
+        log = new SecurityEventLog(filePath, {now: () => NOW});
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, {recursive: true, force: true});
+    });
+
+    it('should record changes and skip repeats and replays', () => {
+        expect(log.record(report(22, NOW - 30 * MINUTE))).toMatchObject({device: 'Back Door', location: 'Kitchen', text: 'open'});
+        expect(log.record(report(22, NOW - 29 * MINUTE))).toBeNull();
+        expect(log.record(report(23, NOW - 20 * MINUTE))).toMatchObject({text: 'closed'});
+        expect(log.record(report(22, NOW - 20 * MINUTE))).toBeNull();
+        expect(log.record({...report(22, NOW), commandClass: 'battery', property: 'level'})).toBeNull();
+        expect(log.events).toHaveLength(2);
+    });
+
+    it('should answer queries most recent first', () => {
+        log.record(report(22, NOW - 30 * MINUTE));
+        log.record(report(23, NOW - 20 * MINUTE));
+        log.record(report(22, NOW - 10 * MINUTE, 'Front_Door', 'Hallway'));
+
+        expect(log.query({device: 'Back Door', location: 'Kitchen'}).map(event => event.text)).toEqual(['closed', 'open']);
+        expect(log.query({activeOnly: true}).map(event => event.device)).toEqual(['Front Door', 'Back Door']);
+        expect(log.query({from: NOW - 15 * MINUTE})).toHaveLength(1);
+        expect(log.query({kind: 'motion'})).toEqual([]);
+    });
+
+    it('should speak events with their time', () => {
+        log.record(report(22, new Date(2024, 5, 10, 14, 5).getTime()));
+        log.record(report(23, new Date(2024, 5, 9, 21, 30).getTime(), 'Garage_Door', ''));
+
+        expect(formatSecurityEvents(log.query(), NOW)).toBe(
+            '2 security events, most recent first:\n' +
+            '- today at 2:05 PM: Back Door in the Kitchen open\n' +
+            '- Sun Jun 09 at 9:30 PM: Garage Door closed'
+        );
+        expect(formatSecurityEvents([], NOW)).toBe('No matching security events were recorded in that time.');
+    });
+
+    it('should drop events past the retention period', () => {
+        log.record(report(22, NOW - 8 * 24 * 60 * MINUTE));
+        log.record(report(22, NOW, 'Front_Door'));
+        expect(log.events.map(event => event.device)).toEqual(['Front Door']);
+    });
+
+    it('should save and reload, ignoring retained replays after a restart', async () => {
+        log.record(report(22, NOW - 10 * MINUTE));
+        await log.flush();
+
+        const restarted = new SecurityEventLog(filePath, {now: () => NOW});
+        // Retained value delivered before the log finished loading
+        restarted.record(report(22, NOW - 10 * MINUTE));
+        expect(await restarted.load()).toBe(1);
+        expect(restarted.events).toHaveLength(1);
+
+        expect(restarted.record(report(23, NOW))).toMatchObject({text: 'closed'});
+    });
+
+    it('should not overwrite a log it could not read', async () => {
+        fs.writeFileSync(filePath, '{not json');
+        await expect(log.load()).rejects.toThrow('not valid JSON');
+
+        log.record(report(22, NOW));
+        await log.flush();
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('{not json');
+    });
+});
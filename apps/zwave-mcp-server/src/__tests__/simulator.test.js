@@ -0,0 +1,229 @@
+import {jest} from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {fileURLToPath} from 'url';
+import {loadFixture, normalizeFixtureNode, startSimulator, VirtualNetwork} from '../simulator.js';
+import {DeviceRegistryBuilder} from '../device-registry.js';
+import {ZWaveUIClient} from '../zwave-client.js';
+import {MQTTClientWrapper} from '../mqtt-client.js';
+import {buildStateMatcher} from '../state-confirmation.js';
+
+const FIXTURE = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../simulator-nodes.json');
+const NOW = new Date(2024, 5, 10, 18, 0).getTime();
+
+const lamp = {
+    id: 2,
+    name: 'Lamp',
+    loc: 'Office',
+    values: [
+        {commandClass: 38, property: 'targetValue', value: 0},
+        {commandClass: 38, property: 'currentValue', value: 0},
+        {commandClass: 50, property: 'value', propertyKey: 66049, unit: 'W', value: 40},
+        {commandClass: 50, property: 'value', propertyKey: 65537, unit: 'kWh', value: 10},
+    ],
+};
+const sensor = {
+    id: 5,
+    name: 'Multisensor',
+    loc: 'Hall',
+    isListening: false,
+    values: [
+        {commandClass: 49, property: 'Air temperature', unit: '°F', value: 70},
+        {commandClass: 49, property: 'Humidity', unit: '%', min: 0, max: 100, value: 100},
+        {commandClass: 113, property: 'Home Security', propertyKey: 'Motion sensor status', value: 0},
+        {commandClass: 128, property: 'level', unit: '%', value: 15},
+    ],
+};
+const thermostat = {
+    id: 9,
+    name: 'Thermostat',
+    loc: '',
+    values: [
+        {commandClass: 64, property: 'mode', value: 1},
+        {commandClass: 67, property: 'setpoint', propertyKey: 1, unit: '°F', value: 68},
+    ],
+};
+
+const valueOf = (network, nodeId, property, propertyKey) => Object.values(network.nodes.get(nodeId).values)
+    .find(value => value.property === property && (propertyKey === undefined || value.propertyKey === propertyKey)).value;
+
+describe('normalizeFixtureNode()', () => {
+    it('should shape fixture entries like Z-Wave JS UI nodes', () => {
+        const node = normalizeFixtureNode(sensor);
+
+        expect(node).toMatchObject({id: 5, name: 'Multisensor', loc: 'Hall', ready: true, available: true, status: 'Asleep', minBatteryLevel: 15});
+        expect(Object.keys(node.values)).toContain('5-113-0-Home Security-Motion sensor status');
+        expect(node.values['5-49-0-Air temperature']).toMatchObject({commandClass: 49, endpoint: 0, nodeId: 5, value: 70});
+    });
+
+    it('should reject entries without an id, name or valid values', () => {
+        expect(() => normalizeFixtureNode({name: 'Lamp'})).toThrow('id');
+        expect(() => normalizeFixtureNode({id: 2})).toThrow('name');
+        expect(() => normalizeFixtureNode({id: 2, name: 'Lamp', values: {}})).toThrow('list');
+        expect(() => normalizeFixtureNode({id: 2, name: 'Lamp', values: [{property: 'currentValue'}]})).toThrow('commandClass');
+    });
+});
+
+describe('loadFixture()', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {
+        });
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zwave-simulator-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, {recursive: true, force: true});
+        jest.restoreAllMocks();
+    });
+
+    it('should load the bundled fixture as a working registry', async () => {
+        const nodes = await loadFixture(FIXTURE);
+        const registry = new DeviceRegistryBuilder().build(Object.fromEntries(nodes.map(node => [String(node.id), node])));
+
+        expect(registry['Living Room Lamp'].type).toBe('dimmer');
+        expect(registry['Kitchen Light'].type).toBe('switch');
+        expect(registry['Power Strip'].endpoints.map(endpoint => endpoint.name)).toEqual(['Power Strip Monitor', 'Power Strip Printer']);
+        expect(registry['Front Door Lock'].type).toBe('lock');
+        expect(registry['Garage Door'].type).toBe('barrier');
+        expect(registry.Thermostat.type).toBe('thermostat');
+    });
+
+    it('should skip invalid and duplicate nodes', async () => {
+        const filePath = path.join(tempDir, 'nodes.json');
+        fs.writeFileSync(filePath, JSON.stringify({nodes: [lamp, {...lamp, name: 'Copy'}, {name: 'No id'}]}));
+
+        expect((await loadFixture(filePath)).map(node => node.name)).toEqual(['Lamp']);
+        expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject missing files, invalid JSON and a missing node list', async () => {
+        const filePath = path.join(tempDir, 'nodes.json');
+        await expect(loadFixture(filePath)).rejects.toThrow('not found');
+        fs.writeFileSync(filePath, '{nope');
+        await expect(loadFixture(filePath)).rejects.toThrow('not valid JSON');
+        fs.writeFileSync(filePath, '{}');
+        await expect(loadFixture(filePath)).rejects.toThrow('"nodes" list');
+    });
+});
+
+describe('VirtualNetwork', () => {
+    let network;
+    let now;
+
+    beforeEach(() => {
+        now = NOW;
+        network = new VirtualNetwork([lamp, sensor, thermostat].map(normalizeFixtureNode), {random: () => 1, now: () => now});
+    });
+
+    it('should publish every value and node status as a snapshot', () => {
+        const topics = network.snapshot().map(message => message.topic);
+
+        expect(topics).toContain('zwave/Office/Lamp/status');
+        expect(topics).toContain('zwave/Office/Lamp/switch_multilevel/endpoint_0/currentValue');
+        expect(topics).toContain('zwave/Hall/Multisensor/notification/endpoint_0/Home_Security/Motion_sensor_status');
+        expect(topics).toContain('zwave/Thermostat/thermostat_setpoint/endpoint_0/setpoint/1');
+        expect(network.snapshot()[0].payload).toEqual({time: NOW, value: true, status: 'Alive', nodeId: 2});
+    });
+
+    it('should echo targetValue writes back as currentValue', () => {
+        const messages = network.handleSet('zwave/Office/Lamp/switch_multilevel/endpoint_0/targetValue/set', {value: 40});
+
+        expect(messages).toEqual([
+            {topic: 'zwave/Office/Lamp/switch_multilevel/endpoint_0/targetValue', payload: {time: NOW, value: 40}},
+            {topic: 'zwave/Office/Lamp/switch_multilevel/endpoint_0/currentValue', payload: {time: NOW, value: 40}},
+        ]);
+
+        network.handleSet('zwave/Office/Lamp/switch_multilevel/endpoint_0/targetValue/set', {value: false});
+        expect(valueOf(network, 2, 'currentValue')).toBe(0);
+        // "on" restores the last level
+        network.handleSet('zwave/Office/Lamp/switch_multilevel/endpoint_0/targetValue/set', true);
+        expect(valueOf(network, 2, 'currentValue')).toBe(40);
+        network.handleSet('zwave/Office/Lamp/switch_multilevel/endpoint_0/targetValue/set', {value: 150});
+        expect(valueOf(network, 2, 'currentValue')).toBe(99);
+    });
+
+    it('should change other writable values in place', () => {
+        expect(network.handleSet('zwave/Thermostat/thermostat_setpoint/endpoint_0/setpoint/1/set', {value: 71})).toEqual([
+            {topic: 'zwave/Thermostat/thermostat_setpoint/endpoint_0/setpoint/1', payload: {time: NOW, value: 71}},
+        ]);
+        expect(network.handleSet('zwave/Office/Lamp/switch_binary/endpoint_0/targetValue/set', {value: true})).toEqual([]);
+        expect(network.handleSet('zwave/Office/Lamp/switch_multilevel/endpoint_0/currentValue', {value: 10})).toEqual([]);
+    });
+
+    it('should drift sensors, trip motion and follow the switch with power readings', () => {
+        network.handleSet('zwave/Office/Lamp/switch_multilevel/endpoint_0/targetValue/set', {value: 99});
+        now += 60 * 60 * 1000;
+
+        const readings = Object.fromEntries(network.tickSensors().map(message => [message.topic, message.payload.value]));
+        expect(readings['zwave/Hall/Multisensor/sensor_multilevel/endpoint_0/Air_temperature']).toBe(70.4);
+        // Already at its maximum
+        expect(readings).not.toHaveProperty('zwave/Hall/Multisensor/sensor_multilevel/endpoint_0/Humidity');
+        expect(readings['zwave/Office/Lamp/meter/endpoint_0/value/66049']).toBe(44);
+        expect(readings['zwave/Office/Lamp/meter/endpoint_0/value/65537']).toBe(10.044);
+
+        network.random = () => 0;
+        const next = Object.fromEntries(network.tickSensors().map(message => [message.topic, message.payload.value]));
+        expect(next['zwave/Hall/Multisensor/notification/endpoint_0/Home_Security/Motion_sensor_status']).toBe(8);
+
+        network.handleSet('zwave/Office/Lamp/switch_multilevel/endpoint_0/targetValue/set', {value: 0});
+        network.tickSensors();
+        expect(valueOf(network, 2, 'value', 66049)).toBe(0);
+        expect(valueOf(network, 5, 'Home Security')).toBe(0);
+    });
+
+    it('should rename nodes and answer pings', () => {
+        const {response, messages} = network.callApi('setNodeName', [2, 'Desk Lamp']);
+
+        expect(response).toMatchObject({success: true, result: true});
+        expect(messages.map(message => message.topic)).toContain('zwave/Office/Desk_Lamp/switch_multilevel/endpoint_0/currentValue');
+        expect(network.callApi('pingNode', [5]).response.result).toBe(true);
+        expect(network.callApi('startInclusion', [0]).response.success).toBe(true);
+        expect(network.callApi('pingNode', [42]).response).toEqual({success: false, message: 'Node 42 not found'});
+        expect(network.callApi('hardReset').response.success).toBe(false);
+    });
+});
+
+describe('startSimulator()', () => {
+    let simulator;
+    let mqttClient;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {
+        });
+        simulator = await startSimulator({fixturePath: FIXTURE, host: '127.0.0.1', zwavePort: 0, mqttPort: 0, sensorIntervalMs: 0});
+    });
+
+    afterEach(async () => {
+        if (mqttClient) {
+            mqttClient.client.end(true);
+            mqttClient = null;
+        }
+        await simulator.close();
+        jest.restoreAllMocks();
+    });
+
+    it('should serve the node list over socket.io', async () => {
+        const client = new ZWaveUIClient({url: simulator.zwaveUrl, authEnabled: false});
+
+        const nodes = await client.getLiveNodes();
+        expect(nodes.map(node => node.name)).toContain('Kitchen Light');
+        expect(await client.pingNode(3)).toBe(true);
+        await expect(client.callZWaveApi('hardReset')).rejects.toThrow('Unknown API');
+    });
+
+    it('should confirm commands sent over MQTT', async () => {
+        mqttClient = new MQTTClientWrapper({brokerUrl: simulator.mqttUrl});
+        await new Promise(resolve => mqttClient.onConnect(resolve));
+
+        const stateTopic = 'zwave/Kitchen/Kitchen_Light/switch_binary/endpoint_0/currentValue';
+        const confirmation = mqttClient.waitForState(stateTopic, buildStateMatcher('off', false), 2000);
+        await mqttClient.publish('zwave/Kitchen/Kitchen_Light/switch_binary/endpoint_0/targetValue/set', {value: false});
+
+        expect(await confirmation).toEqual({status: 'confirmed', value: false});
+        // Retained, so the state cache fills in without any device reporting
+        expect(mqttClient.stateStore.getDeviceValues('Hallway', 'Hallway Multisensor').length).toBeGreaterThan(0);
+    });
+});
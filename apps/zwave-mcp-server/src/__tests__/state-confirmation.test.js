@@ -0,0 +1,58 @@
+import {buildStateMatcher, describeReportedValue, extractPayloadValue} from '../state-confirmation.js';
+
+describe('State confirmation helpers', () => {
+    describe('extractPayloadValue()', () => {
+        it('should unwrap time-value payloads', () => {
+            expect(extractPayloadValue({time: 1700000000000, value: true})).toBe(true);
+        });
+
+        it('should pass through raw values', () => {
+            expect(extractPayloadValue(42)).toBe(42);
+            expect(extractPayloadValue('on')).toBe('on');
+        });
+    });
+
+    describe('buildStateMatcher()', () => {
+        it('should match binary switch states exactly', () => {
+            const isOn = buildStateMatcher('on', true);
+            expect(isOn(true)).toBe(true);
+            expect(isOn(false)).toBe(false);
+
+            const isOff = buildStateMatcher('off', false);
+            expect(isOff(false)).toBe(true);
+            expect(isOff(true)).toBe(false);
+        });
+
+        it('should treat any non-zero dimmer level as on', () => {
+            const isOn = buildStateMatcher('on', true);
+            expect(isOn(99)).toBe(true);
+            expect(isOn(0)).toBe(false);
+        });
+
+        it('should match dimmer off at zero', () => {
+            expect(buildStateMatcher('off', false)(0)).toBe(true);
+            expect(buildStateMatcher('off', false)(10)).toBe(false);
+        });
+
+        it('should match dim levels within one step', () => {
+            const isFifty = buildStateMatcher('dim', 50);
+            expect(isFifty(50)).toBe(true);
+            expect(isFifty(49)).toBe(true);
+            expect(isFifty(30)).toBe(false);
+        });
+
+        it('should never match missing values', () => {
+            expect(buildStateMatcher('on', true)(undefined)).toBe(false);
+            expect(buildStateMatcher('off', false)(null)).toBe(false);
+        });
+    });
+
+    describe('describeReportedValue()', () => {
+        it('should describe booleans and levels', () => {
+            expect(describeReportedValue(true)).toBe('on');
+            expect(describeReportedValue(false)).toBe('off');
+            expect(describeReportedValue(0)).toBe('off');
+            expect(describeReportedValue(42)).toBe('42%');
+        });
+    });
+});
@@ -0,0 +1,138 @@
+import {DeviceStateStore, overlayStoredValues, parseValueTopic} from '../state-store.js';
+
+describe('parseValueTopic', () => {
+    it('should parse a topic with a location', () => {
+        expect(parseValueTopic('zwave/Living_Room/Lamp/switch_multilevel/endpoint_0/currentValue')).toEqual({
+            location: 'Living_Room',
+            device: 'Lamp',
+            commandClass: 'switch_multilevel',
+            endpoint: 0,
+            property: 'currentValue',
+        });
+    });
+
+    it('should parse a topic without a location', () => {
+        expect(parseValueTopic('zwave/Kitchen_Light/switch_binary/endpoint_0/currentValue')).toMatchObject({
+            location: '',
+            device: 'Kitchen_Light',
+            commandClass: 'switch_binary',
+        });
+    });
+
+    it('should keep the endpoint and property key', () => {
+        expect(parseValueTopic('zwave/Office/Thermostat/thermostat_setpoint/endpoint_2/setpoint/1')).toMatchObject({
+            endpoint: 2,
+            property: 'setpoint',
+            propertyKey: '1',
+        });
+    });
+
+    it('should ignore command topics, other prefixes and non-value topics', () => {
+        expect(parseValueTopic('zwave/Office/Lamp/switch_binary/endpoint_0/targetValue/set')).toBeNull();
+        expect(parseValueTopic('home/Office/Lamp/switch_binary/endpoint_0/currentValue')).toBeNull();
+        expect(parseValueTopic('zwave/Office/Lamp/status')).toBeNull();
+    });
+
+    it('should honour a custom prefix', () => {
+        expect(parseValueTopic('house/Lamp/switch_binary/endpoint_0/currentValue', 'house')).toMatchObject({device: 'Lamp'});
+    });
+});
+
+describe('DeviceStateStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new DeviceStateStore();
+    });
+
+    it('should cache every command class, not just sensors', () => {
+        store.update('zwave/Kitchen/Light/switch_binary/endpoint_0/currentValue', {time: 1000, value: true});
+        store.update('zwave/Kitchen/Dimmer/switch_multilevel/endpoint_0/currentValue', {time: 1000, value: 40});
+        store.update('zwave/Kitchen/Plug/meter/endpoint_0/value/65537', {time: 1000, value: 1.2, unit: 'kWh'});
+
+        expect(store.getValue('Kitchen', 'Light', 'switch_binary').value).toBe(true);
+        expect(store.getValue('Kitchen', 'Dimmer', 'switch_multilevel').value).toBe(40);
+        expect(store.getDeviceValues('Kitchen', 'Plug')[0]).toMatchObject({value: 1.2, unit: 'kWh', propertyKey: '65537'});
+    });
+
+    it('should keep same-named devices in different locations apart', () => {
+        store.update('zwave/Office/Temp_Sensor/sensor_multilevel/endpoint_0/Air_temperature', {value: 70});
+        store.update('zwave/Garage/Temp_Sensor/sensor_multilevel/endpoint_0/Air_temperature', {value: 50});
+
+        expect(store.getValue('Office', 'Temp_Sensor', 'sensor_multilevel', 'Air_temperature').value).toBe(70);
+        expect(store.getValue('Garage', 'Temp_Sensor', 'sensor_multilevel', 'Air_temperature').value).toBe(50);
+        expect(store.findValuesByName('Temp Sensor')).toHaveLength(2);
+    });
+
+    it('should look devices up by friendly name, ignoring case', () => {
+        store.update('zwave/Living_Room/Floor_Lamp/switch_binary/endpoint_0/currentValue', {value: false});
+
+        expect(store.getValue('living room', 'floor lamp', 'switch_binary').value).toBe(false);
+    });
+
+    it('should separate endpoints', () => {
+        store.update('zwave/Strip/switch_binary/endpoint_1/currentValue', {value: true});
+        store.update('zwave/Strip/switch_binary/endpoint_2/currentValue', {value: false});
+
+        expect(store.getValue('', 'Strip', 'switch_binary', 'currentValue', 1).value).toBe(true);
+        expect(store.getValue('', 'Strip', 'switch_binary', 'currentValue', 2).value).toBe(false);
+    });
+
+    it('should use the reported time and accept bare payloads', () => {
+        store.update('zwave/Lamp/switch_binary/endpoint_0/currentValue', {time: 12345, value: true});
+        expect(store.getLastReported('', 'Lamp')).toBe(12345);
+
+        store.update('zwave/Lamp/switch_binary/endpoint_0/currentValue', false);
+        expect(store.getValue('', 'Lamp', 'switch_binary').value).toBe(false);
+    });
+
+    it('should track node status but not gateway client status', () => {
+        store.update('zwave/Office/Lamp/status', {time: 1, value: true, status: 'Alive', nodeId: 4});
+        store.update('zwave/_CLIENTS/ZWAVE_GATEWAY-zwave-js-ui/status', {value: true});
+
+        expect(store.getNodeStatus('Office', 'Lamp')).toMatchObject({status: 'Alive', ready: true, nodeId: 4});
+        expect(store.nodeStatus.size).toBe(1);
+    });
+
+    it('should ignore command topics', () => {
+        expect(store.update('zwave/Lamp/switch_binary/endpoint_0/targetValue/set', {value: true})).toBeNull();
+        expect(store.getAllValues()).toHaveLength(0);
+    });
+
+    it('should clear all state', () => {
+        store.update('zwave/Lamp/switch_binary/endpoint_0/currentValue', {value: true});
+        store.update('zwave/Lamp/status', {status: 'Alive'});
+        store.clear();
+
+        expect(store.getAllValues()).toHaveLength(0);
+        expect(store.getNodeStatus('', 'Lamp')).toBeUndefined();
+    });
+});
+
+describe('overlayStoredValues', () => {
+    const ccName = cc => ({37: 'switch_binary', 49: 'sensor_multilevel'}[cc] || `cc_${cc}`);
+
+    it('should replace node values with newer stored reports', () => {
+        const store = new DeviceStateStore();
+        store.update('zwave/Lamp/switch_binary/endpoint_0/currentValue', {value: true});
+        store.update('zwave/Lamp/sensor_multilevel/endpoint_0/Air_temperature', {value: 71});
+
+        const values = {
+            '37-0-currentValue': {commandClass: 37, endpoint: 0, property: 'currentValue', value: false},
+            '49-0-Air temperature': {commandClass: 49, endpoint: 0, property: 'Air temperature', value: 68, unit: '°F'},
+            '112-0-1': {commandClass: 112, endpoint: 0, property: 1, value: 5},
+        };
+
+        const merged = overlayStoredValues(values, store.getDeviceValues('', 'Lamp'), ccName);
+
+        expect(merged['37-0-currentValue'].value).toBe(true);
+        expect(merged['49-0-Air temperature']).toMatchObject({value: 71, unit: '°F'});
+        expect(merged['112-0-1']).toBe(values['112-0-1']);
+        expect(values['37-0-currentValue'].value).toBe(false);
+    });
+
+    it('should return the original values when nothing is stored', () => {
+        const values = {a: {commandClass: 37, property: 'currentValue', value: false}};
+        expect(overlayStoredValues(values, [], ccName)).toBe(values);
+    });
+});
@@ -0,0 +1,127 @@
+import {
+    formatThermostatConfirmation,
+    formatThermostatState,
+    getThermostatModeName,
+    isThermostatNode,
+    readThermostatState,
+    resolveSetpointType,
+} from '../thermostat.js';
+
+describe('Thermostat helpers', () => {
+    const thermostatNode = {
+        id: 9,
+        name: 'Downstairs Thermostat',
+        values: [
+            {commandClass: 64, property: 'mode', value: 1},
+            {commandClass: 67, property: 'setpoint', propertyKey: 1, value: 68, unit: '°F'},
+            {commandClass: 67, property: 'setpoint', propertyKey: 2, value: 76, unit: '°F'},
+            {commandClass: 49, property: 'Air temperature', value: 66.5, unit: '°F'},
+        ],
+    };
+
+    describe('isThermostatNode()', () => {
+        it('should detect thermostat mode and setpoint command classes', () => {
+            expect(isThermostatNode(thermostatNode)).toBe(true);
+            expect(isThermostatNode({values: {'67-0-setpoint-1': {commandClass: 67}}})).toBe(true);
+        });
+
+        it('should reject nodes without thermostat command classes', () => {
+            expect(isThermostatNode({values: {'37-0': {commandClass: 37}}})).toBe(false);
+            expect(isThermostatNode({})).toBe(false);
+        });
+    });
+
+    describe('readThermostatState()', () => {
+        it('should read mode, setpoints and ambient temperature', () => {
+            const state = readThermostatState(thermostatNode);
+            expect(state.mode).toBe(1);
+            expect(state.modeName).toBe('heat');
+            expect(state.setpoints.heat).toEqual({value: 68, unit: '°F'});
+            expect(state.setpoints.cool).toEqual({value: 76, unit: '°F'});
+            expect(state.temperature).toEqual({value: 66.5, unit: '°F'});
+        });
+
+        it('should return empty state when nothing is reported', () => {
+            const state = readThermostatState({values: {}});
+            expect(state.mode).toBeNull();
+            expect(state.modeName).toBeNull();
+            expect(state.setpoints).toEqual({});
+            expect(state.temperature).toBeNull();
+        });
+    });
+
+    describe('resolveSetpointType()', () => {
+        it('should prefer an explicit setpoint type', () => {
+            expect(resolveSetpointType('cool', 'heat', 1)).toBe('cool');
+        });
+
+        it('should follow the requested mode', () => {
+            expect(resolveSetpointType(undefined, 'cool', 1)).toBe('cool');
+        });
+
+        it('should follow the current mode when no mode is requested', () => {
+            expect(resolveSetpointType(undefined, undefined, 2)).toBe('cool');
+        });
+
+        it('should default to heating', () => {
+            expect(resolveSetpointType(undefined, 'auto', null)).toBe('heat');
+        });
+    });
+
+    describe('getThermostatModeName()', () => {
+        it('should name known and unknown modes', () => {
+            expect(getThermostatModeName(0)).toBe('off');
+            expect(getThermostatModeName(3)).toBe('auto');
+            expect(getThermostatModeName(99)).toBe('mode 99');
+        });
+    });
+
+    describe('formatThermostatState()', () => {
+        it('should produce a speakable summary', () => {
+            const text = formatThermostatState('Downstairs Thermostat', readThermostatState(thermostatNode));
+            expect(text).toBe('Downstairs Thermostat is in heat mode, heating to 68°F, cooling to 76°F, currently 66.5°F.');
+        });
+
+        it('should handle a thermostat that has not reported', () => {
+            const text = formatThermostatState('Upstairs', readThermostatState({values: {}}));
+            expect(text).toBe('Upstairs has not reported its mode.');
+        });
+    });
+
+    describe('formatThermostatConfirmation()', () => {
+        const mode = outcome => ({
+            description: 'set the mode to heat',
+            describe: value => `the mode is ${getThermostatModeName(value)}`,
+            outcome,
+        });
+        const setpoint = outcome => ({
+            description: 'set the heating setpoint to 68°F',
+            describe: value => `the heating setpoint is ${value}°F`,
+            outcome,
+        });
+
+        it('should confirm changes the thermostat reported', () => {
+            const result = formatThermostatConfirmation('Downstairs', [
+                mode({status: 'confirmed', value: 1}),
+                setpoint({status: 'confirmed', value: 68}),
+            ], 5000);
+            expect(result).toEqual({
+                text: 'Confirmed: on Downstairs, the mode is heat and the heating setpoint is 68°F.',
+                responded: true,
+            });
+        });
+
+        it('should report stale and missing reports as unconfirmed', () => {
+            const result = formatThermostatConfirmation('Downstairs', [
+                mode({status: 'pending', value: 2}),
+                setpoint({status: 'no_response'}),
+            ], 5000);
+            expect(result.responded).toBe(false);
+            expect(result.text).toBe(
+                'Pending: sent command to set the mode to heat on Downstairs, but the mode is cool. It may take a moment to update. ' +
+                'Unconfirmed: sent command to set the heating setpoint to 68°F on Downstairs, but it did not report back within 5 seconds. ' +
+                'It may be offline or out of range.',
+            );
+        });
+    });
+});
@@ -0,0 +1,116 @@
+import {jest} from '@jest/globals';
+import {classifyExposes, Zigbee2MQTTBackend} from '../zigbee2mqtt-backend.js';
+
+const NOW = new Date(2024, 5, 10, 18, 0).getTime();
+
+const light = {
+    type: 'light',
+    features: [
+        {type: 'binary', name: 'state', property: 'state', value_on: 'ON', value_off: 'OFF'},
+        {type: 'numeric', name: 'brightness', property: 'brightness', value_max: 254},
+    ],
+};
+const dualRelay = {
+    type: 'switch',
+    endpoint: 'l1',
+    features: [{type: 'binary', name: 'state', property: 'state_l1', value_on: 'ON', value_off: 'OFF'}],
+};
+const contact = {type: 'binary', name: 'contact', property: 'contact', value_on: false, value_off: true};
+
+const bridgeDevices = [
+    {friendly_name: 'Coordinator', type: 'Coordinator'},
+    {friendly_name: 'Kitchen/Ceiling Light', type: 'Router', definition: {exposes: [light]}},
+    {friendly_name: 'Garage Relay', type: 'Router', definition: {exposes: [dualRelay]}},
+    {friendly_name: 'Back Door', type: 'EndDevice', definition: {exposes: [contact]}},
+    {friendly_name: 'Old Bulb', type: 'Router', disabled: true, definition: {exposes: [light]}},
+];
+
+describe('classifyExposes()', () => {
+    it('should tell dimmers, switches and sensors apart', () => {
+        expect(classifyExposes({exposes: [light]})).toEqual({
+            type: 'dimmer',
+            stateProperty: 'state',
+            valueOn: 'ON',
+            valueOff: 'OFF',
+            brightnessProperty: 'brightness',
+            brightnessMax: 254,
+        });
+        expect(classifyExposes({exposes: [dualRelay]})).toMatchObject({type: 'switch', stateProperty: 'state_l1'});
+        expect(classifyExposes({exposes: [contact]})).toEqual({type: 'sensor'});
+        expect(classifyExposes({exposes: [{type: 'lock', features: []}]})).toEqual({type: 'lock'});
+        expect(classifyExposes(undefined)).toEqual({type: 'unknown'});
+    });
+});
+
+describe('Zigbee2MQTTBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {
+        });
+        backend = new Zigbee2MQTTBackend({now: () => NOW});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should list announced devices with their state and availability', async () => {
+        // Retained state can arrive before the device list
+        expect(backend.handleMessage('zigbee2mqtt/Kitchen/Ceiling Light', {state: 'ON', brightness: 127})).toBe(true);
+        backend.handleMessage('zigbee2mqtt/bridge/devices', bridgeDevices);
+        backend.handleMessage('zigbee2mqtt/Kitchen/Ceiling Light/availability', {state: 'online'});
+        backend.handleMessage('zigbee2mqtt/Back Door', {contact: false, temperature: 21});
+        backend.handleMessage('zigbee2mqtt/Garage Relay/availability', 'offline');
+
+        const devices = await backend.listDevices();
+        expect(devices.map(device => device.name)).toEqual(['Ceiling Light', 'Garage Relay', 'Back Door']);
+        expect(devices[0]).toMatchObject({
+            id: 'zigbee2mqtt:Kitchen/Ceiling Light',
+            backend: 'zigbee2mqtt',
+            location: 'Kitchen',
+            type: 'dimmer',
+            available: true,
+            state: '50%',
+            lastSeen: NOW,
+        });
+        expect(devices[1]).toMatchObject({type: 'switch', available: false, state: 'unknown'});
+        expect(devices[2]).toMatchObject({type: 'sensor', available: null, state: 'open, 21°C'});
+    });
+
+    it('should ignore bridge topics and its own commands', () => {
+        expect(backend.handleMessage('zigbee2mqtt/bridge/state', {state: 'online'})).toBe(false);
+        expect(backend.handleMessage('zigbee2mqtt/Lamp/set', {state: 'ON'})).toBe(false);
+        expect(backend.handleMessage('zigbee2mqtt/Lamp/set/brightness', 20)).toBe(false);
+        expect(backend.handleMessage('other/Lamp', {state: 'ON'})).toBe(false);
+        expect(backend.states.size).toBe(0);
+    });
+
+    it('should build set commands for lights and switches', async () => {
+        backend.handleMessage('zigbee2mqtt/bridge/devices', bridgeDevices);
+        const [ceiling, relay, door] = await backend.listDevices();
+
+        const dim = backend.buildCommand(ceiling, 'dim', 50);
+        expect(dim).toMatchObject({
+            topic: 'zigbee2mqtt/Kitchen/Ceiling Light/set',
+            payload: {state: 'ON', brightness: 127},
+            stateTopic: 'zigbee2mqtt/Kitchen/Ceiling Light',
+        });
+        expect(dim.matches({state: 'ON', brightness: 128})).toBe(true);
+        expect(dim.matches({state: 'OFF', brightness: 127})).toBe(false);
+        expect(dim.describe({state: 'ON', brightness: 127})).toBe('50%');
+
+        expect(backend.buildCommand(ceiling, 'dim', 0).payload).toEqual({state: 'OFF'});
+        expect(backend.buildCommand(relay, 'on').payload).toEqual({state_l1: 'ON'});
+        expect(() => backend.buildCommand(relay, 'dim', 50)).toThrow('can only be turned on or off');
+        expect(() => backend.buildCommand(door, 'on')).toThrow('is a sensor');
+    });
+
+    it('should use the configured base topic', async () => {
+        backend = new Zigbee2MQTTBackend({baseTopic: 'z2m'});
+        expect(backend.topics).toEqual(['z2m/#']);
+        backend.handleMessage('z2m/bridge/devices', bridgeDevices);
+        const [ceiling] = await backend.listDevices();
+        expect(backend.buildCommand(ceiling, 'off').topic).toBe('z2m/Kitchen/Ceiling Light/set');
+    });
+});
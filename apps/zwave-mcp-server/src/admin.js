@@ -0,0 +1,114 @@
+/**
+ * Z-Wave network administration helpers for the Z-Wave MCP server.
+ *
+ * Including and excluding nodes, renaming them and rebuilding routes change the network itself,
+ * so these tools are only listed when ZWAVE_ADMIN_TOOLS_ENABLED=true. The voice assistant
+ * connects without it and never sees them.
+ */
+
+/** @typedef {import('./types.js').ZWaveNode} ZWaveNode */
+
+/** zwave-js InclusionStrategy values by the name the tool accepts */
+export const INCLUSION_STRATEGIES = {
+    default: 0,
+    insecure: 2,
+    s0: 3,
+    s2: 4,
+};
+
+export const ADMIN_TOOL_NAMES = new Set([
+    'start_inclusion',
+    'stop_inclusion',
+    'start_exclusion',
+    'stop_exclusion',
+    'update_node',
+    'heal_network',
+    'ping_node',
+    'refresh_node',
+]);
+
+/**
+ * @param {string} toolName
+ * @returns {boolean}
+ */
+export function isAdminTool(toolName) {
+    return ADMIN_TOOL_NAMES.has(toolName);
+}
+
+/**
+ * Map the security argument of start_inclusion to an inclusion strategy
+ * @param {string} [security] - 'default', 'insecure', 's0' or 's2'
+ * @returns {number}
+ * @throws {Error} If the value is not a known strategy
+ */
+export function resolveInclusionStrategy(security = 'default') {
+    const strategy = INCLUSION_STRATEGIES[String(security).toLowerCase()];
+    if (strategy === undefined) {
+        throw new Error(`security must be one of: ${Object.keys(INCLUSION_STRATEGIES).join(', ')}`);
+    }
+    return strategy;
+}
+
+/**
+ * Find the node an admin tool targets. Only node ids and exact names are accepted, so a
+ * mis-heard name can't rename or re-interview the wrong device.
+ * @param {{ nodeId?: number, deviceName?: string }} args
+ * @param {ZWaveNode[]} nodes
+ * @returns {ZWaveNode}
+ * @throws {Error} If no node or more than one node matches
+ */
+export function resolveAdminTarget({nodeId, deviceName}, nodes) {
+    if (nodeId !== undefined && nodeId !== null) {
+        const id = Number(nodeId);
+        const node = Number.isInteger(id) ? nodes.find(candidate => candidate.id === id) : undefined;
+        if (!node) {
+            throw new Error(`Node ${nodeId} not found`);
+        }
+        return node;
+    }
+
+    if (typeof deviceName !== 'string' || !deviceName.trim()) {
+        throw new Error('nodeId or deviceName is required');
+    }
+
+    const wanted = deviceName.trim().toLowerCase();
+    const matches = nodes.filter(node => (node.name || `Node ${node.id}`).toLowerCase() === wanted);
+    if (matches.length === 0) {
+        throw new Error(`Device "${deviceName}" not found. Use the exact name or the node id`);
+    }
+    if (matches.length > 1) {
+        const ids = matches.map(node => node.id).join(', ');
+        throw new Error(`Several nodes are named "${deviceName}" (nodes ${ids}). Use the node id`);
+    }
+    return matches[0];
+}
+
+/**
+ * Validate the name and location for update_node
+ * @param {{ name?: string, location?: string }} args
+ * @returns {{ name?: string, location?: string }} Trimmed values to apply
+ * @throws {Error} If neither is given or the name is blank
+ */
+export function validateNodeUpdate({name, location}) {
+    const update = {};
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('name must be a non-empty string');
+        }
+        update.name = name.trim();
+    }
+
+    if (location !== undefined) {
+        if (typeof location !== 'string') {
+            throw new Error('location must be a string (empty to clear it)');
+        }
+        update.location = location.trim();
+    }
+
+    if (Object.keys(update).length === 0) {
+        throw new Error('Provide a new name, a new location, or both');
+    }
+
+    return update;
+}
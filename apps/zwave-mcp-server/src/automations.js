@@ -0,0 +1,606 @@
+/**
+ * Automation subsystem for the Z-Wave MCP server.
+ *
+ * Automations are declarative rules evaluated against every value the MQTT state store sees
+ * (the `zwave/#` subscription), declared in a JSON file:
+ *
+ * {
+ *   "automations": [
+ *     {
+ *       "name": "Hallway Motion Light",
+ *       "description": "Light the hallway at night when someone walks by",
+ *       "enabled": true,
+ *       "trigger": { "device": "Motion Sensor", "equals": true },
+ *       "conditions": { "after": "sunset", "before": "sunrise" },
+ *       "actions": [
+ *         { "device": "Hallway Light", "action": "on", "for": "5m" }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * Triggers match a device (and optionally a command class, property and location) and a value
+ * condition (equals, above, below). "above" and "below" fire when the value crosses the threshold,
+ * not again on every report while it stays past it. Conditions limit the rule to a time window;
+ * times are "HH:MM" in server local time, or "sunrise"/"sunset" when a latitude and longitude are set.
+ * Actions are scene steps, optionally with a "location" to pick between same-named devices. Each is
+ * resolved to its Z-Wave node when the rules are loaded, so it can't switch a same-named device in
+ * another room. "for" turns the device back (off, or on for an "off" action) after the duration, and
+ * a repeat trigger restarts that countdown.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {topicKey} from './device-registry.js';
+import {parseDuration, seriesKey} from './history.js';
+import {describeSceneStep, validateSceneSteps} from './scenes.js';
+import {getSunTimes} from './sun.js';
+
+/** Reports older than this are retained-message replays, not new events */
+const DEFAULT_STALE_EVENT_MS = 60 * 1000;
+
+const CLOCK_TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const SUN_EVENTS = ['sunrise', 'sunset'];
+
+/** @typedef {import('./state-store.js').StateEntry} StateEntry */
+/** @typedef {import('./scenes.js').SceneStep} SceneStep */
+
+/**
+ * @typedef {Object} AutomationTrigger
+ * @property {string} device - Device name as shown in Z-Wave JS UI
+ * @property {string} [location] - Only match the device in this location
+ * @property {string} [commandClass] - Command class topic name (e.g. 'sensor_binary')
+ * @property {string} [property] - Value property (e.g. 'currentValue', 'Air_temperature')
+ * @property {any} [equals] - Fire when the value equals this
+ * @property {number} [above] - Fire when the value is above this
+ * @property {number} [below] - Fire when the value is below this
+ */
+
+/**
+ * @typedef {Object} AutomationConditions
+ * @property {string} [after] - 'HH:MM', 'sunrise' or 'sunset'
+ * @property {string} [before] - 'HH:MM', 'sunrise' or 'sunset'
+ */
+
+/**
+ * @typedef {SceneStep & { location?: string, for?: string }} AutomationAction
+ */
+
+/**
+ * @typedef {Object} ActionTarget
+ * @property {number} nodeId
+ * @property {string} location
+ * @property {number} [endpoint] - Set for one outlet of a multi-channel device
+ */
+
+/**
+ * @typedef {Object} Automation
+ * @property {string} name
+ * @property {string} [description]
+ * @property {boolean} enabled
+ * @property {AutomationTrigger} trigger
+ * @property {AutomationConditions} [conditions]
+ * @property {AutomationAction[]} actions
+ */
+
+/**
+ * @typedef {Object} AutomationStatus
+ * @property {number} [lastTriggered] - When the rule last ran (ms)
+ * @property {string} [lastResult] - Outcome of the last run
+ */
+
+/**
+ * @typedef {Object} GeoLocation
+ * @property {number} latitude
+ * @property {number} longitude
+ */
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isTimeOfDay(value) {
+    return typeof value === 'string' && (SUN_EVENTS.includes(value.toLowerCase()) || CLOCK_TIME_PATTERN.test(value));
+}
+
+/**
+ * Validate and normalize an automation rule
+ * @param {any} rule
+ * @param {{ hasLocation?: boolean }} [options] - hasLocation: whether sunrise/sunset can be computed
+ * @returns {Automation}
+ * @throws {Error} If the rule is invalid
+ */
+export function validateAutomation(rule, options = {}) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error('An automation must be an object with name, trigger and actions');
+    }
+
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+        throw new Error('Automation name is required');
+    }
+
+    const trigger = rule.trigger;
+    if (!trigger || typeof trigger.device !== 'string' || !trigger.device.trim()) {
+        throw new Error('The trigger needs a device name');
+    }
+
+    for (const bound of ['above', 'below']) {
+        if (trigger[bound] !== undefined && !Number.isFinite(Number(trigger[bound]))) {
+            throw new Error(`Trigger "${bound}" must be a number`);
+        }
+    }
+
+    const hasValueCondition = ['equals', 'above', 'below'].some(key => trigger[key] !== undefined);
+    if (!hasValueCondition && !trigger.property) {
+        throw new Error('The trigger needs a property or a value condition (equals, above or below)');
+    }
+
+    /** @type {AutomationTrigger} */
+    const normalizedTrigger = {device: trigger.device.trim()};
+    for (const key of ['location', 'commandClass', 'property']) {
+        if (trigger[key]) normalizedTrigger[key] = String(trigger[key]);
+    }
+    if (trigger.equals !== undefined) normalizedTrigger.equals = trigger.equals;
+    if (trigger.above !== undefined) normalizedTrigger.above = Number(trigger.above);
+    if (trigger.below !== undefined) normalizedTrigger.below = Number(trigger.below);
+
+    /** @type {AutomationConditions | undefined} */
+    let conditions;
+    if (rule.conditions) {
+        conditions = {};
+        for (const key of ['after', 'before']) {
+            const value = rule.conditions[key];
+            if (value === undefined) continue;
+
+            if (!isTimeOfDay(value)) {
+                throw new Error(`Condition "${key}" must be "HH:MM", "sunrise" or "sunset"`);
+            }
+            if (SUN_EVENTS.includes(value.toLowerCase()) && !options.hasLocation) {
+                throw new Error(`Condition "${key}: ${value}" needs ZWAVE_LATITUDE and ZWAVE_LONGITUDE`);
+            }
+            conditions[key] = value.toLowerCase();
+        }
+    }
+
+    const steps = validateSceneSteps(rule.actions);
+    const actions = steps.map((step, index) => {
+        const {location, for: duration} = rule.actions[index];
+        const action = location ? {...step, location: String(location)} : step;
+        if (duration === undefined) {
+            return action;
+        }
+        if (!parseDuration(duration)) {
+            throw new Error(`Action ${index + 1} has invalid duration "${duration}". Use a duration like "5m" or "1h".`);
+        }
+        return {...action, for: String(duration)};
+    });
+
+    /** @type {Automation} */
+    const automation = {
+        name: rule.name.trim(),
+        enabled: rule.enabled !== false,
+        trigger: normalizedTrigger,
+        actions,
+    };
+    if (rule.description) automation.description = String(rule.description);
+    if (conditions && Object.keys(conditions).length > 0) automation.conditions = conditions;
+
+    return automation;
+}
+
+/**
+ * Check whether a report comes from the device (and value) a trigger watches
+ * @param {AutomationTrigger} trigger
+ * @param {StateEntry} entry
+ * @returns {boolean}
+ */
+function matchesTriggerSource(trigger, entry) {
+    if (topicKey(trigger.device) !== topicKey(entry.device)) return false;
+    if (trigger.location && topicKey(trigger.location) !== topicKey(entry.location)) return false;
+    if (trigger.commandClass && trigger.commandClass.toLowerCase() !== entry.commandClass.toLowerCase()) return false;
+    if (trigger.property && topicKey(trigger.property) !== topicKey(entry.property)) return false;
+    return true;
+}
+
+/**
+ * Check whether a reported value fires a trigger
+ * @param {AutomationTrigger} trigger
+ * @param {StateEntry} entry
+ * @returns {boolean}
+ */
+export function matchesTrigger(trigger, entry) {
+    if (!matchesTriggerSource(trigger, entry)) return false;
+
+    const {value} = entry;
+
+    if (trigger.equals !== undefined && String(value).toLowerCase() !== String(trigger.equals).toLowerCase()) {
+        return false;
+    }
+
+    if (trigger.above !== undefined || trigger.below !== undefined) {
+        const numeric = typeof value === 'number' ? value : Number.NaN;
+        if (!Number.isFinite(numeric)) return false;
+        if (trigger.above !== undefined && !(numeric > trigger.above)) return false;
+        if (trigger.below !== undefined && !(numeric < trigger.below)) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Resolve a time of day to a timestamp on the same local day as `now`
+ * @param {string} time - 'HH:MM', 'sunrise' or 'sunset'
+ * @param {number} now
+ * @param {GeoLocation} [location]
+ * @returns {number | null} ms, or null if the sun doesn't rise or set that day
+ */
+function resolveTimeOfDay(time, now, location) {
+    const day = new Date(now);
+
+    if (SUN_EVENTS.includes(time)) {
+        if (!location) return null;
+        day.setHours(12, 0, 0, 0);
+        const sun = getSunTimes(day.getTime(), location.latitude, location.longitude);
+        return sun ? sun[time] : null;
+    }
+
+    const [, hours, minutes] = time.match(CLOCK_TIME_PATTERN);
+    day.setHours(Number(hours), Number(minutes), 0, 0);
+    return day.getTime();
+}
+
+/**
+ * Check whether `now` falls inside a rule's time window.
+ * A window whose start is later than its end wraps past midnight (e.g. sunset to sunrise).
+ * @param {AutomationConditions | undefined} conditions
+ * @param {number} now
+ * @param {GeoLocation} [location]
+ * @returns {boolean}
+ */
+export function isWithinTimeWindow(conditions, now, location) {
+    if (!conditions || (!conditions.after && !conditions.before)) {
+        return true;
+    }
+
+    const after = conditions.after ? resolveTimeOfDay(conditions.after, now, location) : null;
+    const before = conditions.before ? resolveTimeOfDay(conditions.before, now, location) : null;
+
+    if ((conditions.after && after === null) || (conditions.before && before === null)) {
+        return false;
+    }
+
+    if (after !== null && before !== null) {
+        return after <= before
+            ? now >= after && now < before
+            : now >= after || now < before;
+    }
+
+    return after !== null ? now >= after : now < before;
+}
+
+/**
+ * Describe a rule in one line
+ * @param {Automation} automation
+ * @returns {string} - e.g. 'When Motion Sensor reports true after sunset and before sunrise: turn on Hallway Light for 5m'
+ */
+export function describeAutomation(automation) {
+    const {trigger, conditions} = automation;
+
+    const subject = trigger.property ? `${trigger.device} ${trigger.property.replace(/_/g, ' ')}` : trigger.device;
+    const checks = [];
+    if (trigger.equals !== undefined) checks.push(`reports ${trigger.equals}`);
+    if (trigger.above !== undefined) checks.push(`goes above ${trigger.above}`);
+    if (trigger.below !== undefined) checks.push(`goes below ${trigger.below}`);
+    const when = `When ${subject} ${checks.length > 0 ? checks.join(' and ') : 'changes'}`;
+
+    const window = [];
+    if (conditions?.after) window.push(`after ${conditions.after}`);
+    if (conditions?.before) window.push(`before ${conditions.before}`);
+
+    const actions = automation.actions.map(action =>
+        action.for ? `${describeSceneStep(action)} for ${action.for}` : describeSceneStep(action)
+    );
+
+    return `${when}${window.length > 0 ? ` ${window.join(' and ')}` : ''}: ${actions.join(', ')}`;
+}
+
+/**
+ * The step that undoes a timed action, on the same node
+ * @param {SceneStep & Partial<ActionTarget>} step
+ * @returns {SceneStep & Partial<ActionTarget>}
+ */
+function revertStep(step) {
+    const {level, ...target} = step;
+    return {...target, action: step.action === 'off' ? 'on' : 'off'};
+}
+
+export class AutomationEngine {
+    /**
+     * @param {string} filePath - Path to the automations JSON file
+     * @param {Object} options
+     * @param {(step: SceneStep & Partial<ActionTarget>) => Promise<{success: boolean, message: string}>} options.executeAction -
+     *   Sends one device command, to the node when the step has a nodeId
+     * @param {(action: AutomationAction) => Promise<ActionTarget | null>} [options.resolveTarget] - Finds the node an
+     *   action names (null for devices on other backends, which run by name); throws if none or several match
+     * @param {GeoLocation} [options.location] - Needed for sunrise/sunset conditions
+     * @param {number} [options.staleEventMs=60000] - Ignore reports older than this
+     * @param {() => number} [options.now=Date.now]
+     */
+    constructor(filePath, options) {
+        this.filePath = filePath;
+        this.executeAction = options.executeAction;
+        this.resolveTarget = options.resolveTarget;
+        this.location = options.location;
+        this.staleEventMs = options.staleEventMs ?? DEFAULT_STALE_EVENT_MS;
+        this.now = options.now || (() => Date.now());
+        /** @type {Map<string, Automation>} - Lower-cased name -> rule */
+        this.automations = new Map();
+        /** @type {Map<string, AutomationStatus>} - Lower-cased name -> runtime status */
+        this.status = new Map();
+        /** @type {Map<string, NodeJS.Timeout>} - Rule + device -> pending revert */
+        this.revertTimers = new Map();
+        /** @type {Map<string, ActionTarget | null>} - Rule + action index -> resolved node */
+        this.targets = new Map();
+        /** @type {Map<string, boolean>} - Rule + reporting value -> whether it was past the threshold last time */
+        this.thresholdStates = new Map();
+        // Set when the file exists but could not be parsed, so saving can't overwrite it
+        this.loadFailed = false;
+    }
+
+    /**
+     * Load rules from disk. A missing file means no automations are defined.
+     * Invalid rules are skipped with a warning so one typo doesn't disable the rest.
+     * @returns {Promise<number>} Number of rules loaded
+     */
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.warn(`[Automations] No automations file at ${this.filePath}`);
+                this.automations.clear();
+                this.loadFailed = false;
+                return 0;
+            }
+            this.loadFailed = true;
+            throw error;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            this.loadFailed = true;
+            throw new Error(`Automations file ${this.filePath} is not valid JSON: ${error.message}`);
+        }
+
+        this.loadFailed = false;
+        const entries = Array.isArray(data?.automations) ? data.automations : [];
+
+        this.automations.clear();
+        this.targets.clear();
+        this.thresholdStates.clear();
+        for (const entry of entries) {
+            try {
+                const automation = validateAutomation(entry, {hasLocation: Boolean(this.location)});
+                this.automations.set(automation.name.toLowerCase(), automation);
+            } catch (error) {
+                console.warn(`[Automations] Skipping invalid automation "${entry?.name}": ${error.message}`);
+            }
+        }
+
+        // Devices that can't be resolved yet (e.g. Z-Wave JS UI is still starting) are retried when the rule runs
+        for (const automation of this.automations.values()) {
+            for (const [index, action] of automation.actions.entries()) {
+                try {
+                    await this._resolveAction(automation, index, action);
+                } catch (error) {
+                    console.warn(`[Automations] "${automation.name}" action ${index + 1}: ${error.message}`);
+                }
+            }
+        }
+
+        const enabled = this.listAutomations().filter(automation => automation.enabled).length;
+        console.warn(`[Automations] Loaded ${this.automations.size} automation(s) (${enabled} enabled) from ${this.filePath}`);
+        return this.automations.size;
+    }
+
+    /**
+     * Write all rules back to disk (via a temp file so a crash can't truncate it)
+     * @returns {Promise<void>}
+     */
+    async save() {
+        const data = {automations: this.listAutomations()};
+        const tempPath = `${this.filePath}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), {recursive: true});
+        await fs.writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * @returns {Automation[]} Rules sorted by name
+     */
+    listAutomations() {
+        return [...this.automations.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find a rule by name (case-insensitive)
+     * @param {string} name
+     * @returns {Automation | undefined}
+     */
+    findAutomation(name) {
+        return this.automations.get(String(name).trim().toLowerCase());
+    }
+
+    /**
+     * @param {string} name
+     * @returns {AutomationStatus}
+     */
+    getStatus(name) {
+        return this.status.get(String(name).trim().toLowerCase()) || {};
+    }
+
+    /**
+     * Enable or disable a rule and persist the change.
+     * Timed actions already counting down still finish so devices aren't left on.
+     * @param {string} name
+     * @param {boolean} enabled
+     * @returns {Promise<Automation>}
+     * @throws {Error} If the rule doesn't exist or the file can't be saved
+     */
+    async setEnabled(name, enabled) {
+        if (this.loadFailed) {
+            throw new Error('The automations file could not be read, so changes cannot be saved until it is fixed');
+        }
+
+        const automation = this.findAutomation(name);
+        if (!automation) {
+            throw new Error(`Automation "${name}" not found`);
+        }
+
+        automation.enabled = enabled;
+        await this.save();
+        return automation;
+    }
+
+    /**
+     * Evaluate every enabled rule against a reported value. Threshold triggers (above/below) only
+     * fire when the value crosses into range; stale reports still update where the value stands.
+     * @param {StateEntry} entry
+     * @returns {Promise<void>} Resolves when any triggered actions have been sent
+     */
+    async handleStateChange(entry) {
+        const now = this.now();
+        const stale = now - entry.timestamp > this.staleEventMs;
+        const triggered = [];
+
+        for (const automation of this.listAutomations()) {
+            const {trigger} = automation;
+            if (!automation.enabled || !matchesTriggerSource(trigger, entry)) continue;
+
+            const matched = matchesTrigger(trigger, entry);
+            if (trigger.above !== undefined || trigger.below !== undefined) {
+                const key = `${automation.name.toLowerCase()}|${topicKey(entry.location)}|${topicKey(entry.device)}|${seriesKey(entry)}`;
+                const wasMatched = this.thresholdStates.get(key) === true;
+                this.thresholdStates.set(key, matched);
+                if (wasMatched) continue;
+            }
+
+            if (matched && !stale && isWithinTimeWindow(automation.conditions, now, this.location)) {
+                triggered.push(automation);
+            }
+        }
+
+        await Promise.all(triggered.map(automation => this._run(automation, now)));
+    }
+
+    /**
+     * Cancel pending timed actions (e.g. on shutdown)
+     */
+    close() {
+        for (const timer of this.revertTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.revertTimers.clear();
+    }
+
+    /**
+     * @private
+     * @param {Automation} automation
+     * @param {number} now
+     * @returns {Promise<void>}
+     */
+    async _run(automation, now) {
+        console.warn(`[Automations] "${automation.name}" triggered`);
+
+        const failures = [];
+        for (const [index, action] of automation.actions.entries()) {
+            const {for: duration, location, ...named} = action;
+            let step;
+            try {
+                const target = await this._resolveAction(automation, index, action);
+                step = target ? {...named, ...target} : named;
+            } catch (error) {
+                // Never fall back to the name: it could switch a same-named device in another room
+                failures.push(`${describeSceneStep(named)} (Error: ${error.message})`);
+                continue;
+            }
+
+            try {
+                const {success, message} = await this.executeAction(step);
+                if (!success) {
+                    failures.push(`${describeSceneStep(step)} (${message})`);
+                    continue;
+                }
+            } catch (error) {
+                failures.push(`${describeSceneStep(step)} (Error: ${error.message})`);
+                continue;
+            }
+
+            if (duration) {
+                this._scheduleRevert(automation, step, parseDuration(duration));
+            }
+        }
+
+        const lastResult = failures.length === 0
+            ? 'all actions succeeded'
+            : `failed: ${failures.join('; ')}`;
+
+        if (failures.length > 0) {
+            console.error(`[Automations] "${automation.name}" ${lastResult}`);
+        }
+
+        this.status.set(automation.name.toLowerCase(), {lastTriggered: now, lastResult});
+    }
+
+    /**
+     * Find (once) the node an action controls
+     * @private
+     * @param {Automation} automation
+     * @param {number} index
+     * @param {AutomationAction} action
+     * @returns {Promise<ActionTarget | null>} null when there's no resolver or the device isn't on Z-Wave
+     * @throws {Error} If no device or several devices match
+     */
+    async _resolveAction(automation, index, action) {
+        const key = `${automation.name.toLowerCase()}|${index}`;
+        if (!this.resolveTarget) return null;
+        if (this.targets.has(key)) return this.targets.get(key);
+
+        const {for: duration, ...step} = action;
+        const target = await this.resolveTarget(step);
+        this.targets.set(key, target);
+        return target;
+    }
+
+    /**
+     * Undo a timed action after its duration, restarting the countdown on repeat triggers
+     * @private
+     * @param {Automation} automation
+     * @param {SceneStep & Partial<ActionTarget>} step
+     * @param {number} durationMs
+     */
+    _scheduleRevert(automation, step, durationMs) {
+        const key = `${automation.name.toLowerCase()}|${step.nodeId ?? step.device.toLowerCase()}|${step.endpoint ?? ''}`;
+        clearTimeout(this.revertTimers.get(key));
+
+        const timer = setTimeout(async () => {
+            this.revertTimers.delete(key);
+            const revert = revertStep(step);
+            try {
+                const {success, message} = await this.executeAction(revert);
+                if (!success) {
+                    console.error(`[Automations] "${automation.name}" could not ${describeSceneStep(revert)}: ${message}`);
+                }
+            } catch (error) {
+                console.error(`[Automations] "${automation.name}" could not ${describeSceneStep(revert)}:`, error);
+            }
+        }, durationMs);
+        timer.unref();
+
+        this.revertTimers.set(key, timer);
+    }
+}
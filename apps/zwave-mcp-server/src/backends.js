@@ -0,0 +1,163 @@
+/**
+ * Pluggable device backends for the MCP server.
+ *
+ * Z-Wave JS UI is one backend among several. Each backend discovers its own devices and turns
+ * on/off/dim into an MQTT publish, so list_devices and control_zwave_device treat every device alike:
+ * - zwave: Z-Wave JS UI nodes and its zwave/[Location/]Device/... topics
+ * - zigbee2mqtt: devices announced on zigbee2mqtt/bridge/devices, controlled on zigbee2mqtt/<name>/set
+ * - mqtt: Tasmota and generic MQTT devices declared in mqtt-devices.json
+ *
+ * A backend implements:
+ *   id, label                          - e.g. 'zigbee2mqtt', 'Zigbee2MQTT'
+ *   topics                             - MQTT topic filters it needs subscribed (may be empty)
+ *   handleMessage(topic, message)      - Update devices from a message on one of those topics
+ *   listDevices()                      - Current devices (Promise)
+ *   buildCommand(device, action, level) - The MQTT publish for an action; throws if the device can't do it
+ */
+
+/**
+ * @typedef {Object} BackendDevice
+ * @property {string} id - Unique across backends, e.g. 'zwave:5' or 'zigbee2mqtt:Kitchen/Ceiling Light'
+ * @property {string} backend - Backend id
+ * @property {string} name
+ * @property {string} location - '' if none
+ * @property {'switch' | 'dimmer' | 'thermostat' | 'sensor' | 'lock' | 'barrier' | 'unknown'} type
+ * @property {boolean | null} available - null if the backend doesn't know
+ * @property {string} state - Speakable state, e.g. 'ON', 'OFF', '50%' or 'unknown'
+ * @property {number | null} lastSeen - When the device last reported (ms)
+ * @property {string} [address] - How the backend addresses the device, e.g. its Zigbee2MQTT friendly name
+ * @property {import('./types.js').ZWaveNode} [node] - Z-Wave devices only
+ * @property {import('./types.js').DeviceRegistryEntry} [entry] - Z-Wave devices only
+ */
+
+/**
+ * @typedef {Object} BackendCommand
+ * @property {string} topic - Where to publish
+ * @property {any} payload - Published as-is if a string, as JSON otherwise
+ * @property {string} [stateTopic] - Where the device reports back, to confirm the command
+ * @property {(value: any) => boolean} [matches] - Whether a reported value shows the requested state
+ * @property {(value: any) => string} [describe] - Speak a reported value, e.g. 'on' or '50%'
+ */
+
+/**
+ * @typedef {Object} DeviceBackend
+ * @property {string} id
+ * @property {string} label
+ * @property {string[]} topics
+ * @property {(topic: string, message: any) => boolean} handleMessage - Returns true if the message was used
+ * @property {() => Promise<BackendDevice[]>} listDevices
+ * @property {(device: BackendDevice, action: 'on'|'off'|'dim', level?: number) => BackendCommand} buildCommand
+ */
+
+/**
+ * Split a path-style name into location and name, e.g. 'Kitchen/Ceiling Light'
+ * @param {string} fullName
+ * @returns {{ location: string, name: string }}
+ */
+export function splitLocation(fullName) {
+    const parts = String(fullName).split('/').map(part => part.trim()).filter(Boolean);
+    const name = parts.pop() || String(fullName);
+    return {location: parts.join(' '), name};
+}
+
+/**
+ * Scale a 0-100 level to a backend's brightness range
+ * @param {number} level - Percent
+ * @param {number} max - e.g. 254 for Zigbee
+ * @returns {number}
+ */
+export function scaleLevel(level, max) {
+    return Math.round((Math.min(100, Math.max(0, level)) / 100) * max);
+}
+
+/**
+ * What a switch or light reports: whether it is on and, for dimmers, its level in percent
+ * @typedef {Object} SwitchReport
+ * @property {boolean} [power]
+ * @property {number} [level]
+ */
+
+/**
+ * Speak a switch or light state the way Z-Wave devices are listed: 'ON', 'OFF', '50%' or 'unknown'
+ * @param {SwitchReport} report
+ * @returns {string}
+ */
+export function describeSwitchState({power, level}) {
+    if (power === undefined) {
+        return 'unknown';
+    }
+    if (!power) {
+        return 'OFF';
+    }
+    return Number.isFinite(level) ? `${level}%` : 'ON';
+}
+
+/**
+ * Check whether a switch report shows the result of an action. Levels may round, so they match within one percent.
+ * @param {SwitchReport} report
+ * @param {'on'|'off'|'dim'} action
+ * @param {number} [level] - Requested level for dim
+ * @returns {boolean}
+ */
+export function switchReportMatches({power, level: reported}, action, level) {
+    if (action === 'on') {
+        return power === true;
+    }
+    if (action === 'off' || level === 0) {
+        return power === false;
+    }
+    return power === true && (!Number.isFinite(reported) || Math.abs(reported - level) <= 1);
+}
+
+export class BackendManager {
+    constructor() {
+        /** @type {Map<string, DeviceBackend>} */
+        this.backends = new Map();
+    }
+
+    /**
+     * @param {DeviceBackend} backend
+     * @throws {Error} If a backend with the same id is already registered
+     */
+    register(backend) {
+        if (this.backends.has(backend.id)) {
+            throw new Error(`Backend "${backend.id}" is already registered`);
+        }
+        this.backends.set(backend.id, backend);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {DeviceBackend | undefined}
+     */
+    get(id) {
+        return this.backends.get(id);
+    }
+
+    /**
+     * @returns {DeviceBackend[]} In registration order
+     */
+    list() {
+        return [...this.backends.values()];
+    }
+
+    /**
+     * Devices from every backend. A backend that fails is logged and left out so one offline
+     * source doesn't hide the others.
+     * @param {Object} [options]
+     * @param {string[]} [options.except] - Backend ids to leave out
+     * @returns {Promise<BackendDevice[]>}
+     */
+    async listDevices({except = []} = {}) {
+        const backends = this.list().filter(backend => !except.includes(backend.id));
+        const results = await Promise.allSettled(backends.map(backend => backend.listDevices()));
+
+        return results.flatMap((result, index) => {
+            if (result.status === 'fulfilled') {
+                return result.value;
+            }
+            console.error(`[Backends] Failed to list ${backends[index].label} devices:`, result.reason);
+            return [];
+        });
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Battery monitoring for the Z-Wave MCP server.
+ *
+ * Battery CC (128) levels arrive over MQTT as zwave/[Location/]Device/battery/endpoint_0/level.
+ * When a device drops to the threshold or below, one alert is published (default topic
+ * home/alerts/battery) for the voice gateway or any other subscriber to announce:
+ *
+ *   {"device": "Front Door Sensor", "location": "Hallway", "level": 15, "threshold": 20,
+ *    "message": "Battery low on Front Door Sensor in the Hallway: 15%.", "timestamp": 1718020800000}
+ *
+ * A device alerts again only after its level has risen clear of the threshold (new batteries).
+ */
+
+/** @typedef {import('./types.js').ZWaveNode} ZWaveNode */
+/** @typedef {import('./state-store.js').StateEntry} StateEntry */
+
+export const BATTERY_CC = 128;
+
+/** Level must rise this far above the threshold before a device can alert again */
+const REARM_MARGIN = 5;
+
+/**
+ * @typedef {Object} BatteryAlert
+ * @property {string} device
+ * @property {string} location
+ * @property {number} level - Percent
+ * @property {number} threshold - Percent
+ * @property {string} message - Speakable alert
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} BatteryLevel
+ * @property {ZWaveNode} node
+ * @property {string} name
+ * @property {string} location
+ * @property {number} level - Percent
+ */
+
+/**
+ * @param {any} value
+ * @returns {number | null}
+ */
+function toLevel(value) {
+    const level = typeof value === 'string' ? Number(value) : value;
+    return Number.isFinite(level) ? level : null;
+}
+
+/**
+ * Read a node's battery level from its Battery CC value, or Z-Wave JS UI's summary of it
+ * @param {ZWaveNode} node
+ * @param {Record<string, any>} [values] - Current values (defaults to node.values)
+ * @returns {number | null} Percent, or null if the node has no battery
+ */
+export function readBatteryLevel(node, values = node.values) {
+    const levels = Object.values(values || {})
+        .filter(value => Number(value.commandClass) === BATTERY_CC && value.property === 'level')
+        .map(value => toLevel(value.value))
+        .filter(level => level !== null);
+
+    if (levels.length > 0) {
+        return Math.min(...levels);
+    }
+    return toLevel(node.minBatteryLevel);
+}
+
+/**
+ * Every battery-powered node with its level, lowest first
+ * @param {ZWaveNode[]} nodes
+ * @param {(node: ZWaveNode) => Record<string, any> | undefined} getValues - Current values for a node
+ * @returns {BatteryLevel[]}
+ */
+export function listBatteryLevels(nodes, getValues) {
+    return nodes
+        .map(node => ({
+            node,
+            name: node.name || `Node ${node.id}`,
+            location: node.loc || '',
+            level: readBatteryLevel(node, getValues(node)),
+        }))
+        .filter(entry => entry.level !== null)
+        .sort((a, b) => a.level - b.level || a.name.localeCompare(b.name));
+}
+
+/**
+ * @param {string} name
+ * @param {string} location
+ * @returns {string} - e.g. 'Front Door Sensor in the Hallway'
+ */
+function describeDevice(name, location) {
+    return location ? `${name} in the ${location}` : name;
+}
+
+/**
+ * Speak the low-battery list
+ * @param {BatteryLevel[]} levels - All battery devices, lowest first
+ * @param {number} threshold - Percent
+ * @returns {string}
+ */
+export function formatLowBatteries(levels, threshold) {
+    if (levels.length === 0) {
+        return 'No battery-powered devices have reported a battery level.';
+    }
+
+    const low = levels.filter(entry => entry.level <= threshold);
+    if (low.length === 0) {
+        const [lowest] = levels;
+        return `All ${levels.length} battery device${levels.length === 1 ? ' is' : 's are'} above ${threshold}%. ` +
+            `The lowest is ${describeDevice(lowest.name, lowest.location)} at ${lowest.level}%.`;
+    }
+
+    const lines = low.map(entry => `- ${describeDevice(entry.name, entry.location)}: ${entry.level}%`);
+    return [`${low.length} of ${levels.length} battery devices are at or below ${threshold}%:`, ...lines].join('\n');
+}
+
+export class BatteryMonitor {
+    /**
+     * @param {Object} options
+     * @param {number} options.threshold - Alert at or below this percent
+     * @param {(alert: BatteryAlert) => Promise<void>} options.publishAlert
+     * @param {() => number} [options.now]
+     */
+    constructor({threshold, publishAlert, now = () => Date.now()}) {
+        this.threshold = threshold;
+        this.publishAlert = publishAlert;
+        this.now = now;
+        /** @type {Set<string>} - Devices that have alerted and not recovered since */
+        this.alerted = new Set();
+    }
+
+    /**
+     * Check a reported value and alert if a battery just went low
+     * @param {StateEntry} entry
+     * @returns {Promise<BatteryAlert | null>} The alert published, if any
+     */
+    async handleStateChange(entry) {
+        if (entry.commandClass !== 'battery' || entry.property !== 'level') {
+            return null;
+        }
+
+        const level = toLevel(entry.value);
+        if (level === null) {
+            return null;
+        }
+
+        const key = `${entry.location}|${entry.device}|${entry.endpoint}`.toLowerCase();
+
+        if (level > this.threshold) {
+            if (level >= this.threshold + REARM_MARGIN) {
+                this.alerted.delete(key);
+            }
+            return null;
+        }
+
+        if (this.alerted.has(key)) {
+            return null;
+        }
+
+        // Topics carry sanitized names (spaces -> underscores)
+        const device = entry.device.replace(/_/g, ' ');
+        const location = entry.location.replace(/_/g, ' ');
+
+        /** @type {BatteryAlert} */
+        const alert = {
+            device,
+            location,
+            level,
+            threshold: this.threshold,
+            message: `Battery low on ${describeDevice(device, location)}: ${level}%.`,
+            timestamp: this.now(),
+        };
+
+        // Only remember the alert once it is out, so a failed publish is retried on the next report
+        await this.publishAlert(alert);
+        this.alerted.add(key);
+        console.warn(`[Batteries] ${alert.message}`);
+        return alert;
+    }
+}
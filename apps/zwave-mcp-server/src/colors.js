@@ -0,0 +1,334 @@
+/**
+ * Color bulb helpers for the Z-Wave MCP server.
+ *
+ * RGBW bulbs expose Color Switch CC 51. Z-Wave JS UI reports one currentColor value per color
+ * component (property key 0 = warm white, 1 = cold white, 2 = red, 3 = green, 4 = blue), plus a
+ * combined currentColor object, and accepts all components at once on targetColor:
+ *   zwave/[Location/]Device_Name/switch_color/endpoint_0/targetColor/set   {"value": {"red": 255, "green": 128, ...}}
+ *   zwave/[Location/]Device_Name/switch_color/endpoint_0/currentColor      {"value": {"red": 255, "green": 128, ...}}
+ *
+ * Components range 0-255. Brightness stays with Multilevel Switch CC 38, so setting a color
+ * doesn't turn the bulb on or change its level.
+ */
+
+export const COLOR_SWITCH_CC = 51;
+
+/** Color Switch component IDs (currentColor property keys) by targetColor field name */
+const COMPONENT_IDS = {
+    warmWhite: 0,
+    coldWhite: 1,
+    red: 2,
+    green: 3,
+    blue: 4,
+};
+
+const COMPONENTS = Object.keys(COMPONENT_IDS);
+
+/** Color temperature range mixed from the warm and cold white channels */
+const WARMEST_KELVIN = 2700;
+const COOLEST_KELVIN = 6500;
+
+/** Accepted color temperatures; bulbs clamp to what they can do */
+const MIN_KELVIN = 1000;
+const MAX_KELVIN = 10000;
+
+/** Color names accepted by set_light_color mapped to RGB */
+export const NAMED_COLORS = {
+    red: [255, 0, 0],
+    orange: [255, 128, 0],
+    yellow: [255, 255, 0],
+    lime: [128, 255, 0],
+    green: [0, 255, 0],
+    cyan: [0, 255, 255],
+    blue: [0, 0, 255],
+    purple: [128, 0, 255],
+    magenta: [255, 0, 255],
+    pink: [255, 105, 180],
+};
+
+/** White names accepted by set_light_color mapped to a color temperature */
+export const NAMED_WHITES = {
+    'warm white': 2700,
+    'soft white': 3000,
+    white: 4000,
+    'neutral white': 4000,
+    'cool white': 5000,
+    daylight: 6500,
+};
+
+/** Hue bands (upper bound in degrees) used to name a reported color */
+const HUE_NAMES = [
+    [15, 'red'],
+    [45, 'orange'],
+    [70, 'yellow'],
+    [100, 'lime'],
+    [160, 'green'],
+    [200, 'cyan'],
+    [250, 'blue'],
+    [290, 'purple'],
+    [320, 'magenta'],
+    [345, 'pink'],
+    [360, 'red'],
+];
+
+/**
+ * @typedef {Object} ColorRequest
+ * @property {'rgb' | 'kelvin'} kind
+ * @property {[number, number, number]} [rgb] - For kind 'rgb'
+ * @property {number} [kelvin] - For kind 'kelvin'
+ * @property {string} label - How to speak the requested color
+ */
+
+/**
+ * Color components as sent on targetColor and reported on currentColor (0-255 each)
+ * @typedef {Partial<Record<'warmWhite'|'coldWhite'|'red'|'green'|'blue', number>>} ColorComponents
+ */
+
+/**
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Parse a spoken or typed color: a name ("orange", "warm white"), a hex value ("#ff8000", "f80")
+ * or a color temperature ("2700K", "2700 kelvin")
+ * @param {string} text
+ * @returns {ColorRequest}
+ * @throws {Error} If the color isn't recognised
+ */
+export function parseColor(text) {
+    const input = String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+    if (input in NAMED_WHITES) {
+        return {kind: 'kelvin', kelvin: NAMED_WHITES[input], label: input};
+    }
+
+    if (input in NAMED_COLORS) {
+        return {kind: 'rgb', rgb: NAMED_COLORS[input], label: input};
+    }
+
+    const kelvin = input.match(/^(\d{3,5})\s*(k|kelvin)$/);
+    if (kelvin) {
+        return colorTemperature(Number(kelvin[1]));
+    }
+
+    const hex = input.match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, digit => digit + digit) : hex[1];
+        const rgb = /** @type {[number, number, number]} */ ([0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16)));
+        return {kind: 'rgb', rgb, label: `#${digits}`};
+    }
+
+    throw new Error(`"${text}" is not a color name, a hex value like "#ff8000" or a color temperature like "2700K"`);
+}
+
+/**
+ * @param {number} kelvin
+ * @returns {ColorRequest}
+ * @throws {Error} If the temperature is out of range
+ */
+export function colorTemperature(kelvin) {
+    if (!Number.isFinite(kelvin) || kelvin < MIN_KELVIN || kelvin > MAX_KELVIN) {
+        throw new Error(`Color temperature must be between ${MIN_KELVIN}K and ${MAX_KELVIN}K`);
+    }
+    return {kind: 'kelvin', kelvin: Math.round(kelvin), label: `${Math.round(kelvin)}K`};
+}
+
+/**
+ * Approximate the RGB color of a black body at a temperature, for bulbs without white channels.
+ * Curve fit from Tanner Helland's blackbody table.
+ * @param {number} kelvin
+ * @returns {[number, number, number]}
+ */
+export function kelvinToRgb(kelvin) {
+    const temp = clamp(kelvin, MIN_KELVIN, MAX_KELVIN) / 100;
+
+    const red = temp <= 66 ? 255 : 329.698727446 * Math.pow(temp - 60, -0.1332047592);
+    const green = temp <= 66
+        ? 99.4708025861 * Math.log(temp) - 161.1195681661
+        : 288.1221695283 * Math.pow(temp - 60, -0.0755148492);
+    const blue = temp >= 66 ? 255 : temp <= 19 ? 0 : 138.5177312231 * Math.log(temp - 10) - 305.0447927307;
+
+    return /** @type {[number, number, number]} */ ([red, green, blue].map(channel => Math.round(clamp(channel, 0, 255))));
+}
+
+/**
+ * Find the color components a bulb reports
+ * @param {Record<string, any>} [values] - Node values
+ * @returns {Set<string>} Component names (warmWhite, coldWhite, red, green, blue)
+ */
+export function getColorComponents(values) {
+    const components = new Set();
+
+    for (const value of Object.values(values || {})) {
+        if (Number(value && value.commandClass) !== COLOR_SWITCH_CC || value.property !== 'currentColor') {
+            continue;
+        }
+
+        if (value.propertyKey === undefined) {
+            if (value.value && typeof value.value === 'object') {
+                Object.keys(value.value).filter(key => COMPONENTS.includes(key)).forEach(key => components.add(key));
+            }
+            continue;
+        }
+
+        const name = COMPONENTS.find(component =>
+            component === value.propertyKey || COMPONENT_IDS[component] === Number(value.propertyKey)
+        );
+        if (name) {
+            components.add(name);
+        }
+    }
+
+    return components;
+}
+
+/**
+ * Check whether a node has Color Switch values
+ * @param {import('./types.js').ZWaveNode} node
+ * @returns {boolean}
+ */
+export function isColorNode(node) {
+    return Object.values(node && node.values ? node.values : {})
+        .some(value => Number(value && value.commandClass) === COLOR_SWITCH_CC);
+}
+
+/**
+ * Build the targetColor payload for a request, using only components the bulb has.
+ * Color temperatures mix the white channels when the bulb has both and fall back to RGB otherwise.
+ * @param {ColorRequest} request
+ * @param {Set<string>} components - From getColorComponents; empty means unknown, so all are sent
+ * @returns {ColorComponents}
+ * @throws {Error} If the bulb can't show the color
+ */
+export function buildTargetColor(request, components) {
+    const supported = components.size > 0 ? components : new Set(COMPONENTS);
+    const hasRgb = ['red', 'green', 'blue'].every(component => supported.has(component));
+    const hasWhites = supported.has('warmWhite') && supported.has('coldWhite');
+
+    /** @type {ColorComponents} */
+    const target = {};
+
+    if (request.kind === 'kelvin' && hasWhites) {
+        const warmth = (COOLEST_KELVIN - clamp(request.kelvin, WARMEST_KELVIN, COOLEST_KELVIN)) / (COOLEST_KELVIN - WARMEST_KELVIN);
+        Object.assign(target, {
+            warmWhite: Math.round(255 * warmth),
+            coldWhite: Math.round(255 * (1 - warmth)),
+            red: 0,
+            green: 0,
+            blue: 0,
+        });
+    } else if (hasRgb) {
+        const [red, green, blue] = request.kind === 'kelvin' ? kelvinToRgb(request.kelvin) : request.rgb;
+        Object.assign(target, {red, green, blue, warmWhite: 0, coldWhite: 0});
+    } else {
+        throw new Error(request.kind === 'kelvin'
+            ? 'it has no white or RGB channels to set a color temperature with'
+            : 'it can only show white light');
+    }
+
+    return Object.fromEntries(Object.entries(target).filter(([component]) => supported.has(component)));
+}
+
+/**
+ * Read the color a bulb reports
+ * @param {Record<string, any>} [values] - Node values
+ * @returns {ColorComponents | null} null if the node has no color values
+ */
+export function readColorState(values) {
+    /** @type {ColorComponents} */
+    const color = {};
+
+    for (const value of Object.values(values || {})) {
+        if (Number(value && value.commandClass) !== COLOR_SWITCH_CC || value.property !== 'currentColor') {
+            continue;
+        }
+
+        // Per-component values are updated individually, so they win over the combined object
+        if (value.propertyKey === undefined && value.value && typeof value.value === 'object') {
+            for (const component of COMPONENTS) {
+                if (Number.isFinite(value.value[component]) && !(component in color)) {
+                    color[component] = value.value[component];
+                }
+            }
+            continue;
+        }
+
+        const name = COMPONENTS.find(component =>
+            component === value.propertyKey || COMPONENT_IDS[component] === Number(value.propertyKey)
+        );
+        if (name && Number.isFinite(Number(value.value))) {
+            color[name] = Number(value.value);
+        }
+    }
+
+    return Object.keys(color).length > 0 ? color : null;
+}
+
+/**
+ * @param {number} kelvin
+ * @returns {string}
+ */
+function nameWhite(kelvin) {
+    if (kelvin < 2900) return 'warm white';
+    if (kelvin < 3500) return 'soft white';
+    if (kelvin < 4500) return 'neutral white';
+    if (kelvin < 5500) return 'cool white';
+    return 'daylight';
+}
+
+/**
+ * Describe a color so it can be read aloud, e.g. 'orange' or 'warm white (2700K)'
+ * @param {ColorComponents} color
+ * @returns {string}
+ */
+export function describeColor(color) {
+    const {red = 0, green = 0, blue = 0, warmWhite = 0, coldWhite = 0} = color;
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+
+    if (max === 0) {
+        if (warmWhite + coldWhite === 0) {
+            return 'no color';
+        }
+        const kelvin = Math.round((COOLEST_KELVIN - (warmWhite / (warmWhite + coldWhite)) * (COOLEST_KELVIN - WARMEST_KELVIN)) / 100) * 100;
+        return `${nameWhite(kelvin)} (${kelvin}K)`;
+    }
+
+    if ((max - min) / max < 0.15) {
+        return 'white';
+    }
+
+    const delta = max - min;
+    let hue;
+    if (max === red) {
+        hue = 60 * (((green - blue) / delta + 6) % 6);
+    } else if (max === green) {
+        hue = 60 * ((blue - red) / delta + 2);
+    } else {
+        hue = 60 * ((red - green) / delta + 4);
+    }
+
+    return HUE_NAMES.find(([bound]) => hue < bound)[1];
+}
+
+/**
+ * Check whether a reported color matches what was sent. Bulbs may round, so allow a small tolerance.
+ * @param {ColorComponents} target
+ * @returns {(value: any) => boolean}
+ */
+export function buildColorMatcher(target) {
+    return (value) => {
+        if (!value || typeof value !== 'object') {
+            return false;
+        }
+        return Object.entries(target).every(([component, level]) =>
+            Number.isFinite(value[component]) && Math.abs(value[component] - level) <= 3
+        );
+    };
+}
@@ -3,6 +3,13 @@
  * Loads and validates environment variables for ZWave-JS-UI and MQTT connections
  */
 
+import path from 'path';
+import {fileURLToPath} from 'url';
+
+// Relative file paths in configuration resolve against the package root, not the
+// working directory, because consumers spawn this server from their own directories.
+const PACKAGE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
 /**
  * @typedef {Object} ZWaveConfig
  * @property {string} url - ZWave-JS-UI WebSocket URL
@@ -10,6 +17,7 @@
  * @property {string} [password] - Optional password for authentication
  * @property {boolean} authEnabled - Whether authentication is enabled
  * @property {number} [socketTimeoutMs] - Optional socket timeout in milliseconds
+ * @property {number} nodeCacheTtlMs - How long read-only tools reuse the node list while MQTT keeps values fresh
  */
 
 /**
@@ -20,12 +28,119 @@
  * @property {string} [username] - Optional MQTT username
  * @property {string} [password] - Optional MQTT password
  * @property {string} topicPrefix - MQTT topic prefix (default: 'zwave')
+ * @property {number} confirmTimeoutMs - How long to wait for a device to report its new state after a command (0 disables)
+ */
+
+/**
+ * @typedef {Object} SecurityConfig
+ * @property {string} [unlockPin] - PIN required to unlock doors or open barriers (a confirmation round trip is required when unset)
+ * @property {number} maxPinAttempts - Incorrect PIN attempts allowed before unlocking is locked out
+ * @property {number} pinLockoutMs - How long unlocking stays disabled after too many incorrect PINs
+ */
+
+/**
+ * @typedef {Object} AdminConfig
+ * @property {boolean} enabled - Whether network management tools (inclusion, exclusion, heal, rename) are exposed
+ */
+
+/**
+ * @typedef {Object} ScenesConfig
+ * @property {string} filePath - Absolute path to the scenes JSON file
+ */
+
+/**
+ * @typedef {Object} AliasesConfig
+ * @property {string} filePath - Absolute path to the device name aliases JSON file
+ * @property {string} registryNamesPath - Absolute path to the names published by the oracle device registry
+ */
+
+/**
+ * @typedef {Object} GroupsConfig
+ * @property {string} filePath - Absolute path to the device groups JSON file
+ */
+
+/**
+ * @typedef {Object} AutomationsConfig
+ * @property {string} filePath - Absolute path to the automations JSON file
+ * @property {{ latitude: number, longitude: number }} [location] - Where to compute sunrise/sunset (optional)
+ */
+
+/**
+ * @typedef {Object} SchedulesConfig
+ * @property {string} filePath - Absolute path to the scheduled actions JSON file
+ */
+
+/**
+ * @typedef {Object} HistoryConfig
+ * @property {boolean} enabled - Whether device values are recorded to disk
+ * @property {string} dirPath - Absolute path to the history directory
+ * @property {number} retentionDays - Days of history to keep (0 keeps everything)
+ */
+
+/**
+ * @typedef {Object} BatteryConfig
+ * @property {number} threshold - Battery percent at or below which a device counts as low
+ * @property {string} [alertTopic] - MQTT topic for low-battery alerts (unset disables alerts)
+ */
+
+/**
+ * @typedef {Object} EventLogConfig
+ * @property {string} filePath - Absolute path to the security event log JSON file
+ * @property {number} retentionDays - Days of events to keep
+ */
+
+/**
+ * @typedef {Object} BackendsConfig
+ * @property {{ enabled: boolean, baseTopic: string }} zigbee2mqtt - Zigbee2MQTT devices under baseTopic
+ * @property {string} mqttDevicesFile - Absolute path to the Tasmota/generic MQTT devices JSON file
+ */
+
+/**
+ * @typedef {Object} DiscoveryConfig
+ * @property {boolean} enabled - Whether Home Assistant MQTT Discovery configs are published
+ * @property {string} prefix - Home Assistant's discovery prefix
+ * @property {string} availabilityPrefix - Where this server and each node publish online/offline
+ * @property {number} refreshMs - How often devices are re-read to publish new, renamed and removed ones
+ */
+
+/**
+ * @typedef {Object} SimulatorConfig
+ * @property {boolean} enabled - Whether the server starts the simulator in-process instead of using real hardware
+ * @property {string} fixturePath - JSON file of virtual nodes
+ * @property {string} host - Address the simulated Z-Wave JS UI and MQTT broker listen on
+ * @property {number} zwavePort - Simulated Z-Wave JS UI port
+ * @property {number} mqttPort - Simulated MQTT broker port
+ * @property {number} sensorIntervalMs - How often sensors report synthetic readings (0 disables)
+ */
+
+/**
+ * @typedef {Object} HttpConfig
+ * @property {boolean} enabled - Serve MCP over Streamable HTTP instead of stdio
+ * @property {string} host - Interface to listen on
+ * @property {number} port - Port to listen on
+ * @property {string} path - URL path of the MCP endpoint
+ * @property {string} [authToken] - Bearer token every request must present (required when enabled)
+ * @property {number} sessionIdleMs - Close sessions with no request or open stream for this long (0 = never)
  */
 
 /**
  * @typedef {Object} ServerConfig
  * @property {ZWaveConfig} zwave - Z-Wave JS UI configuration
  * @property {MQTTConfig} mqtt - MQTT configuration
+ * @property {SecurityConfig} security - Lock and barrier guardrail configuration
+ * @property {AdminConfig} admin - Network management tool configuration
+ * @property {ScenesConfig} scenes - Scene file configuration
+ * @property {AliasesConfig} aliases - Device name alias file configuration
+ * @property {GroupsConfig} groups - Device group file configuration
+ * @property {AutomationsConfig} automations - Automation rules configuration
+ * @property {SchedulesConfig} schedules - Scheduled actions configuration
+ * @property {HttpConfig} http - Streamable HTTP transport configuration
+ * @property {HistoryConfig} history - Device history configuration
+ * @property {BatteryConfig} battery - Low-battery threshold and alert configuration
+ * @property {EventLogConfig} eventLog - Security event log configuration
+ * @property {BackendsConfig} backends - Non-Z-Wave device backend configuration
+ * @property {DiscoveryConfig} discovery - Home Assistant MQTT Discovery configuration
+ * @property {SimulatorConfig} simulator - Offline simulator configuration
  */
 
 /**
@@ -34,13 +149,15 @@
  * @throws {Error} If required configuration is missing or invalid
  */
 export function getConfig() {
-    const url = process.env.ZWAVE_UI_URL;
+    // The simulator stands in for Z-Wave JS UI and needs no credentials
+    const simulator = getSimulatorConfig();
+    const url = simulator.enabled ? `http://${simulator.host}:${simulator.zwavePort}` : process.env.ZWAVE_UI_URL;
 
     if (!url) {
         throw new Error('ZWAVE_UI_URL environment variable is required');
     }
 
-    const authEnabled = process.env.ZWAVE_UI_AUTH_ENABLED === 'true';
+    const authEnabled = !simulator.enabled && process.env.ZWAVE_UI_AUTH_ENABLED === 'true';
     const username = process.env.ZWAVE_UI_USERNAME;
     const password = process.env.ZWAVE_UI_PASSWORD;
 
@@ -59,12 +176,18 @@ export function getConfig() {
         socketTimeoutMs = undefined;
     }
 
+    const nodeCacheTtlMs = Number.parseInt(process.env.ZWAVE_NODE_CACHE_TTL_MS || String(5 * 60 * 1000), 10);
+    if (Number.isNaN(nodeCacheTtlMs) || nodeCacheTtlMs < 0) {
+        throw new Error('ZWAVE_NODE_CACHE_TTL_MS must be a non-negative integer');
+    }
+
     return {
         url,
         username,
         password,
         authEnabled,
         socketTimeoutMs,
+        nodeCacheTtlMs,
     };
 }
 
@@ -74,12 +197,21 @@ export function getConfig() {
  * @throws {Error} If MQTT is enabled but required configuration is missing
  */
 export function getMQTTConfig() {
-    const enabled = process.env.MQTT_ENABLED !== 'false'; // Default to true
+    // The simulator brings its own broker, which only works over MQTT
+    const simulator = getSimulatorConfig();
+    const enabled = simulator.enabled || process.env.MQTT_ENABLED !== 'false'; // Default to true
     const preferMqtt = process.env.PREFER_MQTT !== 'false'; // Default to true
-    const brokerUrl = process.env.MQTT_BROKER_URL || 'mqtt://localhost:1883';
-    const username = process.env.MQTT_USERNAME;
-    const password = process.env.MQTT_PASSWORD;
+    const brokerUrl = simulator.enabled
+        ? `mqtt://${simulator.host}:${simulator.mqttPort}`
+        : process.env.MQTT_BROKER_URL || 'mqtt://localhost:1883';
+    const username = simulator.enabled ? undefined : process.env.MQTT_USERNAME;
+    const password = simulator.enabled ? undefined : process.env.MQTT_PASSWORD;
     const topicPrefix = process.env.MQTT_TOPIC_PREFIX || 'zwave';
+    const confirmTimeoutMs = Number.parseInt(process.env.MQTT_CONFIRM_TIMEOUT_MS || '3000', 10);
+
+    if (Number.isNaN(confirmTimeoutMs) || confirmTimeoutMs < 0) {
+        throw new Error('MQTT_CONFIRM_TIMEOUT_MS must be a non-negative integer');
+    }
 
     if (enabled && !brokerUrl) {
         throw new Error('MQTT_ENABLED is true but MQTT_BROKER_URL is missing');
@@ -92,6 +224,292 @@ export function getMQTTConfig() {
         username,
         password,
         topicPrefix,
+        confirmTimeoutMs,
+    };
+}
+
+/**
+ * Load and validate lock/barrier security configuration from environment variables
+ * @returns {SecurityConfig}
+ * @throws {Error} If the unlock PIN or attempt limits are invalid
+ */
+export function getSecurityConfig() {
+    const unlockPin = process.env.ZWAVE_UNLOCK_PIN || undefined;
+
+    if (unlockPin && !/^\d{4,8}$/.test(unlockPin)) {
+        throw new Error('ZWAVE_UNLOCK_PIN must be 4 to 8 digits');
+    }
+
+    const maxPinAttempts = Number.parseInt(process.env.ZWAVE_UNLOCK_MAX_ATTEMPTS || '3', 10);
+    if (Number.isNaN(maxPinAttempts) || maxPinAttempts < 1) {
+        throw new Error('ZWAVE_UNLOCK_MAX_ATTEMPTS must be a positive integer');
+    }
+
+    const pinLockoutMs = Number.parseInt(process.env.ZWAVE_UNLOCK_LOCKOUT_MS || String(5 * 60 * 1000), 10);
+    if (Number.isNaN(pinLockoutMs) || pinLockoutMs < 0) {
+        throw new Error('ZWAVE_UNLOCK_LOCKOUT_MS must be a non-negative integer');
+    }
+
+    return {
+        unlockPin,
+        maxPinAttempts,
+        pinLockoutMs,
+    };
+}
+
+/**
+ * Load network management tool configuration from environment variables
+ * @returns {AdminConfig}
+ */
+export function getAdminConfig() {
+    return {
+        enabled: process.env.ZWAVE_ADMIN_TOOLS_ENABLED === 'true', // Default to false
+    };
+}
+
+/**
+ * Resolve a configured file path against the package root
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function resolveDataPath(filePath) {
+    return path.isAbsolute(filePath) ? filePath : path.resolve(PACKAGE_ROOT, filePath);
+}
+
+/**
+ * Load scene configuration from environment variables
+ * @returns {ScenesConfig}
+ */
+export function getScenesConfig() {
+    return {
+        filePath: resolveDataPath(process.env.ZWAVE_SCENES_FILE || 'scenes.json'),
+    };
+}
+
+/**
+ * Load device name alias configuration from environment variables
+ * @returns {AliasesConfig}
+ */
+export function getAliasesConfig() {
+    return {
+        filePath: resolveDataPath(process.env.ZWAVE_ALIASES_FILE || 'aliases.json'),
+        registryNamesPath: resolveDataPath(process.env.ZWAVE_REGISTRY_NAMES_FILE || 'data/registry-names.json'),
+    };
+}
+
+/**
+ * Load device group configuration from environment variables
+ * @returns {GroupsConfig}
+ */
+export function getGroupsConfig() {
+    return {
+        filePath: resolveDataPath(process.env.ZWAVE_GROUPS_FILE || 'groups.json'),
+    };
+}
+
+/**
+ * Load and validate automation configuration from environment variables
+ * @returns {AutomationsConfig}
+ * @throws {Error} If only one coordinate is set or either is out of range
+ */
+export function getAutomationsConfig() {
+    const config = {
+        filePath: resolveDataPath(process.env.ZWAVE_AUTOMATIONS_FILE || 'automations.json'),
+    };
+
+    const {ZWAVE_LATITUDE, ZWAVE_LONGITUDE} = process.env;
+    if (!ZWAVE_LATITUDE && !ZWAVE_LONGITUDE) {
+        return config;
+    }
+
+    const latitude = Number(ZWAVE_LATITUDE);
+    const longitude = Number(ZWAVE_LONGITUDE);
+
+    if (!ZWAVE_LATITUDE || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        throw new Error('ZWAVE_LATITUDE must be a number between -90 and 90 when ZWAVE_LONGITUDE is set');
+    }
+
+    if (!ZWAVE_LONGITUDE || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        throw new Error('ZWAVE_LONGITUDE must be a number between -180 and 180 when ZWAVE_LATITUDE is set');
+    }
+
+    return {...config, location: {latitude, longitude}};
+}
+
+/**
+ * Load scheduled action configuration from environment variables
+ * @returns {SchedulesConfig}
+ */
+export function getSchedulesConfig() {
+    return {
+        filePath: resolveDataPath(process.env.ZWAVE_SCHEDULES_FILE || 'data/schedules.json'),
+    };
+}
+
+/**
+ * Load and validate device history configuration from environment variables
+ * @returns {HistoryConfig}
+ * @throws {Error} If the retention period is invalid
+ */
+export function getHistoryConfig() {
+    const retentionDays = Number.parseInt(process.env.ZWAVE_HISTORY_RETENTION_DAYS || '30', 10);
+
+    if (Number.isNaN(retentionDays) || retentionDays < 0) {
+        throw new Error('ZWAVE_HISTORY_RETENTION_DAYS must be a non-negative integer');
+    }
+
+    return {
+        enabled: process.env.ZWAVE_HISTORY_ENABLED !== 'false', // Default to true
+        dirPath: resolveDataPath(process.env.ZWAVE_HISTORY_DIR || 'data/history'),
+        retentionDays,
+    };
+}
+
+/**
+ * Load and validate battery monitoring configuration from environment variables
+ * @returns {BatteryConfig}
+ * @throws {Error} If the threshold is not a percentage
+ */
+export function getBatteryConfig() {
+    const threshold = Number.parseInt(process.env.ZWAVE_BATTERY_THRESHOLD || '20', 10);
+    if (Number.isNaN(threshold) || threshold < 1 || threshold > 100) {
+        throw new Error('ZWAVE_BATTERY_THRESHOLD must be an integer from 1 to 100');
+    }
+
+    // An explicitly empty topic turns alerts off
+    const alertTopic = process.env.ZWAVE_BATTERY_ALERT_TOPIC ?? 'home/alerts/battery';
+
+    return {
+        threshold,
+        alertTopic: alertTopic || undefined,
+    };
+}
+
+/**
+ * Load and validate security event log configuration from environment variables
+ * @returns {EventLogConfig}
+ * @throws {Error} If the retention period is invalid
+ */
+export function getEventLogConfig() {
+    const retentionDays = Number.parseInt(process.env.ZWAVE_EVENT_LOG_RETENTION_DAYS || '7', 10);
+
+    if (Number.isNaN(retentionDays) || retentionDays < 1) {
+        throw new Error('ZWAVE_EVENT_LOG_RETENTION_DAYS must be a positive integer');
+    }
+
+    return {
+        filePath: resolveDataPath(process.env.ZWAVE_EVENT_LOG_FILE || 'data/events.json'),
+        retentionDays,
+    };
+}
+
+/**
+ * Load device backend configuration from environment variables
+ * @returns {BackendsConfig}
+ */
+export function getBackendsConfig() {
+    return {
+        zigbee2mqtt: {
+            enabled: process.env.ZIGBEE2MQTT_ENABLED === 'true', // Default to false
+            baseTopic: (process.env.ZIGBEE2MQTT_BASE_TOPIC || 'zigbee2mqtt').replace(/\/+$/, ''),
+        },
+        mqttDevicesFile: resolveDataPath(process.env.ZWAVE_MQTT_DEVICES_FILE || 'mqtt-devices.json'),
+    };
+}
+
+/**
+ * Load and validate Home Assistant MQTT Discovery configuration from environment variables
+ * @returns {DiscoveryConfig}
+ * @throws {Error} If the refresh interval is invalid
+ */
+export function getDiscoveryConfig() {
+    const refreshMs = Number.parseInt(process.env.HA_DISCOVERY_REFRESH_MS || String(5 * 60 * 1000), 10);
+
+    if (Number.isNaN(refreshMs) || refreshMs < 10000) {
+        throw new Error('HA_DISCOVERY_REFRESH_MS must be an integer of at least 10000');
+    }
+
+    return {
+        enabled: process.env.HA_DISCOVERY_ENABLED === 'true', // Default to false
+        prefix: (process.env.HA_DISCOVERY_PREFIX || 'homeassistant').replace(/\/+$/, ''),
+        availabilityPrefix: (process.env.HA_DISCOVERY_AVAILABILITY_PREFIX || 'zwave-mcp').replace(/\/+$/, ''),
+        refreshMs,
+    };
+}
+
+/**
+ * Load and validate simulator configuration from environment variables
+ * @returns {SimulatorConfig}
+ * @throws {Error} If a port or the sensor interval is invalid
+ */
+export function getSimulatorConfig() {
+    const zwavePort = Number.parseInt(process.env.ZWAVE_SIMULATOR_UI_PORT || '8091', 10);
+    const mqttPort = Number.parseInt(process.env.ZWAVE_SIMULATOR_MQTT_PORT || '1883', 10);
+    const sensorIntervalMs = Number.parseInt(process.env.ZWAVE_SIMULATOR_SENSOR_INTERVAL_MS || '30000', 10);
+
+    for (const [name, port] of [['ZWAVE_SIMULATOR_UI_PORT', zwavePort], ['ZWAVE_SIMULATOR_MQTT_PORT', mqttPort]]) {
+        if (Number.isNaN(port) || port < 1 || port > 65535) {
+            throw new Error(`${name} must be a valid port number`);
+        }
+    }
+
+    if (Number.isNaN(sensorIntervalMs) || sensorIntervalMs < 0) {
+        throw new Error('ZWAVE_SIMULATOR_SENSOR_INTERVAL_MS must be a non-negative integer');
+    }
+
+    return {
+        enabled: process.env.ZWAVE_SIMULATOR === 'true', // Default to false
+        fixturePath: resolveDataPath(process.env.ZWAVE_SIMULATOR_FIXTURE || 'simulator-nodes.json'),
+        host: process.env.ZWAVE_SIMULATOR_HOST || '127.0.0.1',
+        zwavePort,
+        mqttPort,
+        sensorIntervalMs,
+    };
+}
+
+/**
+ * Load and validate Streamable HTTP transport configuration from environment variables
+ * @returns {HttpConfig}
+ * @throws {Error} If HTTP is enabled without a usable auth token or port
+ */
+export function getHttpConfig() {
+    const transport = (process.env.MCP_TRANSPORT || 'stdio').toLowerCase();
+
+    if (transport !== 'stdio' && transport !== 'http') {
+        throw new Error('MCP_TRANSPORT must be "stdio" or "http"');
+    }
+
+    const enabled = transport === 'http';
+    const host = process.env.MCP_HTTP_HOST || '127.0.0.1';
+    const port = Number.parseInt(process.env.MCP_HTTP_PORT || '3100', 10);
+    const mcpPath = process.env.MCP_HTTP_PATH || '/mcp';
+    const authToken = process.env.MCP_HTTP_AUTH_TOKEN || undefined;
+
+    if (Number.isNaN(port) || port < 0 || port > 65535) {
+        throw new Error('MCP_HTTP_PORT must be a valid port number');
+    }
+
+    if (!mcpPath.startsWith('/')) {
+        throw new Error('MCP_HTTP_PATH must start with "/"');
+    }
+
+    const sessionIdleMs = Number.parseInt(process.env.MCP_HTTP_SESSION_IDLE_MS || String(30 * 60 * 1000), 10);
+    if (Number.isNaN(sessionIdleMs) || sessionIdleMs < 0) {
+        throw new Error('MCP_HTTP_SESSION_IDLE_MS must be a non-negative integer');
+    }
+
+    // Anyone who can reach the port could otherwise control (and unlock) devices
+    if (enabled && (!authToken || authToken.length < 16)) {
+        throw new Error('MCP_TRANSPORT is http but MCP_HTTP_AUTH_TOKEN is missing or shorter than 16 characters');
+    }
+
+    return {
+        enabled,
+        host,
+        port,
+        path: mcpPath,
+        authToken,
+        sessionIdleMs,
     };
 }
 
@@ -103,6 +521,20 @@ export function getServerConfig() {
     return {
         zwave: getConfig(),
         mqtt: getMQTTConfig(),
+        security: getSecurityConfig(),
+        admin: getAdminConfig(),
+        scenes: getScenesConfig(),
+        aliases: getAliasesConfig(),
+        groups: getGroupsConfig(),
+        automations: getAutomationsConfig(),
+        schedules: getSchedulesConfig(),
+        http: getHttpConfig(),
+        history: getHistoryConfig(),
+        battery: getBatteryConfig(),
+        eventLog: getEventLogConfig(),
+        backends: getBackendsConfig(),
+        discovery: getDiscoveryConfig(),
+        simulator: getSimulatorConfig(),
     };
 }
 
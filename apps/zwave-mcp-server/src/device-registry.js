@@ -16,6 +16,30 @@
 
 /** @typedef {import('./types.js').DeviceRegistry} DeviceRegistry */
 /** @typedef {import('./types.js').DeviceRegistryEntry} DeviceRegistryEntry */
+/** @typedef {import('./types.js').DeviceEndpoint} DeviceEndpoint */
+
+/**
+ * Sanitize a name for use in MQTT topics, the way Z-Wave JS UI does.
+ * Replaces any character that is not alphanumeric, underscore, or hyphen with underscore.
+ * @param {string|number|undefined|null} str
+ * @returns {string}
+ */
+export function sanitizeForTopic(str) {
+    if (str === undefined || str === null) return '';
+    return String(str).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Key for comparing names with the names in topics (sanitized, case-insensitive)
+ * @param {string|number|undefined|null} name
+ * @returns {string}
+ */
+export function topicKey(name) {
+    return sanitizeForTopic(name).toLowerCase();
+}
+
+/** Command classes that make an endpoint separately switchable, best first */
+const ENDPOINT_SWITCH_CLASSES = [{commandClass: 38, type: 'dimmer'}, {commandClass: 37, type: 'switch'}];
 
 export class DeviceRegistryBuilder {
     constructor() {
@@ -41,7 +65,7 @@ export class DeviceRegistryBuilder {
      * @returns {boolean | null} - true if active, false if inactive, null if unknown
      */
     isDeviceActive(deviceName) {
-        const lastSeen = this.deviceLastSeen.get(deviceName);
+        const lastSeen = this.getLastSeen(deviceName);
         if (!lastSeen) {
             return null; // Unknown activity status
         }
@@ -56,7 +80,10 @@ export class DeviceRegistryBuilder {
      * @returns {number | null} - Timestamp in ms, or null if never seen
      */
     getLastSeen(deviceName) {
-        return this.deviceLastSeen.get(deviceName) || null;
+        // MQTT activity arrives under the topic form of the name (spaces -> underscores)
+        const byName = this.deviceLastSeen.get(deviceName) || 0;
+        const byTopicName = this.deviceLastSeen.get(this.sanitizeForTopic(deviceName)) || 0;
+        return Math.max(byName, byTopicName) || null;
     }
 
     /**
@@ -65,7 +92,15 @@ export class DeviceRegistryBuilder {
      * @returns {string} - Human-readable time string
      */
     getLastSeenFormatted(deviceName) {
-        const lastSeen = this.getLastSeen(deviceName);
+        return this.formatLastSeen(this.getLastSeen(deviceName));
+    }
+
+    /**
+     * Format a last seen timestamp for display
+     * @param {number | null} lastSeen - Timestamp in ms
+     * @returns {string} - Human-readable time string
+     */
+    formatLastSeen(lastSeen) {
         if (!lastSeen) {
             return 'Never';
         }
@@ -85,11 +120,22 @@ export class DeviceRegistryBuilder {
 
     /**
      * Build a registry keyed by friendly device name.
+     * Names are not unique across locations; the last node with a name owns its key.
+     * Use buildEntries() when every node matters (e.g. everything in one room).
      * @param {ZWaveConfig} zwaveConfig
      * @returns {DeviceRegistry}
      */
     build(zwaveConfig) {
-        const registry = {};
+        return Object.fromEntries(this.buildEntries(zwaveConfig).map(entry => [entry.name, entry]));
+    }
+
+    /**
+     * Build one registry entry per node, keeping same-named devices in different locations apart
+     * @param {ZWaveConfig} zwaveConfig
+     * @returns {DeviceRegistryEntry[]}
+     */
+    buildEntries(zwaveConfig) {
+        const entries = [];
 
         for (const [nodeIdStr, node] of Object.entries(zwaveConfig)) {
             if (!node || typeof node !== 'object') continue;
@@ -105,7 +151,7 @@ export class DeviceRegistryBuilder {
                 this.updateDeviceActivity(deviceName);
             }
 
-            registry[deviceName] = {
+            const entry = {
                 nodeId,
                 name: deviceName,
                 location,
@@ -118,9 +164,16 @@ export class DeviceRegistryBuilder {
                 lastSeen: this.getLastSeen(deviceName),
                 isActive: this.isDeviceActive(deviceName),
             };
+
+            const endpoints = this.detectEndpoints(node);
+            if (endpoints.length > 0) {
+                entry.endpoints = endpoints;
+            }
+
+            entries.push(entry);
         }
 
-        return registry;
+        return entries;
     }
 
     /**
@@ -173,6 +226,15 @@ export class DeviceRegistryBuilder {
             }
         }
 
+        // Security devices first so they are never mistaken for plain switches
+        if (commandClasses.has(98)) {
+            return {type: 'lock', commandClass: 98};
+        }
+
+        if (commandClasses.has(102)) {
+            return {type: 'barrier', commandClass: 102};
+        }
+
         if (commandClasses.has(38)) {
             return {type: 'dimmer', commandClass: 38};
         }
@@ -199,6 +261,63 @@ export class DeviceRegistryBuilder {
         };
     }
 
+    /**
+     * Find the separately switchable endpoints of a multi-channel device (power strips, dual relays).
+     * Endpoint 0 mirrors one or all of them, so a device only has sub-devices when at least two
+     * endpoints above 0 can be switched.
+     * @param {any} node
+     * @returns {DeviceEndpoint[]} Sorted by index; empty for single-endpoint devices
+     */
+    detectEndpoints(node) {
+        const values = node && node.values ? Object.values(node.values) : [];
+        /** @type {Map<number, Set<number>>} - Endpoint index -> command classes */
+        const byEndpoint = new Map();
+
+        for (const raw of values) {
+            const index = Number(raw && raw.endpoint) || 0;
+            const cc = Number(raw && raw.commandClass);
+            if (index > 0 && Number.isFinite(cc)) {
+                if (!byEndpoint.has(index)) byEndpoint.set(index, new Set());
+                byEndpoint.get(index).add(cc);
+            }
+        }
+
+        const deviceName = node.name || `Node ${node.id}`;
+        const location = node.loc || '';
+        const labels = Array.isArray(node.endpoints) ? node.endpoints : [];
+
+        const endpoints = [];
+        for (const [index, commandClasses] of byEndpoint) {
+            const match = ENDPOINT_SWITCH_CLASSES.find(candidate => commandClasses.has(candidate.commandClass));
+            if (!match) continue;
+
+            const label = labels.find(endpoint => endpoint && endpoint.index === index)?.label;
+            endpoints.push({
+                index,
+                name: this.buildEndpointName(deviceName, index, label),
+                type: match.type,
+                commandClass: match.commandClass,
+                topics: {
+                    control: this.buildControlTopic(location, deviceName, match.commandClass, undefined, index),
+                    state: this.buildStateTopic(location, deviceName, match.commandClass, undefined, index),
+                },
+            });
+        }
+
+        return endpoints.length >= 2 ? endpoints.sort((a, b) => a.index - b.index) : [];
+    }
+
+    /**
+     * Name an endpoint as a sub-device, e.g. "Power Strip outlet 2"
+     * @param {string} deviceName
+     * @param {number} index - Endpoint index
+     * @param {string} [label] - Endpoint label reported by Z-Wave JS UI
+     * @returns {string}
+     */
+    buildEndpointName(deviceName, index, label) {
+        return label && label.trim() ? `${deviceName} ${label.trim()}` : `${deviceName} outlet ${index}`;
+    }
+
     /**
      * Sanitize a string for use in MQTT topics.
      * Replaces any character that is not alphanumeric, underscore, or hyphen with underscore.
@@ -206,9 +325,7 @@ export class DeviceRegistryBuilder {
      * @returns {string}
      */
     sanitizeForTopic(str) {
-        if (!str) return '';
-        // Replace spaces and any non-alphanumeric characters (except _ and -) with underscore
-        return str.replace(/[^a-zA-Z0-9_-]/g, '_');
+        return sanitizeForTopic(str);
     }
 
     /**
@@ -220,50 +337,89 @@ export class DeviceRegistryBuilder {
         const mapping = {
             37: 'switch_binary',
             38: 'switch_multilevel',
+            48: 'sensor_binary',
             49: 'sensor_multilevel',
+            50: 'meter',
+            51: 'switch_color',
             64: 'thermostat_mode',
+            67: 'thermostat_setpoint',
+            98: 'door_lock',
+            102: 'barrier_operator',
+            113: 'notification',
+            128: 'battery',
         };
         return mapping[commandClass] || `cc_${commandClass}`;
     }
 
     /**
-     * Build control topic using location and device name to match Z-Wave JS UI MQTT output.
-     * Format: zwave/[location/]device_name/command_class/endpoint_0/targetValue/set
+     * Map command class number to the value properties used for control and state.
+     * Most command classes use targetValue/currentValue, but Door Lock uses
+     * targetMode/currentMode and Barrier Operator uses targetState/currentState.
+     * @param {number} commandClass
+     * @returns {{ control: string; state: string }}
+     */
+    getValueProperties(commandClass) {
+        const mapping = {
+            98: {control: 'targetMode', state: 'currentMode'},
+            102: {control: 'targetState', state: 'currentState'},
+        };
+        return mapping[commandClass] || {control: 'targetValue', state: 'currentValue'};
+    }
+
+    /**
+     * Build the base topic for a single value using location and device name.
+     * Format: zwave/[location/]device_name/command_class/endpoint_N/property[/propertyKey]
      *
      * @param {string} location - Device location (optional, omitted if empty)
      * @param {string} deviceName - Device name
      * @param {number} commandClass - Z-Wave command class ID
+     * @param {string} property - Value property (e.g. 'targetValue', 'mode', 'setpoint')
+     * @param {string|number} [propertyKey] - Optional property key (e.g. setpoint type 1 = heating)
+     * @param {number} [endpoint=0] - Endpoint index for multi-channel devices
      * @returns {string}
      */
-    buildControlTopic(location, deviceName, commandClass) {
+    buildValueTopic(location, deviceName, commandClass, property, propertyKey, endpoint = 0) {
         const sanitizedLocation = this.sanitizeForTopic(location);
         const sanitizedName = this.sanitizeForTopic(deviceName);
         const commandClassName = this.getCommandClassName(commandClass);
 
         // Only include location if it exists
         const locationPart = sanitizedLocation ? `${sanitizedLocation}/` : '';
+        const keyPart = propertyKey !== undefined && propertyKey !== null ? `/${propertyKey}` : '';
 
-        return `zwave/${locationPart}${sanitizedName}/${commandClassName}/endpoint_0/targetValue/set`;
+        return `zwave/${locationPart}${sanitizedName}/${commandClassName}/endpoint_${endpoint}/${property}${keyPart}`;
     }
 
     /**
-     * Build state topic using location and device name to match Z-Wave JS UI MQTT output.
-     * Format: zwave/[location/]device_name/command_class/endpoint_0/currentValue
+     * Build control topic using location and device name to match Z-Wave JS UI MQTT output.
+     * Format: zwave/[location/]device_name/command_class/endpoint_N/targetValue/set
      *
      * @param {string} location - Device location (optional, omitted if empty)
      * @param {string} deviceName - Device name
      * @param {number} commandClass - Z-Wave command class ID
+     * @param {string} [property] - Control property (default: from getValueProperties)
+     * @param {number} [endpoint=0] - Endpoint index for multi-channel devices
      * @returns {string}
      */
-    buildStateTopic(location, deviceName, commandClass) {
-        const sanitizedLocation = this.sanitizeForTopic(location);
-        const sanitizedName = this.sanitizeForTopic(deviceName);
-        const commandClassName = this.getCommandClassName(commandClass);
-
-        // Only include location if it exists
-        const locationPart = sanitizedLocation ? `${sanitizedLocation}/` : '';
+    buildControlTopic(location, deviceName, commandClass, property, endpoint = 0) {
+        const controlProperty = property || this.getValueProperties(commandClass).control;
+        return `${this.buildValueTopic(location, deviceName, commandClass, controlProperty, undefined, endpoint)}/set`;
+    }
 
-        return `zwave/${locationPart}${sanitizedName}/${commandClassName}/endpoint_0/currentValue`;
+    /**
+     * Build state topic using location and device name to match Z-Wave JS UI MQTT output.
+     * Format: zwave/[location/]device_name/command_class/endpoint_N/currentValue
+     *
+     * @param {string} location - Device location (optional, omitted if empty)
+     * @param {string} deviceName - Device name
+     * @param {number} commandClass - Z-Wave command class ID
+     * @param {string} [property] - State property (default: from getValueProperties)
+     * @param {number} [endpoint=0] - Endpoint index for multi-channel devices
+     * @returns {string}
+     */
+    buildStateTopic(location, deviceName, commandClass, property, endpoint = 0) {
+        const stateProperty = property || this.getValueProperties(commandClass).state;
+        return this.buildValueTopic(location, deviceName, commandClass, stateProperty, undefined, endpoint);
     }
 
     /**
@@ -294,6 +450,33 @@ export class DeviceRegistryBuilder {
         return undefined;
     }
 
+    /**
+     * Find one endpoint of a multi-channel device by its sub-device name (e.g. "Power Strip outlet 2")
+     * @param {DeviceRegistry} registry
+     * @param {string} name
+     * @returns {DeviceRegistryEntry | undefined} An entry for the endpoint alone
+     */
+    findEndpointByName(registry, name) {
+        const lowerName = name.toLowerCase();
+
+        for (const entry of Object.values(registry)) {
+            const endpoint = (entry.endpoints || []).find(candidate => candidate.name.toLowerCase() === lowerName);
+            if (endpoint) {
+                return {
+                    nodeId: entry.nodeId,
+                    name: endpoint.name,
+                    location: entry.location,
+                    topics: endpoint.topics,
+                    type: endpoint.type,
+                    commandClass: endpoint.commandClass,
+                    endpoint: endpoint.index,
+                };
+            }
+        }
+
+        return undefined;
+    }
+
     /**
      * Find similar device names for suggestions (fuzzy matching)
      * @param {DeviceRegistry} registry
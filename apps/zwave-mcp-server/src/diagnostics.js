@@ -0,0 +1,323 @@
+/**
+ * Node health diagnostics for the Z-Wave MCP server.
+ *
+ * Z-Wave JS UI reports per-node statistics alongside each node: commands sent and dropped,
+ * round-trip time, RSSI and the last working route. These are turned into findings in plain
+ * English and a severity, so "why is the porch light flaky?" gets an answer the voice
+ * assistant can read out and a whole-network check can rank the worst nodes first.
+ */
+
+import {readBatteryLevel} from './batteries.js';
+
+/** @typedef {import('./types.js').ZWaveNode} ZWaveNode */
+
+/** RSSI values at or above this are zwave-js error codes (no signal, saturated, not available) */
+const RSSI_ERROR_MIN = 125;
+const WEAK_RSSI_DBM = -80;
+const VERY_WEAK_RSSI_DBM = -90;
+/** Failure ratios are meaningless for a handful of commands */
+const MIN_COMMANDS_FOR_RATIO = 10;
+const FLAKY_FAILURE_RATIO = 0.05;
+const FAILING_FAILURE_RATIO = 0.2;
+const SLOW_RTT_MS = 500;
+const LONG_ROUTE_HOPS = 3;
+const LOW_BATTERY_PERCENT = 20;
+const CRITICAL_BATTERY_PERCENT = 10;
+/** Battery devices sleep between wake-ups, so they are allowed to be quiet for longer */
+const STALE_MAINS_MS = 24 * 60 * 60 * 1000;
+const STALE_BATTERY_MS = 2 * 24 * 60 * 60 * 1000;
+
+/** @type {Record<NodeSeverity, number>} */
+const SEVERITY_RANK = {dead: 3, critical: 2, warning: 1, ok: 0};
+
+/**
+ * @typedef {'ok' | 'warning' | 'critical' | 'dead'} NodeSeverity
+ */
+
+/**
+ * @typedef {Object} NodeStatistics
+ * @property {number | null} commandsSent - Commands attempted, including dropped ones
+ * @property {number | null} commandsFailed - Dropped transmissions plus missing responses
+ * @property {number | null} roundTripMs
+ * @property {number | null} rssi - dBm, null when unknown
+ * @property {number[]} repeaters - Node ids on the last working route (empty for a direct route)
+ * @property {number | null} lastSeen - Epoch milliseconds
+ */
+
+/**
+ * @typedef {Object} NodeDiagnosis
+ * @property {number} nodeId
+ * @property {string} name
+ * @property {string} location
+ * @property {NodeSeverity} severity
+ * @property {number} score - Higher is worse; orders nodes of the same severity
+ * @property {string[]} findings - Plain-English problems, worst first
+ * @property {NodeStatistics} statistics
+ * @property {number | null} batteryLevel - Percent, null for mains-powered nodes
+ * @property {boolean} lowBattery - At or below the low-battery threshold
+ * @property {string | null} interviewStage
+ */
+
+/**
+ * @param {any} value
+ * @returns {number | null}
+ */
+function toNumber(value) {
+    return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Pull the statistics this module uses out of a Z-Wave JS UI node
+ * @param {ZWaveNode} node
+ * @returns {NodeStatistics}
+ */
+export function readNodeStatistics(node) {
+    const stats = node.statistics || {};
+    const route = stats.lwr || {};
+
+    const sent = toNumber(stats.commandsTX);
+    const dropped = toNumber(stats.commandsDroppedTX);
+    const timeouts = toNumber(stats.timeoutResponse);
+
+    const rssi = toNumber(stats.rssi) ?? toNumber(route.rssi);
+
+    // commandsTX only counts commands that went out; dropped ones never did
+    return {
+        commandsSent: sent === null ? null : sent + (dropped || 0),
+        commandsFailed: dropped === null && timeouts === null ? null : (dropped || 0) + (timeouts || 0),
+        roundTripMs: toNumber(stats.rtt),
+        rssi: rssi !== null && rssi < RSSI_ERROR_MIN ? rssi : null,
+        repeaters: Array.isArray(route.repeaters) ? route.repeaters : [],
+        lastSeen: toNumber(stats.lastSeen) ?? toNumber(node.lastActive),
+    };
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} - e.g. '3 hours', '2 days'
+ */
+function describeDuration(ms) {
+    const hours = Math.round(ms / (60 * 60 * 1000));
+    if (hours < 48) {
+        return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    return `${Math.round(hours / 24)} days`;
+}
+
+/**
+ * Diagnose one node
+ * @param {ZWaveNode} node
+ * @param {Object} [options]
+ * @param {Record<string, any>} [options.values] - Current values, e.g. overlaid with MQTT state
+ * @param {number} [options.now] - Epoch milliseconds
+ * @param {number} [options.lowBatteryPercent] - Battery level that counts as low (matches the battery alert threshold)
+ * @returns {NodeDiagnosis}
+ */
+export function diagnoseNode(node, {values, now = Date.now(), lowBatteryPercent = LOW_BATTERY_PERCENT} = {}) {
+    const statistics = readNodeStatistics(node);
+    const batteryLevel = readBatteryLevel(node, values);
+    const isBattery = batteryLevel !== null || node.isListening === false;
+    const interviewStage = typeof node.interviewStage === 'string' ? node.interviewStage : null;
+
+    /** @type {{ severity: NodeSeverity, weight: number, text: string }[]} */
+    const problems = [];
+    const add = (severity, weight, text) => problems.push({severity, weight, text});
+
+    if (node.status === 'Dead' || node.failed) {
+        add('dead', 100, 'Z-Wave JS UI has marked it dead, so it is not answering at all');
+    }
+
+    const {commandsSent, commandsFailed} = statistics;
+    if (commandsSent !== null && commandsFailed !== null && commandsSent >= MIN_COMMANDS_FOR_RATIO) {
+        const ratio = Math.min(commandsFailed / commandsSent, 1);
+        if (ratio >= FAILING_FAILURE_RATIO) {
+            add('critical', 40 + ratio * 20, `${commandsFailed} of its last ${commandsSent} commands failed`);
+        } else if (ratio >= FLAKY_FAILURE_RATIO) {
+            add('warning', 20 + ratio * 20, `${commandsFailed} of its last ${commandsSent} commands failed, so it is a little flaky`);
+        }
+    }
+
+    if (statistics.rssi !== null) {
+        if (statistics.rssi <= VERY_WEAK_RSSI_DBM) {
+            add('critical', 30, `its signal is very weak (${statistics.rssi} dBm)`);
+        } else if (statistics.rssi <= WEAK_RSSI_DBM) {
+            add('warning', 15, `its signal is weak (${statistics.rssi} dBm)`);
+        }
+    }
+
+    if (statistics.repeaters.length >= LONG_ROUTE_HOPS) {
+        add('warning', 10, `messages hop through ${statistics.repeaters.length} other devices to reach it`);
+    }
+
+    if (statistics.roundTripMs !== null && statistics.roundTripMs >= SLOW_RTT_MS) {
+        add('warning', 10, `it takes ${Math.round(statistics.roundTripMs)} milliseconds to answer`);
+    }
+
+    if (batteryLevel !== null) {
+        if (batteryLevel <= CRITICAL_BATTERY_PERCENT) {
+            add('critical', 35, `its battery is almost empty (${batteryLevel}%)`);
+        } else if (batteryLevel <= lowBatteryPercent) {
+            add('warning', 20, `its battery is low (${batteryLevel}%)`);
+        }
+    }
+
+    if (statistics.lastSeen !== null && node.status !== 'Dead') {
+        const quietFor = now - statistics.lastSeen;
+        if (quietFor >= (isBattery ? STALE_BATTERY_MS : STALE_MAINS_MS)) {
+            add('warning', 15, `it hasn't been heard from in ${describeDuration(quietFor)}`);
+        }
+    }
+
+    if (interviewStage && interviewStage !== 'Complete') {
+        add('warning', 12, `its interview stopped at the ${interviewStage} stage, so some features may be missing`);
+    } else if (node.ready === false && node.status !== 'Dead') {
+        add('warning', 12, 'Z-Wave JS UI says it is not ready yet');
+    }
+
+    problems.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || b.weight - a.weight);
+
+    return {
+        nodeId: node.id,
+        name: node.name || `Node ${node.id}`,
+        location: node.loc || '',
+        severity: problems.length > 0 ? problems[0].severity : 'ok',
+        score: problems.reduce((total, problem) => total + problem.weight, 0),
+        findings: problems.map(problem => problem.text),
+        statistics,
+        batteryLevel,
+        lowBattery: batteryLevel !== null && batteryLevel <= Math.max(lowBatteryPercent, CRITICAL_BATTERY_PERCENT),
+        interviewStage,
+    };
+}
+
+/**
+ * Order diagnoses worst first
+ * @param {NodeDiagnosis[]} diagnoses
+ * @returns {NodeDiagnosis[]} A new array
+ */
+export function rankDiagnoses(diagnoses) {
+    return [...diagnoses].sort((a, b) =>
+        SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || b.score - a.score || a.nodeId - b.nodeId
+    );
+}
+
+/**
+ * Suggest what to do about a node's worst problem
+ * @param {NodeDiagnosis} diagnosis
+ * @returns {string | null}
+ */
+function suggestFix(diagnosis) {
+    const [worst] = diagnosis.findings;
+    if (!worst) return null;
+
+    if (diagnosis.severity === 'dead') {
+        return 'Check that it has power, then ping it or move it closer to another mains-powered device.';
+    }
+    if (worst.includes('battery')) {
+        return 'Replace its batteries soon.';
+    }
+    if (worst.includes('signal') || worst.includes('hop') || worst.includes('commands failed')) {
+        return 'A mains-powered device between it and the controller, or a network heal, usually helps.';
+    }
+    if (worst.includes('interview')) {
+        return 'Re-interview it from Z-Wave JS UI.';
+    }
+    return null;
+}
+
+/**
+ * @param {string[]} findings
+ * @returns {string}
+ */
+function joinFindings(findings) {
+    if (findings.length === 1) return findings[0];
+    return `${findings.slice(0, -1).join(', ')} and ${findings[findings.length - 1]}`;
+}
+
+/**
+ * @param {NodeDiagnosis} diagnosis
+ * @returns {string} - e.g. 'Light in the Kitchen'
+ */
+function describeNode(diagnosis) {
+    return diagnosis.location ? `${diagnosis.name} in the ${diagnosis.location}` : diagnosis.name;
+}
+
+/**
+ * Speak the diagnosis for one node
+ * @param {NodeDiagnosis} diagnosis
+ * @returns {string}
+ */
+export function formatNodeDiagnosis(diagnosis) {
+    const label = describeNode(diagnosis);
+
+    if (diagnosis.severity === 'ok') {
+        const battery = diagnosis.batteryLevel !== null ? ` Its battery is at ${diagnosis.batteryLevel}%.` : '';
+        return `${label} looks healthy: it is answering normally and its signal is fine.${battery}`;
+    }
+
+    const opening = diagnosis.severity === 'warning' ? `${label} mostly works, but` : `${label} has a problem:`;
+    const fix = suggestFix(diagnosis);
+    return `${opening} ${joinFindings(diagnosis.findings)}.${fix ? ` ${fix}` : ''}`;
+}
+
+/**
+ * List the raw numbers behind a diagnosis, for follow-up questions
+ * @param {NodeDiagnosis} diagnosis
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {string} - e.g. 'Details: signal -72 dBm, 2 of 140 commands failed, direct route'
+ */
+export function formatNodeDetails(diagnosis, now = Date.now()) {
+    const {statistics} = diagnosis;
+    const details = [];
+
+    if (statistics.rssi !== null) details.push(`signal ${statistics.rssi} dBm`);
+    if (statistics.commandsSent !== null) {
+        details.push(`${statistics.commandsFailed ?? 0} of ${statistics.commandsSent} commands failed`);
+    }
+    if (statistics.roundTripMs !== null) details.push(`round trip ${Math.round(statistics.roundTripMs)} ms`);
+    details.push(statistics.repeaters.length > 0
+        ? `route via node${statistics.repeaters.length === 1 ? '' : 's'} ${statistics.repeaters.join(', ')}`
+        : 'direct route');
+    if (diagnosis.batteryLevel !== null) details.push(`battery ${diagnosis.batteryLevel}%`);
+    if (statistics.lastSeen !== null) {
+        const minutes = Math.round((now - statistics.lastSeen) / 60000);
+        details.push(minutes < 120 ? `last seen ${minutes} min ago` : `last seen ${describeDuration(now - statistics.lastSeen)} ago`);
+    }
+    if (diagnosis.interviewStage) details.push(`interview ${diagnosis.interviewStage}`);
+
+    return `Details: ${details.join(', ')}`;
+}
+
+/**
+ * Speak a whole-network check, worst nodes first
+ * @param {NodeDiagnosis[]} diagnoses
+ * @param {number} [limit=5] - Most problem nodes to describe
+ * @returns {string}
+ */
+export function formatNetworkDiagnosis(diagnoses, limit = 5) {
+    const ranked = rankDiagnoses(diagnoses);
+    const problems = ranked.filter(diagnosis => diagnosis.severity !== 'ok');
+
+    if (problems.length === 0) {
+        return diagnoses.length === 1 ? 'The only device looks healthy.' : `All ${diagnoses.length} devices look healthy.`;
+    }
+
+    const count = severity => problems.filter(diagnosis => diagnosis.severity === severity).length;
+    const lowBatteries = problems.filter(diagnosis => diagnosis.lowBattery).length;
+
+    const tally = [
+        count('dead') ? `${count('dead')} dead` : null,
+        count('critical') ? `${count('critical')} with serious problems` : null,
+        count('warning') ? `${count('warning')} with minor problems` : null,
+    ].filter(Boolean);
+
+    const header = `Checked ${diagnoses.length} devices: ${joinFindings(tally)}` +
+        (lowBatteries ? `, including ${lowBatteries} low batter${lowBatteries === 1 ? 'y' : 'ies'}.` : '.');
+
+    const lines = problems.slice(0, limit).map(diagnosis => `- ${formatNodeDiagnosis(diagnosis)}`);
+    if (problems.length > limit) {
+        lines.push(`- ...and ${problems.length - limit} more.`);
+    }
+
+    return [header, ...lines].join('\n');
+}
@@ -0,0 +1,74 @@
+/**
+ * Cross-process lock files for the Z-Wave MCP server.
+ *
+ * In the default stdio setup every MCP client (the Oracle chat route, its /api/mcp route, the
+ * voice gateway) starts its own server process, and they all share the data directory. A
+ * read-modify-write of a shared file (schedules, history) holds a lock file next to it, so
+ * one process can't overwrite another's changes:
+ *
+ *   await withFileLock(`${filePath}.lock`, async () => { ...read, change and write filePath... });
+ *
+ * The lock file is created exclusively and removed when the task settles. A lock left behind by
+ * a process that crashed is taken over once it is older than `staleMs`, so tasks run under a
+ * lock must be short (file I/O, not device commands).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const DEFAULT_STALE_MS = 30 * 1000;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const RETRY_DELAY_MS = 25;
+
+/**
+ * Run a task while holding a lock file
+ * @template T
+ * @param {string} lockPath - Lock file to create, e.g. `data/schedules.json.lock`
+ * @param {() => Promise<T>} task
+ * @param {{ staleMs?: number, timeoutMs?: number }} [options]
+ * @returns {Promise<T>} What the task returned
+ * @throws {Error} If the lock isn't free within timeoutMs, or whatever the task throws
+ */
+export async function withFileLock(lockPath, task, options = {}) {
+    const staleMs = options.staleMs ?? DEFAULT_STALE_MS;
+    const deadline = Date.now() + (options.timeoutMs ?? DEFAULT_TIMEOUT_MS);
+
+    await fs.mkdir(path.dirname(lockPath), {recursive: true});
+
+    for (;;) {
+        try {
+            await fs.writeFile(lockPath, `${process.pid}\n`, {flag: 'wx'});
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        let stat;
+        try {
+            stat = await fs.stat(lockPath);
+        } catch (error) {
+            // Released between our attempt and the stat; try again straight away
+            if (error.code === 'ENOENT') continue;
+            throw error;
+        }
+
+        if (Date.now() - stat.mtimeMs > staleMs) {
+            console.warn(`[FileLock] Taking over stale lock ${lockPath}`);
+            await fs.rm(lockPath, {force: true});
+            continue;
+        }
+
+        if (Date.now() >= deadline) {
+            throw new Error(`Timed out waiting for lock ${lockPath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+    }
+
+    try {
+        return await task();
+    } finally {
+        await fs.rm(lockPath, {force: true});
+    }
+}
@@ -0,0 +1,255 @@
+/**
+ * Device groups for the Z-Wave MCP server.
+ *
+ * "Turn off everything in the kitchen" targets every switch and dimmer whose Z-Wave JS UI
+ * location is Kitchen. User-defined groups cover sets that don't follow rooms and are declared
+ * in a JSON file:
+ *
+ * {
+ *   "groups": [
+ *     {
+ *       "name": "Bedroom Lights",
+ *       "description": "Both bedrooms",
+ *       "devices": ["Master Bedroom Lamp", "Guest Bedroom Light"]
+ *     }
+ *   ]
+ * }
+ *
+ * A user-defined group wins over a location with the same name. Only switches and dimmers are
+ * controlled; other members are reported as skipped.
+ */
+
+import fs from 'fs/promises';
+
+/** @typedef {import('./types.js').DeviceRegistryEntry} DeviceRegistryEntry */
+/** @typedef {import('./scenes.js').SceneStep} SceneStep */
+
+const CONTROLLABLE_TYPES = ['switch', 'dimmer'];
+
+/**
+ * @typedef {Object} DeviceGroup
+ * @property {string} name
+ * @property {string} [description]
+ * @property {string[]} devices - Device names
+ */
+
+/**
+ * @typedef {Object} GroupTargets
+ * @property {string} label - What was targeted (e.g. 'Bedroom Lights', 'the Kitchen')
+ * @property {DeviceRegistryEntry[]} targets - Devices to control
+ * @property {{ name: string, reason: string }[]} skipped - Members that can't take the action
+ */
+
+/**
+ * @typedef {Object} GroupMemberResult
+ * @property {string} name
+ * @property {boolean} success
+ * @property {string} message
+ */
+
+/**
+ * Validate and normalize a group definition
+ * @param {any} group
+ * @returns {DeviceGroup}
+ * @throws {Error} If the group is invalid
+ */
+export function validateGroup(group) {
+    if (!group || typeof group.name !== 'string' || !group.name.trim()) {
+        throw new Error('Group name is required');
+    }
+
+    const devices = Array.isArray(group.devices)
+        ? group.devices.filter(device => typeof device === 'string' && device.trim()).map(device => device.trim())
+        : [];
+
+    if (devices.length === 0) {
+        throw new Error('A group needs at least one device name');
+    }
+
+    const normalized = {name: group.name.trim(), devices};
+    if (group.description) {
+        normalized.description = String(group.description);
+    }
+    return normalized;
+}
+
+export class GroupManager {
+    /**
+     * @param {string} filePath - Path to the groups JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        /** @type {Map<string, DeviceGroup>} - Lower-cased group name -> group */
+        this.groups = new Map();
+    }
+
+    /**
+     * Load groups from disk. A missing file means only location groups are available.
+     * Invalid groups are skipped with a warning so one typo doesn't disable the rest.
+     * @returns {Promise<number>} Number of groups loaded
+     */
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.warn(`[Groups] No groups file at ${this.filePath}; location groups only`);
+                this.groups.clear();
+                return 0;
+            }
+            throw error;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`Groups file ${this.filePath} is not valid JSON: ${error.message}`);
+        }
+
+        this.groups.clear();
+        for (const entry of Array.isArray(data?.groups) ? data.groups : []) {
+            try {
+                const group = validateGroup(entry);
+                this.groups.set(group.name.toLowerCase(), group);
+            } catch (error) {
+                console.warn(`[Groups] Skipping invalid group "${entry?.name}": ${error.message}`);
+            }
+        }
+
+        console.warn(`[Groups] Loaded ${this.groups.size} group(s) from ${this.filePath}`);
+        return this.groups.size;
+    }
+
+    /**
+     * @returns {DeviceGroup[]} Groups sorted by name
+     */
+    listGroups() {
+        return [...this.groups.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find a group by name (case-insensitive)
+     * @param {string} name
+     * @returns {DeviceGroup | undefined}
+     */
+    findGroup(name) {
+        return this.groups.get(String(name).trim().toLowerCase());
+    }
+}
+
+/**
+ * Explain why a device can't take a group action, if it can't
+ * @param {DeviceRegistryEntry} entry
+ * @param {'on'|'off'|'dim'} action
+ * @returns {string | null}
+ */
+function skipReason(entry, action) {
+    if (entry.type === 'lock' || entry.type === 'barrier') {
+        return 'locks and barriers must use lock_device or unlock_device';
+    }
+    if (!CONTROLLABLE_TYPES.includes(entry.type)) {
+        return `a ${entry.type === 'unknown' ? 'device' : entry.type} can't be switched on or off`;
+    }
+    if (action === 'dim' && entry.type !== 'dimmer') {
+        return 'not dimmable';
+    }
+    return null;
+}
+
+/**
+ * Work out which devices a group or location covers
+ * @param {string} name - User-defined group name or Z-Wave JS UI location
+ * @param {'on'|'off'|'dim'} action
+ * @param {Object} context
+ * @param {DeviceRegistryEntry[]} context.devices - One entry per node, so same-named devices in other rooms stay apart
+ * @param {DeviceGroup} [context.group] - The user-defined group with this name, if any
+ * @param {(name: string) => DeviceRegistryEntry | undefined} context.findDevice - Resolves a group member name
+ * @returns {GroupTargets | null} null if the name is neither a group nor a location
+ */
+export function resolveGroupTargets(name, action, {devices, group, findDevice}) {
+    const targets = [];
+    const skipped = [];
+
+    const consider = (entry) => {
+        const reason = skipReason(entry, action);
+        if (reason) {
+            skipped.push({name: entry.name, reason});
+        } else if (!targets.includes(entry)) {
+            targets.push(entry);
+        }
+    };
+
+    if (group) {
+        for (const deviceName of group.devices) {
+            const entry = findDevice(deviceName);
+            if (entry) {
+                consider(entry);
+            } else {
+                skipped.push({name: deviceName, reason: 'not found'});
+            }
+        }
+        return {label: group.name, targets, skipped};
+    }
+
+    const wanted = String(name).trim().toLowerCase();
+    const inLocation = devices.filter(entry => entry.location && entry.location.toLowerCase() === wanted);
+    if (inLocation.length === 0) {
+        return null;
+    }
+
+    // Rooms also hold sensors and thermostats; "everything in the kitchen" means its lights and plugs.
+    // Locks are still listed as skipped so nobody assumes they were secured.
+    for (const entry of inLocation) {
+        if (CONTROLLABLE_TYPES.includes(entry.type) || entry.type === 'lock' || entry.type === 'barrier') {
+            consider(entry);
+        }
+    }
+
+    return {label: `the ${inLocation[0].location}`, targets, skipped};
+}
+
+/**
+ * Send the same step to every target at once
+ * @param {DeviceRegistryEntry[]} targets
+ * @param {Omit<SceneStep, 'device'>} step - Action and level
+ * @param {(step: SceneStep, entry: DeviceRegistryEntry) => Promise<{success: boolean, message: string}>} executeStep
+ *   Gets the target's entry too, so it can address the node rather than a name that may be shared
+ * @returns {Promise<GroupMemberResult[]>} In target order
+ */
+export async function controlGroup(targets, step, executeStep) {
+    return Promise.all(targets.map(async (entry) => {
+        try {
+            const {success, message} = await executeStep({...step, device: entry.name}, entry);
+            return {name: entry.name, success, message};
+        } catch (error) {
+            return {name: entry.name, success: false, message: `Error: ${error.message}`};
+        }
+    }));
+}
+
+/**
+ * Format a group action for a spoken response, one line per device
+ * @param {string} label
+ * @param {string} actionText - e.g. 'turn off', 'dim to 30%'
+ * @param {GroupMemberResult[]} results
+ * @param {{ name: string, reason: string }[]} skipped
+ * @returns {string}
+ */
+export function formatGroupResults(label, actionText, results, skipped) {
+    const succeeded = results.filter(result => result.success).length;
+
+    const header = results.length === 0
+        ? `Nothing in ${label} can ${actionText}.`
+        : succeeded === results.length
+            ? `${actionText[0].toUpperCase()}${actionText.slice(1)} ${label}: all ${results.length} device${results.length === 1 ? '' : 's'} succeeded.`
+            : `${actionText[0].toUpperCase()}${actionText.slice(1)} ${label}: ${succeeded} of ${results.length} devices succeeded.`;
+
+    const lines = [
+        ...results.map(result => `- ${result.success ? 'OK' : 'FAILED'}: ${result.name}${result.success ? '' : ` (${result.message})`}`),
+        ...skipped.map(skip => `- SKIPPED: ${skip.name} (${skip.reason})`),
+    ];
+
+    return [header, ...lines].join('\n');
+}
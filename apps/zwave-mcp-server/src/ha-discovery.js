@@ -0,0 +1,389 @@
+/**
+ * Home Assistant MQTT Discovery for the Z-Wave MCP server.
+ *
+ * Publishes a retained config message per entity so Z-Wave devices show up in Home Assistant
+ * (and other discovery-aware dashboards) using the topics this server already controls:
+ *   homeassistant/switch/zwave_mcp_5/config
+ *   homeassistant/light/zwave_mcp_7/config
+ *   homeassistant/sensor/zwave_mcp_9_air_temperature/config
+ *   homeassistant/binary_sensor/zwave_mcp_12_access_control_door_state/config
+ *
+ * Every entity is available only while both of these retained topics say "online":
+ *   zwave-mcp/status                   - this server; "offline" on shutdown or, through the MQTT will, a crash
+ *   zwave-mcp/zwave_mcp_5/availability - the node, from Z-Wave JS UI's ready and available flags
+ *
+ * Locks and barriers are left out so Home Assistant can't bypass the unlock guardrails, and
+ * thermostats only publish their sensors.
+ */
+
+import {BATTERY_CC} from './batteries.js';
+import {METER_CC} from './meters.js';
+import {BINARY_SENSOR_CC, NOTIFICATION_CC, readSensorValue} from './security-sensors.js';
+
+/** @typedef {import('./backends.js').BackendDevice} BackendDevice */
+/** @typedef {import('./device-registry.js').DeviceRegistryBuilder} DeviceRegistryBuilder */
+
+const MULTILEVEL_SENSOR_CC = 49;
+
+/** Sensor kinds (see security-sensors.js) mapped to Home Assistant binary_sensor device classes */
+const BINARY_DEVICE_CLASSES = {
+    door: 'door',
+    motion: 'motion',
+    water: 'moisture',
+    smoke: 'smoke',
+    co: 'carbon_monoxide',
+    heat: 'heat',
+    glass: 'vibration',
+    tamper: 'tamper',
+};
+
+/** Units mapped to Home Assistant sensor device classes */
+const UNIT_DEVICE_CLASSES = {
+    '°C': 'temperature',
+    '°F': 'temperature',
+    lux: 'illuminance',
+    lx: 'illuminance',
+    W: 'power',
+    kWh: 'energy',
+    V: 'voltage',
+    A: 'current',
+};
+
+/** Notification events that mean idle: 0 for every notification type, 23 for a closed door */
+const IDLE_EVENTS = [0, 23];
+
+/**
+ * @typedef {Object} DiscoveryMessage
+ * @property {string} topic - homeassistant/<component>/<object id>/config
+ * @property {Record<string, any>} payload
+ */
+
+/**
+ * @typedef {Object} DiscoveryOptions
+ * @property {DeviceRegistryBuilder} registryBuilder
+ * @property {string} [discoveryPrefix='homeassistant']
+ * @property {string} [availabilityPrefix='zwave-mcp']
+ */
+
+/**
+ * @param {number} nodeId
+ * @returns {string} e.g. 'zwave_mcp_5'
+ */
+export function discoveryDeviceId(nodeId) {
+    return `zwave_mcp_${nodeId}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Lowercase, with anything but letters, digits and '_' collapsed to '_'
+ */
+function toObjectId(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Topic of the retained "online"/"offline" message for one node
+ * @param {string} availabilityPrefix
+ * @param {number} nodeId
+ * @returns {string}
+ */
+export function deviceAvailabilityTopic(availabilityPrefix, nodeId) {
+    return `${availabilityPrefix}/${discoveryDeviceId(nodeId)}/availability`;
+}
+
+/**
+ * Build the discovery config messages for Z-Wave devices
+ * @param {BackendDevice[]} devices - Z-Wave devices with their node and registry entry
+ * @param {DiscoveryOptions} options
+ * @returns {DiscoveryMessage[]}
+ */
+export function buildDiscoveryMessages(devices, {registryBuilder, discoveryPrefix = 'homeassistant', availabilityPrefix = 'zwave-mcp'}) {
+    return devices.filter(device => device.entry && device.node).flatMap(({entry, node}) => {
+        const deviceId = discoveryDeviceId(entry.nodeId);
+        const shared = {
+            availability: [
+                {topic: `${availabilityPrefix}/status`},
+                {topic: deviceAvailabilityTopic(availabilityPrefix, entry.nodeId)},
+            ],
+            availability_mode: 'all',
+            device: {
+                identifiers: [deviceId],
+                name: entry.name,
+                ...(entry.location ? {suggested_area: entry.location} : {}),
+                ...(node.manufacturer ? {manufacturer: node.manufacturer} : {}),
+                ...(node.productLabel ? {model: node.productLabel} : {}),
+            },
+            origin: {name: 'zwave-mcp-server'},
+        };
+
+        const message = (component, suffix, config) => {
+            const objectId = suffix ? `${deviceId}_${suffix}` : deviceId;
+            return {
+                topic: `${discoveryPrefix}/${component}/${objectId}/config`,
+                payload: {...config, unique_id: objectId, ...shared},
+            };
+        };
+
+        const messages = [];
+
+        if (entry.type === 'switch' || entry.type === 'dimmer') {
+            messages.push(message(...switchEntity(entry, null)));
+        }
+        for (const endpoint of entry.endpoints || []) {
+            const label = endpoint.name.startsWith(entry.name) ? endpoint.name.slice(entry.name.length).trim() : endpoint.name;
+            messages.push(message(...switchEntity({...endpoint, name: label}, `endpoint_${endpoint.index}`)));
+        }
+
+        const seen = new Set();
+        for (const value of Object.values(node.values || {})) {
+            const entity = valueEntity(value);
+            if (!entity) {
+                continue;
+            }
+
+            const endpoint = Number(value.endpoint) || 0;
+            const property = registryBuilder.sanitizeForTopic(String(value.property));
+            const propertyKey = value.propertyKey !== undefined && value.propertyKey !== null
+                ? registryBuilder.sanitizeForTopic(String(value.propertyKey))
+                : undefined;
+            const suffix = toObjectId([property, propertyKey, endpoint ? `endpoint_${endpoint}` : ''].filter(Boolean).join('_'));
+            if (seen.has(`${entity.component}/${suffix}`)) {
+                continue;
+            }
+            seen.add(`${entity.component}/${suffix}`);
+
+            messages.push(message(entity.component, suffix, {
+                ...entity.config,
+                state_topic: registryBuilder.buildValueTopic(entry.location, entry.name, Number(value.commandClass), property, propertyKey, endpoint),
+            }));
+        }
+
+        return messages;
+    });
+}
+
+/**
+ * @param {{ name: string, type: string, topics: { control: string, state: string } }} target - Registry entry or endpoint
+ * @param {string | null} suffix
+ * @returns {[string, string | null, Record<string, any>]} Component, object id suffix and config
+ */
+function switchEntity(target, suffix) {
+    // Same payloads control_zwave_device sends
+    const config = {
+        name: suffix ? target.name : null,
+        command_topic: target.topics.control,
+        state_topic: target.topics.state,
+        payload_on: JSON.stringify({value: true}),
+        payload_off: JSON.stringify({value: false}),
+    };
+
+    if (target.type === 'dimmer') {
+        return ['light', suffix, {
+            ...config,
+            state_value_template: "{{ 'ON' if value_json.value | int > 0 else 'OFF' }}",
+            brightness_command_topic: target.topics.control,
+            brightness_command_template: '{"value": {{ value }}}',
+            brightness_state_topic: target.topics.state,
+            brightness_value_template: '{{ value_json.value }}',
+            brightness_scale: 99,
+        }];
+    }
+
+    return ['switch', suffix, {
+        ...config,
+        value_template: "{{ 'ON' if value_json.value else 'OFF' }}",
+        state_on: 'ON',
+        state_off: 'OFF',
+    }];
+}
+
+/**
+ * Decide whether a node value becomes a sensor or binary_sensor entity
+ * @param {any} value - Node value
+ * @returns {{ component: string, config: Record<string, any> } | null}
+ */
+function valueEntity(value) {
+    const commandClass = Number(value && value.commandClass);
+    const name = value && (value.label || value.propertyKeyName || value.propertyName || String(value.property));
+
+    if (commandClass === BINARY_SENSOR_CC || commandClass === NOTIFICATION_CC) {
+        // Sensors that haven't reported yet still get an entity
+        const reading = readSensorValue({...value, value: value.value ?? (commandClass === BINARY_SENSOR_CC ? false : 0)});
+        if (!reading) {
+            return null;
+        }
+        return {
+            component: 'binary_sensor',
+            config: {
+                name: value.propertyKey !== undefined ? `${value.propertyKeyName || value.propertyKey}` : name,
+                device_class: BINARY_DEVICE_CLASSES[reading.kind],
+                value_template: commandClass === BINARY_SENSOR_CC
+                    ? "{{ 'ON' if value_json.value else 'OFF' }}"
+                    : `{{ 'OFF' if value_json.value | int in ${JSON.stringify(IDLE_EVENTS)} else 'ON' }}`,
+            },
+        };
+    }
+
+    const isMeter = commandClass === METER_CC && value.property === 'value';
+    const isBattery = commandClass === BATTERY_CC && value.property === 'level';
+    if (commandClass !== MULTILEVEL_SENSOR_CC && !isMeter && !isBattery) {
+        return null;
+    }
+
+    const unit = isBattery ? '%' : value.unit;
+    let deviceClass = UNIT_DEVICE_CLASSES[unit];
+    if (isBattery) {
+        deviceClass = 'battery';
+    } else if (!deviceClass && /humidity/i.test(String(value.property))) {
+        deviceClass = 'humidity';
+    }
+
+    return {
+        component: 'sensor',
+        config: {
+            name: isBattery ? 'Battery' : name,
+            value_template: '{{ value_json.value }}',
+            ...(unit ? {unit_of_measurement: unit} : {}),
+            ...(deviceClass ? {device_class: deviceClass} : {}),
+            state_class: deviceClass === 'energy' ? 'total_increasing' : 'measurement',
+            ...(isBattery ? {entity_category: 'diagnostic'} : {}),
+        },
+    };
+}
+
+/**
+ * Keeps Home Assistant's view of the devices in step with Z-Wave JS UI.
+ * Configs and availability are retained, and only re-published when they change or Home Assistant
+ * restarts (announced on <discovery prefix>/status). Devices that disappear have their configs
+ * cleared with an empty retained message, which removes them from Home Assistant.
+ */
+export class DiscoveryPublisher {
+    /**
+     * @param {Object} options
+     * @param {(topic: string, payload: string, options: { retain: boolean }) => Promise<void>} options.publish
+     * @param {() => Promise<BackendDevice[]>} options.listDevices - Z-Wave devices with their node and registry entry
+     * @param {DeviceRegistryBuilder} options.registryBuilder
+     * @param {string} [options.discoveryPrefix='homeassistant']
+     * @param {string} [options.availabilityPrefix='zwave-mcp']
+     * @param {number} [options.refreshMs=300000] - How often to look for new, renamed and removed devices
+     */
+    constructor({publish, listDevices, registryBuilder, discoveryPrefix = 'homeassistant', availabilityPrefix = 'zwave-mcp', refreshMs = 5 * 60 * 1000}) {
+        this.publish = publish;
+        this.listDevices = listDevices;
+        this.registryBuilder = registryBuilder;
+        this.discoveryPrefix = discoveryPrefix;
+        this.availabilityPrefix = availabilityPrefix;
+        this.refreshMs = refreshMs;
+        /** @type {Map<string, string>} - Topic -> last retained payload */
+        this.published = new Map();
+        this.timer = null;
+        this.refreshing = null;
+    }
+
+    /** Topic of this server's own availability, also used as the MQTT will */
+    get statusTopic() {
+        return `${this.availabilityPrefix}/status`;
+    }
+
+    /** Where Home Assistant announces it (re)started */
+    get homeAssistantStatusTopic() {
+        return `${this.discoveryPrefix}/status`;
+    }
+
+    /**
+     * Announce this server and publish every device, then keep refreshing.
+     * Call again on every MQTT reconnect: the broker will have published our "offline" will.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.refresh().catch(error => {
+                    console.error('[HA Discovery] Refresh failed:', error);
+                });
+            }, this.refreshMs);
+            this.timer.unref?.();
+        }
+
+        await this.publish(this.statusTopic, 'online', {retain: true});
+        await this.refresh();
+    }
+
+    /**
+     * Publish configs and availability that changed since the last refresh and remove devices that are gone.
+     * Overlapping calls share one refresh.
+     * @returns {Promise<number>} Number of messages published
+     */
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this._refresh().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<number>}
+     */
+    async _refresh() {
+        const devices = await this.listDevices();
+        const wanted = new Map();
+
+        for (const {topic, payload} of buildDiscoveryMessages(devices, this)) {
+            wanted.set(topic, JSON.stringify(payload));
+        }
+        for (const device of devices) {
+            if (device.entry && device.node) {
+                wanted.set(deviceAvailabilityTopic(this.availabilityPrefix, device.entry.nodeId), device.available ? 'online' : 'offline');
+            }
+        }
+
+        let count = 0;
+        for (const [topic, payload] of wanted) {
+            if (this.published.get(topic) !== payload) {
+                await this.publish(topic, payload, {retain: true});
+                this.published.set(topic, payload);
+                count += 1;
+            }
+        }
+
+        for (const topic of [...this.published.keys()]) {
+            if (!wanted.has(topic)) {
+                await this.publish(topic, '', {retain: true});
+                this.published.delete(topic);
+                count += 1;
+            }
+        }
+
+        if (count > 0) {
+            console.warn(`[HA Discovery] Published ${count} message(s) for ${devices.length} device(s)`);
+        }
+        return count;
+    }
+
+    /**
+     * Republish everything when Home Assistant comes back online, since it may have lost its discovered entities
+     * @param {any} message - Payload of <discovery prefix>/status
+     * @returns {Promise<number>}
+     */
+    async handleHomeAssistantStatus(message) {
+        if (String(message) !== 'online') {
+            return 0;
+        }
+        this.published.clear();
+        await this.publish(this.statusTopic, 'online', {retain: true});
+        return this.refresh();
+    }
+
+    /**
+     * Stop refreshing and mark this server offline
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.publish(this.statusTopic, 'offline', {retain: true});
+    }
+}
@@ -0,0 +1,618 @@
+/**
+ * Persistent time-series history of device values.
+ *
+ * Every value the MQTT state store records is appended to a daily JSON Lines file
+ * (history-YYYY-MM-DD.jsonl, UTC days) so questions like "what was the temperature in the
+ * office overnight?" can be answered after the fact. Daily files keep range queries cheap
+ * (only the days in range are read) and make retention a matter of deleting old files.
+ *
+ * Each line is one reading:
+ *   {"t":1718000000000,"l":"Office","d":"Temp_Sensor","cc":"sensor_multilevel","ep":0,"p":"Air_temperature","v":68.2}
+ *
+ * In the stdio setup several server processes receive the same MQTT reports and share these
+ * files, and each replays retained values when it starts. Appends hold a lock file, and each
+ * process first reads what the others appended since its last write, so a reading already on
+ * disk for its series (same or older timestamp) is not written again.
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import {topicKey} from './device-registry.js';
+import {withFileLock} from './file-lock.js';
+import {getMeterReadingInfo} from './meters.js';
+
+/** @typedef {import('./state-store.js').StateEntry} StateEntry */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^history-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * @typedef {Object} HistoryPoint
+ * @property {number} timestamp - ms
+ * @property {string} location - Sanitized location from the topic
+ * @property {string} device - Sanitized device name from the topic
+ * @property {string} commandClass
+ * @property {number} endpoint
+ * @property {string} property
+ * @property {string} [propertyKey]
+ * @property {number|boolean|string} value
+ */
+
+/**
+ * @typedef {Object} HistoryQuery
+ * @property {string} location - Device location ('' if none)
+ * @property {string} device - Device name (friendly or sanitized)
+ * @property {number} from - Start of range (ms, inclusive)
+ * @property {number} to - End of range (ms, inclusive)
+ */
+
+/**
+ * @typedef {Object} HistoryBucket
+ * @property {number} start - Bucket start (ms)
+ * @property {number} min
+ * @property {number} max
+ * @property {number} avg
+ * @property {number} count
+ */
+
+/**
+ * @param {number} timestamp
+ * @returns {string} - UTC day (YYYY-MM-DD)
+ */
+function dayOf(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Identify the series a point belongs to
+ * @param {{commandClass: string, endpoint: number, property: string, propertyKey?: string}} point
+ * @returns {string}
+ */
+export function seriesKey(point) {
+    return [point.commandClass, point.endpoint, point.property, point.propertyKey || ''].join('|');
+}
+
+/**
+ * Identify the device and series a point belongs to
+ * @param {HistoryPoint | StateEntry} point
+ * @returns {string}
+ */
+function pointKey(point) {
+    return `${topicKey(point.location)}|${topicKey(point.device)}|${seriesKey(point)}`;
+}
+
+/**
+ * Expand a line from a history file
+ * @param {Record<string, any>} row
+ * @returns {HistoryPoint}
+ */
+function fromRow(row) {
+    return {
+        timestamp: row.t,
+        location: row.l,
+        device: row.d,
+        commandClass: row.cc,
+        endpoint: row.ep,
+        property: row.p,
+        ...(row.k ? {propertyKey: row.k} : {}),
+        value: row.v,
+    };
+}
+
+export class HistoryStore {
+    /**
+     * @param {string} dirPath - Directory for the daily history files
+     * @param {{ retentionDays?: number, flushIntervalMs?: number }} [options]
+     */
+    constructor(dirPath, options = {}) {
+        this.dirPath = dirPath;
+        this.retentionDays = options.retentionDays ?? 30;
+        this.flushIntervalMs = options.flushIntervalMs ?? 5000;
+        /** @type {HistoryPoint[]} - Readings not yet written to disk */
+        this.buffer = [];
+        /** @type {Map<string, number>} - Device + series -> last recorded timestamp, to skip retained replays */
+        this.lastRecorded = new Map();
+        /** @type {Map<string, number>} - Device + series -> newest timestamp on disk, written by any process */
+        this.lastWritten = new Map();
+        /** @type {Map<string, number>} - History file -> bytes already read into lastWritten */
+        this.fileOffsets = new Map();
+        this.lockPath = path.join(dirPath, '.history.lock');
+        this.flushTimer = null;
+        this.pruneTimer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Create the history directory, prune expired files, read today's file so values that are
+     * already recorded aren't appended again, and start periodic flushing
+     * @returns {Promise<void>}
+     */
+    async start() {
+        await fsp.mkdir(this.dirPath, {recursive: true});
+        await this.prune();
+        await this._catchUp(`history-${dayOf(Date.now())}.jsonl`);
+
+        this.flushTimer = setInterval(() => {
+            this.flush().catch(error => console.error('[History] Failed to write history:', error));
+        }, this.flushIntervalMs);
+        this.flushTimer.unref();
+
+        this.pruneTimer = setInterval(() => {
+            this.prune().catch(error => console.error('[History] Failed to prune history:', error));
+        }, DAY_MS);
+        this.pruneTimer.unref();
+
+        console.warn(`[History] Recording device history to ${this.dirPath} (${this.retentionDays} day retention)`);
+    }
+
+    /**
+     * Record a value from the state store. Objects and arrays are skipped, and a reading with
+     * the same timestamp as the last one for its series, or no newer than what is already on
+     * disk (a retained replay), is ignored.
+     * @param {StateEntry} entry
+     * @returns {boolean} Whether the reading was recorded
+     */
+    record(entry) {
+        const {value} = entry;
+        if (value === null || value === undefined || typeof value === 'object') {
+            return false;
+        }
+
+        const key = pointKey(entry);
+        if (this.lastRecorded.get(key) === entry.timestamp || entry.timestamp <= (this.lastWritten.get(key) ?? -Infinity)) {
+            return false;
+        }
+        this.lastRecorded.set(key, entry.timestamp);
+
+        this.buffer.push({
+            timestamp: entry.timestamp,
+            location: entry.location,
+            device: entry.device,
+            commandClass: entry.commandClass,
+            endpoint: entry.endpoint,
+            property: entry.property,
+            ...(entry.propertyKey ? {propertyKey: entry.propertyKey} : {}),
+            value,
+        });
+        return true;
+    }
+
+    /**
+     * Append buffered readings to their daily files.
+     * Writes are chained so a query never reads while an earlier flush is still appending.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        const previous = this.flushing || Promise.resolve();
+        const current = previous.catch(() => {}).then(() => this._writeBuffer());
+        this.flushing = current;
+
+        try {
+            await current;
+        } finally {
+            if (this.flushing === current) {
+                this.flushing = null;
+            }
+        }
+    }
+
+    /**
+     * Read every recorded value for a device within a time range
+     * @param {HistoryQuery} query
+     * @returns {Promise<HistoryPoint[]>} Oldest first
+     */
+    async query({location, device, from, to}) {
+        await this.flush();
+
+        const wantedLocation = topicKey(location);
+        const wantedDevice = topicKey(device);
+        const points = [];
+
+        for (const file of await this._filesInRange(from, to)) {
+            const lines = readline.createInterface({
+                input: fs.createReadStream(path.join(this.dirPath, file), {encoding: 'utf8'}),
+                crlfDelay: Infinity,
+            });
+
+            for await (const line of lines) {
+                if (!line) continue;
+
+                let row;
+                try {
+                    row = JSON.parse(line);
+                } catch {
+                    // A crash mid-append can leave a partial last line
+                    continue;
+                }
+
+                if (row.t < from || row.t > to) continue;
+                if (topicKey(row.d) !== wantedDevice || topicKey(row.l) !== wantedLocation) continue;
+
+                points.push(fromRow(row));
+            }
+        }
+
+        return points.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Delete daily files older than the retention period
+     * @returns {Promise<number>} Number of files deleted
+     */
+    async prune() {
+        if (!this.retentionDays) {
+            return 0;
+        }
+
+        const cutoff = dayOf(Date.now() - this.retentionDays * DAY_MS);
+        let deleted = 0;
+
+        for (const file of await this._listFiles()) {
+            if (file.match(FILE_PATTERN)[1] < cutoff) {
+                await fsp.rm(path.join(this.dirPath, file), {force: true});
+                this.fileOffsets.delete(file);
+                deleted += 1;
+            }
+        }
+
+        if (deleted > 0) {
+            console.warn(`[History] Deleted ${deleted} history file(s) older than ${this.retentionDays} days`);
+        }
+        return deleted;
+    }
+
+    /**
+     * Stop timers and write anything still buffered
+     * @returns {Promise<void>}
+     */
+    async close() {
+        clearInterval(this.flushTimer);
+        clearInterval(this.pruneTimer);
+        this.flushTimer = null;
+        this.pruneTimer = null;
+        await this.flush();
+    }
+
+    /**
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _writeBuffer() {
+        if (this.buffer.length === 0) {
+            return;
+        }
+
+        const points = this.buffer;
+        this.buffer = [];
+
+        /** @type {Map<string, HistoryPoint[]>} */
+        const byDay = new Map();
+        for (const point of points) {
+            const file = `history-${dayOf(point.timestamp)}.jsonl`;
+            if (!byDay.has(file)) byDay.set(file, []);
+            byDay.get(file).push(point);
+        }
+
+        await withFileLock(this.lockPath, async () => {
+            for (const file of byDay.keys()) {
+                await this._catchUp(file);
+            }
+
+            // Skip what another process already wrote. Compare against the disk as it was before
+            // this batch, since the batch itself may be out of order.
+            /** @type {Map<string, number>} */
+            const onDisk = new Map();
+            for (const [file, dayPoints] of byDay) {
+                const lines = [];
+                for (const point of dayPoints) {
+                    const key = pointKey(point);
+                    if (!onDisk.has(key)) onDisk.set(key, this.lastWritten.get(key) ?? -Infinity);
+                    if (point.timestamp <= onDisk.get(key)) continue;
+
+                    this.lastWritten.set(key, Math.max(point.timestamp, this.lastWritten.get(key) ?? -Infinity));
+                    lines.push(JSON.stringify({
+                        t: point.timestamp,
+                        l: point.location,
+                        d: point.device,
+                        cc: point.commandClass,
+                        ep: point.endpoint,
+                        p: point.property,
+                        ...(point.propertyKey ? {k: point.propertyKey} : {}),
+                        v: point.value,
+                    }));
+                }
+
+                // The next catch-up reads these lines back, which only confirms lastWritten
+                if (lines.length > 0) {
+                    await fsp.appendFile(path.join(this.dirPath, file), `${lines.join('\n')}\n`, 'utf8');
+                }
+            }
+        });
+    }
+
+    /**
+     * Read the complete lines appended to a daily file since the last read (by any process)
+     * and note the newest timestamp of each series
+     * @private
+     * @param {string} file
+     * @returns {Promise<void>}
+     */
+    async _catchUp(file) {
+        let handle;
+        try {
+            handle = await fsp.open(path.join(this.dirPath, file), 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        try {
+            const {size} = await handle.stat();
+            const offset = this.fileOffsets.get(file) ?? 0;
+            if (size <= offset) {
+                return;
+            }
+
+            const bytes = Buffer.alloc(size - offset);
+            const {bytesRead} = await handle.read(bytes, 0, bytes.length, offset);
+            // A partial last line is either still being written or left by a crash; read it next time
+            const end = bytes.subarray(0, bytesRead).lastIndexOf(0x0a) + 1;
+
+            for (const line of bytes.subarray(0, end).toString('utf8').split('\n')) {
+                if (!line) continue;
+                let row;
+                try {
+                    row = JSON.parse(line);
+                } catch {
+                    continue;
+                }
+                const key = pointKey(fromRow(row));
+                this.lastWritten.set(key, Math.max(row.t, this.lastWritten.get(key) ?? -Infinity));
+            }
+            this.fileOffsets.set(file, offset + end);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * @private
+     * @returns {Promise<string[]>} History file names, oldest first
+     */
+    async _listFiles() {
+        try {
+            return (await fsp.readdir(this.dirPath)).filter(file => FILE_PATTERN.test(file)).sort();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} from
+     * @param {number} to
+     * @returns {Promise<string[]>}
+     */
+    async _filesInRange(from, to) {
+        const first = dayOf(from);
+        const last = dayOf(to);
+        return (await this._listFiles()).filter(file => {
+            const day = file.match(FILE_PATTERN)[1];
+            return day >= first && day <= last;
+        });
+    }
+}
+
+/**
+ * Parse a duration like '30m', '12h', '7d' or '2w'
+ * @param {string} text
+ * @returns {number | null} Milliseconds, or null if not a duration
+ */
+export function parseDuration(text) {
+    const match = String(text).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(m|min|minutes?|h|hr|hours?|d|days?|w|weeks?)$/);
+    if (!match) {
+        return null;
+    }
+
+    const amount = Number(match[1]);
+    const unit = match[2][0];
+    const unitMs = {m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS}[unit];
+    return amount * unitMs;
+}
+
+/**
+ * Resolve a time argument: an ISO 8601 timestamp, or a duration meaning "that long ago"
+ * @param {string | undefined} text
+ * @param {number} fallback - Used when text is empty (ms)
+ * @param {number} [now=Date.now()]
+ * @returns {number} Timestamp in ms
+ * @throws {Error} If the text is neither
+ */
+export function resolveTime(text, fallback, now = Date.now()) {
+    if (text === undefined || text === null || String(text).trim() === '') {
+        return fallback;
+    }
+
+    const duration = parseDuration(text);
+    if (duration !== null) {
+        return now - duration;
+    }
+
+    const parsed = Date.parse(text);
+    if (Number.isNaN(parsed)) {
+        throw new Error(`"${text}" is not an ISO 8601 time or a duration like "12h"`);
+    }
+    return parsed;
+}
+
+/**
+ * Choose a readable bucket size that splits a range into roughly `target` buckets
+ * @param {number} rangeMs
+ * @param {number} [target=12]
+ * @returns {number} Bucket size in ms
+ */
+export function chooseBucketSize(rangeMs, target = 12) {
+    const sizes = [5, 15, 30, 60, 180, 360, 720, 1440].map(minutes => minutes * 60 * 1000);
+    return sizes.find(size => rangeMs / size <= target) || DAY_MS;
+}
+
+/**
+ * Aggregate numeric points into min/max/avg buckets aligned to the bucket size
+ * @param {{timestamp: number, value: any}[]} points - Oldest first
+ * @param {number} bucketMs
+ * @returns {HistoryBucket[]}
+ */
+export function aggregate(points, bucketMs) {
+    /** @type {Map<number, {start: number, min: number, max: number, sum: number, count: number}>} */
+    const buckets = new Map();
+
+    for (const point of points) {
+        const value = Number(point.value);
+        if (!Number.isFinite(value)) continue;
+
+        const start = Math.floor(point.timestamp / bucketMs) * bucketMs;
+        const bucket = buckets.get(start);
+        if (bucket) {
+            bucket.min = Math.min(bucket.min, value);
+            bucket.max = Math.max(bucket.max, value);
+            bucket.sum += value;
+            bucket.count += 1;
+        } else {
+            buckets.set(start, {start, min: value, max: value, sum: value, count: 1});
+        }
+    }
+
+    return [...buckets.values()]
+        .sort((a, b) => a.start - b.start)
+        .map(({start, min, max, sum, count}) => ({start, min, max, avg: round(sum / count), count}));
+}
+
+/**
+ * @param {number} value
+ * @returns {number} Rounded to at most two decimals
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * @param {number} timestamp
+ * @returns {string} - e.g. '4:10 AM'
+ */
+function defaultFormatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('en-US', {hour: 'numeric', minute: '2-digit'});
+}
+
+/**
+ * Summarize one series for a spoken response
+ * @param {string} label - What the series measures (e.g. 'Office Sensor air temperature')
+ * @param {HistoryPoint[]} points - Oldest first, all from one series
+ * @param {{ unit?: string, formatTime?: (timestamp: number) => string }} [options]
+ * @returns {string}
+ */
+export function summarizeSeries(label, points, options = {}) {
+    const unit = options.unit || '';
+    const formatTime = options.formatTime || defaultFormatTime;
+
+    if (points.length === 0) {
+        return `No ${label} readings were recorded in that time.`;
+    }
+
+    if (typeof points[0].value === 'boolean') {
+        const changes = points.filter((point, index) => index > 0 && point.value !== points[index - 1].value).length;
+        const last = points[points.length - 1];
+        return `${label} changed ${changes} time${changes === 1 ? '' : 's'} and was last reported ${last.value ? 'on' : 'off'} at ${formatTime(last.timestamp)}.`;
+    }
+
+    const numeric = points
+        .map(point => ({timestamp: point.timestamp, value: Number(point.value)}))
+        .filter(point => Number.isFinite(point.value));
+
+    if (numeric.length === 0) {
+        const last = points[points.length - 1];
+        return `${label} was last reported as ${last.value} at ${formatTime(last.timestamp)}.`;
+    }
+
+    const low = numeric.reduce((best, point) => point.value < best.value ? point : best);
+    const high = numeric.reduce((best, point) => point.value > best.value ? point : best);
+    const avg = round(numeric.reduce((sum, point) => sum + point.value, 0) / numeric.length);
+    const latest = numeric[numeric.length - 1];
+
+    if (low.value === high.value) {
+        return `${label} held steady at ${low.value}${unit} across ${numeric.length} reading${numeric.length === 1 ? '' : 's'}.`;
+    }
+
+    return `${label} ranged from ${low.value}${unit} at ${formatTime(low.timestamp)} to ${high.value}${unit} at ${formatTime(high.timestamp)}, ` +
+        `averaging ${avg}${unit}. The latest reading was ${latest.value}${unit} at ${formatTime(latest.timestamp)}.`;
+}
+
+/** Friendly names for currentValue series, which don't say what they measure */
+const CURRENT_VALUE_NAMES = {
+    switch_binary: 'state',
+    switch_multilevel: 'level',
+    sensor_binary: 'state',
+};
+
+/**
+ * Describe what a series measures (e.g. 'air temperature', 'power', 'level')
+ * @param {{commandClass: string, property: string, propertyKey?: string}} point
+ * @returns {string}
+ */
+export function describeSeries(point) {
+    if (point.commandClass === 'meter' && point.property === 'value') {
+        const info = getMeterReadingInfo(point.propertyKey);
+        if (info) return info.kind;
+    }
+
+    if (point.property === 'currentValue') {
+        return CURRENT_VALUE_NAMES[point.commandClass] || point.commandClass.replace(/_/g, ' ');
+    }
+
+    const key = point.propertyKey ? ` ${String(point.propertyKey).replace(/_/g, ' ')}` : '';
+    return `${point.property.replace(/_/g, ' ')}${key}`.toLowerCase();
+}
+
+/**
+ * Group points into series and pick the ones a question is about.
+ * With a property filter, series whose description, property or command class contains it are kept.
+ * Without one, multilevel sensor series win, then switch/dimmer state, then everything else.
+ *
+ * @param {HistoryPoint[]} points - Oldest first
+ * @param {string} [property] - Optional filter such as 'temperature' or 'power'
+ * @returns {{ key: string, label: string, points: HistoryPoint[] }[]}
+ */
+export function selectSeries(points, property) {
+    /** @type {Map<string, HistoryPoint[]>} */
+    const grouped = new Map();
+    for (const point of points) {
+        const key = seriesKey(point);
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(point);
+    }
+
+    const series = [...grouped.entries()].map(([key, seriesPoints]) => ({
+        key,
+        label: describeSeries(seriesPoints[0]),
+        points: seriesPoints,
+    }));
+
+    if (property) {
+        const wanted = String(property).toLowerCase().replace(/_/g, ' ').trim();
+        return series.filter(({label, points: [first]}) =>
+            label.includes(wanted) ||
+            first.property.toLowerCase().replace(/_/g, ' ').includes(wanted) ||
+            first.commandClass.replace(/_/g, ' ').includes(wanted)
+        );
+    }
+
+    for (const preferred of [['sensor_multilevel'], ['switch_binary', 'switch_multilevel', 'sensor_binary']]) {
+        const matching = series.filter(({points: [first]}) => preferred.includes(first.commandClass));
+        if (matching.length > 0) return matching;
+    }
+
+    return series;
+}
+
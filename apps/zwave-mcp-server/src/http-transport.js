@@ -0,0 +1,215 @@
+/**
+ * Streamable HTTP transport for the Z-Wave MCP server.
+ *
+ * With MCP_TRANSPORT=http one long-lived process serves every client (oracle, voice gateway,
+ * MCP inspector) instead of each spawning its own stdio child with its own MQTT connection
+ * and Z-Wave JS UI socket. Each client session gets its own MCP Server instance, but they
+ * all share the module-level device cache.
+ *
+ * Every request must carry "Authorization: Bearer <MCP_HTTP_AUTH_TOKEN>".
+ *
+ * Clients that go away without a DELETE (a crashed process, a dropped connection) would otherwise
+ * keep their session, its Server and its MQTT state listener forever, so sessions with no request
+ * in flight, no open stream and no activity for sessionIdleMs are closed.
+ */
+
+import http from 'http';
+import {createHash, randomUUID, timingSafeEqual} from 'crypto';
+import {StreamableHTTPServerTransport} from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {isInitializeRequest} from '@modelcontextprotocol/sdk/types.js';
+
+/** @typedef {import('./config.js').HttpConfig} HttpConfig */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check an Authorization header against the configured bearer token.
+ * Both sides are hashed first so the comparison is constant-time regardless of length.
+ * @param {string | undefined} header - Raw Authorization header
+ * @param {string} token - Expected bearer token
+ * @returns {boolean}
+ */
+export function isAuthorized(header, token) {
+    const match = typeof header === 'string' ? header.match(/^Bearer\s+(.+)$/i) : null;
+    if (!match || !token) {
+        return false;
+    }
+
+    const digest = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(digest(match[1].trim()), digest(token));
+}
+
+/**
+ * Send a JSON-RPC error response outside of a session
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message
+ * @param {Record<string, string>} [headers]
+ */
+function sendError(res, statusCode, code, message, headers = {}) {
+    res.writeHead(statusCode, {'Content-Type': 'application/json', ...headers});
+    res.end(JSON.stringify({jsonrpc: '2.0', error: {code, message}, id: null}));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>}
+ * @throws {Error} If the body is too large or not valid JSON
+ */
+async function readJsonBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new Error('Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Start serving MCP over Streamable HTTP
+ * @param {HttpConfig} config
+ * @param {() => import('@modelcontextprotocol/sdk/server/index.js').Server} createServer - Builds a server for a new session
+ * @returns {Promise<{ httpServer: http.Server, sessions: Map<string, StreamableHTTPServerTransport>, close: () => Promise<void> }>}
+ */
+export async function startHttpServer(config, createServer) {
+    /** @type {Map<string, StreamableHTTPServerTransport>} - Session ID -> transport */
+    const sessions = new Map();
+    /** @type {Map<string, { lastSeen: number, open: number }>} - Session ID -> last activity and open responses */
+    const activity = new Map();
+
+    /**
+     * Count a response as session activity until it finishes; SSE streams stay open as long as the client listens
+     * @param {string} sessionId
+     * @param {http.ServerResponse} res
+     */
+    const trackActivity = (sessionId, res) => {
+        const session = activity.get(sessionId);
+        if (!session) return;
+        session.open += 1;
+        session.lastSeen = Date.now();
+        res.once('close', () => {
+            session.open -= 1;
+            session.lastSeen = Date.now();
+        });
+    };
+
+    const handleRequest = async (req, res) => {
+        const {pathname} = new URL(req.url, 'http://localhost');
+
+        if (pathname !== config.path) {
+            sendError(res, 404, -32601, 'Not found');
+            return;
+        }
+
+        if (!isAuthorized(req.headers.authorization, config.authToken)) {
+            console.warn(`[HTTP] Rejected unauthorized ${req.method} from ${req.socket.remoteAddress}`);
+            sendError(res, 401, -32001, 'Unauthorized', {'WWW-Authenticate': 'Bearer'});
+            return;
+        }
+
+        let body;
+        if (req.method === 'POST') {
+            try {
+                body = await readJsonBody(req);
+            } catch (error) {
+                sendError(res, 400, -32700, `Parse error: ${error.message}`);
+                return;
+            }
+        }
+
+        const sessionId = req.headers['mcp-session-id'];
+
+        if (sessionId) {
+            const transport = sessions.get(sessionId);
+            if (!transport) {
+                sendError(res, 404, -32001, 'Session not found');
+                return;
+            }
+            trackActivity(sessionId, res);
+            await transport.handleRequest(req, res, body);
+            return;
+        }
+
+        if (req.method !== 'POST' || !isInitializeRequest(body)) {
+            sendError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+            return;
+        }
+
+        const transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (id) => {
+                sessions.set(id, transport);
+                activity.set(id, {lastSeen: Date.now(), open: 0});
+                console.warn(`[HTTP] Session ${id} opened (${sessions.size} active)`);
+            },
+        });
+
+        transport.onclose = () => {
+            activity.delete(transport.sessionId);
+            if (transport.sessionId && sessions.delete(transport.sessionId)) {
+                console.warn(`[HTTP] Session ${transport.sessionId} closed (${sessions.size} active)`);
+            }
+        };
+
+        await createServer().connect(transport);
+        await transport.handleRequest(req, res, body);
+    };
+
+    const httpServer = http.createServer((req, res) => {
+        handleRequest(req, res).catch((error) => {
+            console.error('[HTTP] Error handling request:', error);
+            if (!res.headersSent) {
+                sendError(res, 500, -32603, 'Internal server error');
+            } else {
+                res.end();
+            }
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(config.port, config.host, () => {
+            httpServer.removeListener('error', reject);
+            resolve();
+        });
+    });
+
+    const {port} = /** @type {import('net').AddressInfo} */ (httpServer.address());
+    console.warn(`[HTTP] MCP server listening on http://${config.host}:${port}${config.path}`);
+
+    // Closing the transport closes its Server, which removes the session's state listener
+    const idleMs = config.sessionIdleMs;
+    const sweepTimer = idleMs > 0
+        ? setInterval(() => {
+            const now = Date.now();
+            for (const [id, transport] of sessions) {
+                const session = activity.get(id);
+                if (session && session.open === 0 && now - session.lastSeen >= idleMs) {
+                    console.warn(`[HTTP] Session ${id} idle for ${Math.round((now - session.lastSeen) / 1000)}s; closing it`);
+                    transport.close().catch(error => console.error(`[HTTP] Failed to close session ${id}:`, error));
+                }
+            }
+        }, Math.min(idleMs, MAX_SWEEP_INTERVAL_MS))
+        : null;
+    sweepTimer?.unref();
+
+    const close = async () => {
+        clearInterval(sweepTimer);
+        for (const transport of [...sessions.values()]) {
+            await transport.close();
+        }
+        sessions.clear();
+        await new Promise(resolve => httpServer.close(() => resolve()));
+    };
+
+    return {httpServer, sessions, close};
+}
@@ -1,11 +1,105 @@
 import 'dotenv/config';
 import {Server} from '@modelcontextprotocol/sdk/server/index.js';
 import {StdioServerTransport} from '@modelcontextprotocol/sdk/server/stdio.js';
-import {CallToolRequestSchema, ListToolsRequestSchema,} from '@modelcontextprotocol/sdk/types.js';
-import {DeviceRegistryBuilder} from './device-registry.js';
+import {
+    CallToolRequestSchema,
+    ErrorCode,
+    ListResourcesRequestSchema,
+    ListResourceTemplatesRequestSchema,
+    ListToolsRequestSchema,
+    McpError,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
+import {DeviceRegistryBuilder, sanitizeForTopic, topicKey} from './device-registry.js';
 import {ZWaveUIClient} from './zwave-client.js';
 import {MQTTClientWrapper} from './mqtt-client.js';
-import {getConfig, getMQTTConfig} from './config.js';
+import {
+    getAdminConfig,
+    getAliasesConfig,
+    getAutomationsConfig,
+    getBackendsConfig,
+    getBatteryConfig,
+    getConfig,
+    getDiscoveryConfig,
+    getEventLogConfig,
+    getGroupsConfig,
+    getHistoryConfig,
+    getHttpConfig,
+    getMQTTConfig,
+    getScenesConfig,
+    getSchedulesConfig,
+    getSecurityConfig,
+    getSimulatorConfig,
+} from './config.js';
+import {startHttpServer} from './http-transport.js';
+import {describeSceneStep, SceneManager} from './scenes.js';
+import {INCLUSION_STRATEGIES, isAdminTool, resolveAdminTarget, resolveInclusionStrategy, validateNodeUpdate} from './admin.js';
+import {BatteryMonitor, formatLowBatteries, listBatteryLevels} from './batteries.js';
+import {
+    describeSecurityState,
+    formatSecurityEvents,
+    formatSecurityStatus,
+    listSecurityDevices,
+    SecurityEventLog,
+    SENSOR_KINDS,
+} from './security-sensors.js';
+import {diagnoseNode, formatNetworkDiagnosis, formatNodeDetails, formatNodeDiagnosis} from './diagnostics.js';
+import {buildClarificationQuestion, DeviceNameResolver, validateRegistryNames} from './name-resolver.js';
+import {controlGroup, formatGroupResults, GroupManager, resolveGroupTargets} from './groups.js';
+import {AutomationEngine, describeAutomation} from './automations.js';
+import {describeJobTiming, DeviceScheduler, resolveClockTime} from './schedules.js';
+import {describeReportedValue} from './state-confirmation.js';
+import {overlayStoredValues} from './state-store.js';
+import {describeMeterState, formatEnergyUsage, getMeterReadingInfo, hasMeter, METER_CC, readMeterState} from './meters.js';
+import {
+    buildColorMatcher,
+    buildTargetColor,
+    COLOR_SWITCH_CC,
+    colorTemperature,
+    describeColor,
+    getColorComponents,
+    isColorNode,
+    parseColor,
+    readColorState,
+} from './colors.js';
+import {aggregate, chooseBucketSize, HistoryStore, parseDuration, resolveTime, selectSeries, summarizeSeries} from './history.js';
+import {
+    buildDeviceUri,
+    DEVICE_LIST_URI,
+    DEVICE_URI_TEMPLATE,
+    parseDeviceUri,
+    ResourceSubscriptions,
+} from './resources.js';
+import {
+    BARRIER_OPERATOR_CC,
+    BARRIER_STATES,
+    DOOR_LOCK_CC,
+    DOOR_LOCK_MODES,
+    formatLockState,
+    getLockKind,
+    readLockState,
+    UnlockGuard,
+} from './locks.js';
+import {
+    formatThermostatConfirmation,
+    formatThermostatState,
+    getThermostatModeName,
+    isThermostatNode,
+    readThermostatState,
+    resolveSetpointType,
+    SETPOINT_TYPES,
+    THERMOSTAT_MODE_CC,
+    THERMOSTAT_MODES,
+    THERMOSTAT_SETPOINT_CC,
+} from './thermostat.js';
+import {BackendManager} from './backends.js';
+import {ZWaveBackend} from './zwave-backend.js';
+import {Zigbee2MQTTBackend} from './zigbee2mqtt-backend.js';
+import {MqttDeviceBackend} from './mqtt-devices.js';
+import {DiscoveryPublisher} from './ha-discovery.js';
+import {startSimulator} from './simulator.js';
 
 /**
  * IMPORTANT: MCP Server Logging Convention
@@ -35,14 +129,42 @@ import {getConfig, getMQTTConfig} from './config.js';
 
 const zwaveConfig = getConfig();
 const mqttConfig = getMQTTConfig();
+const httpConfig = getHttpConfig();
+const historyConfig = getHistoryConfig();
+const adminConfig = getAdminConfig();
+const batteryConfig = getBatteryConfig();
+const eventLogConfig = getEventLogConfig();
+const backendsConfig = getBackendsConfig();
+const discoveryConfig = getDiscoveryConfig();
+const simulatorConfig = getSimulatorConfig();
+
+// Simulator mode: virtual nodes and an in-process broker replace Z-Wave JS UI and the real broker.
+// getConfig() and getMQTTConfig() already point at it.
+let simulator = null;
+if (simulatorConfig.enabled) {
+    simulator = await startSimulator(simulatorConfig);
+    console.warn('[MCP Server] Simulator mode: no Z-Wave hardware or external MQTT broker is used');
+}
+
 const zwaveClient = new ZWaveUIClient(zwaveConfig);
 const registryBuilder = new DeviceRegistryBuilder();
+const unlockGuard = new UnlockGuard(getSecurityConfig());
+const sceneManager = new SceneManager(getScenesConfig().filePath);
+const aliasesConfig = getAliasesConfig();
+const nameResolver = new DeviceNameResolver(aliasesConfig.filePath, aliasesConfig.registryNamesPath);
+const groupManager = new GroupManager(getGroupsConfig().filePath);
+const automationsConfig = getAutomationsConfig();
+const schedulesConfig = getSchedulesConfig();
 
 // Health check cache (60 second TTL to avoid repeated timeouts)
 const HEALTH_CHECK_CACHE_TTL_MS = 60 * 1000;
 let healthCheckCache = null;
 let healthCheckCacheTime = 0;
 
+// Node list cache for read-only tools (live values come from the MQTT state store)
+let nodeCache = null;
+let nodeCacheTime = 0;
+
 // Initialize MQTT client if enabled
 let mqttClient = null;
 if (mqttConfig.enabled) {
@@ -52,6 +174,9 @@ if (mqttConfig.enabled) {
                 brokerUrl: mqttConfig.brokerUrl,
                 username: mqttConfig.username,
                 password: mqttConfig.password,
+                topicPrefix: mqttConfig.topicPrefix,
+                // Marks every discovered entity unavailable if this server dies without saying goodbye
+                ...(discoveryConfig.enabled ? {will: {topic: `${discoveryConfig.availabilityPrefix}/status`, payload: 'offline'}} : {}),
             },
             registryBuilder  // Pass registry builder for activity tracking
         );
@@ -64,6 +189,156 @@ if (mqttConfig.enabled) {
     console.warn('[MCP Server] MQTT integration disabled');
 }
 
+// Device backends: Z-Wave JS UI plus MQTT-native devices listed and controlled through the same tools
+const backendManager = new BackendManager();
+const zwaveBackend = new ZWaveBackend({
+    getNodes: getNodesForRead,
+    registryBuilder,
+    describeState: node => formatDeviceState(getCurrentValues(node)),
+});
+backendManager.register(zwaveBackend);
+if (backendsConfig.zigbee2mqtt.enabled) {
+    backendManager.register(new Zigbee2MQTTBackend({baseTopic: backendsConfig.zigbee2mqtt.baseTopic}));
+}
+const mqttDeviceBackend = new MqttDeviceBackend(backendsConfig.mqttDevicesFile);
+backendManager.register(mqttDeviceBackend);
+
+// Home Assistant MQTT Discovery for Z-Wave devices (started once MQTT connects)
+let discoveryPublisher = null;
+if (discoveryConfig.enabled && mqttClient) {
+    discoveryPublisher = new DiscoveryPublisher({
+        publish: (topic, payload, options) => mqttClient.publish(topic, payload, 1, options),
+        listDevices: () => zwaveBackend.listDevices(),
+        registryBuilder,
+        discoveryPrefix: discoveryConfig.prefix,
+        availabilityPrefix: discoveryConfig.availabilityPrefix,
+        refreshMs: discoveryConfig.refreshMs,
+    });
+    console.warn(`[MCP Server] Home Assistant discovery enabled (prefix: ${discoveryConfig.prefix})`);
+} else if (discoveryConfig.enabled) {
+    console.warn('[MCP Server] Home Assistant discovery needs MQTT; leaving it off');
+}
+
+// Device value history (fed by the MQTT state store)
+let historyStore = null;
+if (historyConfig.enabled && mqttClient) {
+    historyStore = new HistoryStore(historyConfig.dirPath, {retentionDays: historyConfig.retentionDays});
+    mqttClient.onStateChange(entry => historyStore.record(entry));
+}
+
+/**
+ * Send one device step on behalf of an automation or schedule, through the same MQTT path as control_zwave_device.
+ * Steps that carry a node ID (scheduled jobs, resolved automation actions) go to that node; others are resolved by name.
+ * @param {import('./schedules.js').ScheduledStep} step
+ * @returns {Promise<import('./schedules.js').ActionResult>} deferred while MQTT is (re)connecting
+ */
+async function executeBackgroundStep(step) {
+    const liveNodes = await getNodesForRead();
+    const registry = registryBuilder.build(toRegistry(liveNodes));
+
+    let result;
+    if (step.nodeId !== undefined) {
+        const node = liveNodes.find(candidate => candidate.id === step.nodeId);
+        result = node
+            ? await sendNodeCommand(node, registry, step.action, step.level, step.endpoint)
+            : {
+                status: 'error',
+                message: `Error: Device "${step.device}"${step.location ? ` in ${step.location}` : ''} (node ${step.nodeId}) no longer exists.`,
+            };
+    } else {
+        result = await sendDeviceCommand(liveNodes, registry, step.device, step.action, step.level);
+    }
+
+    return {
+        success: result.status === 'sent',
+        message: result.message,
+        // Skipped only means the broker isn't connected yet; with MQTT disabled it never will be
+        deferred: result.status === 'skipped' && Boolean(mqttClient),
+    };
+}
+
+/**
+ * Find the node an automation action controls, by its exact device (or outlet) name and optional location.
+ * Automations run unattended, so unlike control_zwave_device there's no partial match and no guessing
+ * between same-named devices.
+ * @param {import('./automations.js').AutomationAction} step
+ * @returns {Promise<import('./automations.js').ActionTarget | null>} null for a device on another backend,
+ *   which is controlled by name
+ * @throws {Error} If no device or several devices have that name
+ */
+async function resolveAutomationTarget(step) {
+    const liveNodes = await getNodesForRead();
+    const wanted = step.device.toLowerCase();
+    const inLocation = node => !step.location || topicKey(node.loc || '') === topicKey(step.location);
+
+    const targets = [
+        ...liveNodes
+            .filter(node => (node.name || `Node ${node.id}`).toLowerCase() === wanted)
+            .map(node => ({node})),
+        ...listSubDevices(liveNodes)
+            .filter(candidate => candidate.name.toLowerCase() === wanted)
+            .map(({node, endpoint}) => ({node, endpoint})),
+    ].filter(({node}) => inLocation(node));
+
+    if (targets.length > 1) {
+        const places = targets.map(({node}) => `${node.loc || 'no location'} (node ${node.id})`).join(', ');
+        throw new Error(`"${step.device}" matches several devices: ${places}. Add a "location" to the action.`);
+    }
+    if (targets.length === 1) {
+        const [{node, endpoint}] = targets;
+        return {nodeId: node.id, location: node.loc || '', ...(endpoint !== undefined && {endpoint})};
+    }
+
+    const otherDevices = await backendManager.listDevices({except: [zwaveBackend.id]});
+    if (!step.location && otherDevices.some(candidate => candidate.name.toLowerCase() === wanted)) {
+        return null;
+    }
+    throw new Error(`Device "${step.device}"${step.location ? ` in ${step.location}` : ''} not found.`);
+}
+
+// Automation rules, evaluated against every MQTT value report
+const automationEngine = new AutomationEngine(automationsConfig.filePath, {
+    location: automationsConfig.location,
+    executeAction: executeBackgroundStep,
+    resolveTarget: resolveAutomationTarget,
+});
+// Delayed and recurring device actions
+const deviceScheduler = new DeviceScheduler(schedulesConfig.filePath, {executeAction: executeBackgroundStep});
+if (mqttClient) {
+    // Jobs that came due before the broker connected (e.g. right after a restart) run once it does
+    mqttClient.onConnect(() => {
+        deviceScheduler.resume().catch(error => console.error('[Schedules] Failed to run deferred actions:', error));
+    });
+}
+
+if (mqttClient) {
+    mqttClient.onStateChange(entry => {
+        automationEngine.handleStateChange(entry).catch(error => {
+            console.error('[MCP Server] Error evaluating automations:', error);
+        });
+    });
+}
+
+// Door, motion and alarm events (fed by the MQTT state store)
+let eventLog = null;
+if (mqttClient) {
+    eventLog = new SecurityEventLog(eventLogConfig.filePath, {retentionDays: eventLogConfig.retentionDays});
+    mqttClient.onStateChange(entry => eventLog.record(entry));
+}
+
+// Low-battery alerts, published once per device each time its Battery CC level crosses the threshold
+if (mqttClient && batteryConfig.alertTopic) {
+    const batteryMonitor = new BatteryMonitor({
+        threshold: batteryConfig.threshold,
+        publishAlert: alert => mqttClient.publish(batteryConfig.alertTopic, alert),
+    });
+    mqttClient.onStateChange(entry => {
+        batteryMonitor.handleStateChange(entry).catch(error => {
+            console.error('[MCP Server] Error publishing battery alert:', error);
+        });
+    });
+}
+
 /**
  * @param {ZWaveNode[]} nodes
  * @returns {ZWaveConfig}
@@ -77,6 +352,142 @@ function toRegistry(nodes) {
     }, {});
 }
 
+/**
+ * Get the node list for read-only tools.
+ * While MQTT is connected the state store has the latest values, so the node list is only
+ * needed for names, locations and command classes and is reused for nodeCacheTtlMs.
+ * Without MQTT every call fetches live nodes so values are never stale.
+ * @returns {Promise<ZWaveNode[]>}
+ */
+async function getNodesForRead() {
+    const storeIsLive = Boolean(mqttClient && mqttClient.connected);
+
+    if (storeIsLive && nodeCache && Date.now() - nodeCacheTime < zwaveConfig.nodeCacheTtlMs) {
+        return nodeCache;
+    }
+
+    const nodes = await zwaveClient.getLiveNodes();
+    nodeCache = nodes;
+    nodeCacheTime = Date.now();
+    return nodes;
+}
+
+/**
+ * Get a node's values with the latest MQTT reports applied
+ * @param {ZWaveNode} node
+ * @returns {Record<string, any> | undefined}
+ */
+function getCurrentValues(node) {
+    if (!mqttClient) {
+        return node.values;
+    }
+
+    const entries = mqttClient.stateStore.getDeviceValues(node.loc || '', node.name || `Node ${node.id}`);
+    return overlayStoredValues(node.values, entries, cc => registryBuilder.getCommandClassName(cc));
+}
+
+/**
+ * Find a node by case-insensitive partial name match (either name may contain the other)
+ * @param {ZWaveNode[]} nodes
+ * @param {string} deviceName
+ * @returns {ZWaveNode | undefined}
+ */
+function findNodeByPartialName(nodes, deviceName) {
+    return nodes.find(node => {
+        const name = node.name || `Node ${node.id}`;
+        return name.toLowerCase().includes(deviceName.toLowerCase()) ||
+            deviceName.toLowerCase().includes(name.toLowerCase());
+    });
+}
+
+/**
+ * Fresh multilevel sensor readings for a device from the MQTT state store.
+ * The device is resolved through the (cached) node list so same-named devices in different
+ * locations are told apart; if the node list can't be fetched, an exact name match is used.
+ * @param {string} deviceName
+ * @param {number} [maxAgeMs=300000] - Readings older than this are ignored
+ * @returns {Promise<import('./state-store.js').StateEntry[]>} Primary reading first
+ */
+async function getStoredSensorReadings(deviceName, maxAgeMs = 5 * 60 * 1000) {
+    let entries;
+    try {
+        const node = findNodeByPartialName(await getNodesForRead(), deviceName);
+        entries = node ? mqttClient.stateStore.getDeviceValues(node.loc || '', node.name || `Node ${node.id}`) : [];
+    } catch (error) {
+        console.warn(`[MCP Server] Node list unavailable, matching sensor by name: ${error.message}`);
+        entries = mqttClient.stateStore.findValuesByName(deviceName);
+    }
+
+    const now = Date.now();
+    const rank = entry => entry.property === 'currentValue' ? 0 : /temperature/i.test(entry.property) ? 1 : 2;
+
+    return entries
+        .filter(entry => entry.commandClass === 'sensor_multilevel' && now - entry.timestamp <= maxAgeMs)
+        .sort((a, b) => rank(a) - rank(b) || b.timestamp - a.timestamp);
+}
+
+/**
+ * Resolve a device name to its registry entry and live node
+ * @param {ZWaveNode[]} liveNodes
+ * @param {DeviceRegistry} registry
+ * @param {string} deviceName
+ * @returns {{ entry: import('./types.js').DeviceRegistryEntry, device: ZWaveNode } | null}
+ */
+function findLiveDevice(liveNodes, registry, deviceName) {
+    const entry = registryBuilder.findDeviceByName(registry, deviceName);
+    const device = entry ? liveNodes.find(node => node.id === entry.nodeId) : undefined;
+    return entry && device ? {entry, device} : null;
+}
+
+/**
+ * Find the devices a name matches exactly (ignoring case), or the one with a node ID. Unlocking uses this
+ * instead of findLiveDevice, so a misheard or partial name can never pick a different door.
+ * @param {ZWaveNode[]} liveNodes
+ * @param {{ deviceName?: string, nodeId?: number }} target
+ * @returns {{ entry: import('./types.js').DeviceRegistryEntry, device: ZWaveNode }[]} Same-named devices in
+ *   different locations all match
+ */
+function findExactLiveDevices(liveNodes, {deviceName, nodeId}) {
+    const wanted = deviceName?.trim().toLowerCase();
+    return registryBuilder.buildEntries(toRegistry(liveNodes))
+        .filter(entry => (nodeId !== undefined ? entry.nodeId === nodeId : entry.name.toLowerCase() === wanted))
+        .map(entry => ({entry, device: liveNodes.find(node => node.id === entry.nodeId)}))
+        .filter(match => match.device);
+}
+
+/**
+ * Find the unit for a history series from the node's value metadata
+ * @param {ZWaveNode} node
+ * @param {import('./history.js').HistoryPoint} point
+ * @returns {string} - e.g. '°F', ' W' or '' (with a leading space for word units)
+ */
+function findSeriesUnit(node, point) {
+    let unit;
+    if (point.commandClass === 'meter') {
+        const info = getMeterReadingInfo(point.propertyKey);
+        unit = info ? info.unit : undefined;
+    } else {
+        const value = Object.values(node.values || {}).find(candidate =>
+            registryBuilder.getCommandClassName(Number(candidate.commandClass)) === point.commandClass &&
+            (Number(candidate.endpoint) || 0) === point.endpoint &&
+            sanitizeForTopic(candidate.property) === point.property
+        );
+        unit = value && value.metadata ? value.metadata.unit : undefined;
+    }
+
+    if (!unit) return '';
+    return unit.startsWith('°') || unit === '%' ? unit : ` ${unit}`;
+}
+
+/**
+ * Format a time for spoken responses when it may not be today
+ * @param {number} timestamp - ms
+ * @returns {string} - e.g. 'Mon 6:00 AM'
+ */
+function formatWeekdayTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', {weekday: 'short', hour: 'numeric', minute: '2-digit'});
+}
+
 /**
  * @param {ZWaveNode} node
  * @param {DeviceRegistry} registry
@@ -86,12 +497,22 @@ function buildDeviceSummary(node, registry) {
     const name = node.name || `Node ${node.id}`;
     const entry = registry[name] || registryBuilder.findDeviceByName(registry, name);
 
-    const topics = entry && entry.topics
-        ? entry.topics
-        : {
+    let topics;
+    if (entry && entry.nodeId === node.id) {
+        topics = entry.topics;
+    } else if (entry) {
+        // Another node with the same name (in a different location) owns the registry entry
+        const {commandClass} = registryBuilder.detectDeviceType(node);
+        topics = {
+            control: registryBuilder.buildControlTopic(node.loc || '', name, commandClass),
+            state: registryBuilder.buildStateTopic(node.loc || '', name, commandClass),
+        };
+    } else {
+        topics = {
             control: `zwave/${node.id}/37/0/targetValue/set`,
             state: `zwave/${node.id}/37/0/currentValue`,
         };
+    }
 
     return {
         name,
@@ -109,6 +530,353 @@ function buildDeviceSummary(node, registry) {
     };
 }
 
+/**
+ * Build the JSON body of a device resource
+ * @param {ZWaveNode} node
+ * @param {import('./types.js').DeviceRegistryEntry} entry
+ * @param {boolean} [includeValues=true] - Include every stored value (omitted from the device list)
+ * @returns {Record<string, any>}
+ */
+function buildDeviceResource(node, entry, includeValues = true) {
+    const store = mqttClient ? mqttClient.stateStore : null;
+    const nodeStatus = store ? store.getNodeStatus(entry.location, entry.name) : undefined;
+    const lastSeen = registryBuilder.getLastSeen(entry.name);
+
+    const resource = {
+        uri: buildDeviceUri(entry.name),
+        name: entry.name,
+        nodeId: entry.nodeId,
+        location: entry.location || null,
+        type: entry.type,
+        state: formatDeviceState(getCurrentValues(node)),
+        ready: node.ready ?? false,
+        available: node.available ?? false,
+        status: (nodeStatus && nodeStatus.status) || node.status || null,
+        isActive: registryBuilder.isDeviceActive(entry.name),
+        lastSeen: lastSeen ? new Date(lastSeen).toISOString() : null,
+        topics: entry.topics,
+    };
+
+    if (includeValues) {
+        const stored = store ? store.getDeviceValues(entry.location, entry.name) : [];
+
+        resource.values = stored.length > 0
+            ? stored.map(value => ({
+                commandClass: value.commandClass,
+                endpoint: value.endpoint,
+                property: value.property,
+                ...(value.propertyKey ? {propertyKey: value.propertyKey} : {}),
+                value: value.value,
+                ...(value.unit ? {unit: value.unit} : {}),
+                updatedAt: new Date(value.timestamp).toISOString(),
+            }))
+            : Object.values(node.values || {}).map(value => ({
+                commandClass: registryBuilder.getCommandClassName(Number(value.commandClass)),
+                endpoint: Number(value.endpoint) || 0,
+                property: String(value.property),
+                ...(value.propertyKey !== undefined && value.propertyKey !== null ? {propertyKey: String(value.propertyKey)} : {}),
+                value: value.value,
+                ...(value.unit ? {unit: value.unit} : {}),
+            }));
+    }
+
+    return resource;
+}
+
+/**
+ * @typedef {Object} DeviceCommandResult
+ * @property {'sent' | 'skipped' | 'error'} status - 'skipped' when MQTT is not connected
+ * @property {import('./state-confirmation.js').ConfirmationStatus} [confirmation] - Set when the state topic was watched
+ * @property {string} message - Human-readable result
+ */
+
+/**
+ * Send an on/off/dim command to a device via MQTT.
+ * Shared by control_zwave_device and scene activation so both use the same publish path.
+ * Devices from other backends are found by their exact name.
+ * When MQTT_CONFIRM_TIMEOUT_MS > 0, waits for the device to report the new state on its
+ * currentValue topic so a dead node is never reported as "turned on".
+ * @param {ZWaveNode[]} liveNodes
+ * @param {DeviceRegistry} registry
+ * @param {string} deviceName
+ * @param {'on'|'off'|'dim'} action
+ * @param {number} [level] - Brightness level 0-100 for dim
+ * @returns {Promise<DeviceCommandResult>}
+ */
+async function sendDeviceCommand(liveNodes, registry, deviceName, action, level) {
+    const wanted = deviceName.toLowerCase();
+    // Prefer an exact name so "Lamp" can't hit "Lamp 2" when both exist
+    const exact = liveNodes.find(node => (node.name || `Node ${node.id}`).toLowerCase() === wanted);
+    if (exact) {
+        return sendNodeCommand(exact, registry, action, level);
+    }
+
+    // "Power Strip outlet 2" must not fall through to the partial match on "Power Strip"
+    const subDevice = listSubDevices(liveNodes).find(candidate => candidate.name.toLowerCase() === wanted);
+    if (subDevice) {
+        return sendNodeCommand(subDevice.node, registry, action, level, subDevice.endpoint);
+    }
+
+    // Zigbee2MQTT, Tasmota and generic MQTT devices are only matched by their exact name
+    const otherDevices = await backendManager.listDevices({except: [zwaveBackend.id]});
+    const other = otherDevices.find(candidate => candidate.name.toLowerCase() === wanted);
+    if (other) {
+        return sendBackendCommand(other, action, level);
+    }
+
+    const device = liveNodes.find(node => {
+        const name = (node.name || `Node ${node.id}`).toLowerCase();
+        return name.includes(wanted) || wanted.includes(name);
+    });
+
+    if (!device) {
+        return {
+            status: 'error',
+            message: `Error: Device "${deviceName}" not found. Use list_zwave_devices to see available devices.`,
+        };
+    }
+
+    return sendNodeCommand(device, registry, action, level);
+}
+
+/**
+ * Keep only the values reported by one endpoint
+ * @param {Record<string, any> | undefined} values
+ * @param {number} endpoint
+ * @returns {Record<string, any> | undefined}
+ */
+function selectEndpointValues(values, endpoint) {
+    if (!values) {
+        return values;
+    }
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => (Number(value.endpoint) || 0) === endpoint));
+}
+
+/**
+ * Every endpoint of a multi-channel device, addressable by its sub-device name
+ * @param {ZWaveNode[]} nodes
+ * @returns {import('./name-resolver.js').SubDeviceName[]}
+ */
+function listSubDevices(nodes) {
+    return nodes.flatMap(node => registryBuilder.detectEndpoints(node).map(endpoint => ({
+        node,
+        name: endpoint.name,
+        endpoint: endpoint.index,
+    })));
+}
+
+/**
+ * Send an on/off/dim command to a node that has already been picked out by name
+ * @param {ZWaveNode} device
+ * @param {DeviceRegistry} registry
+ * @param {'on'|'off'|'dim'} action
+ * @param {number} [level] - Brightness level 0-100 for dim
+ * @param {number} [endpoint=0] - Endpoint of a multi-channel device; 0 controls the device as a whole
+ * @returns {Promise<DeviceCommandResult>}
+ */
+async function sendNodeCommand(device, registry, action, level, endpoint = 0) {
+    // Locks and barriers must go through lock_device/unlock_device and their guardrails
+    if (getLockKind(device)) {
+        return {
+            status: 'error',
+            message: `Error: "${device.name}" is a lock or barrier. Use lock_device or unlock_device instead.`,
+        };
+    }
+
+    if (!(device.ready && device.available)) {
+        return {
+            status: 'error',
+            message: `Error: Device "${device.name}" is offline or not ready.`,
+        };
+    }
+
+    // Get MQTT topics for the device, or for one of its endpoints
+    let target = {name: device.name, topics: buildDeviceSummary(device, registry).topics};
+    if (endpoint) {
+        const endpoints = registryBuilder.detectEndpoints(device);
+        target = endpoints.find(candidate => candidate.index === endpoint);
+        if (!target) {
+            return {
+                status: 'error',
+                message: endpoints.length > 0
+                    ? `Error: "${device.name}" has no endpoint ${endpoint}. Its endpoints are ${endpoints.map(candidate => candidate.index).join(', ')}.`
+                    : `Error: "${device.name}" has only one switchable endpoint. Leave out the endpoint.`,
+            };
+        }
+        if (action === 'dim' && target.type !== 'dimmer') {
+            return {
+                status: 'error',
+                message: `Error: "${target.name}" can only be turned on or off.`,
+            };
+        }
+    }
+
+    const actionError = validateAction(action, level);
+    if (actionError) {
+        return {status: 'error', message: actionError};
+    }
+
+    return publishCommand(target.name, zwaveBackend.buildCommand(target, action, level), action, level);
+}
+
+/**
+ * Send an on/off/dim command to a device from another backend (Zigbee2MQTT, Tasmota, generic MQTT)
+ * @param {import('./backends.js').BackendDevice} device
+ * @param {'on'|'off'|'dim'} action
+ * @param {number} [level] - Brightness level 0-100 for dim
+ * @returns {Promise<DeviceCommandResult>}
+ */
+async function sendBackendCommand(device, action, level) {
+    const backend = backendManager.get(device.backend);
+
+    if (device.available === false) {
+        return {
+            status: 'error',
+            message: `Error: Device "${device.name}" is offline.`,
+        };
+    }
+
+    const actionError = validateAction(action, level);
+    if (actionError) {
+        return {status: 'error', message: actionError};
+    }
+
+    let command;
+    try {
+        command = backend.buildCommand(device, action, level);
+    } catch (error) {
+        return {
+            status: 'error',
+            message: `Error: ${error.message}`,
+        };
+    }
+
+    return publishCommand(device.name, command, action, level);
+}
+
+/**
+ * @param {string} action
+ * @param {number} [level]
+ * @returns {string | null} Error message, or null if the action can be sent
+ */
+function validateAction(action, level) {
+    if (!['on', 'off', 'dim'].includes(action)) {
+        return `Error: Invalid action "${action}". Must be "on", "off", or "dim".`;
+    }
+    if (action === 'dim' && (level === undefined || level < 0 || level > 100)) {
+        return 'Error: For dimming, level must be between 0 and 100';
+    }
+    return null;
+}
+
+/**
+ * Show a command payload in a message: Z-Wave's {"value": x} as x, strings as-is, anything else as JSON
+ * @param {any} payload
+ * @returns {string}
+ */
+function describePayload(payload) {
+    if (typeof payload === 'string') {
+        return payload;
+    }
+    if (payload && typeof payload === 'object' && Object.keys(payload).length === 1 && 'value' in payload) {
+        return String(payload.value);
+    }
+    return JSON.stringify(payload);
+}
+
+/**
+ * Publish a backend command and, when MQTT_CONFIRM_TIMEOUT_MS > 0 and the backend says where the
+ * device reports, wait for it to confirm the new state
+ * @param {string} name - Device name for messages
+ * @param {import('./backends.js').BackendCommand} command
+ * @param {'on'|'off'|'dim'} action
+ * @param {number} [level]
+ * @returns {Promise<DeviceCommandResult>}
+ */
+async function publishCommand(name, command, action, level) {
+    // MQTT not available - return informative message
+    if (!(mqttClient && mqttClient.connected)) {
+        return {
+            status: 'skipped',
+            message: action === 'dim'
+                ? `MQTT not connected. Would dim ${name} to ${level}% (topic: ${command.topic}, value: ${describePayload(command.payload)})`
+                : `MQTT not connected. Would turn ${action} ${name} (topic: ${command.topic}, value: ${describePayload(command.payload)})`,
+        };
+    }
+
+    // Start watching the state topic before publishing so the report can't be missed
+    const confirmTimeoutMs = mqttConfig.confirmTimeoutMs;
+    const describe = command.describe || describeReportedValue;
+    const confirmation = confirmTimeoutMs > 0 && command.stateTopic && command.matches
+        ? mqttClient.waitForState(command.stateTopic, command.matches, confirmTimeoutMs)
+        : null;
+
+    // Publish MQTT command to control the device
+    try {
+        await mqttClient.publish(command.topic, command.payload);
+    } catch (error) {
+        return {
+            status: 'error',
+            message: `Error sending MQTT command: ${error.message}`,
+        };
+    }
+
+    const commandText = action === 'dim'
+        ? `dim ${name} to ${level}%`
+        : `turn ${action} ${name}`;
+
+    if (!confirmation) {
+        return {
+            status: 'sent',
+            message: `Successfully sent command to ${commandText}`,
+        };
+    }
+
+    const outcome = await confirmation;
+
+    console.warn('[mcp-server] Device state confirmation', {
+        device: name,
+        status: outcome.status,
+        value: outcome.value
+    });
+
+    if (outcome.status === 'confirmed') {
+        return {
+            status: 'sent',
+            confirmation: 'confirmed',
+            message: `Confirmed: ${name} is now ${describe(outcome.value)}`,
+        };
+    }
+
+    if (outcome.status === 'pending') {
+        return {
+            status: 'sent',
+            confirmation: 'pending',
+            message: `Pending: sent command to ${commandText}, but it still reports ${describe(outcome.value)}. It may take a moment to update.`,
+        };
+    }
+
+    const seconds = Math.round(confirmTimeoutMs / 100) / 10;
+    return {
+        status: 'error',
+        confirmation: 'no_response',
+        message: `Device did not respond: sent command to ${commandText}, but it did not report back within ${seconds} seconds. It may be offline or out of range.`,
+    };
+}
+
+/**
+ * Pick the value that describes a device's state (currentValue, state or value property).
+ * Meter readings are skipped so a smart plug reports ON/OFF rather than its kWh total.
+ * @param {any[]} candidates - Node values
+ * @returns {any | undefined}
+ */
+function findPrimaryValue(candidates) {
+    return candidates.find((value) =>
+        Number(value.commandClass) !== METER_CC &&
+        ['currentValue', 'state', 'value'].includes(String(value.property)),
+    );
+}
+
 /**
  * @param {Record<string, any>} [values]
  */
@@ -122,9 +890,7 @@ function extractPrimaryValue(values) {
         return undefined;
     }
 
-    const priority = candidates.find((value) =>
-        ['currentValue', 'state', 'value'].includes(String(value.property)),
-    );
+    const priority = findPrimaryValue(candidates);
     const selected = priority || candidates[0];
 
     const label =
@@ -168,11 +934,26 @@ function translateZWaveError(error) {
 }
 
 /**
- * Format device state for human-readable display
+ * Format device state for human-readable display.
+ * Color bulbs that are on also name their color.
  * @param {Record<string, any>} [values] - Device values from Z-Wave node
- * @returns {string} - Formatted state (e.g., "ON", "OFF", "61.8°F", "unknown")
+ * @returns {string} - Formatted state (e.g., "ON", "OFF", "61.8°F", "75, orange", "unknown")
  */
 function formatDeviceState(values) {
+    const state = formatPrimaryState(values);
+    const color = readColorState(values);
+
+    if (!color || ['unknown', 'OFF', '0'].includes(state)) {
+        return state;
+    }
+    return `${state}, ${describeColor(color)}`;
+}
+
+/**
+ * @param {Record<string, any>} [values] - Device values from Z-Wave node
+ * @returns {string}
+ */
+function formatPrimaryState(values) {
     if (!values) {
         return 'unknown';
     }
@@ -183,9 +964,16 @@ function formatDeviceState(values) {
     }
 
     // Find primary value (currentValue, state, or value property)
-    const priority = candidates.find((value) =>
-        ['currentValue', 'state', 'value'].includes(String(value.property)),
-    );
+    const priority = findPrimaryValue(candidates);
+
+    // Door, motion and alarm sensors have no primary value; their raw events mean nothing when read aloud
+    if (!priority) {
+        const security = describeSecurityState(values);
+        if (security) {
+            return security;
+        }
+    }
+
     const selected = priority || candidates[0];
 
     // Handle undefined/null values
@@ -267,34 +1055,148 @@ function formatSummaries(summaries, totalNodes, includeInactive, filterDisplay)
     return [header, '', ...lines].join('\n');
 }
 
-const server = new Server(
+/** Network management tools, listed only when ZWAVE_ADMIN_TOOLS_ENABLED=true */
+const adminTools = [
     {
-        name: 'zwave-js-ui-mcp',
-        version: '1.0.0',
+        name: 'start_inclusion',
+        description:
+            'Admin: put the Z-Wave controller into inclusion mode to add a new device. ' +
+            'Tell the user to put the device into pairing mode next. Inclusion stops by itself once a device is added.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                security: {
+                    type: 'string',
+                    enum: Object.keys(INCLUSION_STRATEGIES),
+                    description: 'Security to use: "default" (best the device supports), "s2", "s0" or "insecure". Default: "default"',
+                },
+            },
+            required: [],
+        },
     },
     {
-        capabilities: {
-            tools: {},
+        name: 'stop_inclusion',
+        description: 'Admin: take the Z-Wave controller out of inclusion mode.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: [],
         },
     },
-);
-
-// Error handler - only log actual errors
-server.onerror = (error) => console.error('[server] Error:', error);
-
-server.setRequestHandler(ListToolsRequestSchema, async () => ({
-    tools: [
-        {
-            name: 'list_zwave_devices',
-            description:
-                'List Z-Wave devices reported by Z-Wave JS UI along with their readiness and MQTT topics',
-            inputSchema: {
-                type: 'object',
-                properties: {
-                    includeInactive: {
-                        type: 'boolean',
-                        description: 'Include nodes that are not ready or unavailable',
-                        default: false,
+    {
+        name: 'start_exclusion',
+        description:
+            'Admin: put the Z-Wave controller into exclusion mode to remove a device. ' +
+            'Tell the user to trigger the device\'s pairing button next.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: [],
+        },
+    },
+    {
+        name: 'stop_exclusion',
+        description: 'Admin: take the Z-Wave controller out of exclusion mode.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: [],
+        },
+    },
+    {
+        name: 'update_node',
+        description: 'Admin: rename a Z-Wave node and/or set its location. This changes its MQTT topics.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                nodeId: {
+                    type: 'number',
+                    description: 'Node id (use this or deviceName)',
+                },
+                deviceName: {
+                    type: 'string',
+                    description: 'Exact current device name (use this or nodeId)',
+                },
+                name: {
+                    type: 'string',
+                    description: 'New name',
+                },
+                location: {
+                    type: 'string',
+                    description: 'New location, e.g. "Kitchen" (empty string clears it)',
+                },
+            },
+            required: [],
+        },
+    },
+    {
+        name: 'heal_network',
+        description:
+            'Admin: start or stop rebuilding routes for every node (network heal). ' +
+            'Runs in the background for minutes to hours and slows device responses meanwhile.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                action: {
+                    type: 'string',
+                    enum: ['start', 'stop'],
+                    description: 'Default: "start"',
+                },
+            },
+            required: [],
+        },
+    },
+    {
+        name: 'ping_node',
+        description: 'Admin: check whether a Z-Wave node responds.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                nodeId: {
+                    type: 'number',
+                    description: 'Node id (use this or deviceName)',
+                },
+                deviceName: {
+                    type: 'string',
+                    description: 'Exact device name (use this or nodeId)',
+                },
+            },
+            required: [],
+        },
+    },
+    {
+        name: 'refresh_node',
+        description: 'Admin: ask a Z-Wave node to report all of its current values again.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                nodeId: {
+                    type: 'number',
+                    description: 'Node id (use this or deviceName)',
+                },
+                deviceName: {
+                    type: 'string',
+                    description: 'Exact device name (use this or nodeId)',
+                },
+            },
+            required: [],
+        },
+    },
+];
+
+const handleListTools = async () => ({
+    tools: [
+        {
+            name: 'list_zwave_devices',
+            description:
+                'List Z-Wave devices reported by Z-Wave JS UI along with their readiness and MQTT topics',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    includeInactive: {
+                        type: 'boolean',
+                        description: 'Include nodes that are not ready or unavailable',
+                        default: false,
                     },
                     filter: {
                         type: 'string',
@@ -308,7 +1210,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
         {
             name: 'list_devices',
             description:
-                'Get a paginated list of Z-Wave devices with their current state (on/off, sensor values) and status information. Returns device names, types, locations, current state, and activity status.',
+                'Get a paginated list of Z-Wave devices with their current state (on/off, sensor values) and status information. Returns device names, types, locations, current state, and activity status. ' +
+                'Zigbee2MQTT, Tasmota and generic MQTT devices are listed too, marked with where they come from.',
             inputSchema: {
                 type: 'object',
                 properties: {
@@ -325,6 +1228,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
                         default: 0,
                         minimum: 0,
                     },
+                    endpoint: {
+                        type: 'number',
+                        description: 'Endpoint selector for multi-endpoint devices (power strips, dual relays). ' +
+                            'Omit to list devices with their outlets, 0 for whole devices only, N for only outlet N of each device',
+                        minimum: 0,
+                    },
                 },
                 required: [],
             },
@@ -347,13 +1256,30 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
         {
             name: 'control_zwave_device',
             description:
-                'Control a Z-Wave device by sending commands via MQTT. Supports turning devices on/off and dimming.',
+                'Control a Z-Wave device by sending commands via MQTT. Supports turning devices on/off and dimming. ' +
+                'Zigbee2MQTT, Tasmota and generic MQTT devices shown by list_devices are controlled the same way. ' +
+                'Waits for the device to report its new state and returns "Confirmed", "Pending" or "Device did not respond" - ' +
+                'only tell the user the device changed when the result is Confirmed. ' +
+                'Device names are matched through aliases and fuzzy matching, so pass the name exactly as the user said it. ' +
+                'If the name is ambiguous the result is a clarification question - ask the user it and do not retry with a guess.',
             inputSchema: {
                 type: 'object',
                 properties: {
                     deviceName: {
                         type: 'string',
-                        description: 'The name of the device to control (e.g. "Demo Switch" or "Living Room Light")',
+                        description: 'The device name as spoken, optionally with its room (e.g. "Demo Switch", "lamp" or "kitchen light"). ' +
+                            'Outlets of multi-outlet devices have their own names, e.g. "Power Strip outlet 2"',
+                    },
+                    nodeId: {
+                        type: 'number',
+                        minimum: 1,
+                        description: 'Z-Wave node ID, for callers that already know the exact device. Skips name matching ' +
+                            '(deviceName is then only used in messages), and any result other than a sent command is an error',
+                    },
+                    endpoint: {
+                        type: 'number',
+                        minimum: 0,
+                        description: 'Optional endpoint (outlet) of a multi-endpoint device, e.g. 2. Omit or 0 to control the whole device',
                     },
                     action: {
                         type: 'string',
@@ -367,108 +1293,2793 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
                         description: 'For dimming, brightness level 0-100 (optional for on/off)',
                     },
                 },
-                required: ['deviceName', 'action'],
+                required: ['action'],
             },
         },
         {
-            name: 'get_device_sensor_data',
+            name: 'set_light_color',
             description:
-                'Get current sensor readings from a Z-Wave sensor device (temperature, humidity, light level, etc.). ' +
-                'Uses MQTT cache for real-time data when available, falls back to Z-Wave JS UI API if needed.',
+                'Set the color of a Z-Wave color bulb (Color Switch) by name, hex value or color temperature. ' +
+                'Call with only deviceName to hear the current color. Brightness and on/off stay with control_zwave_device.',
             inputSchema: {
                 type: 'object',
                 properties: {
                     deviceName: {
                         type: 'string',
-                        description: 'The name of the sensor device (e.g. "Temp Sensor 1" or "Office Temperature")',
+                        description: 'The name of the bulb as spoken, optionally with its room (e.g. "Living Room Bulb")',
+                    },
+                    color: {
+                        type: 'string',
+                        description:
+                            'A color name (red, orange, yellow, lime, green, cyan, blue, purple, magenta, pink), ' +
+                            'a white (warm white, soft white, white, cool white, daylight), a hex value such as "#ff8000", ' +
+                            'or a color temperature such as "2700K"',
+                    },
+                    kelvin: {
+                        type: 'number',
+                        description: 'Color temperature in Kelvin (e.g. 2700 for warm white, 6500 for daylight), instead of color',
                     },
                 },
                 required: ['deviceName'],
             },
         },
         {
-            name: 'check_zwave_health',
+            name: 'control_thermostat',
             description:
-                'Check if the Z-Wave system is available and healthy. Returns availability status, node count, and any error messages. ' +
-                'Results are cached for 60 seconds to avoid repeated timeouts.',
+                'Control a Z-Wave thermostat via MQTT. Sets the mode (heat/cool/auto/off) and/or the temperature setpoint, ' +
+                'then waits for the thermostat to report the new values and says whether each change was confirmed. ' +
+                'Call with only deviceName to read the current thermostat state.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'The name of the thermostat (e.g. "Downstairs Thermostat")',
+                    },
+                    mode: {
+                        type: 'string',
+                        enum: Object.keys(THERMOSTAT_MODES),
+                        description: 'Optional mode to set: "heat", "cool", "auto", or "off"',
+                    },
+                    setpoint: {
+                        type: 'number',
+                        description: 'Optional target temperature in the thermostat\'s own unit (e.g. 68)',
+                    },
+                    setpointType: {
+                        type: 'string',
+                        enum: Object.keys(SETPOINT_TYPES),
+                        description: 'Which setpoint to change: "heat" or "cool" (default: follows the mode)',
+                    },
+                },
+                required: ['deviceName'],
+            },
+        },
+        {
+            name: 'lock_device',
+            description:
+                'Lock a Z-Wave door lock or close a barrier such as a garage door or gate. Reports the resulting lock state.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'The name of the lock or barrier (e.g. "Front Door" or "Garage Door")',
+                    },
+                },
+                required: ['deviceName'],
+            },
+        },
+        {
+            name: 'unlock_device',
+            description:
+                'Unlock a Z-Wave door lock or open a barrier such as a garage door or gate. ' +
+                'SECURITY: requires the user\'s spoken security PIN (pin) when one is configured. Otherwise the first call ' +
+                'returns a confirmationToken: ask the user, and only if they confirm call again with that token. ' +
+                'The name must match exactly; use nodeId when several locks share a name. Never guess a PIN or confirm for the user.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'The exact name of the lock or barrier (e.g. "Front Door" or "Garage Door")',
+                    },
+                    nodeId: {
+                        type: 'number',
+                        description: 'Z-Wave node ID of the lock, instead of deviceName',
+                    },
+                    pin: {
+                        type: 'string',
+                        description: 'Security PIN exactly as spoken by the user',
+                    },
+                    confirmationToken: {
+                        type: 'string',
+                        description: 'Token from the previous unlock_device response, sent only after the user confirmed',
+                    },
+                },
+                required: [],
+            },
+        },
+        {
+            name: 'get_lock_status',
+            description:
+                'Get the status of Z-Wave door locks and barriers (garage doors, gates). Omit deviceName to report every lock and barrier.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'Optional name of a single lock or barrier',
+                    },
+                },
+                required: [],
+            },
+        },
+        {
+            name: 'list_scenes',
+            description:
+                'List the named scenes (e.g. "Movie Mode", "Good Night") that can be activated with activate_scene, including their steps.',
             inputSchema: {
                 type: 'object',
                 properties: {},
                 required: [],
             },
         },
-    ],
-}));
-
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const {name, arguments: rawArgs} = request.params;
-
-    if (name === 'list_devices') {
-        const args = rawArgs || {};
-        const limit = Number(args.limit) || 10;
-        const offset = Number(args.offset) || 0;
-
-        console.warn('[mcp-server] list_devices called', {limit, offset});
-
-        try {
-            // Fetch live nodes from Z-Wave JS UI
-            const liveNodes = await zwaveClient.getLiveNodes();
-            const registry = registryBuilder.build(toRegistry(liveNodes));
-
-            // Use pagination method from registry builder
-            const result = registryBuilder.getDevices(registry, limit, offset);
-
-            console.warn('[mcp-server] Paginated devices', {
-                total: result.total,
-                showing: result.showing,
-                hasMore: result.hasMore,
-                offset
-            });
-
-            // Format response for AI - include device state
-            const deviceList = result.devices.map(device => {
-                const location = device.location ? ` in ${device.location}` : '';
-                const activeStatus = device.isActive === null ? 'unknown' :
-                    device.isActive ? 'active' : 'inactive';
-                const lastSeen = registryBuilder.getLastSeenFormatted(device.name);
-
-                // Get device state from live nodes
-                const node = liveNodes.find(n => {
-                    const nodeName = n.name || `Node ${n.id}`;
-                    return nodeName === device.name;
-                });
-                const deviceState = node ? formatDeviceState(node.values) : 'unknown';
-
-                return `- "${device.name}" (${device.type})${location} - ${deviceState}, ${activeStatus}, last seen: ${lastSeen}`;
-            }).join('\n');
-
-            let responseText;
-            if (result.total === 0) {
-                responseText = 'No Z-Wave devices found.';
-            } else {
-                responseText = `Showing ${result.showing} of ${result.total} Z-Wave devices:\n${deviceList}`;
-
-                if (result.hasMore) {
-                    const nextOffset = offset + limit;
-                    responseText += `\n\n${result.total - (offset + result.showing)} more devices available. Use offset=${nextOffset} to see more.`;
-                }
-            }
-
-            console.warn('[mcp-server] list_devices response', {
-                responseLength: responseText.length
-            });
+        {
+            name: 'activate_scene',
+            description:
+                'Activate a named scene, running each of its device steps in order. Reports whether each step succeeded. ' +
+                'Prefer this over several control_zwave_device calls when the user names a scene.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    sceneName: {
+                        type: 'string',
+                        description: 'The name of the scene to activate (case-insensitive, e.g. "movie mode")',
+                    },
+                },
+                required: ['sceneName'],
+            },
+        },
+        {
+            name: 'define_scene',
+            description:
+                'Create or replace a named scene made of device steps. Each step turns a device on or off, or dims it to a level.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    sceneName: {
+                        type: 'string',
+                        description: 'The name of the scene (e.g. "Good Night")',
+                    },
+                    description: {
+                        type: 'string',
+                        description: 'Optional short description of the scene',
+                    },
+                    steps: {
+                        type: 'array',
+                        description: 'Device steps to run in order',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                device: {
+                                    type: 'string',
+                                    description: 'The name of the device',
+                                },
+                                action: {
+                                    type: 'string',
+                                    enum: ['on', 'off', 'dim'],
+                                },
+                                level: {
+                                    type: 'number',
+                                    minimum: 0,
+                                    maximum: 100,
+                                    description: 'Brightness level 0-100 (required for dim)',
+                                },
+                            },
+                            required: ['device', 'action'],
+                        },
+                    },
+                },
+                required: ['sceneName', 'steps'],
+            },
+        },
+        {
+            name: 'control_device_group',
+            description:
+                'Turn on, turn off or dim every device in a room or named group at once, e.g. "turn off everything in the kitchen" ' +
+                'or "dim all bedroom lights to 30%". Rooms are Z-Wave JS UI locations; named groups come from the groups file. ' +
+                'Only switches and dimmers are controlled. Reports the result for each device.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    group: {
+                        type: 'string',
+                        description: 'A named group (e.g. "Bedroom Lights") or a location (e.g. "Kitchen")',
+                    },
+                    action: {
+                        type: 'string',
+                        enum: ['on', 'off', 'dim'],
+                        description: 'What to do to every device',
+                    },
+                    level: {
+                        type: 'number',
+                        description: 'Brightness level 0-100 (required for dim)',
+                    },
+                },
+                required: ['group', 'action'],
+            },
+        },
+        {
+            name: 'list_automations',
+            description:
+                'List the automation rules (e.g. "turn on the hallway light when motion is detected after sunset"), ' +
+                'whether each is enabled, and when it last ran.',
+            inputSchema: {
+                type: 'object',
+                properties: {},
+                required: [],
+            },
+        },
+        {
+            name: 'enable_automation',
+            description: 'Turn on an automation rule so it runs when its trigger fires. The change is saved.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    automationName: {
+                        type: 'string',
+                        description: 'The name of the automation (case-insensitive)',
+                    },
+                },
+                required: ['automationName'],
+            },
+        },
+        {
+            name: 'disable_automation',
+            description:
+                'Turn off an automation rule so it no longer runs (e.g. "stop the motion light"). The change is saved. ' +
+                'A timed action already counting down still finishes.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    automationName: {
+                        type: 'string',
+                        description: 'The name of the automation (case-insensitive)',
+                    },
+                },
+                required: ['automationName'],
+            },
+        },
+        {
+            name: 'schedule_device_action',
+            description:
+                'Schedule a device to turn on, off or dim later: after a delay ("turn off the porch light in 20 minutes"), ' +
+                'at a time ("at 6:30pm"), or repeatedly with a cron expression ("at 6am on weekdays" = "0 6 * * 1-5"). ' +
+                'Give exactly one of delay, at or cron. Schedules are saved and survive restarts.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'The device name as spoken, resolved like control_zwave_device (e.g. "lamp" or "Power Strip outlet 2")',
+                    },
+                    action: {
+                        type: 'string',
+                        enum: ['on', 'off', 'dim'],
+                        description: 'What to do when the schedule runs',
+                    },
+                    level: {
+                        type: 'number',
+                        description: 'Brightness level 0-100 (required for dim)',
+                    },
+                    delay: {
+                        type: 'string',
+                        description: 'Run once after this long (e.g. "20m", "2h")',
+                    },
+                    at: {
+                        type: 'string',
+                        description: 'Run once at this time: a clock time (e.g. "6:30pm", "21:15") for its next occurrence, or an ISO 8601 time',
+                    },
+                    cron: {
+                        type: 'string',
+                        description: 'Run repeatedly: five-field cron expression in local time (minute hour day month weekday), e.g. "0 6 * * 1-5"',
+                    },
+                },
+                required: ['deviceName', 'action'],
+            },
+        },
+        {
+            name: 'list_scheduled_actions',
+            description: 'List pending scheduled device actions with their ids and when they run next.',
+            inputSchema: {
+                type: 'object',
+                properties: {},
+                required: [],
+            },
+        },
+        {
+            name: 'cancel_scheduled_action',
+            description:
+                'Cancel a scheduled device action by its id, or by device name when that device has only one schedule.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    id: {
+                        type: 'number',
+                        description: 'The schedule id from list_scheduled_actions',
+                    },
+                    deviceName: {
+                        type: 'string',
+                        description: 'Cancel the only schedule for this device',
+                    },
+                },
+                required: [],
+            },
+        },
+        {
+            name: 'get_device_sensor_data',
+            description:
+                'Get current sensor readings from a Z-Wave sensor device (temperature, humidity, light level, etc.). ' +
+                'Uses the MQTT state cache for real-time data when available (including every reading a multi-sensor reports), ' +
+                'falls back to Z-Wave JS UI API if needed.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'The name of the sensor device (e.g. "Temp Sensor 1" or "Office Temperature")',
+                    },
+                },
+                required: ['deviceName'],
+            },
+        },
+        {
+            name: 'get_energy_usage',
+            description:
+                'Get current power draw (W) and accumulated energy (kWh) from metering plugs and switches. ' +
+                'Give deviceName for one device, location for a room, or neither for the whole house.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'Optional name of a single metering device (e.g. "Coffee Maker Plug")',
+                    },
+                    location: {
+                        type: 'string',
+                        description: 'Optional Z-Wave JS UI location (e.g. "Kitchen")',
+                    },
+                },
+                required: [],
+            },
+        },
+        {
+            name: 'reset_meter',
+            description:
+                'Reset the accumulated energy (kWh) total of a metering device to zero. This cannot be undone, ' +
+                'so confirm with the user first and call again with confirm set to true.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'Name of the metering device',
+                    },
+                    confirm: {
+                        type: 'boolean',
+                        description: 'Set to true only after the user has confirmed the reset',
+                    },
+                },
+                required: ['deviceName'],
+            },
+        },
+        {
+            name: 'get_device_history',
+            description:
+                'Get recorded history for a device over a time range, e.g. "what was the office temperature overnight?" ' +
+                'or "how often did the porch light turn on today?". Returns a spoken summary (range, average, latest) ' +
+                'or min/max/avg per time bucket.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'Name of the device (e.g. "Office Sensor")',
+                    },
+                    property: {
+                        type: 'string',
+                        description: 'Optional reading to report (e.g. "temperature", "humidity", "power"). Defaults to sensor readings, then on/off state',
+                    },
+                    since: {
+                        type: 'string',
+                        description: 'Start of the range: a duration ago (e.g. "12h", "7d") or an ISO 8601 time. Default: 24h',
+                    },
+                    until: {
+                        type: 'string',
+                        description: 'End of the range: a duration ago or an ISO 8601 time. Default: now',
+                    },
+                    format: {
+                        type: 'string',
+                        enum: ['summary', 'buckets'],
+                        description: 'summary (default) for a spoken answer, buckets for min/max/avg per interval',
+                    },
+                    bucket: {
+                        type: 'string',
+                        description: 'Bucket size for the buckets format (e.g. "1h"). Default: chosen from the range',
+                    },
+                },
+                required: ['deviceName'],
+            },
+        },
+        {
+            name: 'diagnose_device',
+            description:
+                'Diagnose Z-Wave device health from Z-Wave JS UI node statistics (signal strength, route, failed commands, ' +
+                'last seen, battery level, interview stage), e.g. "why is the porch light flaky?". ' +
+                'Without a device name, checks every node and lists the dead, flaky and low-battery ones worst first. ' +
+                'Returns a plain-English diagnosis to read to the user.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'Optional device to diagnose (e.g. "Porch Light"). Omit to check the whole network',
+                    },
+                },
+                required: [],
+            },
+        },
+        {
+            name: 'list_low_batteries',
+            description:
+                'List battery-powered Z-Wave devices at or below a battery threshold, lowest first, ' +
+                'e.g. "which sensors need new batteries?". If none are low, reports the lowest level.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    threshold: {
+                        type: 'number',
+                        minimum: 0,
+                        maximum: 100,
+                        description: `Battery percent to treat as low (default: ${batteryConfig.threshold})`,
+                    },
+                },
+                required: [],
+            },
+        },
+        {
+            name: 'get_security_status',
+            description:
+                'Summarize the home\'s door/window, motion, water leak, smoke and other alarm sensors: ' +
+                'every open door, active motion and alarm, e.g. "is the house secure?" or "are any windows open?".',
+            inputSchema: {
+                type: 'object',
+                properties: {},
+                required: [],
+            },
+        },
+        {
+            name: 'get_security_events',
+            description:
+                'Search the log of door, motion and alarm events, most recent first, e.g. "did the back door open while I was out?" ' +
+                'or "was there motion in the garage last night?".',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    deviceName: {
+                        type: 'string',
+                        description: 'Optional sensor name as spoken (e.g. "back door"). Default: every sensor',
+                    },
+                    kind: {
+                        type: 'string',
+                        enum: Object.keys(SENSOR_KINDS),
+                        description: 'Optional kind of sensor: door (doors and windows), motion, water, smoke, co, heat, glass or tamper',
+                    },
+                    activeOnly: {
+                        type: 'boolean',
+                        description: 'Only openings, motion and alarms, not closings and all-clears (default: false)',
+                    },
+                    since: {
+                        type: 'string',
+                        description: 'Start of the range: a duration ago (e.g. "3h", "1d") or an ISO 8601 time. Default: 24h',
+                    },
+                    until: {
+                        type: 'string',
+                        description: 'End of the range: a duration ago or an ISO 8601 time. Default: now',
+                    },
+                    limit: {
+                        type: 'number',
+                        description: 'Most recent events to return (default: 20)',
+                    },
+                },
+                required: [],
+            },
+        },
+        {
+            name: 'check_zwave_health',
+            description:
+                'Check if the Z-Wave system is available and healthy. Returns availability status, node count, and any error messages. ' +
+                'Results are cached for 60 seconds to avoid repeated timeouts.',
+            inputSchema: {
+                type: 'object',
+                properties: {},
+                required: [],
+            },
+        },
+        {
+            name: 'set_device_names',
+            description:
+                'Registry sync only: replace the friendly names and aliases used to match spoken device names. ' +
+                'The Oracle device registry calls this after every sync and edit. Do not call it to answer a user request.',
+            inputSchema: {
+                type: 'object',
+                properties: {
+                    devices: {
+                        type: 'array',
+                        description: 'Every device with registry names. Replaces the whole list',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                nodeId: {type: 'integer', minimum: 1, description: 'Z-Wave node ID'},
+                                names: {type: 'array', items: {type: 'string'}, description: 'Friendly name and aliases'},
+                            },
+                            required: ['nodeId', 'names'],
+                        },
+                    },
+                },
+                required: ['devices'],
+            },
+        },
+        ...(adminConfig.enabled ? adminTools : []),
+    ],
+});
+
+/**
+ * Run a network management tool. Only reached when admin tools are enabled.
+ * @param {string} name - Tool name
+ * @param {Record<string, any>} args
+ * @returns {Promise<{content: {type: string, text: string}[], isError?: boolean}>}
+ */
+async function handleAdminTool(name, args) {
+    console.warn(`[mcp-server] ${name} called`, args);
+
+    const reply = (text, isError = false) => ({
+        content: [
+            {
+                type: 'text',
+                text,
+            },
+        ],
+        ...(isError ? {isError: true} : {}),
+    });
+
+    try {
+        if (name === 'start_inclusion') {
+            let strategy;
+            try {
+                strategy = resolveInclusionStrategy(args.security);
+            } catch (error) {
+                return reply(`Error: ${error.message}`, true);
+            }
+
+            await zwaveClient.startInclusion(strategy);
+            return reply('Inclusion started. Put the new device into pairing mode now (often by pressing its button ' +
+                'three times). If it asks for an S2 PIN, enter it in the Z-Wave JS UI Control Panel.');
+        }
+
+        if (name === 'stop_inclusion') {
+            await zwaveClient.stopInclusion();
+            return reply('Inclusion stopped.');
+        }
+
+        if (name === 'start_exclusion') {
+            await zwaveClient.startExclusion();
+            return reply('Exclusion started. Trigger the pairing button on the device to remove it.');
+        }
+
+        if (name === 'stop_exclusion') {
+            await zwaveClient.stopExclusion();
+            return reply('Exclusion stopped.');
+        }
+
+        if (name === 'heal_network') {
+            if (args.action === 'stop') {
+                await zwaveClient.stopRebuildingRoutes();
+                return reply('Stopped rebuilding network routes.');
+            }
+
+            await zwaveClient.beginRebuildingRoutes();
+            return reply('Started rebuilding routes for every node. This runs in the background and can take a while; ' +
+                'devices may respond slowly until it finishes.');
+        }
+
+        // The remaining tools act on one node
+        const liveNodes = await zwaveClient.getLiveNodes();
+        let node;
+        let update;
+        try {
+            node = resolveAdminTarget(args, liveNodes);
+            update = name === 'update_node' ? validateNodeUpdate(args) : undefined;
+        } catch (error) {
+            return reply(`Error: ${error.message}`, true);
+        }
+        const label = `Node ${node.id}${node.name ? ` (${node.name})` : ''}`;
+
+        if (name === 'update_node') {
+            if (update.name !== undefined) {
+                await zwaveClient.setNodeName(node.id, update.name);
+            }
+            if (update.location !== undefined) {
+                await zwaveClient.setNodeLocation(node.id, update.location);
+            }
+            // Names and locations are read from the cached node list
+            nodeCache = null;
+
+            const changes = [
+                update.name !== undefined ? `renamed to "${update.name}"` : null,
+                update.location !== undefined ? (update.location ? `moved to ${update.location}` : 'location cleared') : null,
+            ].filter(Boolean).join(' and ');
+            return reply(`${label} ${changes}. Its MQTT topics now use the new name and location.`);
+        }
+
+        if (name === 'ping_node') {
+            const responded = await zwaveClient.pingNode(node.id);
+            return reply(responded ? `${label} responded.` : `${label} did not respond.`);
+        }
+
+        if (name === 'refresh_node') {
+            await zwaveClient.refreshNodeValues(node.id);
+            return reply(`Asked ${label} to report its values again. Battery devices only answer when they next wake up.`);
+        }
+
+        return reply(`Unknown tool: ${name}`, true);
+    } catch (error) {
+        console.error(`[mcp-server] Error in ${name}:`, error);
+        // Refusals from Z-Wave JS UI ("controller is busy") are more useful to an admin than a generic message
+        return reply(error.api ? `Error: Z-Wave JS UI could not run ${error.api}: ${error.message}` : translateZWaveError(error), true);
+    }
+}
+
+const handleCallTool = async (request) => {
+    const {name, arguments: rawArgs} = request.params;
+
+    if (isAdminTool(name)) {
+        if (!adminConfig.enabled) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${name} is a network management tool and is disabled. Set ZWAVE_ADMIN_TOOLS_ENABLED=true to use it.`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        return handleAdminTool(name, rawArgs || {});
+    }
+
+    // The oracle device registry calls this after syncs and edits to publish friendly names and aliases for name matching
+    if (name === 'set_device_names') {
+        let devices;
+        try {
+            devices = validateRegistryNames((rawArgs || {}).devices);
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        try {
+            const count = await nameResolver.setRegistryNames(devices);
+            console.warn('[mcp-server] set_device_names saved', {devices: devices.length, names: count});
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Saved ${count} name${count === 1 ? '' : 's'} for ${devices.length} device${devices.length === 1 ? '' : 's'}.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            console.error('[mcp-server] Error in set_device_names:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'list_devices') {
+        const args = rawArgs || {};
+        const limit = Number(args.limit) || 10;
+        const offset = Number(args.offset) || 0;
+        const endpoint = args.endpoint === undefined ? undefined : Number(args.endpoint);
+
+        console.warn('[mcp-server] list_devices called', {limit, offset, endpoint});
+
+        try {
+            // Node list may be cached; device state below comes from the MQTT state store
+            // Zigbee2MQTT, Tasmota and generic MQTT devices have no endpoints
+            const otherDevices = endpoint > 0 ? [] : await backendManager.listDevices({except: [zwaveBackend.id]});
+            // Other backends are still listed while Z-Wave JS UI is down
+            let zwaveDevices = [];
+            let zwaveError = null;
+            try {
+                zwaveDevices = await zwaveBackend.listDevices();
+            } catch (error) {
+                if (otherDevices.length === 0) {
+                    throw error;
+                }
+                console.error('[mcp-server] Z-Wave devices unavailable in list_devices:', error);
+                zwaveError = error;
+            }
+
+            // Endpoint N narrows the list to devices that have an outlet N
+            const selected = [
+                ...(endpoint > 0
+                    ? zwaveDevices.filter(device => (device.entry.endpoints || []).some(candidate => candidate.index === endpoint))
+                    : zwaveDevices),
+                ...otherDevices,
+            ];
+
+            // Use pagination method from registry builder
+            const result = registryBuilder.getDevices(selected, limit, offset);
+
+            console.warn('[mcp-server] Paginated devices', {
+                total: result.total,
+                showing: result.showing,
+                hasMore: result.hasMore,
+                offset
+            });
+
+            // Format response for AI - include device state
+            const deviceList = result.devices.map(({entry: device, node, ...other}) => {
+                if (!device) {
+                    const location = other.location ? ` in ${other.location}` : '';
+                    const availability = other.available === null ? '' : other.available ? ', online' : ', offline';
+                    const label = backendManager.get(other.backend).label;
+                    return `- "${other.name}" (${other.type}, via ${label})${location} - ${other.state}${availability}, last seen: ${registryBuilder.formatLastSeen(other.lastSeen)}`;
+                }
+
+                const location = device.location ? ` in ${device.location}` : '';
+                const activeStatus = device.isActive === null ? 'unknown' :
+                    device.isActive ? 'active' : 'inactive';
+                const lastSeen = registryBuilder.getLastSeenFormatted(device.name);
+                const currentValues = getCurrentValues(node);
+
+                const endpoints = (device.endpoints || []).filter(candidate => !endpoint || candidate.index === endpoint);
+                const describeEndpoint = candidate => {
+                    const state = formatDeviceState(selectEndpointValues(currentValues, candidate.index));
+                    return `"${candidate.name}" (${candidate.type}, endpoint ${candidate.index}) - ${state}`;
+                };
+
+                if (endpoint > 0) {
+                    return endpoints.map(candidate => `- ${describeEndpoint(candidate)}${location}, outlet of "${device.name}"`).join('\n');
+                }
+
+                const meter = readMeterState(currentValues);
+                const deviceState = `${formatDeviceState(currentValues)}${meter ? ` (${describeMeterState(meter)})` : ''}`;
+
+                const line = `- "${device.name}" (${device.type})${location} - ${deviceState}, ${activeStatus}, last seen: ${lastSeen}`;
+                return endpoint === 0 || endpoints.length === 0
+                    ? line
+                    : [line, ...endpoints.map(candidate => `  - ${describeEndpoint(candidate)}`)].join('\n');
+            }).join('\n');
+
+            // Only mention Z-Wave when it is the only source of devices
+            const noun = otherDevices.length > 0 ? 'devices' : 'Z-Wave devices';
+            let responseText;
+            if (result.total === 0) {
+                responseText = endpoint > 0 ? `No Z-Wave devices have an endpoint ${endpoint}.` : 'No Z-Wave devices found.';
+            } else {
+                responseText = `Showing ${result.showing} of ${result.total} ${noun}:\n${deviceList}`;
+
+                if (result.hasMore) {
+                    const nextOffset = offset + limit;
+                    responseText += `\n\n${result.total - (offset + result.showing)} more devices available. Use offset=${nextOffset} to see more.`;
+                }
+            }
+
+            if (zwaveError) {
+                responseText += `\n\nZ-Wave devices could not be listed: ${translateZWaveError(zwaveError)}`;
+            }
+
+            console.warn('[mcp-server] list_devices response', {
+                responseLength: responseText.length
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: responseText,
+                    },
+                ],
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in list_devices:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'verify_device') {
+        const args = rawArgs || {};
+        const {deviceName} = args;
+
+        if (!deviceName) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: deviceName is required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        console.warn('[mcp-server] verify_device called', {deviceName});
+
+        try {
+            // Node list may be cached; node status and last report come from the MQTT state store
+            const liveNodes = await getNodesForRead();
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+
+            // Try to find the device (case-insensitive)
+            const device = registryBuilder.findDeviceByName(registry, deviceName);
+
+            if (device) {
+                // Device found - return its details
+                const activeStatus = device.isActive === null ? 'unknown' :
+                    device.isActive ? 'active' : 'inactive';
+                const lastSeen = registryBuilder.getLastSeenFormatted(device.name);
+
+                let responseText = `Device "${device.name}" exists.\n`;
+                responseText += `Type: ${device.type}\n`;
+                if (device.location) {
+                    responseText += `Location: ${device.location}\n`;
+                }
+                responseText += `Status: ${activeStatus}\n`;
+
+                const nodeStatus = mqttClient ? mqttClient.stateStore.getNodeStatus(device.location, device.name) : undefined;
+                if (nodeStatus && nodeStatus.status) {
+                    responseText += `Node status: ${nodeStatus.status}\n`;
+                }
+
+                responseText += `Last seen: ${lastSeen}`;
+
+                // Add warning if device is inactive or Z-Wave JS UI has marked it dead
+                if (device.isActive === false || (nodeStatus && nodeStatus.status === 'Dead')) {
+                    responseText += '\n\n⚠️ Warning: Device exists but may not be responding.';
+                }
+
+                console.warn('[mcp-server] verify_device found device', {name: device.name});
+
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: responseText,
+                        },
+                    ],
+                };
+            } else {
+                // Device not found - provide suggestions
+                const suggestions = registryBuilder.findSimilarDevices(registry, deviceName, 3);
+
+                let responseText = `Device "${deviceName}" not found.`;
+
+                if (suggestions.length > 0) {
+                    responseText += `\n\nDid you mean: ${suggestions.join(', ')}?`;
+                } else {
+                    responseText += '\n\nNo similar devices found. Use list_devices to see all available devices.';
+                }
+
+                console.warn('[mcp-server] verify_device device not found', {
+                    deviceName,
+                    suggestions
+                });
+
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: responseText,
+                        },
+                    ],
+                };
+            }
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in verify_device:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'list_zwave_devices') {
+        const args = rawArgs || {};
+        const includeInactive = Boolean(args.includeInactive);
+        const filterDisplay = args.filter;
+        const filter = filterDisplay ? String(filterDisplay).toLowerCase() : undefined;
+
+        console.warn('[mcp-server] list_zwave_devices called', {
+            args,
+            includeInactive,
+            filter,
+            filterDisplay
+        });
+
+        try {
+            console.warn('[mcp-server] Fetching live nodes from Z-Wave JS UI...');
+            const liveNodes = await zwaveClient.getLiveNodes();
+            console.warn('[mcp-server] Got live nodes', {
+                totalNodes: liveNodes.length,
+                nodeIds: liveNodes.map(n => n.id)
+            });
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+
+            console.warn('[mcp-server] Filtering nodes...', {filter, includeInactive});
+            const filteredSummaries = liveNodes
+                .filter((node) => {
+                    const nameLower = (node.name || `Node ${node.id}`).toLowerCase();
+                    const locationLower = (node.loc || '').toLowerCase();
+
+                    const matchesFilter = filter
+                        ? nameLower.includes(filter) || locationLower.includes(filter)
+                        : true;
+
+                    const isActive = (node.ready ?? false) && (node.available ?? true);
+
+                    const passes = matchesFilter && (includeInactive || isActive);
+
+                    // Log each node evaluation if filter is active
+                    if (filter) {
+                        console.warn('[mcp-server] Node filter check', {
+                            nodeId: node.id,
+                            name: node.name,
+                            nameLower,
+                            filter,
+                            matchesFilter,
+                            isActive,
+                            passes
+                        });
+                    }
+
+                    return passes;
+                })
+                .map((node) => {
+                    // Simplified device summary for AI - only essential fields
+                    const name = node.name || `Node ${node.id}`;
+                    const status = (node.ready && node.available) ? 'online' : 'offline';
+                    return {
+                        name,
+                        nodeId: node.id,
+                        location: node.loc || undefined,
+                        status
+                    };
+                })
+                .sort((a, b) => a.name.localeCompare(b.name));
+
+            console.warn('[mcp-server] Filtered to', {
+                matchedCount: filteredSummaries.length,
+                devices: filteredSummaries.map(d => d.name)
+            });
+
+            // Build a clear, formatted response for the AI
+            let responseText;
+            if (filteredSummaries.length === 0) {
+                responseText = filter
+                    ? `No Z-Wave devices found matching "${filterDisplay}".`
+                    : 'No Z-Wave devices are currently available.';
+            } else {
+                const deviceList = filteredSummaries
+                    .map(d => {
+                        const location = d.location ? ` in ${d.location}` : '';
+                        return `- "${d.name}"${location} is ${d.status}`;
+                    })
+                    .join('\n');
+
+                const filterNote = filter ? ` matching "${filterDisplay}"` : '';
+                responseText = `Available Z-Wave devices${filterNote} (${filteredSummaries.length} total):\n${deviceList}`;
+            }
+
+            console.warn('[mcp-server] Returning response', {
+                responseLength: responseText.length,
+                responsePreview: responseText.substring(0, 150)
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: responseText,
+                    },
+                ],
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in list_zwave_devices:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'control_zwave_device') {
+        const args = rawArgs || {};
+        const {deviceName, nodeId, action, level, endpoint} = args;
+
+        if ((!deviceName && nodeId === undefined) || !action) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: deviceName (or nodeId) and action are required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        if (endpoint !== undefined && !(Number.isInteger(endpoint) && endpoint >= 0)) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: endpoint must be a whole number (1 and up for one outlet, 0 for the whole device)',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        if (nodeId !== undefined) {
+            if (!(Number.isInteger(nodeId) && nodeId >= 1)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: 'Error: nodeId must be a whole number (1 and up)',
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            try {
+                const liveNodes = await zwaveClient.getLiveNodes();
+                const node = liveNodes.find(candidate => candidate.id === nodeId);
+                const result = node
+                    ? await sendNodeCommand(node, registryBuilder.build(toRegistry(liveNodes)), action, level, endpoint ?? 0)
+                    : {status: 'error', message: `Error: Node ${nodeId}${deviceName ? ` ("${deviceName}")` : ''} not found.`};
+
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: result.message,
+                        },
+                    ],
+                    // Callers passing a node ID act on the result, so "MQTT not connected" is a failure too
+                    isError: result.status !== 'sent',
+                };
+            } catch (error) {
+                console.error('[mcp-server] Error in control_zwave_device:', error);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: translateZWaveError(error),
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+        }
+
+        try {
+            // Get devices to find the target device. Other backends stay controllable while Z-Wave JS UI is down.
+            const otherDevices = await backendManager.listDevices({except: [zwaveBackend.id]});
+            let liveNodes = [];
+            let zwaveError = null;
+            try {
+                liveNodes = await zwaveClient.getLiveNodes();
+            } catch (error) {
+                if (otherDevices.length === 0) {
+                    throw error;
+                }
+                console.warn('[mcp-server] Z-Wave devices unavailable, matching other backends only:', error.message);
+                zwaveError = error;
+            }
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+
+            await nameResolver.refreshRegistryNames();
+            const resolution = nameResolver.resolve(deviceName, liveNodes, {
+                subDevices: listSubDevices(liveNodes),
+                devices: otherDevices,
+            });
+            console.warn('[mcp-server] control_zwave_device name resolution', {
+                deviceName,
+                status: resolution.status,
+                matchedBy: resolution.matchedBy,
+                candidates: resolution.candidates.map(candidate => `${candidate.name} (${candidate.confidence.toFixed(2)})`),
+            });
+
+            if (resolution.status === 'ambiguous') {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: buildClarificationQuestion(deviceName, resolution.candidates),
+                        },
+                    ],
+                };
+            }
+
+            if (resolution.status === 'none') {
+                // The device may well be a Z-Wave device we couldn't list
+                if (zwaveError) {
+                    throw zwaveError;
+                }
+                const suggestions = resolution.candidates.map(candidate => `"${candidate.name}"`).join(', ');
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: Device "${deviceName}" not found.` +
+                                (suggestions ? ` Closest matches: ${suggestions}.` : '') +
+                                ' Use list_zwave_devices to see available devices.',
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const {match, matchedBy} = resolution;
+
+            // A sub-device name ("Power Strip outlet 2") already picks the endpoint
+            if (match.endpoint !== undefined && endpoint !== undefined && endpoint !== match.endpoint) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: "${match.name}" is endpoint ${match.endpoint}, but endpoint ${endpoint} was requested.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            if (match.device && endpoint) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: "${match.name}" has no endpoints. Leave out the endpoint.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const result = match.device
+                ? await sendBackendCommand(match.device, action, level)
+                : await sendNodeCommand(match.node, registry, action, level, match.endpoint ?? endpoint ?? 0);
+            const note = matchedBy === 'exact' ? '' : ` (matched "${deviceName}" to "${match.name}")`;
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `${result.message}${note}`,
+                    },
+                ],
+                isError: result.status === 'error',
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in control_zwave_device:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'set_light_color') {
+        const args = rawArgs || {};
+        const {deviceName, color, kelvin} = args;
+
+        if (!deviceName) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: deviceName is required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        if (color !== undefined && kelvin !== undefined) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: Give either color or kelvin, not both',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        let request;
+        try {
+            if (color !== undefined) {
+                request = parseColor(color);
+            } else if (kelvin !== undefined) {
+                request = colorTemperature(Number(kelvin));
+            }
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        console.warn('[mcp-server] set_light_color called', {deviceName, color, kelvin});
+
+        try {
+            const liveNodes = await zwaveClient.getLiveNodes();
+            await nameResolver.refreshRegistryNames();
+            const resolution = nameResolver.resolve(deviceName, liveNodes);
+
+            if (resolution.status !== 'match') {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: resolution.status === 'ambiguous'
+                                ? buildClarificationQuestion(deviceName, resolution.candidates)
+                                : `Error: Device "${deviceName}" not found. Use list_devices to see available devices.`,
+                        },
+                    ],
+                    isError: resolution.status === 'none',
+                };
+            }
+
+            const device = resolution.match.node;
+            const deviceLabel = device.name || `Node ${device.id}`;
+            const note = resolution.matchedBy === 'exact' ? '' : ` (matched "${deviceName}" to "${deviceLabel}")`;
+
+            if (!isColorNode(device)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: "${deviceLabel}" is not a color bulb.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const currentValues = getCurrentValues(device);
+
+            // No color requested - just report the current one
+            if (!request) {
+                const current = readColorState(currentValues);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: current
+                                ? `${deviceLabel} is set to ${describeColor(current)}.${note}`
+                                : `${deviceLabel} has not reported its color.${note}`,
+                        },
+                    ],
+                };
+            }
+
+            if (!(device.ready && device.available)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: Device "${deviceLabel}" is offline or not ready.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            let target;
+            try {
+                target = buildTargetColor(request, getColorComponents(currentValues));
+            } catch (error) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: Can't set "${deviceLabel}" to ${request.label}: ${error.message}.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const location = device.loc || '';
+            const controlTopic = `${registryBuilder.buildValueTopic(location, deviceLabel, COLOR_SWITCH_CC, 'targetColor')}/set`;
+            const stateTopic = registryBuilder.buildValueTopic(location, deviceLabel, COLOR_SWITCH_CC, 'currentColor');
+
+            if (!(mqttClient && mqttClient.connected)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `MQTT not connected. Would set ${deviceLabel} to ${request.label} (topic: ${controlTopic}, value: ${JSON.stringify(target)})`,
+                        },
+                    ],
+                };
+            }
+
+            // Start watching the state topic before publishing so the report can't be missed
+            const confirmTimeoutMs = mqttConfig.confirmTimeoutMs;
+            const confirmation = confirmTimeoutMs > 0
+                ? mqttClient.waitForState(stateTopic, buildColorMatcher(target), confirmTimeoutMs)
+                : null;
+
+            try {
+                await mqttClient.publish(controlTopic, {value: target});
+            } catch (error) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error sending MQTT command: ${error.message}`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const outcome = confirmation ? await confirmation : null;
+            let text = `Successfully sent command to set ${deviceLabel} to ${request.label}`;
+            if (outcome && outcome.status === 'confirmed') {
+                text = `Confirmed: ${deviceLabel} is now ${describeColor(outcome.value)}`;
+            } else if (outcome && outcome.status === 'pending') {
+                text = `Pending: sent ${request.label} to ${deviceLabel}, but it still reports ${describeColor(outcome.value || {})}. It may take a moment to update.`;
+            } else if (outcome) {
+                // Some bulbs only report currentColor when polled, so silence is not an error here
+                text = `Sent ${request.label} to ${deviceLabel}, but it has not reported its color yet.`;
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `${text}${note}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in set_light_color:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'control_thermostat') {
+        const args = rawArgs || {};
+        const {deviceName, mode, setpoint, setpointType} = args;
+
+        if (!deviceName) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: deviceName is required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        if (mode !== undefined && !(mode in THERMOSTAT_MODES)) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: Invalid mode "${mode}". Must be "heat", "cool", "auto", or "off".`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        if (setpoint !== undefined && !Number.isFinite(Number(setpoint))) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: setpoint must be a number',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        console.warn('[mcp-server] control_thermostat called', {deviceName, mode, setpoint, setpointType});
+
+        try {
+            const liveNodes = await zwaveClient.getLiveNodes();
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+            const match = findLiveDevice(liveNodes, registry, deviceName);
+
+            if (!match) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: Thermostat "${deviceName}" not found. Use list_devices to see available devices.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const {entry, device} = match;
+
+            if (!isThermostatNode(device)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: Device "${entry.name}" is not a thermostat.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const currentState = readThermostatState(device);
+
+            // No changes requested - just report the current state
+            if (mode === undefined && setpoint === undefined) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: formatThermostatState(entry.name, currentState),
+                        },
+                    ],
+                };
+            }
+
+            if (!(device.ready && device.available)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: Thermostat "${entry.name}" is offline or not ready.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const commands = [];
+
+            if (mode !== undefined) {
+                const stateTopic = registryBuilder.buildValueTopic(entry.location, entry.name, THERMOSTAT_MODE_CC, 'mode');
+                commands.push({
+                    topic: `${stateTopic}/set`,
+                    stateTopic,
+                    value: THERMOSTAT_MODES[mode],
+                    matches: value => Number(value) === THERMOSTAT_MODES[mode],
+                    description: `set the mode to ${mode}`,
+                    describe: value => `the mode is ${getThermostatModeName(Number(value))}`,
+                });
+            }
+
+            if (setpoint !== undefined) {
+                const type = resolveSetpointType(setpointType, mode, currentState.mode);
+                const unit = currentState.setpoints[type]?.unit || '';
+                const label = type === 'cool' ? 'cooling' : 'heating';
+                const stateTopic = registryBuilder.buildValueTopic(entry.location, entry.name, THERMOSTAT_SETPOINT_CC, 'setpoint', SETPOINT_TYPES[type]);
+                commands.push({
+                    topic: `${stateTopic}/set`,
+                    stateTopic,
+                    value: Number(setpoint),
+                    // Allow for float rounding in what the device reports back
+                    matches: value => Math.abs(Number(value) - Number(setpoint)) < 0.01,
+                    description: `set the ${label} setpoint to ${Number(setpoint)}${unit}`,
+                    describe: value => `the ${label} setpoint is ${value}${unit}`,
+                });
+            }
+
+            const summary = commands.map(command => command.description).join(' and ');
+
+            if (!(mqttClient && mqttClient.connected)) {
+                const topics = commands.map(command => `${command.topic} = ${command.value}`).join(', ');
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `MQTT not connected. Would ${summary} on ${entry.name} (${topics})`,
+                        },
+                    ],
+                };
+            }
+
+            // Start watching the state topics before publishing so the reports can't be missed
+            const confirmTimeoutMs = mqttConfig.confirmTimeoutMs;
+            const confirmations = confirmTimeoutMs > 0
+                ? commands.map(command => mqttClient.waitForState(command.stateTopic, command.matches, confirmTimeoutMs))
+                : null;
+
+            try {
+                for (const command of commands) {
+                    await mqttClient.publish(command.topic, {value: command.value});
+                }
+            } catch (error) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error sending MQTT command: ${error.message}`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            if (!confirmations) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Successfully sent command to ${summary} on ${entry.name}.`,
+                        },
+                    ],
+                };
+            }
+
+            const outcomes = await Promise.all(confirmations);
+            console.warn('[mcp-server] Thermostat state confirmation', {
+                device: entry.name,
+                outcomes: outcomes.map(outcome => outcome.status),
+            });
+
+            const {text, responded} = formatThermostatConfirmation(
+                entry.name,
+                commands.map((command, index) => ({...command, outcome: outcomes[index]})),
+                confirmTimeoutMs,
+            );
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text,
+                    },
+                ],
+                ...(responded ? {} : {isError: true}),
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in control_thermostat:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'lock_device' || name === 'unlock_device') {
+        const args = rawArgs || {};
+        const {deviceName, nodeId, pin, confirmationToken} = args;
+        const securing = name === 'lock_device';
+
+        if (!deviceName && (securing || nodeId === undefined)) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: securing ? 'Error: deviceName is required' : 'Error: deviceName or nodeId is required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        // Never log the PIN itself
+        console.warn(`[mcp-server] ${name} called`, {
+            deviceName,
+            nodeId,
+            pinProvided: pin !== undefined,
+            confirmationTokenProvided: confirmationToken !== undefined,
+        });
+
+        try {
+            const liveNodes = await zwaveClient.getLiveNodes();
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+
+            let match;
+            if (securing) {
+                match = findLiveDevice(liveNodes, registry, deviceName);
+            } else {
+                const matches = findExactLiveDevices(liveNodes, {deviceName, nodeId});
+                if (matches.length > 1) {
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: `Error: Several devices are named "${deviceName}": ` +
+                                    matches.map(({entry}) => `node ${entry.nodeId}${entry.location ? ` in ${entry.location}` : ''}`).join(', ') +
+                                    '. Ask the user which one, then call this tool again with its nodeId.',
+                            },
+                        ],
+                        isError: true,
+                    };
+                }
+                match = matches[0] || null;
+            }
+            const kind = match ? getLockKind(match.device) : null;
+
+            if (!match || !kind) {
+                const label = deviceName || `node ${nodeId}`;
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: match
+                                ? `Error: Device "${match.entry.name}" is not a lock or barrier.`
+                                : `Error: Lock "${label}" not found.` +
+                                (securing ? '' : ' Unlocking needs the exact name.') +
+                                ' Use get_lock_status to see available locks.',
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const {entry, device} = match;
+            const verb = kind === 'lock'
+                ? (securing ? 'lock' : 'unlock')
+                : (securing ? 'close' : 'open');
+
+            if (!securing) {
+                const authorization = unlockGuard.authorize(entry.name, {pin, confirmationToken}, verb, `node ${device.id}`);
+                if (!authorization.allowed) {
+                    console.warn(`[mcp-server] ${name} refused`, {deviceName: entry.name});
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: authorization.message,
+                            },
+                        ],
+                        isError: true,
+                    };
+                }
+            }
+
+            if (!(device.ready && device.available)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: Device "${entry.name}" is offline or not ready.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const commandClass = kind === 'lock' ? DOOR_LOCK_CC : BARRIER_OPERATOR_CC;
+            const controlTopic = registryBuilder.buildControlTopic(entry.location, entry.name, commandClass);
+            const mqttValue = kind === 'lock'
+                ? (securing ? DOOR_LOCK_MODES.secured : DOOR_LOCK_MODES.unsecured)
+                : (securing ? BARRIER_STATES.closed : BARRIER_STATES.open);
+
+            if (!(mqttClient && mqttClient.connected)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `MQTT not connected. Would ${verb} ${entry.name} (topic: ${controlTopic}, value: ${mqttValue})`,
+                        },
+                    ],
+                };
+            }
+
+            try {
+                await mqttClient.publish(controlTopic, {value: mqttValue});
+            } catch (error) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error sending MQTT command: ${error.message}`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            console.warn(`[mcp-server] ${name} sent`, {deviceName: entry.name, verb});
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Successfully sent command to ${verb} ${entry.name}.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error(`[mcp-server] Error in ${name}:`, error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'get_lock_status') {
+        const args = rawArgs || {};
+        const {deviceName} = args;
+
+        console.warn('[mcp-server] get_lock_status called', {deviceName});
+
+        try {
+            const liveNodes = await zwaveClient.getLiveNodes();
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+
+            let nodes;
+            if (deviceName) {
+                const match = findLiveDevice(liveNodes, registry, deviceName);
+                if (!match || !getLockKind(match.device)) {
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: `Error: Lock "${deviceName}" not found. Use get_lock_status without a name to see all locks.`,
+                            },
+                        ],
+                        isError: true,
+                    };
+                }
+                nodes = [match.device];
+            } else {
+                nodes = liveNodes.filter(node => getLockKind(node));
+            }
+
+            if (nodes.length === 0) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: 'No door locks or barriers found.',
+                        },
+                    ],
+                };
+            }
+
+            const lines = nodes
+                .map(node => {
+                    const nodeName = node.name || `Node ${node.id}`;
+                    const offline = node.ready && node.available ? '' : ' It is offline, so this may be out of date.';
+                    return `${formatLockState(nodeName, readLockState(node))}${offline}`;
+                })
+                .sort((a, b) => a.localeCompare(b));
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: lines.join('\n'),
+                    },
+                ],
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in get_lock_status:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'list_scenes') {
+        console.warn('[mcp-server] list_scenes called');
+
+        const scenes = sceneManager.listScenes();
+
+        const responseText = scenes.length === 0
+            ? 'No scenes are defined. Use define_scene to create one.'
+            : `Available scenes (${scenes.length} total):\n` + scenes.map(scene => {
+                const description = scene.description ? ` - ${scene.description}` : '';
+                const steps = scene.steps.map(describeSceneStep).join(', ');
+                return `- "${scene.name}"${description}: ${steps}`;
+            }).join('\n');
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: responseText,
+                },
+            ],
+        };
+    }
+
+    if (name === 'activate_scene') {
+        const args = rawArgs || {};
+        const {sceneName} = args;
+
+        if (!sceneName) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: sceneName is required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        const scene = sceneManager.findScene(sceneName);
+
+        if (!scene) {
+            const available = sceneManager.listScenes().map(s => s.name);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: available.length
+                            ? `Error: Scene "${sceneName}" not found. Available scenes: ${available.join(', ')}.`
+                            : `Error: Scene "${sceneName}" not found. No scenes are defined.`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        console.warn('[mcp-server] activate_scene called', {scene: scene.name, steps: scene.steps.length});
+
+        try {
+            // Fetch nodes once for the whole scene instead of once per step
+            const liveNodes = await zwaveClient.getLiveNodes();
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+
+            const results = await sceneManager.activate(scene, async (step) => {
+                const result = await sendDeviceCommand(liveNodes, registry, step.device, step.action, step.level);
+                return {success: result.status === 'sent', message: result.message};
+            });
+
+            const succeeded = results.filter(result => result.success).length;
+            const lines = results.map(result =>
+                `- ${result.success ? 'OK' : 'FAILED'}: ${describeSceneStep(result.step)}${result.success ? '' : ` (${result.message})`}`
+            );
+
+            const header = succeeded === results.length
+                ? `Activated scene "${scene.name}": all ${results.length} steps succeeded.`
+                : `Activated scene "${scene.name}": ${succeeded} of ${results.length} steps succeeded.`;
+
+            console.warn('[mcp-server] activate_scene complete', {scene: scene.name, succeeded, total: results.length});
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `${header}\n${lines.join('\n')}`,
+                    },
+                ],
+                isError: succeeded === 0,
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in activate_scene:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'define_scene') {
+        const args = rawArgs || {};
+        const {sceneName, steps, description} = args;
+
+        if (!sceneName || !steps) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: sceneName and steps are required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        console.warn('[mcp-server] define_scene called', {sceneName, stepCount: Array.isArray(steps) ? steps.length : 0});
+
+        try {
+            const {scene, replaced} = await sceneManager.defineScene(sceneName, steps, description);
+            const summary = scene.steps.map(describeSceneStep).join(', ');
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `${replaced ? 'Updated' : 'Created'} scene "${scene.name}": ${summary}.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            console.error('[mcp-server] Error in define_scene:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'control_device_group') {
+        const args = rawArgs || {};
+        const {group, action, level} = args;
+
+        console.warn('[mcp-server] control_device_group called', {group, action, level});
+
+        if (!group || !['on', 'off', 'dim'].includes(action)) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: group and an action of "on", "off" or "dim" are required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        if (action === 'dim' && !(Number.isFinite(level) && level >= 0 && level <= 100)) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: For dimming, level must be between 0 and 100',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        try {
+            // One fresh node fetch for the whole group
+            const liveNodes = await zwaveClient.getLiveNodes();
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+
+            const resolved = resolveGroupTargets(group, action, {
+                devices: registryBuilder.buildEntries(toRegistry(liveNodes)),
+                group: groupManager.findGroup(group),
+                findDevice: deviceName => registryBuilder.findEndpointByName(registry, deviceName) ||
+                    registryBuilder.findDeviceByName(registry, deviceName),
+            });
+
+            if (!resolved) {
+                const groups = groupManager.listGroups().map(g => g.name);
+                const locations = [...new Set(liveNodes.map(node => node.loc).filter(Boolean))].sort();
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: "${group}" is not a group or location. ` +
+                                `Groups: ${groups.length ? groups.join(', ') : 'none defined'}. ` +
+                                `Locations: ${locations.length ? locations.join(', ') : 'none set'}.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const step = action === 'dim' ? {action, level} : {action};
+            // Address each target by node ID: "Light" in the Kitchen and "Light" in the Bedroom share a name
+            const results = await controlGroup(resolved.targets, step, async (target, entry) => {
+                const node = liveNodes.find(candidate => candidate.id === entry.nodeId);
+                if (!node) {
+                    return {success: false, message: `Error: Device "${entry.name}" not found.`};
+                }
+                const result = await sendNodeCommand(node, registry, target.action, target.level, entry.endpoint);
+                return {success: result.status === 'sent', message: result.message};
+            });
+
+            const actionText = action === 'dim' ? `dim to ${level}%` : `turn ${action}`;
+            const succeeded = results.filter(result => result.success).length;
+
+            console.warn('[mcp-server] control_device_group complete', {group: resolved.label, succeeded, total: results.length});
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: formatGroupResults(resolved.label, actionText, results, resolved.skipped),
+                    },
+                ],
+                isError: succeeded === 0,
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in control_device_group:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'list_automations') {
+        console.warn('[mcp-server] list_automations called');
+
+        const automations = automationEngine.listAutomations();
+        const enabledCount = automations.filter(automation => automation.enabled).length;
+
+        let responseText;
+        if (automations.length === 0) {
+            responseText = `No automations are defined. Add rules to ${automationsConfig.filePath} (see automations.example.json).`;
+        } else {
+            responseText = `Automations (${automations.length} total, ${enabledCount} enabled):\n` + automations.map(automation => {
+                const status = automationEngine.getStatus(automation.name);
+                const description = automation.description ? ` - ${automation.description}` : '';
+                const lastRun = status.lastTriggered
+                    ? ` Last ran ${formatWeekdayTime(status.lastTriggered)} (${status.lastResult}).`
+                    : '';
+                return `- "${automation.name}" [${automation.enabled ? 'enabled' : 'disabled'}]${description}: ${describeAutomation(automation)}.${lastRun}`;
+            }).join('\n');
+
+            if (!mqttClient) {
+                responseText += '\n\nNote: MQTT is disabled, so automations will not run.';
+            }
+        }
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: responseText,
+                },
+            ],
+        };
+    }
+
+    if (name === 'enable_automation' || name === 'disable_automation') {
+        const args = rawArgs || {};
+        const {automationName} = args;
+        const enabled = name === 'enable_automation';
+
+        if (!automationName) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: automationName is required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        console.warn(`[mcp-server] ${name} called`, {automationName});
+
+        if (!automationEngine.findAutomation(automationName)) {
+            const available = automationEngine.listAutomations().map(automation => automation.name);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: available.length
+                            ? `Error: Automation "${automationName}" not found. Available automations: ${available.join(', ')}.`
+                            : `Error: Automation "${automationName}" not found. No automations are defined.`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        try {
+            const automation = await automationEngine.setEnabled(automationName, enabled);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `${enabled ? 'Enabled' : 'Disabled'} automation "${automation.name}".`,
+                    },
+                ],
+            };
+        } catch (error) {
+            console.error(`[mcp-server] Error in ${name}:`, error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'schedule_device_action') {
+        const args = rawArgs || {};
+        const {deviceName, action, level, delay, at, cron} = args;
+
+        console.warn('[mcp-server] schedule_device_action called', {deviceName, action, level, delay, at, cron});
+
+        const timingCount = [delay, at, cron].filter(value => value !== undefined && value !== '').length;
+        if (!deviceName || !action || timingCount !== 1) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: deviceName, action and exactly one of delay, at or cron are required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        const now = Date.now();
+        let timing;
+        if (delay) {
+            const delayMs = parseDuration(delay);
+            timing = delayMs ? {runAt: now + delayMs} : null;
+        } else if (at) {
+            const clockTime = resolveClockTime(at, now);
+            const parsed = clockTime ?? Date.parse(at);
+            timing = Number.isNaN(parsed) ? null : {runAt: parsed};
+        } else {
+            timing = {cron};
+        }
+
+        if (!timing) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: delay
+                            ? `Error: "${delay}" is not a delay like "20m" or "2h".`
+                            : `Error: "${at}" is not a time like "6:30pm" or an ISO 8601 time.`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        // Resolved like control_zwave_device: aliases, fuzzy matches and outlets of multi-channel devices
+        let resolution;
+        try {
+            const liveNodes = await getNodesForRead();
+            await nameResolver.refreshRegistryNames();
+            resolution = nameResolver.resolve(deviceName, liveNodes, {subDevices: listSubDevices(liveNodes)});
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in schedule_device_action:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        if (resolution.status !== 'match') {
+            const suggestions = resolution.candidates.map(candidate => `"${candidate.name}"`).join(', ');
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: resolution.status === 'ambiguous'
+                            ? buildClarificationQuestion(deviceName, resolution.candidates)
+                            : `Error: Device "${deviceName}" not found.` +
+                            (suggestions ? ` Closest matches: ${suggestions}.` : '') +
+                            ' Use list_devices to see available devices.',
+                    },
+                ],
+                isError: resolution.status === 'none',
+            };
+        }
+
+        const {match, matchedBy} = resolution;
+        if (getLockKind(match.node)) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: "${match.name}" is a lock or barrier and can't be scheduled. Use lock_device or unlock_device instead.`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        try {
+            const step = {device: match.name, action, ...(level !== undefined ? {level} : {})};
+            const job = await deviceScheduler.schedule(step, timing, {
+                nodeId: match.node.id,
+                location: match.node.loc || '',
+                endpoint: match.endpoint,
+            });
+            const minutesAway = Math.round((job.runAt - now) / 60000);
+            const inText = !job.cron && minutesAway < 120 ? ` (in ${minutesAway} minute${minutesAway === 1 ? '' : 's'})` : '';
+            const note = matchedBy === 'exact' ? '' : ` (matched "${deviceName}" to "${match.name}")`;
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Scheduled #${job.id}: ${describeSceneStep(job)} ${describeJobTiming(job, formatWeekdayTime)}${inText}.${note}`,
+                    },
+                ],
+            };
+        } catch (error) {
+            console.error('[mcp-server] Error in schedule_device_action:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'list_scheduled_actions') {
+        console.warn('[mcp-server] list_scheduled_actions called');
+
+        try {
+            // Another server process may have scheduled or run jobs since we last read the file
+            await deviceScheduler.refresh();
+        } catch (error) {
+            console.error('[mcp-server] Error in list_scheduled_actions:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+        const jobs = deviceScheduler.listJobs();
+
+        const responseText = jobs.length === 0
+            ? 'No actions are scheduled.'
+            : `Scheduled actions (${jobs.length} total):\n` + jobs.map(job => {
+                const lastRun = job.lastRun ? ` Last ran ${formatWeekdayTime(job.lastRun)} (${job.lastResult}).` : '';
+                return `- #${job.id}: ${describeSceneStep(job)} ${describeJobTiming(job, formatWeekdayTime)}.${lastRun}`;
+            }).join('\n');
+
+        return {
+            content: [
+                {
+                    type: 'text',
+                    text: responseText,
+                },
+            ],
+        };
+    }
+
+    if (name === 'cancel_scheduled_action') {
+        const args = rawArgs || {};
+        const {id, deviceName} = args;
+
+        console.warn('[mcp-server] cancel_scheduled_action called', {id, deviceName});
+
+        let jobId = id;
+        if (jobId === undefined && deviceName) {
+            try {
+                await deviceScheduler.refresh();
+            } catch (error) {
+                console.error('[mcp-server] Error in cancel_scheduled_action:', error);
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: ${error.message}`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+            const wanted = deviceName.toLowerCase();
+            const matches = deviceScheduler.listJobs().filter(job => job.device.toLowerCase().includes(wanted));
+
+            if (matches.length !== 1) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: matches.length === 0
+                                ? `Error: No scheduled actions found for "${deviceName}".`
+                                : `Error: "${deviceName}" has ${matches.length} scheduled actions. Cancel one by id: ` +
+                                matches.map(job => `#${job.id} (${describeSceneStep(job)} ${describeJobTiming(job, formatWeekdayTime)})`).join(', ') + '.',
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+            jobId = matches[0].id;
+        }
+
+        if (jobId === undefined) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: id or deviceName is required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        try {
+            const job = await deviceScheduler.cancel(jobId);
+
+            if (!job) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: No scheduled action #${jobId}. Use list_scheduled_actions to see pending schedules.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Cancelled #${job.id}: ${describeSceneStep(job)} ${describeJobTiming(job, formatWeekdayTime)}.`,
+                    },
+                ],
+            };
+        } catch (error) {
+            console.error('[mcp-server] Error in cancel_scheduled_action:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'get_device_sensor_data') {
+        const args = rawArgs || {};
+        const {deviceName} = args;
+
+        if (!deviceName) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: deviceName is required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        try {
+            let sensorData = null;
+            let source = 'unknown';
+
+            /** @type {string[]} */
+            let otherReadings = [];
+
+            // Strategy: Try the MQTT state store first if PREFER_MQTT is enabled, then fall back to API
+            if (mqttClient && mqttConfig.preferMqtt) {
+                console.warn(`[MCP Server] Checking MQTT state store for sensor: ${deviceName}`);
+                const [primary, ...others] = await getStoredSensorReadings(deviceName);
+
+                if (primary) {
+                    sensorData = {
+                        value: primary.value,
+                        unit: primary.unit,
+                        reading: primary.property === 'currentValue' ? null : primary.property.replace(/_/g, ' '),
+                        timestamp: new Date(primary.timestamp).toISOString(),
+                        age: Math.round((Date.now() - primary.timestamp) / 1000),
+                        commandClass: primary.commandClass,
+                    };
+                    otherReadings = others.map(entry =>
+                        `${entry.property.replace(/_/g, ' ')} ${entry.value}${entry.unit ? ' ' + entry.unit : ''}`
+                    );
+                    source = 'MQTT';
+                    console.warn(`[MCP Server] Found sensor data in MQTT state store (${sensorData.age}s old)`);
+                }
+            }
+
+            // Fall back to ZWave JS UI API if the state store has nothing fresh or MQTT is disabled
+            if (!sensorData) {
+                console.warn(`[MCP Server] Querying Z-Wave JS UI API for sensor: ${deviceName}`);
+                const liveNodes = await zwaveClient.getLiveNodes();
+
+                // Find device by name (case-insensitive partial match)
+                const device = findNodeByPartialName(liveNodes, deviceName);
+
+                if (!device) {
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: `Error: Sensor device "${deviceName}" not found. Use list_zwave_devices to see available devices.`,
+                            },
+                        ],
+                        isError: true,
+                    };
+                }
+
+                if (!(device.ready && device.available)) {
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: `Error: Sensor device "${device.name}" is offline or not ready.`,
+                            },
+                        ],
+                        isError: true,
+                    };
+                }
+
+                // Extract sensor value from device values
+                // Look for sensor_multilevel command class (49)
+                if (device.values) {
+                    const sensorValues = Object.values(device.values).filter(v =>
+                        v.commandClass === 49 || // sensor_multilevel
+                        v.commandClassName === 'Multilevel Sensor' ||
+                        String(v.property).toLowerCase().includes('temperature') ||
+                        String(v.property).toLowerCase().includes('humidity') ||
+                        String(v.property).toLowerCase().includes('luminance')
+                    );
+
+                    if (sensorValues.length > 0) {
+                        // Use the first sensor value found (or prioritize currentValue)
+                        const primarySensor = sensorValues.find(v => v.property === 'currentValue') || sensorValues[0];
+
+                        sensorData = {
+                            value: primarySensor.value,
+                            unit: primarySensor.unit || 'unknown',
+                            timestamp: new Date().toISOString(),
+                            age: 0,
+                            commandClass: primarySensor.commandClassName || 'sensor_multilevel',
+                        };
+                        source = 'API';
+                        console.warn(`[MCP Server] Found sensor data from API:`, sensorData);
+                    }
+                }
+
+                if (!sensorData) {
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: `Error: Device "${device.name}" does not have any sensor data available. It may not be a sensor device.`,
+                            },
+                        ],
+                        isError: true,
+                    };
+                }
+            }
+
+            // Format response for AI
+            let responseText = `Sensor: "${deviceName}"\n`;
+            if (sensorData.reading) {
+                responseText += `Reading: ${sensorData.reading}\n`;
+            }
+            responseText += `Value: ${sensorData.value}${sensorData.unit ? ' ' + sensorData.unit : ''}\nSource: ${source}\nAge: ${sensorData.age} seconds\nTimestamp: ${sensorData.timestamp}`;
+            if (otherReadings.length > 0) {
+                responseText += `\nOther readings: ${otherReadings.join(', ')}`;
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: responseText,
+                    },
+                ],
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[MCP Server] Error getting sensor data:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'get_energy_usage') {
+        const args = rawArgs || {};
+        const {deviceName, location} = args;
+
+        console.warn('[mcp-server] get_energy_usage called', {deviceName, location});
+
+        try {
+            // Node list may be cached; readings below come from the MQTT state store when available
+            const liveNodes = await getNodesForRead();
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+
+            let nodes;
+            let scope;
+            if (deviceName) {
+                const match = findLiveDevice(liveNodes, registry, deviceName);
+                if (!match || !hasMeter(match.device)) {
+                    return {
+                        content: [
+                            {
+                                type: 'text',
+                                text: match
+                                    ? `Error: "${match.entry.name}" does not report energy usage.`
+                                    : `Error: Device "${deviceName}" not found. Use get_energy_usage without a name to see all metered devices.`,
+                            },
+                        ],
+                        isError: true,
+                    };
+                }
+                nodes = [match.device];
+                scope = match.entry.name;
+            } else if (location) {
+                nodes = liveNodes.filter(node => hasMeter(node) && (node.loc || '').toLowerCase() === location.toLowerCase());
+                scope = `the ${location}`;
+            } else {
+                nodes = liveNodes.filter(node => hasMeter(node));
+                scope = 'the whole house';
+            }
+
+            const devices = nodes
+                .map(node => {
+                    const nodeName = node.name || `Node ${node.id}`;
+                    const stored = mqttClient ? mqttClient.stateStore.getDeviceValues(node.loc || '', nodeName) : [];
+                    return {name: nodeName, meter: readMeterState(node.values, stored)};
+                })
+                .filter(device => device.meter);
+
+            if (devices.length === 0) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: location
+                                ? `No metered devices found in ${location}.`
+                                : 'No metered devices found.',
+                        },
+                    ],
+                };
+            }
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: formatEnergyUsage(scope, devices),
+                    },
+                ],
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in get_energy_usage:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
+
+    if (name === 'reset_meter') {
+        const args = rawArgs || {};
+        const {deviceName, confirm} = args;
+
+        if (!deviceName) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: deviceName is required',
+                    },
+                ],
+                isError: true,
+            };
+        }
+
+        console.warn('[mcp-server] reset_meter called', {deviceName, confirm});
+
+        try {
+            const liveNodes = await zwaveClient.getLiveNodes();
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+            const match = findLiveDevice(liveNodes, registry, deviceName);
+
+            if (!match || !hasMeter(match.device)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: match
+                                ? `Error: "${match.entry.name}" does not have an energy meter to reset.`
+                                : `Error: Device "${deviceName}" not found. Use list_devices to see available devices.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const {entry, device} = match;
+
+            if (confirm !== true) {
+                const meter = readMeterState(getCurrentValues(device));
+                const total = meter && meter.energy !== null ? ` Its current total is ${describeMeterState({...meter, power: null})}.` : '';
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Resetting ${entry.name}'s energy meter erases its accumulated total and can't be undone.${total} ` +
+                                'Ask the user to confirm, then call this tool again with confirm set to true.',
+                        },
+                    ],
+                };
+            }
+
+            if (!(device.ready && device.available)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `Error: Device "${entry.name}" is offline or not ready.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            if (!(mqttClient && mqttClient.connected)) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: `MQTT is not connected, so the meter on ${entry.name} was not reset.`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+
+            const resetTopic = `${registryBuilder.buildValueTopic(entry.location, entry.name, METER_CC, 'reset')}/set`;
+            await mqttClient.publish(resetTopic, {value: true});
 
             return {
                 content: [
                     {
                         type: 'text',
-                        text: responseText,
+                        text: `Reset the energy meter on ${entry.name}.`,
                     },
                 ],
             };
         } catch (error) {
             const friendlyMessage = translateZWaveError(error);
-            console.error('[mcp-server] Error in list_devices:', error);
+            console.error('[mcp-server] Error in reset_meter:', error);
             return {
                 content: [
                     {
@@ -481,90 +4092,118 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
     }
 
-    if (name === 'verify_device') {
+    if (name === 'get_device_history') {
         const args = rawArgs || {};
-        const {deviceName} = args;
+        const {deviceName, property, since, until, bucket} = args;
+        const format = args.format || 'summary';
 
-        if (!deviceName) {
+        console.warn('[mcp-server] get_device_history called', {deviceName, property, since, until, format, bucket});
+
+        if (!historyStore) {
             return {
                 content: [
                     {
                         type: 'text',
-                        text: 'Error: deviceName is required',
+                        text: 'Error: Device history is not being recorded (it requires MQTT and ZWAVE_HISTORY_ENABLED).',
                     },
                 ],
                 isError: true,
             };
         }
 
-        console.warn('[mcp-server] verify_device called', {deviceName});
-
+        let from;
+        let to;
+        let bucketMs;
         try {
-            // Fetch live nodes and build registry
-            const liveNodes = await zwaveClient.getLiveNodes();
-            const registry = registryBuilder.build(toRegistry(liveNodes));
-
-            // Try to find the device (case-insensitive)
-            const device = registryBuilder.findDeviceByName(registry, deviceName);
-
-            if (device) {
-                // Device found - return its details
-                const activeStatus = device.isActive === null ? 'unknown' :
-                    device.isActive ? 'active' : 'inactive';
-                const lastSeen = registryBuilder.getLastSeenFormatted(device.name);
-
-                let responseText = `Device "${device.name}" exists.\n`;
-                responseText += `Type: ${device.type}\n`;
-                if (device.location) {
-                    responseText += `Location: ${device.location}\n`;
-                }
-                responseText += `Status: ${activeStatus}\n`;
-                responseText += `Last seen: ${lastSeen}`;
+            const now = Date.now();
+            to = resolveTime(until, now, now);
+            from = resolveTime(since, to - 24 * 60 * 60 * 1000, now);
+            if (from >= to) {
+                throw new Error('the start of the range must be before the end');
+            }
 
-                // Add warning if device is inactive
-                if (device.isActive === false) {
-                    responseText += '\n\n⚠️ Warning: Device exists but may not be responding.';
-                }
+            bucketMs = bucket ? parseDuration(bucket) : chooseBucketSize(to - from);
+            if (!bucketMs) {
+                throw new Error(`"${bucket}" is not a duration like "1h"`);
+            }
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: Invalid time range: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
 
-                console.warn('[mcp-server] verify_device found device', {name: device.name});
+        try {
+            const liveNodes = await getNodesForRead();
+            const registry = registryBuilder.build(toRegistry(liveNodes));
+            const match = findLiveDevice(liveNodes, registry, deviceName);
 
+            if (!match) {
                 return {
                     content: [
                         {
                             type: 'text',
-                            text: responseText,
+                            text: `Error: Device "${deviceName}" not found. Use list_devices to see available devices.`,
                         },
                     ],
+                    isError: true,
                 };
-            } else {
-                // Device not found - provide suggestions
-                const suggestions = registryBuilder.findSimilarDevices(registry, deviceName, 3);
-
-                let responseText = `Device "${deviceName}" not found.`;
-
-                if (suggestions.length > 0) {
-                    responseText += `\n\nDid you mean: ${suggestions.join(', ')}?`;
-                } else {
-                    responseText += '\n\nNo similar devices found. Use list_devices to see all available devices.';
-                }
+            }
 
-                console.warn('[mcp-server] verify_device device not found', {
-                    deviceName,
-                    suggestions
-                });
+            const {entry, device} = match;
+            const points = await historyStore.query({location: entry.location || '', device: entry.name, from, to});
+            const series = selectSeries(points, property);
 
+            if (series.length === 0) {
                 return {
                     content: [
                         {
                             type: 'text',
-                            text: responseText,
+                            text: `No ${property ? `${property} ` : ''}history was recorded for ${entry.name} in that time.`,
                         },
                     ],
                 };
             }
+
+            // Include the day when the range spans more than one
+            const formatTime = to - from > 24 * 60 * 60 * 1000
+                ? formatWeekdayTime
+                : (timestamp) => new Date(timestamp).toLocaleTimeString('en-US', {hour: 'numeric', minute: '2-digit'});
+
+            const sections = series.map(({label, points: seriesPoints}) => {
+                const unit = findSeriesUnit(device, seriesPoints[0]);
+                const title = `${entry.name} ${label}`;
+
+                if (format !== 'buckets') {
+                    return summarizeSeries(title, seriesPoints, {unit, formatTime});
+                }
+
+                const buckets = aggregate(seriesPoints, bucketMs);
+                if (buckets.length === 0) {
+                    return summarizeSeries(title, seriesPoints, {unit, formatTime});
+                }
+                return [
+                    `${title}:`,
+                    ...buckets.map(b => `- ${formatTime(b.start)}: min ${b.min}${unit}, max ${b.max}${unit}, avg ${b.avg}${unit} (${b.count} reading${b.count === 1 ? '' : 's'})`),
+                ].join('\n');
+            });
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: sections.join(format === 'buckets' ? '\n\n' : '\n'),
+                    },
+                ],
+            };
         } catch (error) {
             const friendlyMessage = translateZWaveError(error);
-            console.error('[mcp-server] Error in verify_device:', error);
+            console.error('[mcp-server] Error in get_device_history:', error);
             return {
                 content: [
                     {
@@ -577,109 +4216,62 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
     }
 
-    if (name === 'list_zwave_devices') {
+    if (name === 'diagnose_device') {
         const args = rawArgs || {};
-        const includeInactive = Boolean(args.includeInactive);
-        const filterDisplay = args.filter;
-        const filter = filterDisplay ? String(filterDisplay).toLowerCase() : undefined;
+        const {deviceName} = args;
 
-        console.warn('[mcp-server] list_zwave_devices called', {
-            args,
-            includeInactive,
-            filter,
-            filterDisplay
-        });
+        console.warn('[mcp-server] diagnose_device called', {deviceName});
 
         try {
-            console.warn('[mcp-server] Fetching live nodes from Z-Wave JS UI...');
+            // Statistics change with every command, so always fetch them fresh
             const liveNodes = await zwaveClient.getLiveNodes();
-            console.warn('[mcp-server] Got live nodes', {
-                totalNodes: liveNodes.length,
-                nodeIds: liveNodes.map(n => n.id)
+            const nodes = liveNodes.filter(node => !node.isControllerNode);
+            const diagnose = node => diagnoseNode(node, {
+                values: getCurrentValues(node),
+                lowBatteryPercent: batteryConfig.threshold,
             });
-            const registry = registryBuilder.build(toRegistry(liveNodes));
-
-            console.warn('[mcp-server] Filtering nodes...', {filter, includeInactive});
-            const filteredSummaries = liveNodes
-                .filter((node) => {
-                    const nameLower = (node.name || `Node ${node.id}`).toLowerCase();
-                    const locationLower = (node.loc || '').toLowerCase();
-
-                    const matchesFilter = filter
-                        ? nameLower.includes(filter) || locationLower.includes(filter)
-                        : true;
-
-                    const isActive = (node.ready ?? false) && (node.available ?? true);
-
-                    const passes = matchesFilter && (includeInactive || isActive);
-
-                    // Log each node evaluation if filter is active
-                    if (filter) {
-                        console.warn('[mcp-server] Node filter check', {
-                            nodeId: node.id,
-                            name: node.name,
-                            nameLower,
-                            filter,
-                            matchesFilter,
-                            isActive,
-                            passes
-                        });
-                    }
-
-                    return passes;
-                })
-                .map((node) => {
-                    // Simplified device summary for AI - only essential fields
-                    const name = node.name || `Node ${node.id}`;
-                    const status = (node.ready && node.available) ? 'online' : 'offline';
-                    return {
-                        name,
-                        nodeId: node.id,
-                        location: node.loc || undefined,
-                        status
-                    };
-                })
-                .sort((a, b) => a.name.localeCompare(b.name));
 
-            console.warn('[mcp-server] Filtered to', {
-                matchedCount: filteredSummaries.length,
-                devices: filteredSummaries.map(d => d.name)
-            });
+            if (!deviceName) {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: formatNetworkDiagnosis(nodes.map(diagnose)),
+                        },
+                    ],
+                };
+            }
 
-            // Build a clear, formatted response for the AI
-            let responseText;
-            if (filteredSummaries.length === 0) {
-                responseText = filter
-                    ? `No Z-Wave devices found matching "${filterDisplay}".`
-                    : 'No Z-Wave devices are currently available.';
-            } else {
-                const deviceList = filteredSummaries
-                    .map(d => {
-                        const location = d.location ? ` in ${d.location}` : '';
-                        return `- "${d.name}"${location} is ${d.status}`;
-                    })
-                    .join('\n');
+            await nameResolver.refreshRegistryNames();
+            const resolution = nameResolver.resolve(deviceName, nodes);
 
-                const filterNote = filter ? ` matching "${filterDisplay}"` : '';
-                responseText = `Available Z-Wave devices${filterNote} (${filteredSummaries.length} total):\n${deviceList}`;
+            if (resolution.status !== 'match') {
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: resolution.status === 'ambiguous'
+                                ? buildClarificationQuestion(deviceName, resolution.candidates)
+                                : `Error: Device "${deviceName}" not found. Use list_devices to see available devices.`,
+                        },
+                    ],
+                    isError: resolution.status === 'none',
+                };
             }
 
-            console.warn('[mcp-server] Returning response', {
-                responseLength: responseText.length,
-                responsePreview: responseText.substring(0, 150)
-            });
+            const diagnosis = diagnose(resolution.match.node);
 
             return {
                 content: [
                     {
                         type: 'text',
-                        text: responseText,
+                        text: `${formatNodeDiagnosis(diagnosis)}\n${formatNodeDetails(diagnosis)}`,
                     },
                 ],
             };
         } catch (error) {
             const friendlyMessage = translateZWaveError(error);
-            console.error('[mcp-server] Error in list_zwave_devices:', error);
+            console.error('[mcp-server] Error in diagnose_device:', error);
             return {
                 content: [
                     {
@@ -692,16 +4284,18 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
     }
 
-    if (name === 'control_zwave_device') {
+    if (name === 'list_low_batteries') {
         const args = rawArgs || {};
-        const {deviceName, action, level} = args;
+        const threshold = args.threshold === undefined ? batteryConfig.threshold : Number(args.threshold);
 
-        if (!deviceName || !action) {
+        console.warn('[mcp-server] list_low_batteries called', {threshold});
+
+        if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
             return {
                 content: [
                     {
                         type: 'text',
-                        text: 'Error: deviceName and action are required',
+                        text: 'Error: threshold must be a percentage from 0 to 100',
                     },
                 ],
                 isError: true,
@@ -709,120 +4303,52 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
 
         try {
-            // Get devices to find the target device
-            const liveNodes = await zwaveClient.getLiveNodes();
-            const registry = registryBuilder.build(toRegistry(liveNodes));
-
-            const device = liveNodes.find(node => {
-                const name = node.name || `Node ${node.id}`;
-                return name.toLowerCase().includes(deviceName.toLowerCase()) ||
-                    deviceName.toLowerCase().includes(name.toLowerCase());
-            });
-
-            if (!device) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Error: Device "${deviceName}" not found. Use list_zwave_devices to see available devices.`,
-                        },
-                    ],
-                    isError: true,
-                };
-            }
-
-            if (!(device.ready && device.available)) {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Error: Device "${device.name}" is offline or not ready.`,
-                        },
-                    ],
-                    isError: true,
-                };
-            }
-
-            // Get MQTT topics for the device
-            const summary = buildDeviceSummary(device, registry);
-            const controlTopic = summary.topics.control;
-
-            // Determine the value to send
-            let mqttValue;
-            if (action === 'on') {
-                mqttValue = true;
-            } else if (action === 'off') {
-                mqttValue = false;
-            } else if (action === 'dim') {
-                if (level === undefined || level < 0 || level > 100) {
-                    return {
-                        content: [
-                            {
-                                type: 'text',
-                                text: 'Error: For dimming, level must be between 0 and 100',
-                            },
-                        ],
-                        isError: true,
-                    };
-                }
-                mqttValue = Math.min(99, level);
-            } else {
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: `Error: Invalid action "${action}". Must be "on", "off", or "dim".`,
-                        },
-                    ],
-                    isError: true,
-                };
-            }
-
-            // Publish MQTT command to control the device
-            if (mqttClient && mqttClient.connected) {
-                try {
-                    await mqttClient.publish(controlTopic, {value: mqttValue});
-                    const response = action === 'dim'
-                        ? `Successfully sent command to dim ${device.name} to ${level}%`
-                        : `Successfully sent command to turn ${action} ${device.name}`;
+            // Battery levels come from the MQTT state store when it is live
+            const liveNodes = await getNodesForRead();
+            const levels = listBatteryLevels(liveNodes, getCurrentValues);
 
-                    return {
-                        content: [
-                            {
-                                type: 'text',
-                                text: response,
-                            },
-                        ],
-                    };
-                } catch (error) {
-                    return {
-                        content: [
-                            {
-                                type: 'text',
-                                text: `Error sending MQTT command: ${error.message}`,
-                            },
-                        ],
-                        isError: true,
-                    };
-                }
-            } else {
-                // MQTT not available - return informative message
-                const response = action === 'dim'
-                    ? `MQTT not connected. Would dim ${device.name} to ${level}% (topic: ${controlTopic}, value: ${mqttValue})`
-                    : `MQTT not connected. Would turn ${action} ${device.name} (topic: ${controlTopic}, value: ${mqttValue})`;
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: formatLowBatteries(levels, threshold),
+                    },
+                ],
+            };
+        } catch (error) {
+            const friendlyMessage = translateZWaveError(error);
+            console.error('[mcp-server] Error in list_low_batteries:', error);
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: friendlyMessage,
+                    },
+                ],
+                isError: true,
+            };
+        }
+    }
 
-                return {
-                    content: [
-                        {
-                            type: 'text',
-                            text: response,
-                        },
-                    ],
-                };
-            }
+    if (name === 'get_security_status') {
+        console.warn('[mcp-server] get_security_status called');
+
+        try {
+            // Sensor states come from the MQTT state store when it is live
+            const liveNodes = await getNodesForRead();
+            const devices = listSecurityDevices(liveNodes, getCurrentValues);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: formatSecurityStatus(devices),
+                    },
+                ],
+            };
         } catch (error) {
             const friendlyMessage = translateZWaveError(error);
-            console.error('[mcp-server] Error in control_zwave_device:', error);
+            console.error('[mcp-server] Error in get_security_status:', error);
             return {
                 content: [
                     {
@@ -835,134 +4361,113 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
     }
 
-    if (name === 'get_device_sensor_data') {
+    if (name === 'get_security_events') {
         const args = rawArgs || {};
-        const {deviceName} = args;
+        const {deviceName, kind, activeOnly, since, until} = args;
+        const limit = args.limit === undefined ? 20 : Number(args.limit);
 
-        if (!deviceName) {
+        console.warn('[mcp-server] get_security_events called', {deviceName, kind, activeOnly, since, until, limit});
+
+        if (!eventLog) {
             return {
                 content: [
                     {
                         type: 'text',
-                        text: 'Error: deviceName is required',
+                        text: 'Error: Security events are not being recorded (it requires MQTT).',
                     },
                 ],
                 isError: true,
             };
         }
 
-        try {
-            let sensorData = null;
-            let source = 'unknown';
+        if (kind !== undefined && !(kind in SENSOR_KINDS)) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: Invalid kind "${kind}". Must be one of ${Object.keys(SENSOR_KINDS).join(', ')}.`,
+                    },
+                ],
+                isError: true,
+            };
+        }
 
-            // Strategy: Try MQTT cache first if PREFER_MQTT is enabled, then fall back to API
-            if (mqttClient && mqttConfig.preferMqtt) {
-                console.warn(`[MCP Server] Checking MQTT cache for sensor: ${deviceName}`);
-                const cachedValue = mqttClient.getCachedSensorValue(deviceName);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: 'Error: limit must be a positive whole number',
+                    },
+                ],
+                isError: true,
+            };
+        }
 
-                if (cachedValue) {
-                    sensorData = {
-                        value: cachedValue.value,
-                        unit: cachedValue.unit,
-                        timestamp: new Date(cachedValue.timestamp).toISOString(),
-                        age: Math.round((Date.now() - cachedValue.timestamp) / 1000),
-                        commandClass: cachedValue.commandClass,
-                    };
-                    source = 'MQTT';
-                    console.warn(`[MCP Server] Found sensor data in MQTT cache (${sensorData.age}s old)`);
-                }
+        let from;
+        let to;
+        const now = Date.now();
+        try {
+            to = resolveTime(until, now, now);
+            from = resolveTime(since, to - 24 * 60 * 60 * 1000, now);
+            if (from >= to) {
+                throw new Error('the start of the range must be before the end');
             }
+        } catch (error) {
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Error: ${error.message}`,
+                    },
+                ],
+                isError: true,
+            };
+        }
 
-            // Fall back to ZWave JS UI API if MQTT cache miss or MQTT disabled
-            if (!sensorData) {
-                console.warn(`[MCP Server] Querying Z-Wave JS UI API for sensor: ${deviceName}`);
-                const liveNodes = await zwaveClient.getLiveNodes();
-
-                // Find device by name (case-insensitive partial match)
-                const device = liveNodes.find(node => {
-                    const name = node.name || `Node ${node.id}`;
-                    return name.toLowerCase().includes(deviceName.toLowerCase()) ||
-                        deviceName.toLowerCase().includes(name.toLowerCase());
-                });
+        try {
+            /** @type {import('./security-sensors.js').SecurityEventQuery} */
+            const query = {kind, activeOnly: activeOnly === true, from, to, limit};
+            let note = '';
 
-                if (!device) {
-                    return {
-                        content: [
-                            {
-                                type: 'text',
-                                text: `Error: Sensor device "${deviceName}" not found. Use list_zwave_devices to see available devices.`,
-                            },
-                        ],
-                        isError: true,
-                    };
-                }
+            if (deviceName) {
+                const liveNodes = await getNodesForRead();
+                await nameResolver.refreshRegistryNames();
+                const resolution = nameResolver.resolve(deviceName, liveNodes);
 
-                if (!(device.ready && device.available)) {
+                if (resolution.status !== 'match') {
                     return {
                         content: [
                             {
                                 type: 'text',
-                                text: `Error: Sensor device "${device.name}" is offline or not ready.`,
+                                text: resolution.status === 'ambiguous'
+                                    ? buildClarificationQuestion(deviceName, resolution.candidates)
+                                    : `Error: Device "${deviceName}" not found. Use list_devices to see available devices.`,
                             },
                         ],
-                        isError: true,
+                        isError: resolution.status === 'none',
                     };
                 }
 
-                // Extract sensor value from device values
-                // Look for sensor_multilevel command class (49)
-                if (device.values) {
-                    const sensorValues = Object.values(device.values).filter(v =>
-                        v.commandClass === 49 || // sensor_multilevel
-                        v.commandClassName === 'Multilevel Sensor' ||
-                        String(v.property).toLowerCase().includes('temperature') ||
-                        String(v.property).toLowerCase().includes('humidity') ||
-                        String(v.property).toLowerCase().includes('luminance')
-                    );
-
-                    if (sensorValues.length > 0) {
-                        // Use the first sensor value found (or prioritize currentValue)
-                        const primarySensor = sensorValues.find(v => v.property === 'currentValue') || sensorValues[0];
-
-                        sensorData = {
-                            value: primarySensor.value,
-                            unit: primarySensor.unit || 'unknown',
-                            timestamp: new Date().toISOString(),
-                            age: 0,
-                            commandClass: primarySensor.commandClassName || 'sensor_multilevel',
-                        };
-                        source = 'API';
-                        console.warn(`[MCP Server] Found sensor data from API:`, sensorData);
-                    }
-                }
-
-                if (!sensorData) {
-                    return {
-                        content: [
-                            {
-                                type: 'text',
-                                text: `Error: Device "${device.name}" does not have any sensor data available. It may not be a sensor device.`,
-                            },
-                        ],
-                        isError: true,
-                    };
+                const {node} = resolution.match;
+                query.device = node.name || `Node ${node.id}`;
+                query.location = node.loc || '';
+                if (resolution.matchedBy !== 'exact') {
+                    note = ` (matched "${deviceName}" to "${query.device}")`;
                 }
             }
 
-            // Format response for AI
-            const responseText = `Sensor: "${deviceName}"\nValue: ${sensorData.value}${sensorData.unit ? ' ' + sensorData.unit : ''}\nSource: ${source}\nAge: ${sensorData.age} seconds\nTimestamp: ${sensorData.timestamp}`;
-
             return {
                 content: [
                     {
                         type: 'text',
-                        text: responseText,
+                        text: `${formatSecurityEvents(eventLog.query(query), now)}${note}`,
                     },
                 ],
             };
         } catch (error) {
             const friendlyMessage = translateZWaveError(error);
-            console.error('[MCP Server] Error getting sensor data:', error);
+            console.error('[mcp-server] Error in get_security_events:', error);
             return {
                 content: [
                     {
@@ -1068,11 +4573,307 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         ],
         isError: true,
     };
+};
+
+const handleListResources = async () => {
+    try {
+        const liveNodes = await getNodesForRead();
+        const registry = registryBuilder.build(toRegistry(liveNodes));
+
+        const deviceResources = Object.values(registry)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(entry => ({
+                uri: buildDeviceUri(entry.name),
+                name: entry.name,
+                description: `Z-Wave ${entry.type}${entry.location ? ` in ${entry.location}` : ''}`,
+                mimeType: 'application/json',
+            }));
+
+        return {
+            resources: [
+                {
+                    uri: DEVICE_LIST_URI,
+                    name: 'Z-Wave devices',
+                    description: 'Every Z-Wave device with its current state and activity status',
+                    mimeType: 'application/json',
+                },
+                ...deviceResources,
+            ],
+        };
+    } catch (error) {
+        console.error('[mcp-server] Error listing resources:', error);
+        throw new McpError(ErrorCode.InternalError, translateZWaveError(error));
+    }
+};
+
+const handleListResourceTemplates = async () => ({
+    resourceTemplates: [
+        {
+            uriTemplate: DEVICE_URI_TEMPLATE,
+            name: 'Z-Wave device',
+            description: 'A single Z-Wave device with its current state and every value it reports. Use the exact device name from zwave://devices.',
+            mimeType: 'application/json',
+        },
+    ],
 });
 
+const handleReadResource = async (request) => {
+    const {uri} = request.params;
+    const deviceName = parseDeviceUri(uri);
+
+    if (uri !== DEVICE_LIST_URI && !deviceName) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+    }
+
+    let liveNodes;
+    try {
+        liveNodes = await getNodesForRead();
+    } catch (error) {
+        console.error('[mcp-server] Error reading resource:', error);
+        throw new McpError(ErrorCode.InternalError, translateZWaveError(error));
+    }
+
+    const registry = registryBuilder.build(toRegistry(liveNodes));
+    let body;
+
+    if (uri === DEVICE_LIST_URI) {
+        body = {
+            devices: Object.values(registry)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(entry => {
+                    const node = liveNodes.find(n => n.id === entry.nodeId);
+                    return buildDeviceResource(node, entry, false);
+                }),
+        };
+    } else {
+        const match = findLiveDevice(liveNodes, registry, deviceName);
+        if (!match) {
+            throw new McpError(ErrorCode.InvalidParams, `Device "${deviceName}" not found`);
+        }
+        body = buildDeviceResource(match.device, match.entry);
+    }
+
+    return {
+        contents: [
+            {
+                uri,
+                mimeType: 'application/json',
+                text: JSON.stringify(body, null, 2),
+            },
+        ],
+    };
+};
+
+/**
+ * Create an MCP server with every tool and resource handler registered.
+ * stdio mode creates one; HTTP mode creates one per client session. All servers share the
+ * module-level Z-Wave client, MQTT state store and registry, so clients share one device cache.
+ * @returns {Server}
+ */
+function createMcpServer() {
+    const server = new Server(
+        {
+            name: 'zwave-js-ui-mcp',
+            version: '1.0.0',
+        },
+        {
+            capabilities: {
+                tools: {},
+                resources: {subscribe: true},
+            },
+        },
+    );
+
+    // Push notifications/resources/updated to this client when the MQTT state store changes
+    const resourceSubscriptions = new ResourceSubscriptions(uri => server.sendResourceUpdated({uri}));
+    const stopStateUpdates = mqttClient
+        ? mqttClient.onStateChange(entry => resourceSubscriptions.deviceChanged(entry.device))
+        : () => {};
+
+    server.onclose = () => {
+        stopStateUpdates();
+        resourceSubscriptions.clear();
+    };
+
+    // Error handler - only log actual errors
+    server.onerror = (error) => console.error('[server] Error:', error);
+
+    server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+    server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+    server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, handleListResourceTemplates);
+    server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+        try {
+            resourceSubscriptions.subscribe(request.params.uri);
+        } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+        }
+
+        if (!mqttClient) {
+            console.warn(`[mcp-server] Subscribed to ${request.params.uri}, but MQTT is disabled so no updates will be sent`);
+        }
+
+        return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+        resourceSubscriptions.unsubscribe(request.params.uri);
+        return {};
+    });
+
+    return server;
+}
+
+/**
+ * Close the transport, flush history and security events to disk and disconnect, then exit.
+ * Runs once, on SIGINT/SIGTERM or whenever the returned function is called.
+ *
+ * @param {string} description - What is shutting down, for the log
+ * @param {() => Promise<void>} closeTransport
+ * @returns {() => Promise<void>}
+ */
+function registerShutdown(description, closeTransport) {
+    let shuttingDown = false;
+
+    const shutdown = async () => {
+        if (shuttingDown) return;
+        shuttingDown = true;
+
+        console.warn(`[MCP Server] Shutting down ${description}`);
+        await closeTransport();
+        automationEngine.close();
+        deviceScheduler.close();
+        if (historyStore) {
+            await historyStore.close();
+        }
+        if (eventLog) {
+            await eventLog.close();
+        }
+        if (discoveryPublisher) {
+            await discoveryPublisher.stop().catch(error => {
+                console.error('[HA Discovery] Failed to publish offline status:', error);
+            });
+        }
+        if (mqttClient) {
+            mqttClient.close();
+        }
+        if (simulator) {
+            await simulator.close();
+        }
+        process.exit(0);
+    };
+
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    return shutdown;
+}
+
 async function main() {
-    const transport = new StdioServerTransport();
-    await server.connect(transport);
+    if (adminConfig.enabled) {
+        console.warn('[MCP Server] Network management tools enabled (inclusion, exclusion, heal, rename)');
+    }
+
+    try {
+        await sceneManager.load();
+    } catch (error) {
+        console.error('[MCP Server] Failed to load scenes:', error);
+        console.warn('[MCP Server] Continuing without scenes');
+    }
+
+    try {
+        await nameResolver.load();
+    } catch (error) {
+        console.error('[MCP Server] Failed to load device name aliases:', error);
+        console.warn('[MCP Server] Continuing without aliases');
+    }
+
+    try {
+        await groupManager.load();
+    } catch (error) {
+        console.error('[MCP Server] Failed to load device groups:', error);
+        console.warn('[MCP Server] Continuing with location groups only');
+    }
+
+    try {
+        await mqttDeviceBackend.load();
+    } catch (error) {
+        console.error('[MCP Server] Failed to load MQTT devices:', error);
+        console.warn('[MCP Server] Continuing without Tasmota or generic MQTT devices');
+    }
+
+    // Backend topics are known once their device files are loaded
+    if (mqttClient) {
+        for (const backend of backendManager.list()) {
+            for (const topic of backend.topics) {
+                mqttClient.subscribe(topic, (t, message) => backend.handleMessage(t, message));
+            }
+        }
+    }
+
+    try {
+        await automationEngine.load();
+    } catch (error) {
+        console.error('[MCP Server] Failed to load automations:', error);
+        console.warn('[MCP Server] Continuing without automations');
+    }
+
+    try {
+        await deviceScheduler.load();
+    } catch (error) {
+        console.error('[MCP Server] Failed to load scheduled actions:', error);
+        console.warn('[MCP Server] Continuing without scheduled actions');
+    }
+
+    if (historyStore) {
+        try {
+            await historyStore.start();
+        } catch (error) {
+            console.error('[MCP Server] Failed to start device history:', error);
+            console.warn('[MCP Server] Continuing without device history');
+            historyStore = null;
+        }
+    }
+
+    if (eventLog) {
+        try {
+            await eventLog.start();
+        } catch (error) {
+            console.error('[MCP Server] Failed to load security event log:', error);
+            console.warn('[MCP Server] Continuing with an empty event log that will not be saved');
+        }
+    }
+
+    if (discoveryPublisher) {
+        mqttClient.subscribe(discoveryPublisher.homeAssistantStatusTopic, (t, message) => {
+            discoveryPublisher.handleHomeAssistantStatus(message).catch(error => {
+                console.error('[HA Discovery] Failed to republish after Home Assistant restarted:', error);
+            });
+        });
+        const startDiscovery = () => {
+            discoveryPublisher.start().catch(error => {
+                console.error('[HA Discovery] Failed to publish discovery configs:', error);
+            });
+        };
+        mqttClient.onConnect(startDiscovery);
+        if (mqttClient.connected) {
+            startDiscovery();
+        }
+    }
+
+    if (httpConfig.enabled) {
+        const {close} = await startHttpServer(httpConfig, createMcpServer);
+        registerShutdown('HTTP server', close);
+        return;
+    }
+
+    const server = createMcpServer();
+    await server.connect(new StdioServerTransport());
+
+    // The client closing stdin is how a spawning process (oracle, voice gateway) stops us
+    const shutdown = registerShutdown('stdio server', () => server.close());
+    process.stdin.once('end', shutdown);
 }
 
 main().catch((error) => {
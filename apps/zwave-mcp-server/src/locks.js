@@ -0,0 +1,284 @@
+/**
+ * Door lock and barrier operator helpers for the Z-Wave MCP server.
+ *
+ * - Door Lock (CC 98): targetMode/currentMode (255 = secured, 0 = unsecured)
+ * - Barrier Operator (CC 102): targetState/currentState (0 = closed, 255 = open)
+ *
+ * Unlocking a door or opening a barrier goes through UnlockGuard so that a
+ * misheard transcription can never open the house on its own.
+ */
+
+import {randomBytes, timingSafeEqual} from 'crypto';
+
+/** @typedef {import('./config.js').SecurityConfig} SecurityConfig */
+
+export const DOOR_LOCK_CC = 98;
+export const BARRIER_OPERATOR_CC = 102;
+
+export const DOOR_LOCK_MODES = {
+    secured: 255,
+    unsecured: 0,
+};
+
+export const BARRIER_STATES = {
+    closed: 0,
+    open: 255,
+};
+
+const DOOR_LOCK_MODE_NAMES = {
+    0: 'unlocked',
+    1: 'unlocked with timeout',
+    16: 'unlocked from the inside',
+    17: 'unlocked from the inside with timeout',
+    32: 'unlocked from the outside',
+    33: 'unlocked from the outside with timeout',
+    254: 'in an unknown state',
+    255: 'locked',
+};
+
+const BARRIER_STATE_NAMES = {
+    0: 'closed',
+    252: 'closing',
+    253: 'stopped',
+    254: 'opening',
+    255: 'open',
+};
+
+/** How long the confirmation token from a first unlock request stays valid */
+const DEFAULT_CONFIRMATION_TTL_MS = 2 * 60 * 1000;
+
+const DIGIT_WORDS = {
+    zero: '0', oh: '0', o: '0', one: '1', two: '2', to: '2', too: '2', three: '3', four: '4', for: '4',
+    five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+};
+
+/**
+ * Determine whether a node is a door lock or a barrier operator (garage door, gate)
+ * @param {import('./types.js').ZWaveNode} node
+ * @returns {'lock' | 'barrier' | null}
+ */
+export function getLockKind(node) {
+    const values = node && node.values ? Object.values(node.values) : [];
+    const commandClasses = new Set(values.map(value => Number(value && value.commandClass)));
+
+    if (commandClasses.has(DOOR_LOCK_CC)) {
+        return 'lock';
+    }
+
+    if (commandClasses.has(BARRIER_OPERATOR_CC)) {
+        return 'barrier';
+    }
+
+    return null;
+}
+
+/**
+ * @typedef {Object} LockState
+ * @property {'lock' | 'barrier'} kind
+ * @property {number|null} value - Raw currentMode/currentState value
+ * @property {string} description - Friendly state (e.g. 'locked', 'open')
+ * @property {boolean|null} secured - true if locked/closed, false if unlocked/open, null if unknown
+ * @property {string|null} doorStatus - Door sensor status reported by some locks ('open'/'closed')
+ */
+
+/**
+ * Read lock or barrier state from Z-Wave JS UI node values
+ * @param {import('./types.js').ZWaveNode} node
+ * @returns {LockState | null} - null if the node is not a lock or barrier
+ */
+export function readLockState(node) {
+    const kind = getLockKind(node);
+    if (!kind) {
+        return null;
+    }
+
+    const values = node && node.values ? Object.values(node.values) : [];
+    const cc = kind === 'lock' ? DOOR_LOCK_CC : BARRIER_OPERATOR_CC;
+    const stateProperty = kind === 'lock' ? 'currentMode' : 'currentState';
+
+    const current = values.find(value => Number(value.commandClass) === cc && value.property === stateProperty);
+    const door = kind === 'lock'
+        ? values.find(value => Number(value.commandClass) === cc && value.property === 'doorStatus')
+        : undefined;
+
+    const raw = current && current.value !== undefined && current.value !== null ? Number(current.value) : null;
+
+    let description = 'in an unknown state';
+    let secured = null;
+
+    if (raw !== null) {
+        if (kind === 'lock') {
+            description = DOOR_LOCK_MODE_NAMES[raw] || `in mode ${raw}`;
+            secured = raw === DOOR_LOCK_MODES.secured ? true : raw === 254 ? null : false;
+        } else {
+            description = BARRIER_STATE_NAMES[raw] || `at position ${raw}`;
+            secured = raw === BARRIER_STATES.closed ? true : raw === 253 ? null : false;
+        }
+    }
+
+    return {
+        kind,
+        value: raw,
+        description,
+        secured,
+        doorStatus: door && typeof door.value === 'string' ? door.value : null,
+    };
+}
+
+/**
+ * Format lock state for a spoken response
+ * @param {string} deviceName
+ * @param {LockState} state
+ * @returns {string} - e.g. 'Front Door is locked (door closed).'
+ */
+export function formatLockState(deviceName, state) {
+    const doorSuffix = state.doorStatus ? ` (door ${state.doorStatus})` : '';
+    return `${deviceName} is ${state.description}${doorSuffix}.`;
+}
+
+/**
+ * Normalize a spoken PIN to digits only.
+ * Whisper may transcribe "one two three four" as words, "1, 2, 3, 4" or "1234".
+ * @param {string|number} pin
+ * @returns {string}
+ */
+export function normalizePin(pin) {
+    return String(pin)
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .map(token => DIGIT_WORDS[token] ?? token.replace(/\D/g, ''))
+        .join('');
+}
+
+/**
+ * @typedef {Object} UnlockAuthorization
+ * @property {boolean} allowed
+ * @property {string} [message] - Why not, for the assistant to relay
+ * @property {string} [confirmationToken] - Issued when the user must confirm; the second request must carry it
+ */
+
+/**
+ * Guards unlock/open commands behind a PIN (when configured) or a confirmation round trip: the first
+ * request is refused with a short-lived, single-use token that only a second request for the same
+ * device can redeem. Repeated incorrect PINs disable unlocking for a lockout period.
+ */
+export class UnlockGuard {
+    /**
+     * @param {SecurityConfig & { confirmationTtlMs?: number }} config
+     */
+    constructor(config) {
+        this.pin = config.unlockPin;
+        this.maxAttempts = config.maxPinAttempts;
+        this.lockoutMs = config.pinLockoutMs;
+        this.confirmationTtlMs = config.confirmationTtlMs ?? DEFAULT_CONFIRMATION_TTL_MS;
+        this.failedAttempts = 0;
+        this.lockedUntil = 0;
+        /** @type {Map<string, { target: string, verb: string, expiresAt: number }>} - Outstanding confirmation tokens */
+        this.confirmations = new Map();
+    }
+
+    /**
+     * Whether a PIN is configured (otherwise explicit confirmation is required)
+     * @returns {boolean}
+     */
+    requiresPin() {
+        return Boolean(this.pin);
+    }
+
+    /**
+     * Decide whether an unlock/open request may proceed
+     * @param {string} deviceName - Device being unlocked (used in the response)
+     * @param {{ confirmationToken?: string, pin?: string|number }} credentials
+     * @param {string} [verb='unlock'] - 'unlock' for locks, 'open' for barriers
+     * @param {string} [target=deviceName] - Identifies the device a confirmation token is for (e.g. its node ID)
+     * @returns {UnlockAuthorization}
+     */
+    authorize(deviceName, credentials, verb = 'unlock', target = deviceName) {
+        const now = Date.now();
+
+        if (now < this.lockedUntil) {
+            const minutes = Math.ceil((this.lockedUntil - now) / 60000);
+            return {
+                allowed: false,
+                message: `Too many incorrect PINs. I can't ${verb} anything for another ${minutes} minute${minutes > 1 ? 's' : ''}.`,
+            };
+        }
+
+        const {confirmationToken, pin} = credentials || {};
+
+        if (this.pin) {
+            if (pin === undefined || pin === null || String(pin).trim() === '') {
+                return {
+                    allowed: false,
+                    message: `To ${verb} ${deviceName} I need the security PIN. Ask the user to say their PIN, then call this tool again with it.`,
+                };
+            }
+
+            if (!this.matches(pin)) {
+                this.failedAttempts += 1;
+
+                if (this.failedAttempts >= this.maxAttempts) {
+                    this.failedAttempts = 0;
+                    this.lockedUntil = now + this.lockoutMs;
+                    console.warn('[Security] Unlock locked out after repeated incorrect PINs');
+                    return {
+                        allowed: false,
+                        message: `That PIN is incorrect. Too many incorrect attempts, so I won't ${verb} anything for a while.`,
+                    };
+                }
+
+                return {
+                    allowed: false,
+                    message: `That PIN is incorrect, so I did not ${verb} ${deviceName}.`,
+                };
+            }
+
+            this.failedAttempts = 0;
+            return {allowed: true};
+        }
+
+        for (const [token, pending] of this.confirmations) {
+            if (pending.expiresAt <= now) this.confirmations.delete(token);
+        }
+
+        if (confirmationToken === undefined || confirmationToken === null || confirmationToken === '') {
+            const token = randomBytes(4).toString('hex');
+            this.confirmations.set(token, {target, verb, expiresAt: now + this.confirmationTtlMs});
+            const minutes = Math.ceil(this.confirmationTtlMs / 60000);
+            return {
+                allowed: false,
+                confirmationToken: token,
+                message: `Are you sure you want to ${verb} ${deviceName}? Ask the user to confirm. Only if they say yes, ` +
+                    `call this tool again with confirmationToken "${token}" within ${minutes} minute${minutes > 1 ? 's' : ''}.`,
+            };
+        }
+
+        const pending = this.confirmations.get(String(confirmationToken));
+        if (!pending || pending.target !== target || pending.verb !== verb) {
+            return {
+                allowed: false,
+                message: `That confirmation is not valid for ${deviceName}; it may have expired or already been used, so I did not ${verb} it. ` +
+                    'Call this tool again without confirmationToken to ask the user again.',
+            };
+        }
+
+        this.confirmations.delete(String(confirmationToken));
+        return {allowed: true};
+    }
+
+    /**
+     * Constant-time PIN comparison
+     * @param {string|number} pin
+     * @returns {boolean}
+     */
+    matches(pin) {
+        const expected = Buffer.from(this.pin);
+        const actual = Buffer.from(normalizePin(pin));
+
+        if (expected.length !== actual.length) {
+            return false;
+        }
+
+        return timingSafeEqual(expected, actual);
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * Energy metering helpers for the Z-Wave MCP server.
+ *
+ * Smart plugs and power strips report Meter CC 50 values. Z-Wave JS UI publishes one value per
+ * meter type, scale and rate type, all with property "value" and a numeric property key:
+ *   zwave/[Location/]Device_Name/meter/endpoint_0/value/65537   (kWh consumed)
+ *   zwave/[Location/]Device_Name/meter/endpoint_0/value/66049   (W consumed)
+ *
+ * The property key packs (rateType << 16) | (scale << 8) | meterType.
+ * Accumulated energy is cleared by writing true to .../meter/endpoint_0/reset/set.
+ */
+
+export const METER_CC = 50;
+
+const ELECTRIC_METER = 1;
+
+/** Rate types that count as consumption (0 = unspecified, 1 = consumed; 2 = produced is ignored) */
+const CONSUMED_RATE_TYPES = new Set([0, 1]);
+
+/** Electric meter scales this module understands */
+const ELECTRIC_SCALES = {
+    0: {kind: 'energy', unit: 'kWh'},
+    2: {kind: 'power', unit: 'W'},
+    4: {kind: 'voltage', unit: 'V'},
+    5: {kind: 'current', unit: 'A'},
+};
+
+/** Readings that add up across endpoints; voltage does not */
+const ADDITIVE_KINDS = new Set(['energy', 'power', 'current']);
+
+/**
+ * @typedef {Object} MeterKey
+ * @property {number} meterType - 1 = electric, 2 = gas, 3 = water
+ * @property {number} scale - For electric meters: 0 = kWh, 2 = W, 4 = V, 5 = A
+ * @property {number} rateType - 0 = unspecified, 1 = consumed, 2 = produced
+ */
+
+/**
+ * @typedef {Object} MeterState
+ * @property {number|null} power - Current draw in W
+ * @property {number|null} energy - Accumulated consumption in kWh
+ * @property {number|null} voltage - V
+ * @property {number|null} current - A
+ * @property {number|null} updatedAt - When the newest MQTT reading arrived (ms), null if only node values were used
+ */
+
+/**
+ * Decode a Meter CC property key
+ * @param {number|string} propertyKey
+ * @returns {MeterKey | null}
+ */
+export function decodeMeterKey(propertyKey) {
+    const key = Number(propertyKey);
+    if (!Number.isInteger(key) || key < 0) {
+        return null;
+    }
+
+    return {
+        meterType: key & 0xff,
+        scale: (key >> 8) & 0xff,
+        rateType: (key >> 16) & 0xff,
+    };
+}
+
+/**
+ * Classify a meter reading we report on
+ * @param {MeterKey | null} meterKey
+ * @returns {'energy' | 'power' | 'voltage' | 'current' | null}
+ */
+function classify(meterKey) {
+    if (!meterKey || meterKey.meterType !== ELECTRIC_METER || !CONSUMED_RATE_TYPES.has(meterKey.rateType)) {
+        return null;
+    }
+    return ELECTRIC_SCALES[meterKey.scale] ? ELECTRIC_SCALES[meterKey.scale].kind : null;
+}
+
+/**
+ * Describe the reading behind a Meter CC property key
+ * @param {number|string} propertyKey
+ * @returns {{ kind: 'energy' | 'power' | 'voltage' | 'current', unit: string } | null}
+ */
+export function getMeterReadingInfo(propertyKey) {
+    const meterKey = decodeMeterKey(propertyKey);
+    const kind = classify(meterKey);
+    return kind ? {kind, unit: ELECTRIC_SCALES[meterKey.scale].unit} : null;
+}
+
+/**
+ * Check whether a node reports electric meter values
+ * @param {import('./types.js').ZWaveNode} node
+ * @returns {boolean}
+ */
+export function hasMeter(node) {
+    const values = node && node.values ? Object.values(node.values) : [];
+    return values.some(value => Number(value && value.commandClass) === METER_CC);
+}
+
+/**
+ * Read power and energy for a device.
+ * Stored MQTT reports override node values because they are newer. Power strips report a
+ * total on endpoint 0; if there is none, per-outlet endpoints are summed instead.
+ *
+ * @param {Record<string, any> | undefined} values - Node values from Z-Wave JS UI
+ * @param {import('./state-store.js').StateEntry[]} [storedEntries] - State store entries for the same device
+ * @returns {MeterState | null} - null if the device reports no electric meter values
+ */
+export function readMeterState(values, storedEntries = []) {
+    /** @type {Map<string, {kind: string, endpoint: number, value: number}>} */
+    const readings = new Map();
+    let updatedAt = null;
+
+    const record = (kind, endpoint, value) => {
+        const numeric = Number(value);
+        if (kind && value !== null && value !== undefined && Number.isFinite(numeric)) {
+            readings.set(`${kind}|${endpoint}`, {kind, endpoint, value: numeric});
+            return true;
+        }
+        return false;
+    };
+
+    for (const value of Object.values(values || {})) {
+        if (!value || Number(value.commandClass) !== METER_CC || value.property !== 'value') continue;
+
+        const meterKey = value.ccSpecific && value.ccSpecific.meterType !== undefined
+            ? {meterType: value.ccSpecific.meterType, scale: value.ccSpecific.scale, rateType: value.ccSpecific.rateType}
+            : decodeMeterKey(value.propertyKey);
+
+        record(classify(meterKey), Number(value.endpoint) || 0, value.value);
+    }
+
+    for (const entry of storedEntries) {
+        if (entry.commandClass !== 'meter' || entry.property !== 'value') continue;
+
+        if (record(classify(decodeMeterKey(entry.propertyKey)), entry.endpoint, entry.value)) {
+            updatedAt = Math.max(updatedAt || 0, entry.timestamp);
+        }
+    }
+
+    if (readings.size === 0) {
+        return null;
+    }
+
+    const combine = (kind) => {
+        const matching = [...readings.values()].filter(reading => reading.kind === kind);
+        if (matching.length === 0) return null;
+
+        const root = matching.find(reading => reading.endpoint === 0);
+        if (root) return root.value;
+
+        return ADDITIVE_KINDS.has(kind)
+            ? matching.reduce((sum, reading) => sum + reading.value, 0)
+            : matching[0].value;
+    };
+
+    return {
+        power: combine('power'),
+        energy: combine('energy'),
+        voltage: combine('voltage'),
+        current: combine('current'),
+        updatedAt,
+    };
+}
+
+/**
+ * Round for speech: whole watts above 10 W, otherwise one decimal
+ * @param {number} watts
+ * @returns {string}
+ */
+function formatPower(watts) {
+    return `${Math.abs(watts) >= 10 ? Math.round(watts) : Math.round(watts * 10) / 10} W`;
+}
+
+/**
+ * @param {number} kwh
+ * @returns {string}
+ */
+function formatEnergy(kwh) {
+    return `${Math.round(kwh * 100) / 100} kWh`;
+}
+
+/**
+ * Short summary of a single meter (e.g. '142 W, 12.35 kWh')
+ * @param {MeterState} state
+ * @returns {string}
+ */
+export function describeMeterState(state) {
+    const parts = [];
+    if (state.power !== null) parts.push(formatPower(state.power));
+    if (state.energy !== null) parts.push(formatEnergy(state.energy));
+    return parts.length > 0 ? parts.join(', ') : 'no power or energy readings';
+}
+
+/**
+ * Format energy usage for one device or a group of devices
+ * @param {string} scope - What was measured (e.g. 'Coffee Maker', 'the Kitchen', 'the whole house')
+ * @param {{ name: string, meter: MeterState }[]} devices
+ * @returns {string}
+ */
+export function formatEnergyUsage(scope, devices) {
+    if (devices.length === 1 && devices[0].name === scope) {
+        const {meter} = devices[0];
+        let text = `${scope} is using ${meter.power !== null ? formatPower(meter.power) : 'an unknown amount of power'}`;
+        if (meter.energy !== null) {
+            text += ` and has used ${formatEnergy(meter.energy)} since its meter was last reset`;
+        }
+        if (meter.voltage !== null) {
+            text += ` (${meter.voltage} V)`;
+        }
+        return `${text}.`;
+    }
+
+    const totalPower = devices.reduce((sum, device) => sum + (device.meter.power || 0), 0);
+    const totalEnergy = devices.reduce((sum, device) => sum + (device.meter.energy || 0), 0);
+    const sorted = [...devices].sort((a, b) => (b.meter.power || 0) - (a.meter.power || 0));
+
+    const header = `Energy usage for ${scope} (${devices.length} metered device${devices.length === 1 ? '' : 's'}): ` +
+        `${formatPower(totalPower)} now, ${formatEnergy(totalEnergy)} accumulated.`;
+    const lines = sorted.map(device => `- ${device.name}: ${describeMeterState(device.meter)}`);
+
+    return [header, ...lines].join('\n');
+}
@@ -1,15 +1,11 @@
 import mqtt from 'mqtt';
+import {extractPayloadValue} from './state-confirmation.js';
+import {DeviceStateStore} from './state-store.js';
 
 /** @typedef {import('./types.js').MQTTConfig} MQTTConfig */
+/** @typedef {import('./state-confirmation.js').StateWaitResult} StateWaitResult */
 
-/**
- * @typedef {Object} SensorCacheEntry
- * @property {number|boolean} value - Sensor reading value
- * @property {number} timestamp - Unix timestamp (ms) when value was received
- * @property {string} commandClass - Command class name (e.g., 'sensor_multilevel')
- * @property {string} [unit] - Unit of measurement (e.g., 'F', '%', 'lux')
- * @property {string} topic - Full MQTT topic where value was received
- */
+/** @typedef {import('./state-store.js').StateEntry} StateEntry */
 
 export class MQTTClientWrapper {
     /**
@@ -20,22 +16,40 @@ export class MQTTClientWrapper {
         this.config = config;
         this.connected = false;
         this.registryBuilder = registryBuilder;
-        /** @type {Map<string, SensorCacheEntry>} */
-        this.sensorCache = new Map();
-        this.sensorTopicPattern = 'zwave/+/+/sensor_multilevel/+/currentValue';
+        this.topicPrefix = config.topicPrefix || 'zwave';
+        /** Cache of every value published under the topic prefix */
+        this.stateStore = new DeviceStateStore(this.topicPrefix);
+        this.stateTopicPattern = `${this.topicPrefix}/#`;
+        /** @type {Map<string, number>} - State topic -> number of active waitForState calls */
+        this.stateWaiters = new Map();
+        /** @type {Set<(entry: StateEntry) => void>} */
+        this.stateListeners = new Set();
+        /** @type {Set<string>} - Topics subscribed through subscribe(), kept when a waitForState call ends */
+        this.subscriptions = new Set();
+        /** @type {Set<() => void>} */
+        this.connectListeners = new Set();
 
         this.client = mqtt.connect(config.brokerUrl, {
             username: config.username,
             password: config.password,
             reconnectPeriod: 1000,
+            ...(config.will ? {will: {qos: 1, retain: true, ...config.will}} : {}),
         });
 
         this.client.on('connect', () => {
             console.warn('[MQTT] Connected to broker');
             this.connected = true;
 
-            // Subscribe to sensor data topics on connect
-            this._subscribeToSensors();
+            // Subscribe to all device state topics on connect
+            this._subscribeToState();
+
+            for (const listener of this.connectListeners) {
+                try {
+                    listener();
+                } catch (error) {
+                    console.error('[MQTT] Connect listener failed:', error);
+                }
+            }
         });
 
         this.client.on('error', (err) => {
@@ -50,106 +64,106 @@ export class MQTTClientWrapper {
         this.client.on('reconnect', () => {
             console.warn('[MQTT] Reconnecting to broker...');
         });
+
+        // Cache every device value. Registered once here (not on each connect) so
+        // reconnects don't stack duplicate listeners.
+        this.client.on('message', (topic, payload) => {
+            if (this.topicMatches(this.stateTopicPattern, topic)) {
+                try {
+                    this._handleStateMessage(topic, payload);
+                } catch (error) {
+                    console.error('[MQTT] Error handling state message:', error);
+                }
+            }
+        });
     }
 
     /**
-     * Subscribe to sensor data topics and cache incoming values
+     * Subscribe to every topic under the prefix. Retained values arrive immediately,
+     * which warms the cache at startup.
      * @private
      */
-    _subscribeToSensors() {
-        this.client.subscribe(this.sensorTopicPattern, (err) => {
+    _subscribeToState() {
+        this.client.subscribe(this.stateTopicPattern, (err) => {
             if (err) {
-                console.error(`[MQTT] Failed to subscribe to sensor topics:`, err);
+                console.error(`[MQTT] Failed to subscribe to state topics:`, err);
             } else {
-                console.warn(`[MQTT] Subscribed to sensor topic pattern: ${this.sensorTopicPattern}`);
-            }
-        });
-
-        // Listen for sensor messages and cache them
-        this.client.on('message', (topic, payload) => {
-            if (this.topicMatches(this.sensorTopicPattern, topic)) {
-                try {
-                    this._handleSensorMessage(topic, payload);
-                } catch (error) {
-                    console.error('[MQTT] Error handling sensor message:', error);
-                }
+                console.warn(`[MQTT] Subscribed to state topic pattern: ${this.stateTopicPattern}`);
             }
         });
     }
 
     /**
-     * Parse sensor MQTT message and update cache
-     * Topic format: zwave/[Location/]Device_Name/sensor_multilevel/endpoint_0/currentValue
+     * Parse a state MQTT message and update the store
+     * Topic format: zwave/[Location/]Device_Name/command_class/endpoint_N/property[/propertyKey]
      * @private
      * @param {string} topic
      * @param {Buffer} payload
      */
-    _handleSensorMessage(topic, payload) {
+    _handleStateMessage(topic, payload) {
+        let message;
         try {
-            const message = JSON.parse(payload.toString());
+            message = JSON.parse(payload.toString());
+        } catch {
+            message = payload.toString();
+        }
 
-            // Extract device name from topic
-            // Format: zwave/[Location/]Device_Name/sensor_multilevel/endpoint_0/currentValue
-            const parts = topic.split('/');
+        const entry = this.stateStore.update(topic, message);
 
-            // Remove 'zwave' prefix and 'sensor_multilevel/endpoint_0/currentValue' suffix
-            // This leaves us with either [Location, DeviceName] or [DeviceName]
-            const deviceParts = parts.slice(1, -3);
+        // Not a device value or status topic (e.g. commands or gateway client status)
+        if (!entry) {
+            return;
+        }
 
-            // If there are multiple parts, the last one is the device name
-            // If location is included, it's in the earlier parts
-            const deviceName = deviceParts[deviceParts.length - 1];
+        // Update device activity tracking if registry builder is available
+        if (this.registryBuilder) {
+            this.registryBuilder.updateDeviceActivity(entry.device);
+        }
 
-            if (!deviceName) {
-                console.warn('[MQTT] Could not extract device name from topic:', topic);
-                return;
+        if ('commandClass' in entry) {
+            for (const listener of this.stateListeners) {
+                try {
+                    listener(entry);
+                } catch (error) {
+                    console.error('[MQTT] State listener error:', error);
+                }
             }
+        }
+    }
 
-            // Cache the sensor value
-            const cacheEntry = {
-                value: message.value,
-                timestamp: Date.now(),
-                commandClass: 'sensor_multilevel',
-                unit: message.unit,
-                topic
-            };
-
-            this.sensorCache.set(deviceName, cacheEntry);
-
-            // Update device activity tracking if registry builder is available
-            if (this.registryBuilder) {
-                this.registryBuilder.updateDeviceActivity(deviceName);
-            }
+    /**
+     * Register a callback for every connect, including reconnects (after which the broker may have sent our will)
+     * @param {() => void} listener
+     * @returns {() => void} Unsubscribe function
+     */
+    onConnect(listener) {
+        this.connectListeners.add(listener);
+        return () => this.connectListeners.delete(listener);
+    }
 
-            console.warn(`[MQTT] Cached sensor value for "${deviceName}":`, {
-                value: message.value,
-                unit: message.unit || 'unknown'
-            });
-        } catch (error) {
-            console.error('[MQTT] Failed to parse sensor message:', error);
-        }
+    /**
+     * Register a callback for every device value update
+     * @param {(entry: StateEntry) => void} listener
+     * @returns {() => void} Unsubscribe function
+     */
+    onStateChange(listener) {
+        this.stateListeners.add(listener);
+        return () => this.stateListeners.delete(listener);
     }
 
     /**
      * Get cached sensor value for a device
-     * @param {string} deviceName - Device name (case-insensitive)
+     * @param {string} deviceName - Device name (case-insensitive, friendly or sanitized)
      * @param {number} maxAgeMs - Maximum age of cached value in milliseconds (default: 5 minutes)
-     * @returns {SensorCacheEntry | null} Cached sensor value or null if not found/stale
+     * @param {string} [location] - Device location, to tell same-named devices apart
+     * @returns {StateEntry | null} Most recent sensor_multilevel value or null if not found/stale
      */
-    getCachedSensorValue(deviceName, maxAgeMs = 5 * 60 * 1000) {
-        // Try exact match first
-        let entry = this.sensorCache.get(deviceName);
+    getCachedSensorValue(deviceName, maxAgeMs = 5 * 60 * 1000, location) {
+        const entries = location !== undefined
+            ? this.stateStore.getDeviceValues(location, deviceName).filter(e => e.commandClass === 'sensor_multilevel')
+            : this.stateStore.findValuesByName(deviceName, 'sensor_multilevel');
 
-        // If no exact match, try case-insensitive search
-        if (!entry) {
-            const lowerName = deviceName.toLowerCase();
-            for (const [cachedName, cachedEntry] of this.sensorCache.entries()) {
-                if (cachedName.toLowerCase() === lowerName) {
-                    entry = cachedEntry;
-                    break;
-                }
-            }
-        }
+        const entry = entries[0];
 
         if (!entry) {
             console.warn(`[MQTT] No cached sensor value for device: ${deviceName}`);
@@ -169,18 +183,22 @@ export class MQTTClientWrapper {
 
     /**
      * Get all cached sensor values (for debugging)
-     * @returns {Map<string, SensorCacheEntry>}
+     * @returns {Map<string, StateEntry>} - Topic -> entry
      */
     getAllCachedSensors() {
-        return new Map(this.sensorCache);
+        return new Map(
+            this.stateStore.getAllValues()
+                .filter(entry => entry.commandClass === 'sensor_multilevel')
+                .map(entry => [entry.topic, entry])
+        );
     }
 
     /**
-     * Clear the sensor cache
+     * Clear the state cache
      */
     clearSensorCache() {
-        this.sensorCache.clear();
-        console.warn('[MQTT] Sensor cache cleared');
+        this.stateStore.clear();
+        console.warn('[MQTT] State cache cleared');
     }
 
     isConnected() {
@@ -191,8 +209,10 @@ export class MQTTClientWrapper {
      * @param {string} topic
      * @param {any} message
      * @param {0|1|2} [qos=1]
+     * @param {Object} [options]
+     * @param {boolean} [options.retain=false] - Keep the message on the broker for later subscribers
      */
-    async publish(topic, message, qos = 1) {
+    async publish(topic, message, qos = 1, {retain = false} = {}) {
         if (!this.connected) {
             throw new Error('MQTT client not connected');
         }
@@ -200,7 +220,7 @@ export class MQTTClientWrapper {
         const payload = typeof message === 'string' ? message : JSON.stringify(message);
 
         await new Promise((resolve, reject) => {
-            this.client.publish(topic, payload, {qos}, (err) => {
+            this.client.publish(topic, payload, {qos, retain}, (err) => {
                 if (err) {
                     reject(err);
                 } else {
@@ -212,11 +232,98 @@ export class MQTTClientWrapper {
         console.warn(`[MQTT] Published to ${topic}: ${payload}`);
     }
 
+    /**
+     * Wait for a state topic to report a value matching the predicate.
+     * Call this BEFORE publishing the command so the report can't be missed.
+     * Retained messages are ignored so a stale value can't count as a response.
+     *
+     * @param {string} topic - State topic (e.g. .../endpoint_0/currentValue)
+     * @param {(value: any) => boolean} predicate - Returns true when the reported value matches
+     * @param {number} timeoutMs - How long to wait for a matching report
+     * @returns {Promise<StateWaitResult>}
+     */
+    waitForState(topic, predicate, timeoutMs) {
+        return new Promise((resolve) => {
+            let responded = false;
+            let lastValue;
+
+            const finish = (status) => {
+                clearTimeout(timer);
+                this.client.removeListener('message', onMessage);
+                this._releaseStateTopic(topic);
+                resolve(responded ? {status, value: lastValue} : {status});
+            };
+
+            const onMessage = (t, payload, packet) => {
+                if (t !== topic || (packet && packet.retain)) {
+                    return;
+                }
+
+                let message;
+                try {
+                    message = JSON.parse(payload.toString());
+                } catch {
+                    message = payload.toString();
+                }
+
+                responded = true;
+                lastValue = extractPayloadValue(message);
+
+                if (predicate(lastValue)) {
+                    finish('confirmed');
+                }
+            };
+
+            const timer = setTimeout(() => finish(responded ? 'pending' : 'no_response'), timeoutMs);
+
+            this.client.on('message', onMessage);
+            this._retainStateTopic(topic);
+        });
+    }
+
+    /**
+     * Subscribe to a state topic for the first active waiter
+     * @private
+     * @param {string} topic
+     */
+    _retainStateTopic(topic) {
+        const count = this.stateWaiters.get(topic) || 0;
+        this.stateWaiters.set(topic, count + 1);
+
+        if (count === 0) {
+            this.client.subscribe(topic, (err) => {
+                if (err) {
+                    console.error(`[MQTT] Subscribe error for ${topic}:`, err);
+                }
+            });
+        }
+    }
+
+    /**
+     * Unsubscribe from a state topic once the last waiter is done
+     * @private
+     * @param {string} topic
+     */
+    _releaseStateTopic(topic) {
+        const count = (this.stateWaiters.get(topic) || 1) - 1;
+
+        if (count > 0) {
+            this.stateWaiters.set(topic, count);
+            return;
+        }
+
+        this.stateWaiters.delete(topic);
+        if (!this.subscriptions.has(topic)) {
+            this.client.unsubscribe(topic);
+        }
+    }
+
     /**
      * @param {string} topic
      * @param {(topic: string, message: any) => void} callback
      */
     subscribe(topic, callback) {
+        this.subscriptions.add(topic);
         this.client.subscribe(topic, (err) => {
             if (err) {
                 console.error(`[MQTT] Subscribe error for ${topic}:`, err);
@@ -0,0 +1,297 @@
+/**
+ * Tasmota and generic MQTT device backend.
+ *
+ * Devices that announce nothing themselves are declared in mqtt-devices.json:
+ *   {"devices": [
+ *     {"name": "Desk Fan", "location": "Office", "tasmota": "desk_fan"},
+ *     {"name": "Porch Light", "commandTopic": "home/porch/light/set", "stateTopic": "home/porch/light"}
+ *   ]}
+ *
+ * A Tasmota entry expands to its default topics (%prefix%/%topic%/):
+ *   cmnd/desk_fan/POWER       ON | OFF
+ *   cmnd/desk_fan/Dimmer      0-100 (with "dimmer": true)
+ *   stat/desk_fan/RESULT      {"POWER": "ON", "Dimmer": 50}
+ *   tele/desk_fan/STATE       {"POWER": "ON", "Dimmer": 50, ...}
+ *   tele/desk_fan/LWT         Online | Offline
+ * "relay": 2 controls POWER2 on a multi-relay device.
+ *
+ * Generic entries name their topics and payloads directly; see validateMqttDevice for the fields.
+ */
+
+import fs from 'fs/promises';
+import {describeSwitchState, scaleLevel, switchReportMatches} from './backends.js';
+
+/** @typedef {import('./backends.js').BackendDevice} BackendDevice */
+/** @typedef {import('./backends.js').BackendCommand} BackendCommand */
+/** @typedef {import('./backends.js').SwitchReport} SwitchReport */
+
+/**
+ * @typedef {Object} MqttDevice
+ * @property {string} name
+ * @property {string} location
+ * @property {string} commandTopic - Receives payloadOn/payloadOff
+ * @property {string} payloadOn
+ * @property {string} payloadOff
+ * @property {string[]} stateTopics - Where the device reports; the first one confirms commands
+ * @property {string} [stateKey] - Key of the on/off state in a JSON state payload (raw payload if unset)
+ * @property {string} [brightnessCommandTopic] - Makes the device a dimmer; receives the scaled level
+ * @property {string} [brightnessKey] - Key of the level in a JSON state payload
+ * @property {number} brightnessScale - Device's full brightness, e.g. 100 or 255
+ * @property {string} [availabilityTopic]
+ * @property {string} payloadAvailable
+ */
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isTopic(value) {
+    return typeof value === 'string' && value.trim() !== '' && !/[#+]/.test(value);
+}
+
+/**
+ * Validate a device entry and expand Tasmota shorthand
+ * @param {any} entry
+ * @returns {MqttDevice}
+ * @throws {Error} If a field is missing or invalid
+ */
+export function validateMqttDevice(entry) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+        throw new Error('name is required');
+    }
+    if (entry.location !== undefined && typeof entry.location !== 'string') {
+        throw new Error('location must be a string');
+    }
+
+    const base = {name: entry.name.trim(), location: (entry.location || '').trim()};
+
+    if (entry.tasmota !== undefined) {
+        if (!isTopic(entry.tasmota) || entry.tasmota.includes('/')) {
+            throw new Error('tasmota must be the device topic, e.g. "desk_fan"');
+        }
+        if (entry.relay !== undefined && !(Number.isInteger(entry.relay) && entry.relay >= 1 && entry.relay <= 32)) {
+            throw new Error('relay must be a whole number from 1 to 32');
+        }
+        const power = entry.relay ? `POWER${entry.relay}` : 'POWER';
+        return {
+            ...base,
+            commandTopic: `cmnd/${entry.tasmota}/${power}`,
+            payloadOn: 'ON',
+            payloadOff: 'OFF',
+            stateTopics: [`stat/${entry.tasmota}/RESULT`, `tele/${entry.tasmota}/STATE`],
+            stateKey: power,
+            ...(entry.dimmer ? {brightnessCommandTopic: `cmnd/${entry.tasmota}/Dimmer`, brightnessKey: 'Dimmer'} : {}),
+            brightnessScale: 100,
+            availabilityTopic: `tele/${entry.tasmota}/LWT`,
+            payloadAvailable: 'Online',
+        };
+    }
+
+    if (!isTopic(entry.commandTopic)) {
+        throw new Error('commandTopic (or tasmota) is required and cannot contain wildcards');
+    }
+    for (const field of ['stateTopic', 'brightnessCommandTopic', 'availabilityTopic']) {
+        if (entry[field] !== undefined && !isTopic(entry[field])) {
+            throw new Error(`${field} must be a topic without wildcards`);
+        }
+    }
+    const brightnessScale = entry.brightnessScale ?? 100;
+    if (!(Number.isFinite(brightnessScale) && brightnessScale > 0)) {
+        throw new Error('brightnessScale must be a positive number');
+    }
+
+    return {
+        ...base,
+        commandTopic: entry.commandTopic,
+        payloadOn: String(entry.payloadOn ?? 'ON'),
+        payloadOff: String(entry.payloadOff ?? 'OFF'),
+        stateTopics: entry.stateTopic ? [entry.stateTopic] : [],
+        ...(entry.stateKey ? {stateKey: String(entry.stateKey)} : {}),
+        ...(entry.brightnessCommandTopic ? {brightnessCommandTopic: entry.brightnessCommandTopic} : {}),
+        ...(entry.brightnessKey ? {brightnessKey: String(entry.brightnessKey)} : {}),
+        brightnessScale,
+        ...(entry.availabilityTopic ? {availabilityTopic: entry.availabilityTopic} : {}),
+        payloadAvailable: String(entry.payloadAvailable ?? 'online'),
+    };
+}
+
+export class MqttDeviceBackend {
+    /**
+     * @param {string} filePath - Absolute path to the devices JSON file
+     * @param {Object} [options]
+     * @param {() => number} [options.now]
+     */
+    constructor(filePath, {now = Date.now} = {}) {
+        this.id = 'mqtt';
+        this.label = 'MQTT';
+        this.filePath = filePath;
+        this.now = now;
+        /** @type {MqttDevice[]} */
+        this.devices = [];
+        /** @type {string[]} */
+        this.topics = [];
+        /** @type {Map<string, SwitchReport>} - Device name -> last reported state */
+        this.reports = new Map();
+        /** @type {Map<string, boolean>} */
+        this.availability = new Map();
+        /** @type {Map<string, number>} */
+        this.lastSeen = new Map();
+    }
+
+    /**
+     * Load devices from disk, replacing any loaded before. A missing file means no devices.
+     * Subscribe to the topics afterwards; they depend on the devices.
+     * @returns {Promise<number>} Number of devices loaded
+     * @throws {Error} If the file exists but is not valid JSON
+     */
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.warn(`[MQTT Devices] No devices file at ${this.filePath}; no Tasmota or generic MQTT devices`);
+                this.devices = [];
+                this.topics = [];
+                return 0;
+            }
+            throw error;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`MQTT devices file ${this.filePath} is not valid JSON: ${error.message}`);
+        }
+
+        const devices = [];
+        for (const entry of Array.isArray(data?.devices) ? data.devices : []) {
+            try {
+                const device = validateMqttDevice(entry);
+                if (devices.some(other => other.name.toLowerCase() === device.name.toLowerCase())) {
+                    throw new Error('another device has the same name');
+                }
+                devices.push(device);
+            } catch (error) {
+                console.warn(`[MQTT Devices] Skipping invalid device "${entry?.name}": ${error.message}`);
+            }
+        }
+
+        this.devices = devices;
+        this.topics = [...new Set(devices.flatMap(device => [
+            ...device.stateTopics,
+            ...(device.availabilityTopic ? [device.availabilityTopic] : []),
+        ]))];
+
+        console.warn(`[MQTT Devices] Loaded ${devices.length} device(s) from ${this.filePath}`);
+        return devices.length;
+    }
+
+    /**
+     * @param {string} topic
+     * @param {any} message - Parsed payload
+     * @returns {boolean}
+     */
+    handleMessage(topic, message) {
+        let used = false;
+
+        for (const device of this.devices) {
+            if (device.availabilityTopic === topic) {
+                this.availability.set(device.name, String(message) === device.payloadAvailable);
+                used = true;
+            }
+
+            if (device.stateTopics.includes(topic)) {
+                const report = this.readReport(device, message);
+                if (report.power !== undefined || report.level !== undefined) {
+                    this.reports.set(device.name, {...this.reports.get(device.name), ...report});
+                    this.lastSeen.set(device.name, this.now());
+                    used = true;
+                }
+            }
+        }
+
+        return used;
+    }
+
+    /**
+     * Read on/off and level from a state payload. Reports without the state key (e.g. Tasmota's
+     * RESULT for other commands) give an empty report.
+     * @param {MqttDevice} device
+     * @param {any} message
+     * @returns {SwitchReport}
+     */
+    readReport(device, message) {
+        const isObject = message !== null && typeof message === 'object';
+        const state = device.stateKey ? (isObject ? message[device.stateKey] : undefined) : message;
+
+        /** @type {SwitchReport} */
+        const report = {};
+        if (state !== undefined && state !== null && typeof state !== 'object') {
+            if (String(state) === device.payloadOn) {
+                report.power = true;
+            } else if (String(state) === device.payloadOff) {
+                report.power = false;
+            }
+        }
+
+        const brightness = device.brightnessKey && isObject ? Number(message[device.brightnessKey]) : NaN;
+        if (Number.isFinite(brightness)) {
+            report.level = Math.round((brightness / device.brightnessScale) * 100);
+        }
+
+        return report;
+    }
+
+    /**
+     * @returns {Promise<BackendDevice[]>}
+     */
+    async listDevices() {
+        return this.devices.map(device => {
+            const report = this.reports.get(device.name) || {};
+            return {
+                id: `${this.id}:${device.name}`,
+                backend: this.id,
+                name: device.name,
+                location: device.location,
+                type: device.brightnessCommandTopic ? 'dimmer' : 'switch',
+                available: this.availability.has(device.name) ? this.availability.get(device.name) : null,
+                // Without a brightness level a dimmer that is on just reads 'ON'
+                state: describeSwitchState(device.brightnessCommandTopic ? report : {power: report.power}),
+                lastSeen: this.lastSeen.get(device.name) ?? null,
+                address: device.name,
+            };
+        });
+    }
+
+    /**
+     * @param {BackendDevice} target
+     * @param {'on'|'off'|'dim'} action
+     * @param {number} [level] - Brightness level 0-100 for dim
+     * @returns {BackendCommand}
+     * @throws {Error} If the device can't dim
+     */
+    buildCommand(target, action, level) {
+        const device = this.devices.find(candidate => candidate.name === target.address);
+        if (!device) {
+            throw new Error(`"${target.name}" is no longer in ${this.filePath}.`);
+        }
+        if (action === 'dim' && !device.brightnessCommandTopic) {
+            throw new Error(`"${target.name}" can only be turned on or off.`);
+        }
+
+        const command = action === 'dim' && level > 0
+            ? {topic: device.brightnessCommandTopic, payload: String(scaleLevel(level, device.brightnessScale))}
+            : {topic: device.commandTopic, payload: action === 'on' ? device.payloadOn : device.payloadOff};
+
+        return {
+            ...command,
+            ...(device.stateTopics.length > 0 ? {
+                stateTopic: device.stateTopics[0],
+                matches: value => switchReportMatches(this.readReport(device, value), action, level),
+                describe: value => describeSwitchState(this.readReport(device, value)).toLowerCase(),
+            } : {}),
+        };
+    }
+}
@@ -0,0 +1,421 @@
+/**
+ * Spoken device name resolution for the Z-Wave MCP server.
+ *
+ * Whisper regularly mis-transcribes device names ("demo swish" for "Demo Switch"), and people
+ * use short names ("lamp") or room-qualified ones ("the kitchen light"). Names are resolved by:
+ *
+ * 1. An alias table, declared in a JSON file:
+ *      { "aliases": { "lamp": "Living Room Floor Lamp", "tv light": "Media Console Lamp" } }
+ * 2. Friendly names and aliases from the oracle device registry, published with set_device_names
+ *    and saved by node ID, so every server process sharing the data directory picks them up:
+ *      { "devices": [{ "nodeId": 7, "names": ["Kitchen Ceiling", "big light"] }] }
+ * 3. Exact name matches, with or without the location ("Kitchen Light" or "light in the kitchen")
+ * 4. Fuzzy matches scored 0-1 from word-level edit distance and a phonetic key
+ *
+ * High-confidence matches are acted on; close calls come back as a clarification question.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/** @typedef {import('./types.js').ZWaveNode} ZWaveNode */
+
+/** Act without asking at or above this confidence... */
+const AUTO_MATCH_CONFIDENCE = 0.85;
+/** ...as long as the runner-up is at least this far behind */
+const AUTO_MATCH_MARGIN = 0.1;
+/** Below this a candidate isn't worth suggesting */
+const SUGGESTION_CONFIDENCE = 0.5;
+/** Word similarity that counts as the same word */
+const WORD_MATCH_SIMILARITY = 0.7;
+
+/** Words people say around device names that aren't part of them */
+const FILLER_WORDS = new Set(['the', 'a', 'an', 'my', 'in', 'on', 'at', 'of']);
+
+/**
+ * @typedef {Object} NameCandidate
+ * @property {ZWaveNode} [node] - Set for Z-Wave devices
+ * @property {import('./backends.js').BackendDevice} [device] - Set for devices from other backends
+ * @property {string} name - Device name
+ * @property {string} location - Device location ('' if none)
+ * @property {number} confidence - 0-1
+ * @property {number} [endpoint] - Set when the candidate is one endpoint of a multi-channel device
+ */
+
+/**
+ * @typedef {Object} SubDeviceName
+ * @property {ZWaveNode} node
+ * @property {string} name - e.g. 'Power Strip outlet 2'
+ * @property {number} endpoint
+ */
+
+/**
+ * @typedef {Object} NameResolution
+ * @property {'match' | 'ambiguous' | 'none'} status
+ * @property {NameCandidate} [match] - Set when status is 'match'
+ * @property {'exact' | 'alias' | 'registry' | 'fuzzy'} [matchedBy] - Set when status is 'match'
+ * @property {NameCandidate[]} candidates - Best candidates, highest confidence first
+ */
+
+/**
+ * @typedef {Object} RegistryNames
+ * @property {number} nodeId
+ * @property {string[]} names - Friendly names and aliases that pick this node
+ */
+
+/**
+ * Validate names published by the device registry
+ * @param {any} devices
+ * @returns {RegistryNames[]}
+ * @throws {Error} If the list is malformed
+ */
+export function validateRegistryNames(devices) {
+    if (!Array.isArray(devices)) {
+        throw new Error('devices must be a list of { nodeId, names }');
+    }
+
+    return devices.map((device, index) => {
+        if (!Number.isInteger(device?.nodeId) || device.nodeId < 1) {
+            throw new Error(`Device ${index + 1} needs a nodeId`);
+        }
+        if (!Array.isArray(device.names) || device.names.some(name => typeof name !== 'string')) {
+            throw new Error(`Device ${index + 1} names must be a list of strings`);
+        }
+        return {nodeId: device.nodeId, names: device.names.map(name => name.trim()).filter(name => tokenize(name).length > 0)};
+    });
+}
+
+/**
+ * Lower-case, strip punctuation and filler words
+ * @param {string} text
+ * @returns {string[]} Words
+ */
+export function tokenize(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(word => word && !FILLER_WORDS.has(word));
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({length: b.length + 1}, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Rough English phonetic key for a word, so words that sound alike compare equal
+ * ("swish" and "switch" are both "swx"). Simplified Metaphone: common digraphs are folded,
+ * vowels after the first letter dropped and repeated letters collapsed.
+ * @param {string} word
+ * @returns {string}
+ */
+export function phoneticKey(word) {
+    const folded = word
+        .toLowerCase()
+        .replace(/^kn|^gn|^pn/, 'n')
+        .replace(/^wr/, 'r')
+        .replace(/^x/, 's')
+        .replace(/tch|ch|sh/g, 'x')
+        .replace(/ph/g, 'f')
+        .replace(/gh/g, '')
+        .replace(/ck|q/g, 'k')
+        .replace(/c(?=[eiy])/g, 's')
+        .replace(/c/g, 'k')
+        .replace(/dg/g, 'j')
+        .replace(/z/g, 's')
+        .replace(/([^aeiou])h/g, '$1');
+
+    const [first, ...rest] = folded;
+    const consonants = rest.join('').replace(/[aeiouy]/g, '');
+    return `${first || ''}${consonants}`.replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Similarity of two words, 0-1
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function wordSimilarity(a, b) {
+    if (a === b) return 1;
+
+    const edit = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+    // Sound-alikes score high but below an exact match; very short keys collide too easily
+    const phonetic = a.length > 2 && b.length > 2 && phoneticKey(a) === phoneticKey(b) ? 0.9 : 0;
+    return Math.max(edit, phonetic);
+}
+
+/**
+ * Score how well spoken words match a device name, 0-1.
+ * Mostly how well each spoken word is explained by the name, plus a little for how much of the
+ * name was said, so "lamp" prefers "Desk Lamp" over "Living Room Floor Lamp" but not by much.
+ * @param {string[]} spoken - Spoken words
+ * @param {string[]} target - Device name words
+ * @returns {number}
+ */
+export function scoreWords(spoken, target) {
+    if (spoken.length === 0 || target.length === 0) return 0;
+    if (spoken.join(' ') === target.join(' ')) return 1;
+
+    const matchedTargets = new Set();
+    let coverage = 0;
+
+    for (const word of spoken) {
+        let best = 0;
+        let bestIndex = -1;
+        target.forEach((candidate, index) => {
+            const similarity = wordSimilarity(word, candidate);
+            if (similarity > best) {
+                best = similarity;
+                bestIndex = index;
+            }
+        });
+
+        coverage += best;
+        if (best >= WORD_MATCH_SIMILARITY) matchedTargets.add(bestIndex);
+    }
+
+    const score = 0.8 * (coverage / spoken.length) + 0.2 * (matchedTargets.size / target.length);
+    // Reserve 1 for exact matches
+    return Math.min(score, 0.99);
+}
+
+/**
+ * Describe a candidate for a clarification question
+ * @param {NameCandidate} candidate
+ * @returns {string} - e.g. '"Light" in the Kitchen'
+ */
+function describeCandidate(candidate) {
+    return candidate.location ? `"${candidate.name}" in the ${candidate.location}` : `"${candidate.name}"`;
+}
+
+/**
+ * Build the question to ask when a name is ambiguous
+ * @param {string} spokenName
+ * @param {NameCandidate[]} candidates
+ * @returns {string}
+ */
+export function buildClarificationQuestion(spokenName, candidates) {
+    const options = candidates.map(describeCandidate);
+    const list = options.length > 1
+        ? `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}`
+        : options[0];
+    return `I'm not sure which device you meant by "${spokenName}". Did you mean ${list}?`;
+}
+
+export class DeviceNameResolver {
+    /**
+     * @param {string} filePath - Path to the aliases JSON file
+     * @param {string} [registryNamesPath] - Path to the names published by the device registry
+     */
+    constructor(filePath, registryNamesPath) {
+        this.filePath = filePath;
+        this.registryNamesPath = registryNamesPath;
+        /** @type {Map<string, string>} - Normalized alias -> device name */
+        this.aliases = new Map();
+        /** @type {Map<string, number>} - Normalized registry name -> node ID */
+        this.registryNames = new Map();
+        // Inode and mtime of the registry names file when it was last read, so other processes' saves are noticed
+        this.registryNamesStamp = null;
+    }
+
+    /**
+     * Load aliases from disk. A missing file means no aliases.
+     * @returns {Promise<number>} Number of aliases loaded
+     */
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.aliases.clear();
+                return 0;
+            }
+            throw error;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`Aliases file ${this.filePath} is not valid JSON: ${error.message}`);
+        }
+
+        this.aliases.clear();
+        for (const [alias, deviceName] of Object.entries(data?.aliases || {})) {
+            if (typeof deviceName === 'string' && deviceName.trim() && tokenize(alias).length > 0) {
+                this.aliases.set(tokenize(alias).join(' '), deviceName.trim());
+            } else {
+                console.warn(`[Aliases] Skipping invalid alias "${alias}"`);
+            }
+        }
+
+        console.warn(`[Aliases] Loaded ${this.aliases.size} alias(es) from ${this.filePath}`);
+        return this.aliases.size;
+    }
+
+    /**
+     * Re-read the registry names file if another process (or this one) has saved it since the last read.
+     * Cheap enough to call before every resolve(). A file that can't be read keeps the names already loaded.
+     * @returns {Promise<void>}
+     */
+    async refreshRegistryNames() {
+        if (!this.registryNamesPath) {
+            return;
+        }
+
+        try {
+            const stats = await fs.stat(this.registryNamesPath);
+            // Saves replace the file by renaming, so the inode changes even within one mtime tick
+            const stamp = `${stats.ino}:${stats.mtimeMs}`;
+            if (stamp === this.registryNamesStamp) {
+                return;
+            }
+            this.registryNamesStamp = stamp;
+            const data = JSON.parse(await fs.readFile(this.registryNamesPath, 'utf8'));
+            this._indexRegistryNames(validateRegistryNames(data?.devices));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.registryNames.clear();
+                this.registryNamesStamp = null;
+                return;
+            }
+            console.warn(`[Aliases] Could not read registry names from ${this.registryNamesPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the names published by the device registry and save them (via a temp file)
+     * @param {RegistryNames[]} devices
+     * @returns {Promise<number>} Number of names saved
+     * @throws {Error} If the list is malformed or no file is configured
+     */
+    async setRegistryNames(devices) {
+        if (!this.registryNamesPath) {
+            throw new Error('No registry names file is configured');
+        }
+
+        const valid = validateRegistryNames(devices);
+        const tempPath = `${this.registryNamesPath}.tmp`;
+        await fs.mkdir(path.dirname(this.registryNamesPath), {recursive: true});
+        await fs.writeFile(tempPath, `${JSON.stringify({devices: valid}, null, 2)}\n`, 'utf8');
+        await fs.rename(tempPath, this.registryNamesPath);
+
+        this._indexRegistryNames(valid);
+        const stats = await fs.stat(this.registryNamesPath);
+        this.registryNamesStamp = `${stats.ino}:${stats.mtimeMs}`;
+        return this.registryNames.size;
+    }
+
+    /**
+     * @private
+     * @param {RegistryNames[]} devices
+     */
+    _indexRegistryNames(devices) {
+        this.registryNames.clear();
+        for (const {nodeId, names} of devices) {
+            for (const name of names) {
+                this.registryNames.set(tokenize(name).join(' '), nodeId);
+            }
+        }
+    }
+
+    /**
+     * Resolve a spoken device name against the live node list
+     * @param {string} spokenName
+     * @param {ZWaveNode[]} nodes
+     * @param {Object} [options]
+     * @param {SubDeviceName[]} [options.subDevices] - Endpoints addressable by their own name
+     * @param {import('./backends.js').BackendDevice[]} [options.devices] - Devices from other backends
+     * @returns {NameResolution}
+     */
+    resolve(spokenName, nodes, {subDevices = [], devices = []} = {}) {
+        const spoken = tokenize(spokenName);
+
+        const score = (name, location, target) => {
+            const nameWords = tokenize(name);
+            const qualifiedWords = location ? [...tokenize(location), ...nameWords] : nameWords;
+
+            return {
+                ...target,
+                name,
+                location,
+                confidence: Math.max(scoreWords(spoken, nameWords), scoreWords(spoken, qualifiedWords)),
+            };
+        };
+
+        const scored = [
+            ...nodes.map(node => score(node.name || `Node ${node.id}`, node.loc || '', {node})),
+            ...subDevices.map(subDevice => score(subDevice.name, subDevice.node.loc || '', {node: subDevice.node, endpoint: subDevice.endpoint})),
+            ...devices.map(device => score(device.name, device.location, {device})),
+        ].sort((a, b) => b.confidence - a.confidence);
+
+        const alias = this.aliases.get(spoken.join(' '));
+        if (alias) {
+            const aliasWords = tokenize(alias);
+            const target = scored.find(candidate =>
+                tokenize(candidate.name).join(' ') === aliasWords.join(' ') ||
+                tokenize(`${candidate.location} ${candidate.name}`).join(' ') === aliasWords.join(' ')
+            );
+            if (target) {
+                return {status: 'match', match: {...target, confidence: 1}, matchedBy: 'alias', candidates: [target]};
+            }
+            console.warn(`[Aliases] "${spokenName}" points to "${alias}", which is not a known device`);
+        }
+
+        const registryNodeId = this.registryNames.get(spoken.join(' '));
+        if (registryNodeId !== undefined) {
+            const target = scored.find(candidate => candidate.node?.id === registryNodeId && candidate.endpoint === undefined);
+            if (target) {
+                return {status: 'match', match: {...target, confidence: 1}, matchedBy: 'registry', candidates: [target]};
+            }
+        }
+
+        const exact = scored.filter(candidate => candidate.confidence === 1);
+        if (exact.length === 1) {
+            return {status: 'match', match: exact[0], matchedBy: 'exact', candidates: exact};
+        }
+        if (exact.length > 1) {
+            // Same name in several rooms and no room was said
+            return {status: 'ambiguous', candidates: exact};
+        }
+
+        const [best, runnerUp] = scored;
+        if (best && best.confidence >= AUTO_MATCH_CONFIDENCE &&
+            (!runnerUp || best.confidence - runnerUp.confidence >= AUTO_MATCH_MARGIN)) {
+            return {status: 'match', match: best, matchedBy: 'fuzzy', candidates: [best]};
+        }
+
+        const candidates = scored
+            .filter(candidate => candidate.confidence >= SUGGESTION_CONFIDENCE && best.confidence - candidate.confidence < 0.15)
+            .slice(0, 4);
+
+        if (candidates.length > 0) {
+            return {status: 'ambiguous', candidates};
+        }
+
+        // Nothing close; offer the best few as suggestions
+        return {status: 'none', candidates: scored.filter(candidate => candidate.confidence >= 0.3).slice(0, 3)};
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * MCP resource helpers for the Z-Wave MCP server.
+ *
+ * Devices are exposed as read-only resources so clients can subscribe instead of polling:
+ *   zwave://devices         - every device with its current state
+ *   zwave://device/{name}   - one device with every value the state store holds for it
+ *
+ * When the MQTT state store sees a change, subscribed URIs receive
+ * notifications/resources/updated and the client re-reads the resource.
+ */
+
+import {topicKey} from './device-registry.js';
+
+export const DEVICE_LIST_URI = 'zwave://devices';
+export const DEVICE_URI_TEMPLATE = 'zwave://device/{name}';
+
+const DEVICE_URI_PREFIX = 'zwave://device/';
+
+/**
+ * Build the resource URI for a device
+ * @param {string} deviceName - Friendly device name
+ * @returns {string} - e.g. 'zwave://device/Living%20Room%20Lamp'
+ */
+export function buildDeviceUri(deviceName) {
+    return `${DEVICE_URI_PREFIX}${encodeURIComponent(deviceName)}`;
+}
+
+/**
+ * Extract the device name from a device resource URI
+ * @param {string} uri
+ * @returns {string | null} - Friendly device name, or null if this is not a device URI
+ */
+export function parseDeviceUri(uri) {
+    if (typeof uri !== 'string' || !uri.startsWith(DEVICE_URI_PREFIX)) {
+        return null;
+    }
+
+    const encoded = uri.slice(DEVICE_URI_PREFIX.length);
+    if (!encoded || encoded.includes('/')) {
+        return null;
+    }
+
+    try {
+        return decodeURIComponent(encoded);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Tracks which resources a client subscribed to and sends coalesced update notifications.
+ * Meters and multi-sensors can publish several values per second, so changes are batched
+ * and each URI is notified at most once per debounce window.
+ */
+export class ResourceSubscriptions {
+    /**
+     * @param {(uri: string) => Promise<void>} sendUpdate - Sends notifications/resources/updated
+     * @param {number} [debounceMs=250]
+     */
+    constructor(sendUpdate, debounceMs = 250) {
+        this.sendUpdate = sendUpdate;
+        this.debounceMs = debounceMs;
+        /** @type {Set<string>} */
+        this.subscribed = new Set();
+        /** @type {Set<string>} - URIs waiting for the next flush */
+        this.pending = new Set();
+        this.timer = null;
+    }
+
+    /**
+     * @param {string} uri
+     * @throws {Error} If the URI is not a Z-Wave resource
+     */
+    subscribe(uri) {
+        if (uri !== DEVICE_LIST_URI && !parseDeviceUri(uri)) {
+            throw new Error(`Unknown resource: ${uri}`);
+        }
+        this.subscribed.add(uri);
+    }
+
+    /**
+     * @param {string} uri
+     */
+    unsubscribe(uri) {
+        this.subscribed.delete(uri);
+        this.pending.delete(uri);
+    }
+
+    /**
+     * Queue notifications for every subscribed resource that covers a device
+     * @param {string} deviceName - Device name as it appears in the topic or the registry
+     */
+    deviceChanged(deviceName) {
+        const changed = topicKey(deviceName);
+
+        for (const uri of this.subscribed) {
+            const name = uri === DEVICE_LIST_URI ? null : parseDeviceUri(uri);
+            if (uri === DEVICE_LIST_URI || (name && topicKey(name) === changed)) {
+                this.pending.add(uri);
+            }
+        }
+
+        if (this.pending.size > 0 && !this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.debounceMs);
+        }
+    }
+
+    /**
+     * Send queued notifications now
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const uris = [...this.pending];
+        this.pending.clear();
+
+        for (const uri of uris) {
+            try {
+                await this.sendUpdate(uri);
+            } catch (error) {
+                console.error(`[Resources] Failed to notify update for ${uri}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Drop all subscriptions (e.g. when the client disconnects)
+     */
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.subscribed.clear();
+        this.pending.clear();
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * Scene subsystem for the Z-Wave MCP server.
+ *
+ * A scene is a named list of device steps ("movie mode", "good night") declared in a JSON file:
+ *
+ * {
+ *   "scenes": [
+ *     {
+ *       "name": "Movie Mode",
+ *       "description": "Dim the living room for a movie",
+ *       "steps": [
+ *         { "device": "Living Room Lamp", "action": "dim", "level": 20 },
+ *         { "device": "Kitchen Light", "action": "off" }
+ *       ]
+ *     }
+ *   ]
+ * }
+ *
+ * Activating a scene runs every step even if an earlier one fails, and reports each step's outcome.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const VALID_ACTIONS = ['on', 'off', 'dim'];
+
+/**
+ * @typedef {Object} SceneStep
+ * @property {string} device - Device name as used by control_zwave_device
+ * @property {'on'|'off'|'dim'} action
+ * @property {number} [level] - Brightness level 0-100 (required for dim)
+ */
+
+/**
+ * @typedef {Object} Scene
+ * @property {string} name
+ * @property {string} [description]
+ * @property {SceneStep[]} steps
+ */
+
+/**
+ * @typedef {Object} SceneStepResult
+ * @property {SceneStep} step
+ * @property {boolean} success
+ * @property {string} message
+ */
+
+/**
+ * Validate and normalize scene steps
+ * @param {any} steps
+ * @returns {SceneStep[]}
+ * @throws {Error} If any step is invalid
+ */
+export function validateSceneSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        throw new Error('A scene needs at least one step');
+    }
+
+    return steps.map((step, index) => {
+        const position = `Step ${index + 1}`;
+
+        if (!step || typeof step !== 'object') {
+            throw new Error(`${position} must be an object with device and action`);
+        }
+
+        if (typeof step.device !== 'string' || !step.device.trim()) {
+            throw new Error(`${position} is missing a device name`);
+        }
+
+        if (!VALID_ACTIONS.includes(step.action)) {
+            throw new Error(`${position} has invalid action "${step.action}". Must be "on", "off", or "dim".`);
+        }
+
+        if (step.action === 'dim') {
+            const level = Number(step.level);
+            if (!Number.isFinite(level) || level < 0 || level > 100) {
+                throw new Error(`${position} dims "${step.device}" but level must be between 0 and 100`);
+            }
+            return {device: step.device.trim(), action: step.action, level};
+        }
+
+        return {device: step.device.trim(), action: step.action};
+    });
+}
+
+export class SceneManager {
+    /**
+     * @param {string} filePath - Path to the scenes JSON file
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        /** @type {Map<string, Scene>} - Lower-cased scene name -> scene */
+        this.scenes = new Map();
+        // Set when the file exists but could not be parsed, so saving can't overwrite it
+        this.loadFailed = false;
+    }
+
+    /**
+     * Load scenes from disk. A missing file means no scenes are defined yet.
+     * Invalid scenes are skipped with a warning so one typo doesn't disable the rest.
+     * @returns {Promise<number>} Number of scenes loaded
+     */
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                console.warn(`[Scenes] No scenes file at ${this.filePath}`);
+                this.scenes.clear();
+                this.loadFailed = false;
+                return 0;
+            }
+            this.loadFailed = true;
+            throw error;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            this.loadFailed = true;
+            throw new Error(`Scenes file ${this.filePath} is not valid JSON: ${error.message}`);
+        }
+
+        this.loadFailed = false;
+        const entries = Array.isArray(data?.scenes) ? data.scenes : [];
+
+        this.scenes.clear();
+        for (const entry of entries) {
+            try {
+                this._add(entry?.name, validateSceneSteps(entry?.steps), entry?.description);
+            } catch (error) {
+                console.warn(`[Scenes] Skipping invalid scene "${entry?.name}": ${error.message}`);
+            }
+        }
+
+        console.warn(`[Scenes] Loaded ${this.scenes.size} scene(s) from ${this.filePath}`);
+        return this.scenes.size;
+    }
+
+    /**
+     * Write all scenes back to disk (via a temp file so a crash can't truncate it)
+     * @returns {Promise<void>}
+     */
+    async save() {
+        const data = {scenes: this.listScenes()};
+        const tempPath = `${this.filePath}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), {recursive: true});
+        await fs.writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * @returns {Scene[]} Scenes sorted by name
+     */
+    listScenes() {
+        return [...this.scenes.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find a scene by name (case-insensitive)
+     * @param {string} name
+     * @returns {Scene | undefined}
+     */
+    findScene(name) {
+        return this.scenes.get(String(name).trim().toLowerCase());
+    }
+
+    /**
+     * Create or replace a scene and persist it
+     * @param {string} name
+     * @param {any} steps
+     * @param {string} [description]
+     * @returns {Promise<{scene: Scene, replaced: boolean}>}
+     */
+    async defineScene(name, steps, description) {
+        if (this.loadFailed) {
+            throw new Error('The scenes file could not be read, so new scenes cannot be saved until it is fixed');
+        }
+
+        const replaced = Boolean(this.findScene(name));
+        const scene = this._add(name, validateSceneSteps(steps), description);
+        await this.save();
+        return {scene, replaced};
+    }
+
+    /**
+     * Run every step of a scene in order
+     * @param {Scene} scene
+     * @param {(step: SceneStep) => Promise<{success: boolean, message: string}>} executeStep
+     * @returns {Promise<SceneStepResult[]>}
+     */
+    async activate(scene, executeStep) {
+        const results = [];
+
+        for (const step of scene.steps) {
+            try {
+                const {success, message} = await executeStep(step);
+                results.push({step, success, message});
+            } catch (error) {
+                results.push({step, success: false, message: `Error: ${error.message}`});
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * @private
+     * @param {string} name
+     * @param {SceneStep[]} steps
+     * @param {string} [description]
+     * @returns {Scene}
+     */
+    _add(name, steps, description) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Scene name is required');
+        }
+
+        const scene = {name: name.trim(), steps};
+        if (description) {
+            scene.description = String(description);
+        }
+
+        this.scenes.set(scene.name.toLowerCase(), scene);
+        return scene;
+    }
+}
+
+/**
+ * Describe a scene step for display
+ * @param {SceneStep} step
+ * @returns {string} - e.g. 'dim Living Room Lamp to 20%'
+ */
+export function describeSceneStep(step) {
+    return step.action === 'dim'
+        ? `dim ${step.device} to ${step.level}%`
+        : `turn ${step.action} ${step.device}`;
+}
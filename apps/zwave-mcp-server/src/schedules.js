@@ -0,0 +1,673 @@
+/**
+ * Scheduled device actions for the Z-Wave MCP server.
+ *
+ * Handles requests like "turn off the porch light in 20 minutes" (one-shot) and
+ * "turn on the coffee maker at 6am on weekdays" (recurring, as a cron expression).
+ * Jobs are persisted to a JSON file so they survive restarts:
+ *
+ * {
+ *   "nextId": 3,
+ *   "jobs": [
+ *     { "id": 1, "device": "Porch Light", "nodeId": 4, "location": "Front", "action": "off", "runAt": 1718000000000, "createdAt": 1717998800000 },
+ *     { "id": 2, "device": "Coffee Maker", "nodeId": 9, "location": "Kitchen", "action": "on", "cron": "0 6 * * 1-5", "runAt": 1718013600000, "createdAt": 1717998800000 }
+ *   ]
+ * }
+ *
+ * Jobs remember the node they were scheduled for, so a device sharing its name with one in another
+ * room can't be switched by mistake. A job that can't be sent yet (MQTT not connected) is kept and
+ * retried rather than counted as a failure.
+ *
+ * Several server processes can share the file (in stdio mode each MCP client starts its own). Every
+ * change re-reads the file under a lock file before writing it back, so one process can't erase
+ * another's jobs or reuse its ids, and a process claims due jobs before running them so each run
+ * happens once. Processes re-read the file every minute to pick up jobs scheduled elsewhere.
+ *
+ * Cron expressions use the standard five fields (minute hour day-of-month month day-of-week) in
+ * server local time, with *, lists, ranges, steps and day/month names.
+ */
+
+import {randomUUID} from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import {withFileLock} from './file-lock.js';
+import {validateSceneSteps} from './scenes.js';
+
+/** setTimeout can't wait longer than this; later jobs are re-armed when it fires */
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/** One-shot jobs missed by less than this while the server was down still run on startup */
+const DEFAULT_MISSED_GRACE_MS = 15 * 60 * 1000;
+
+/** How long to wait before retrying jobs that could not be sent yet */
+const DEFAULT_RETRY_DELAY_MS = 60 * 1000;
+
+/** How often to re-read the file for jobs scheduled by other server processes */
+const DEFAULT_REFRESH_MS = 60 * 1000;
+
+/** How long a claim keeps other processes off a job; a process that dies mid-run is covered after this */
+const DEFAULT_CLAIM_MS = 5 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/** @typedef {import('./scenes.js').SceneStep} SceneStep */
+
+/**
+ * @typedef {Object} ScheduledJob
+ * @property {number} id
+ * @property {string} device
+ * @property {number} [nodeId] - Z-Wave node resolved when the job was scheduled
+ * @property {string} [location] - Its location at that time
+ * @property {number} [endpoint] - Endpoint of a multi-channel device
+ * @property {'on'|'off'|'dim'} action
+ * @property {number} [level]
+ * @property {number} runAt - Next run (ms)
+ * @property {string} [cron] - Recurrence; one-shot when absent
+ * @property {number} createdAt - ms
+ * @property {number} [lastRun] - ms
+ * @property {string} [lastResult]
+ * @property {string} [claimedBy] - Server process running the job right now
+ * @property {number} [claimedUntil] - When that claim lapses (ms)
+ */
+
+/**
+ * @typedef {Object} ScheduledStep
+ * @property {string} device
+ * @property {'on'|'off'|'dim'} action
+ * @property {number} [level]
+ * @property {number} [nodeId]
+ * @property {string} [location]
+ * @property {number} [endpoint]
+ */
+
+/**
+ * @typedef {Object} ActionResult
+ * @property {boolean} success
+ * @property {string} message
+ * @property {boolean} [deferred] - The command could not be sent yet (e.g. MQTT is reconnecting); retry later
+ */
+
+/**
+ * @typedef {Object} CronSchedule
+ * @property {Set<number>} minutes
+ * @property {Set<number>} hours
+ * @property {Set<number>} daysOfMonth
+ * @property {Set<number>} months - 1-12
+ * @property {Set<number>} daysOfWeek - 0-6, Sunday = 0
+ * @property {boolean} anyDayOfMonth
+ * @property {boolean} anyDayOfWeek
+ */
+
+/**
+ * Parse one cron field
+ * @param {string} field
+ * @param {number} min
+ * @param {number} max
+ * @param {string[]} [names] - Names for values starting at `min`
+ * @returns {Set<number>}
+ * @throws {Error} If the field is invalid
+ */
+function parseCronField(field, min, max, names) {
+    const values = new Set();
+
+    const toNumber = (text) => {
+        const lower = text.toLowerCase();
+        const named = names ? names.indexOf(lower.slice(0, 3)) : -1;
+        const value = named >= 0 && /^[a-z]+$/.test(lower) ? named + min : Number(text);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new Error(`"${text}" is out of range ${min}-${max}`);
+        }
+        return value;
+    };
+
+    for (const part of field.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`"${part}" has an invalid step`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = min;
+            end = max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(toNumber);
+            if (start > end) {
+                throw new Error(`"${part}" is an empty range`);
+            }
+        } else {
+            start = toNumber(range);
+            end = stepText === undefined ? start : max;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - e.g. '0 6 * * 1-5' or '30 21 * * sat,sun'
+ * @returns {CronSchedule}
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day month weekday)`);
+    }
+
+    try {
+        const daysOfWeek = parseCronField(fields[4], 0, 7, DAY_NAMES);
+        // Both 0 and 7 mean Sunday
+        if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+
+        return {
+            minutes: parseCronField(fields[0], 0, 59),
+            hours: parseCronField(fields[1], 0, 23),
+            daysOfMonth: parseCronField(fields[2], 1, 31),
+            months: parseCronField(fields[3], 1, 12, MONTH_NAMES),
+            daysOfWeek,
+            anyDayOfMonth: fields[2] === '*',
+            anyDayOfWeek: fields[4] === '*',
+        };
+    } catch (error) {
+        throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+    }
+}
+
+/**
+ * Find the next time a cron schedule fires, strictly after `after`
+ * @param {string | CronSchedule} cron
+ * @param {number} after - ms
+ * @returns {number | null} ms, or null if it never fires (e.g. February 30th)
+ */
+export function nextCronRun(cron, after) {
+    const schedule = typeof cron === 'string' ? parseCron(cron) : cron;
+
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    // Like cron, a restricted day-of-month and day-of-week match if either does
+    const dayMatches = () => {
+        const dom = schedule.daysOfMonth.has(date.getDate());
+        const dow = schedule.daysOfWeek.has(date.getDay());
+        if (schedule.anyDayOfMonth) return dow;
+        if (schedule.anyDayOfWeek) return dom;
+        return dom || dow;
+    };
+
+    // Skip whole months, days and hours at a time; five years covers every valid schedule
+    const limit = after + 5 * 366 * 24 * 60 * MINUTE_MS;
+    while (date.getTime() <= limit) {
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches()) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!schedule.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve a clock time like '6am', '6:30 pm' or '21:15' to its next occurrence
+ * @param {string} text
+ * @param {number} now - ms
+ * @returns {number | null} ms, or null if the text isn't a clock time
+ */
+export function resolveClockTime(text, now) {
+    const match = String(text).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    if (!match) {
+        return null;
+    }
+
+    let hours = Number(match[1]);
+    const minutes = match[2] ? Number(match[2]) : 0;
+    const meridiem = match[3];
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+    } else if (!match[2]) {
+        // A bare number like "6" is ambiguous
+        return null;
+    }
+
+    if (hours > 23 || minutes > 59) {
+        return null;
+    }
+
+    const date = new Date(now);
+    date.setHours(hours, minutes, 0, 0);
+    if (date.getTime() <= now) {
+        date.setDate(date.getDate() + 1);
+    }
+    return date.getTime();
+}
+
+/**
+ * Describe when a job runs
+ * @param {ScheduledJob} job
+ * @param {(timestamp: number) => string} formatTime
+ * @returns {string} - e.g. 'at Mon 6:00 AM' or 'on cron "0 6 * * 1-5", next Mon 6:00 AM'
+ */
+export function describeJobTiming(job, formatTime) {
+    return job.cron
+        ? `on schedule "${job.cron}", next ${formatTime(job.runAt)}`
+        : `at ${formatTime(job.runAt)}`;
+}
+
+export class DeviceScheduler {
+    /**
+     * @param {string} filePath - Path to the schedules JSON file
+     * @param {Object} options
+     * @param {(step: ScheduledStep) => Promise<ActionResult>} options.executeAction - Sends one device command
+     * @param {number} [options.missedGraceMs=900000] - Still run one-shot jobs missed by this little on startup
+     *   or while they could not be sent
+     * @param {number} [options.retryDelayMs=60000] - Retry deferred jobs after this long if resume() isn't called first
+     * @param {number} [options.refreshMs=60000] - Re-read the file at least this often
+     * @param {number} [options.claimMs=300000] - How long a claim on a running job lasts
+     * @param {string} [options.instanceId] - Identifies this process in claims (random by default)
+     * @param {() => number} [options.now]
+     */
+    constructor(filePath, options) {
+        this.filePath = filePath;
+        this.lockPath = `${filePath}.lock`;
+        this.executeAction = options.executeAction;
+        this.missedGraceMs = options.missedGraceMs ?? DEFAULT_MISSED_GRACE_MS;
+        this.retryDelayMs = options.retryDelayMs ?? DEFAULT_RETRY_DELAY_MS;
+        this.refreshMs = options.refreshMs ?? DEFAULT_REFRESH_MS;
+        this.claimMs = options.claimMs ?? DEFAULT_CLAIM_MS;
+        this.instanceId = options.instanceId || randomUUID();
+        this.now = options.now || (() => Date.now());
+        /** @type {Map<number, ScheduledJob>} - As of the last read of the file */
+        this.jobs = new Map();
+        this.nextId = 1;
+        this.timer = null;
+        // Due jobs wait until this time (ms) after a deferred run, or until resume()
+        this.retryAt = null;
+        // Serializes runs and saves so a slow device command can't interleave with a new schedule
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Load jobs from disk and start the timer. Recurring jobs skip runs missed while the
+     * server was down; one-shot jobs run now if missed by less than the grace period.
+     * @returns {Promise<number>} Number of jobs loaded
+     * @throws {Error} If the file exists but can't be read or parsed (it is left untouched)
+     */
+    async load() {
+        const count = await this._enqueue(() => withFileLock(this.lockPath, async () => {
+            const data = await this._readFile();
+            this._applyData(data);
+            const now = this.now();
+            // Invalid jobs were skipped
+            let changed = this.jobs.size !== (Array.isArray(data?.jobs) ? data.jobs.length : 0);
+
+            for (const job of this.listJobs()) {
+                // Another process is running it right now
+                if (this._claimedElsewhere(job, now)) continue;
+
+                if (job.cron && job.runAt < now) {
+                    job.runAt = nextCronRun(job.cron, now);
+                    changed = true;
+                    if (job.runAt === null) this.jobs.delete(job.id);
+                } else if (!job.cron && job.runAt < now - this.missedGraceMs) {
+                    console.warn(`[Schedules] Dropping job ${job.id} (${job.action} ${job.device}) missed while the server was down`);
+                    this.jobs.delete(job.id);
+                    changed = true;
+                }
+            }
+
+            if (changed) {
+                await this.save();
+            }
+            return this.jobs.size;
+        }));
+
+        console.warn(`[Schedules] Loaded ${count} scheduled action(s) from ${this.filePath}`);
+        this._arm();
+        return count;
+    }
+
+    /**
+     * Re-read the file to pick up jobs scheduled or cancelled by other server processes
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        await this._enqueue(async () => this._applyData(await this._readFile()));
+        this._arm();
+    }
+
+    /**
+     * Write all jobs to disk (via a temp file so a crash can't truncate it). Call while holding the lock.
+     * @returns {Promise<void>}
+     */
+    async save() {
+        const tempPath = `${this.filePath}.tmp`;
+
+        await fs.mkdir(path.dirname(this.filePath), {recursive: true});
+        await fs.writeFile(tempPath, `${this._serialize()}\n`, 'utf8');
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * @returns {ScheduledJob[]} Jobs as of the last read of the file, soonest first
+     */
+    listJobs() {
+        return [...this.jobs.values()].sort((a, b) => a.runAt - b.runAt);
+    }
+
+    /**
+     * Schedule a device action
+     * @param {SceneStep} step - Device, action and level
+     * @param {{ runAt?: number, cron?: string }} timing - A one-shot time (ms) or a cron expression
+     * @param {{ nodeId?: number, location?: string, endpoint?: number }} [target] - The resolved device, run by node ID
+     * @returns {Promise<ScheduledJob>}
+     * @throws {Error} If the step or timing is invalid, or the file can't be read or saved
+     */
+    async schedule(step, timing, target = {}) {
+        const [validStep] = validateSceneSteps([step]);
+        const now = this.now();
+
+        let runAt;
+        if (timing.cron) {
+            runAt = nextCronRun(timing.cron, now);
+            if (runAt === null) {
+                throw new Error(`Schedule "${timing.cron}" never runs`);
+            }
+        } else if (Number.isFinite(timing.runAt) && timing.runAt > now) {
+            runAt = timing.runAt;
+        } else {
+            throw new Error('The scheduled time must be in the future');
+        }
+
+        /** @type {ScheduledJob} */
+        const job = {id: 0, ...validStep, runAt, createdAt: now};
+        if (Number.isInteger(target.nodeId)) {
+            job.nodeId = target.nodeId;
+            job.location = target.location || '';
+            if (target.endpoint) {
+                job.endpoint = target.endpoint;
+            }
+        }
+        if (timing.cron) {
+            job.cron = String(timing.cron).trim();
+        }
+
+        await this._enqueue(() => this._withFile(async () => {
+            job.id = this.nextId;
+            this.nextId += 1;
+            this.jobs.set(job.id, job);
+        }));
+
+        this._arm();
+        return job;
+    }
+
+    /**
+     * Cancel a job
+     * @param {number} id
+     * @returns {Promise<ScheduledJob | undefined>} The cancelled job, or undefined if there was none
+     */
+    async cancel(id) {
+        const job = await this._enqueue(() => this._withFile(async () => {
+            const existing = this.jobs.get(Number(id));
+            this.jobs.delete(Number(id));
+            return existing;
+        }));
+
+        this._arm();
+        return job;
+    }
+
+    /**
+     * Run every job that is due now. Called by the timer; exposed for tests.
+     * Due jobs are claimed in the file first, so another process sharing it skips them.
+     * Jobs that could not be sent yet stay due and are retried after retryDelayMs or on resume(),
+     * unless that makes them later than the missed-run grace period.
+     * @returns {Promise<void>}
+     */
+    async runDueJobs() {
+        await this._enqueue(async () => {
+            const now = this.now();
+            this.retryAt = null;
+
+            const claimed = await this._withFile(async () => {
+                const due = this.listJobs().filter(job => job.runAt <= now && !this._claimedElsewhere(job, now));
+                const toRun = [];
+
+                for (const job of due) {
+                    if (job.runAt < now - this.missedGraceMs) {
+                        console.warn(`[Schedules] Job ${job.id} (${job.action} ${job.device}) could not be sent in time; skipping this run`);
+                        this._finishRun(job, now, 'missed');
+                        continue;
+                    }
+                    Object.assign(job, {claimedBy: this.instanceId, claimedUntil: now + this.claimMs});
+                    toRun.push({...job});
+                }
+                return toRun;
+            });
+            if (claimed.length === 0) return;
+
+            /** @type {Map<number, string | null>} - Job id -> result, or null if deferred */
+            const results = new Map();
+            for (const job of claimed) {
+                const step = {
+                    device: job.device,
+                    action: job.action,
+                    ...(job.level !== undefined ? {level: job.level} : {}),
+                    ...(job.nodeId !== undefined ? {nodeId: job.nodeId, location: job.location} : {}),
+                    ...(job.endpoint !== undefined ? {endpoint: job.endpoint} : {}),
+                };
+
+                let lastResult;
+                try {
+                    const {success, message, deferred} = await this.executeAction(step);
+                    if (deferred) {
+                        console.warn(`[Schedules] Job ${job.id} (${job.action} ${job.device}) will be retried: ${message}`);
+                        this.retryAt = now + this.retryDelayMs;
+                        results.set(job.id, null);
+                        continue;
+                    }
+                    lastResult = success ? 'succeeded' : `failed: ${message}`;
+                } catch (error) {
+                    lastResult = `failed: Error: ${error.message}`;
+                }
+
+                if (lastResult === 'succeeded') {
+                    console.warn(`[Schedules] Ran job ${job.id}: ${job.action} ${job.device}`);
+                } else {
+                    console.error(`[Schedules] Job ${job.id} (${job.action} ${job.device}) ${lastResult}`);
+                }
+                results.set(job.id, lastResult);
+            }
+
+            await this._withFile(async () => {
+                for (const [id, lastResult] of results) {
+                    const job = this.jobs.get(id);
+                    // Cancelled while it ran, or taken over after the claim lapsed
+                    if (!job || job.claimedBy !== this.instanceId) continue;
+
+                    delete job.claimedBy;
+                    delete job.claimedUntil;
+                    if (lastResult !== null) {
+                        this._finishRun(job, now, lastResult);
+                    }
+                }
+            });
+        });
+
+        this._arm();
+    }
+
+    /**
+     * Retry jobs waiting on a deferred run now (e.g. when MQTT reconnects)
+     * @returns {Promise<void>}
+     */
+    async resume() {
+        if (this.retryAt === null) {
+            return;
+        }
+        this.retryAt = null;
+        await this.runDueJobs();
+    }
+
+    /**
+     * Stop the timer (e.g. on shutdown). Jobs stay on disk.
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * @private
+     * @template T
+     * @param {() => Promise<T>} task
+     * @returns {Promise<T>}
+     */
+    _enqueue(task) {
+        const run = this.queue.catch(() => {}).then(task);
+        this.queue = run;
+        return run;
+    }
+
+    /**
+     * Re-read the file under the lock, apply a change and write it back if anything changed
+     * @private
+     * @template T
+     * @param {() => Promise<T>} change
+     * @returns {Promise<T>}
+     * @throws {Error} If the file can't be read or parsed; it is never overwritten then
+     */
+    _withFile(change) {
+        return withFileLock(this.lockPath, async () => {
+            try {
+                this._applyData(await this._readFile());
+            } catch (error) {
+                throw new Error(`The schedules file could not be read, so schedules can't be changed until it is fixed: ${error.message}`);
+            }
+
+            const before = this._serialize();
+            const result = await change();
+            if (this._serialize() !== before) {
+                await this.save();
+            }
+            return result;
+        });
+    }
+
+    /**
+     * @private
+     * @returns {Promise<{nextId?: number, jobs?: ScheduledJob[]} | null>} Parsed file, or null if there is none
+     * @throws {Error} If the file can't be read or isn't valid JSON
+     */
+    async _readFile() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            throw new Error(`Schedules file ${this.filePath} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the in-memory jobs with the file's
+     * @private
+     * @param {{nextId?: number, jobs?: ScheduledJob[]} | null} data
+     */
+    _applyData(data) {
+        this.jobs.clear();
+
+        for (const job of Array.isArray(data?.jobs) ? data.jobs : []) {
+            if (!Number.isInteger(job?.id) || !Number.isFinite(job?.runAt)) {
+                console.warn('[Schedules] Skipping invalid job:', job);
+                continue;
+            }
+            this.jobs.set(job.id, job);
+        }
+
+        const maxId = Math.max(0, ...this.jobs.keys());
+        this.nextId = Math.max(Number(data?.nextId) || 1, maxId + 1);
+    }
+
+    /**
+     * @private
+     * @returns {string} The file's contents for the current jobs
+     */
+    _serialize() {
+        return JSON.stringify({nextId: this.nextId, jobs: this.listJobs()}, null, 2);
+    }
+
+    /**
+     * @private
+     * @param {ScheduledJob} job
+     * @param {number} now
+     * @returns {boolean} Whether another process holds a live claim on the job
+     */
+    _claimedElsewhere(job, now) {
+        return Boolean(job.claimedBy) && job.claimedBy !== this.instanceId && job.claimedUntil > now;
+    }
+
+    /**
+     * Move a job that has run (or missed its run) to its next run, or remove it
+     * @private
+     * @param {ScheduledJob} job
+     * @param {number} now
+     * @param {string} lastResult
+     */
+    _finishRun(job, now, lastResult) {
+        const nextRun = job.cron ? nextCronRun(job.cron, Math.max(now, job.runAt)) : null;
+        if (nextRun === null) {
+            this.jobs.delete(job.id);
+        } else {
+            Object.assign(job, {runAt: nextRun, lastRun: now, lastResult});
+        }
+    }
+
+    /**
+     * Set the timer for the soonest job (or the next re-read of the file), holding due jobs back
+     * while a retry is pending and jobs claimed by another process until their claim lapses
+     * @private
+     */
+    _arm() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = this.now();
+        const soonest = Math.min(...this.listJobs().map(job => (this._claimedElsewhere(job, now) ? job.claimedUntil : job.runAt)));
+        const wakeAt = Math.min(Math.max(soonest, this.retryAt ?? 0), now + this.refreshMs);
+        const delay = Math.min(Math.max(wakeAt - now, 0), MAX_TIMER_MS);
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.runDueJobs().catch(error => console.error('[Schedules] Failed to run scheduled actions:', error));
+        }, delay);
+        this.timer.unref();
+    }
+}
@@ -0,0 +1,515 @@
+/**
+ * Door, motion and alarm sensors for the Z-Wave MCP server.
+ *
+ * Security sensors report through two command classes:
+ * - Binary Sensor (CC 48): one boolean per sensor type, e.g. property "Door/Window" or "Motion"
+ * - Notification (CC 113): property is the notification type ("Access Control", "Water Alarm"),
+ *   property key the variable ("Door state", "Sensor status") and the value a numeric event
+ *   (Door state 22 = open, 23 = closed; Sensor status 0 = idle)
+ *
+ * Z-Wave JS UI publishes these as:
+ *   zwave/[Location/]Device_Name/sensor_binary/endpoint_0/Door_Window
+ *   zwave/[Location/]Device_Name/notification/endpoint_0/Access_Control/Door_state
+ *
+ * Every change is kept in a rolling event log (default data/events.json) so questions like
+ * "did the back door open while I was out?" can be answered later.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import {topicKey} from './device-registry.js';
+
+/** @typedef {import('./types.js').ZWaveNode} ZWaveNode */
+/** @typedef {import('./state-store.js').StateEntry} StateEntry */
+
+export const BINARY_SENSOR_CC = 48;
+export const NOTIFICATION_CC = 113;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Topic names for the two command classes, as they appear in state store entries */
+const CC_BY_TOPIC_NAME = {
+    sensor_binary: BINARY_SENSOR_CC,
+    notification: NOTIFICATION_CC,
+};
+
+/** Access Control "Door state" event for an open door or window */
+const DOOR_OPEN = 22;
+
+/** Motion Sensor status events (7 = motion, location unknown; 8 = motion detected) */
+const MOTION_EVENTS = new Set([7, 8]);
+
+/**
+ * What a sensor watches for, with how to speak it when active and idle
+ * @type {Record<string, {active: string, idle: string}>}
+ */
+export const SENSOR_KINDS = {
+    door: {active: 'open', idle: 'closed'},
+    motion: {active: 'motion detected', idle: 'no motion'},
+    water: {active: 'water leak detected', idle: 'dry'},
+    smoke: {active: 'smoke detected', idle: 'no smoke'},
+    co: {active: 'carbon monoxide detected', idle: 'no carbon monoxide'},
+    heat: {active: 'overheating', idle: 'normal temperature'},
+    glass: {active: 'glass break detected', idle: 'no glass break'},
+    tamper: {active: 'tampered with', idle: 'not tampered with'},
+};
+
+/** Binary Sensor properties (normalized) by kind */
+const BINARY_SENSOR_KINDS = {
+    'door window': 'door',
+    tilt: 'door',
+    motion: 'motion',
+    water: 'water',
+    smoke: 'smoke',
+    co: 'co',
+    heat: 'heat',
+    'glass break': 'glass',
+    tamper: 'tamper',
+};
+
+/** Notification types (normalized) whose "Sensor status" is an alarm, by kind */
+const ALARM_NOTIFICATIONS = {
+    'water alarm': 'water',
+    'smoke alarm': 'smoke',
+    'co alarm': 'co',
+    'heat alarm': 'heat',
+};
+
+/**
+ * @typedef {Object} SensorReading
+ * @property {string} kind - Key of SENSOR_KINDS
+ * @property {boolean} active - Door open, motion detected or alarm raised
+ * @property {string} text - Speakable state, e.g. 'open' or 'water leak detected'
+ */
+
+/**
+ * @typedef {Object} SecurityDevice
+ * @property {string} name
+ * @property {string} location
+ * @property {SensorReading[]} readings - One per kind
+ */
+
+/**
+ * @typedef {Object} SecurityEvent
+ * @property {number} timestamp - ms
+ * @property {string} location - Location as spoken ('' if none)
+ * @property {string} device - Device name as spoken
+ * @property {string} kind - Key of SENSOR_KINDS
+ * @property {boolean} active
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} SecurityEventQuery
+ * @property {string} [location] - Only this device's location (friendly or sanitized)
+ * @property {string} [device] - Only this device (friendly or sanitized)
+ * @property {string} [kind] - Only this kind of sensor
+ * @property {boolean} [activeOnly] - Only openings, motion and alarms
+ * @property {number} [from] - Start of range (ms, inclusive)
+ * @property {number} [to] - End of range (ms, inclusive)
+ * @property {number} [limit] - Most recent events to return
+ */
+
+/**
+ * Lower-case a property name and turn punctuation and underscores into single spaces,
+ * so "Door/Window", "Door_Window" and "door window" compare equal
+ * @param {any} name
+ * @returns {string}
+ */
+function normalize(name) {
+    return String(name ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * @param {string} kind
+ * @param {boolean} active
+ * @returns {SensorReading}
+ */
+function reading(kind, active) {
+    return {kind, active, text: SENSOR_KINDS[kind][active ? 'active' : 'idle']};
+}
+
+/**
+ * Interpret one Binary Sensor or Notification value
+ * @param {{commandClass: number|string, property: any, propertyKey?: any, value: any, states?: {value: number, text: string}[]}} value -
+ *   A node value, or a state store entry (command class as topic name, sanitized property)
+ * @returns {SensorReading | null} null for values that aren't door, motion or alarm sensors
+ */
+export function readSensorValue(value) {
+    if (!value || value.value === undefined || value.value === null) {
+        return null;
+    }
+
+    const cc = CC_BY_TOPIC_NAME[value.commandClass] ?? Number(value.commandClass);
+    const property = normalize(value.property);
+
+    if (cc === BINARY_SENSOR_CC) {
+        const kind = BINARY_SENSOR_KINDS[property];
+        return kind ? reading(kind, value.value === true || value.value === 'true') : null;
+    }
+
+    if (cc !== NOTIFICATION_CC) {
+        return null;
+    }
+
+    const key = normalize(value.propertyKey);
+    const event = Number(value.value);
+    if (!Number.isFinite(event)) {
+        return null;
+    }
+
+    if (property === 'access control' && key.startsWith('door state')) {
+        const stateText = (value.states || []).find(state => state.value === event)?.text || '';
+        return reading('door', event === DOOR_OPEN || /\bopen\b/i.test(stateText));
+    }
+
+    if (property === 'home security' && key === 'motion sensor status') {
+        return reading('motion', MOTION_EVENTS.has(event));
+    }
+
+    if (property === 'home security' && key === 'cover status') {
+        return reading('tamper', event !== 0);
+    }
+
+    if (ALARM_NOTIFICATIONS[property] && (key === 'sensor status' || key === 'alarm status')) {
+        return reading(ALARM_NOTIFICATIONS[property], event !== 0);
+    }
+
+    return null;
+}
+
+/**
+ * Read every door, motion and alarm sensor on a node. Devices often report the same thing
+ * through both command classes, so readings are merged per kind and any active one wins.
+ * @param {Record<string, any>} [values] - Node values
+ * @returns {SensorReading[]} One per kind, in SENSOR_KINDS order
+ */
+export function readSecurityState(values) {
+    /** @type {Map<string, SensorReading>} */
+    const byKind = new Map();
+
+    for (const value of Object.values(values || {})) {
+        const sensor = readSensorValue(value);
+        if (sensor && !(byKind.get(sensor.kind)?.active)) {
+            byKind.set(sensor.kind, sensor);
+        }
+    }
+
+    return Object.keys(SENSOR_KINDS).filter(kind => byKind.has(kind)).map(kind => byKind.get(kind));
+}
+
+/**
+ * Describe a node's security sensors, e.g. 'open' or 'motion detected, tampered with'
+ * @param {Record<string, any>} [values] - Node values
+ * @returns {string | null} null if the node has no security sensors
+ */
+export function describeSecurityState(values) {
+    const readings = readSecurityState(values);
+    if (readings.length === 0) {
+        return null;
+    }
+
+    const active = readings.filter(sensor => sensor.active);
+    return (active.length > 0 ? active : readings).map(sensor => sensor.text).join(', ');
+}
+
+/**
+ * Every node with security sensors
+ * @param {ZWaveNode[]} nodes
+ * @param {(node: ZWaveNode) => Record<string, any> | undefined} getValues - Current values for a node
+ * @returns {SecurityDevice[]}
+ */
+export function listSecurityDevices(nodes, getValues) {
+    return nodes
+        .map(node => ({
+            name: node.name || `Node ${node.id}`,
+            location: node.loc || '',
+            readings: readSecurityState(getValues(node)),
+        }))
+        .filter(device => device.readings.length > 0);
+}
+
+/**
+ * @param {string} name
+ * @param {string} location
+ * @returns {string} - e.g. 'Back Door in the Kitchen'
+ */
+function describeDevice(name, location) {
+    return location ? `${name} in the ${location}` : name;
+}
+
+/**
+ * @param {SensorReading} sensor
+ * @returns {string} - Finishes a sentence that starts with the device name
+ */
+function describeActive(sensor) {
+    if (sensor.kind === 'door') return 'is open';
+    if (sensor.kind === 'motion') return 'detects motion';
+    if (sensor.kind === 'tamper') return 'has been tampered with';
+    return `reports ${sensor.text.replace(/ detected$/, '')}`;
+}
+
+/**
+ * Speak a summary of open doors, active motion and alarms, alarms first
+ * @param {SecurityDevice[]} devices
+ * @returns {string}
+ */
+export function formatSecurityStatus(devices) {
+    if (devices.length === 0) {
+        return 'No door, motion or alarm sensors have reported yet.';
+    }
+
+    const rank = kind => (kind === 'door' ? 1 : kind === 'motion' ? 2 : 0);
+    const active = devices
+        .flatMap(device => device.readings.filter(sensor => sensor.active).map(sensor => ({device, sensor})))
+        .sort((a, b) => rank(a.sensor.kind) - rank(b.sensor.kind));
+
+    const sensors = `${devices.length} sensor${devices.length === 1 ? '' : 's'}`;
+    if (active.length === 0) {
+        return `All clear: ${sensors} checked, every door and window is closed, with no motion and no alarms.`;
+    }
+
+    const alarms = active.filter(({sensor}) => rank(sensor.kind) === 0).length;
+    const header = alarms > 0
+        ? `${alarms} alarm${alarms === 1 ? '' : 's'} and ${active.length - alarms} other event${active.length - alarms === 1 ? '' : 's'} across ${sensors}:`
+        : `${active.length} of ${sensors} need${active.length === 1 ? 's' : ''} attention:`;
+    const lines = active.map(({device, sensor}) =>
+        `- ${rank(sensor.kind) === 0 ? 'ALARM: ' : ''}${describeDevice(device.name, device.location)} ${describeActive(sensor)}`
+    );
+
+    return [header, ...lines].join('\n');
+}
+
+/**
+ * @param {number} timestamp
+ * @param {number} now
+ * @returns {string} - e.g. 'today at 2:15 PM' or 'Mon Jun 10 at 2:15 PM'
+ */
+function describeEventTime(timestamp, now) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString('en-US', {hour: 'numeric', minute: '2-digit'});
+    if (date.toDateString() === new Date(now).toDateString()) {
+        return `today at ${time}`;
+    }
+    return `${date.toDateString().slice(0, 10)} at ${time}`;
+}
+
+/**
+ * Speak a list of events, most recent first
+ * @param {SecurityEvent[]} events
+ * @param {number} [now=Date.now()]
+ * @returns {string}
+ */
+export function formatSecurityEvents(events, now = Date.now()) {
+    if (events.length === 0) {
+        return 'No matching security events were recorded in that time.';
+    }
+
+    const lines = events.map(event =>
+        `- ${describeEventTime(event.timestamp, now)}: ${describeDevice(event.device, event.location)} ${event.text}`
+    );
+    return [`${events.length} security event${events.length === 1 ? '' : 's'}, most recent first:`, ...lines].join('\n');
+}
+
+export class SecurityEventLog {
+    /**
+     * @param {string} filePath - JSON file the log is kept in
+     * @param {Object} [options]
+     * @param {number} [options.retentionDays=7]
+     * @param {number} [options.maxEvents=5000] - Oldest events are dropped beyond this
+     * @param {number} [options.flushIntervalMs=5000]
+     * @param {() => number} [options.now]
+     */
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.retentionMs = (options.retentionDays ?? 7) * DAY_MS;
+        this.maxEvents = options.maxEvents ?? 5000;
+        this.flushIntervalMs = options.flushIntervalMs ?? 5000;
+        this.now = options.now || (() => Date.now());
+        /** @type {SecurityEvent[]} - Oldest first */
+        this.events = [];
+        /** @type {Map<string, {timestamp: number, active: boolean}>} - Sensor -> last recorded state */
+        this.lastState = new Map();
+        this.dirty = false;
+        this.flushTimer = null;
+        // Set when the file exists but could not be parsed, so saving can't overwrite it
+        this.loadFailed = false;
+    }
+
+    /**
+     * Load saved events and start periodic saving
+     * @returns {Promise<number>} Number of events loaded
+     */
+    async start() {
+        await this.load();
+
+        this.flushTimer = setInterval(() => {
+            this.flush().catch(error => console.error('[Events] Failed to save event log:', error));
+        }, this.flushIntervalMs);
+        this.flushTimer.unref();
+
+        console.warn(`[Events] Loaded ${this.events.length} security event(s) from ${this.filePath}`);
+        return this.events.length;
+    }
+
+    /**
+     * @returns {Promise<number>} Number of events loaded
+     */
+    async load() {
+        let raw;
+        try {
+            raw = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.loadFailed = false;
+                return 0;
+            }
+            this.loadFailed = true;
+            throw error;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            this.loadFailed = true;
+            throw new Error(`Event log ${this.filePath} is not valid JSON: ${error.message}`);
+        }
+
+        this.loadFailed = false;
+        // Reports that arrived before loading (retained values on connect) are merged in below
+        const pending = this.events;
+        this.events = (Array.isArray(data?.events) ? data.events : [])
+            .filter(event => Number.isFinite(event?.timestamp) && event.kind in SENSOR_KINDS)
+            .sort((a, b) => a.timestamp - b.timestamp);
+        this._prune();
+
+        // Remember the last state of each sensor so retained replays after a restart aren't logged again
+        this.lastState.clear();
+        for (const event of this.events) {
+            this.lastState.set(this._sensorKey(event.location, event.device, event.kind), event);
+        }
+
+        const loaded = this.events.length;
+        pending.forEach(event => this._append(event));
+        return loaded;
+    }
+
+    /**
+     * Record a state store entry if it is a security sensor that changed
+     * @param {StateEntry} entry
+     * @returns {SecurityEvent | null} The event recorded, if any
+     */
+    record(entry) {
+        const sensor = readSensorValue(entry);
+        if (!sensor) {
+            return null;
+        }
+
+        // Topics carry sanitized names (spaces -> underscores)
+        /** @type {SecurityEvent} */
+        const event = {
+            timestamp: entry.timestamp,
+            location: entry.location.replace(/_/g, ' '),
+            device: entry.device.replace(/_/g, ' '),
+            ...sensor,
+        };
+        return this._append(event) ? event : null;
+    }
+
+    /**
+     * Events matching a query, most recent first
+     * @param {SecurityEventQuery} [query]
+     * @returns {SecurityEvent[]}
+     */
+    query({location, device, kind, activeOnly = false, from = 0, to = Infinity, limit = 20} = {}) {
+        const matches = this.events.filter(event =>
+            event.timestamp >= from &&
+            event.timestamp <= to &&
+            (!device || topicKey(event.device) === topicKey(device)) &&
+            (location === undefined || topicKey(event.location) === topicKey(location)) &&
+            (!kind || event.kind === kind) &&
+            (!activeOnly || event.active)
+        );
+        return matches.reverse().slice(0, limit);
+    }
+
+    /**
+     * Write the log if it changed (via a temp file so a crash can't truncate it)
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (!this.dirty || this.loadFailed) {
+            return;
+        }
+
+        this.dirty = false;
+        const tempPath = `${this.filePath}.tmp`;
+        try {
+            await fs.mkdir(path.dirname(this.filePath), {recursive: true});
+            await fs.writeFile(tempPath, `${JSON.stringify({events: this.events})}\n`, 'utf8');
+            await fs.rename(tempPath, this.filePath);
+        } catch (error) {
+            this.dirty = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Stop saving and write any pending events
+     * @returns {Promise<void>}
+     */
+    async close() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+        await this.flush();
+    }
+
+    /**
+     * Add an event unless it is a replay or repeats the sensor's last state
+     * @private
+     * @param {SecurityEvent} event
+     * @returns {boolean} Whether the event was added
+     */
+    _append(event) {
+        const key = this._sensorKey(event.location, event.device, event.kind);
+        const last = this.lastState.get(key);
+
+        // Retained replays repeat the last timestamp; repeated reports of the same state aren't events
+        if (last && (event.timestamp <= last.timestamp || last.active === event.active)) {
+            return false;
+        }
+
+        this.lastState.set(key, event);
+        this.events.push(event);
+        // Devices report with their own timestamps, so keep the log in time order
+        if (this.events.length > 1 && this.events[this.events.length - 2].timestamp > event.timestamp) {
+            this.events.sort((a, b) => a.timestamp - b.timestamp);
+        }
+        this._prune();
+        this.dirty = true;
+        return true;
+    }
+
+    /**
+     * Drop events past the retention period or the size cap
+     * @private
+     */
+    _prune() {
+        const cutoff = this.now() - this.retentionMs;
+        const firstKept = this.events.findIndex(event => event.timestamp >= cutoff);
+        const start = firstKept === -1 ? this.events.length : firstKept;
+        this.events = this.events.slice(Math.max(start, this.events.length - this.maxEvents));
+    }
+
+    /**
+     * @private
+     * @param {string} location
+     * @param {string} device
+     * @param {string} kind
+     * @returns {string}
+     */
+    _sensorKey(location, device, kind) {
+        return `${topicKey(location)}|${topicKey(device)}|${kind}`;
+    }
+}
@@ -0,0 +1,567 @@
+/**
+ * Simulated Z-Wave JS UI and MQTT broker for offline development.
+ *
+ * Serves virtual nodes from a fixture file (default simulator-nodes.json) the way Z-Wave JS UI does:
+ * - socket.io INITED returns the node list and ZWAVE_API runs rename, ping, refresh and inclusion calls
+ * - an in-process MQTT broker (Aedes) carries retained value reports on the usual topics:
+ *     zwave/[Location/]Device_Name/command_class/endpoint_N/property[/propertyKey]
+ *
+ * Anything published to a value's /set topic is applied to the node, so switches, dimmers, locks,
+ * barriers and thermostats report their new targetX/currentX like real hardware. Multilevel sensors
+ * drift, power meters follow their switch and motion sensors trip now and then on a timer.
+ *
+ * Run it standalone with `npm run simulator`, or in-process with ZWAVE_SIMULATOR=true.
+ */
+
+import fs from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import {Aedes} from 'aedes';
+import {Server as SocketServer} from 'socket.io';
+import {DeviceRegistryBuilder} from './device-registry.js';
+import {extractPayloadValue} from './state-confirmation.js';
+import {BINARY_SENSOR_CC, NOTIFICATION_CC} from './security-sensors.js';
+
+/** @typedef {import('./types.js').ZWaveNode} ZWaveNode */
+/** @typedef {import('./config.js').SimulatorConfig} SimulatorConfig */
+
+const SWITCH_BINARY_CC = 37;
+const SWITCH_MULTILEVEL_CC = 38;
+const SENSOR_MULTILEVEL_CC = 49;
+const METER_CC = 50;
+const BATTERY_CC = 128;
+
+const MOTION_DETECTED = 8;
+/** Chance per sensor tick that an idle motion sensor trips */
+const MOTION_CHANCE = 0.2;
+
+/** Largest change per sensor tick, by unit */
+const SENSOR_DRIFT = {
+    '°F': 0.4,
+    '°C': 0.2,
+    '%': 1,
+    Lux: 15,
+    lux: 15,
+};
+
+/** Z-Wave JS UI APIs the simulator accepts without doing anything */
+const NO_OP_APIS = new Set([
+    'startInclusion',
+    'stopInclusion',
+    'startExclusion',
+    'stopExclusion',
+    'beginRebuildingRoutes',
+    'stopRebuildingRoutes',
+]);
+
+/**
+ * @typedef {Object} SimulatedMessage
+ * @property {string} topic
+ * @property {Record<string, any>} payload - Z-Wave JS UI's "JSON Time-Value" payload
+ */
+
+/**
+ * @typedef {Object} ApiResult
+ * @property {{ success: boolean, message: string, result?: any }} response - ZWAVE_API acknowledgement
+ * @property {SimulatedMessage[]} messages - Value reports caused by the call
+ */
+
+/**
+ * Z-Wave JS UI's value id, e.g. '4-37-1-currentValue' or '9-67-0-setpoint-1'
+ * @param {number} nodeId
+ * @param {Record<string, any>} value
+ * @returns {string}
+ */
+function valueId(nodeId, value) {
+    const key = value.propertyKey !== undefined && value.propertyKey !== null ? `-${value.propertyKey}` : '';
+    return `${nodeId}-${value.commandClass}-${value.endpoint}-${value.property}${key}`;
+}
+
+/**
+ * Turn a fixture entry into a node shaped like Z-Wave JS UI's INITED response.
+ * Fixture values are a list; nodes default to ready, available and alive.
+ * @param {any} raw
+ * @returns {ZWaveNode}
+ * @throws {Error} If the entry has no valid id or name, or a value has no command class or property
+ */
+export function normalizeFixtureNode(raw) {
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('node must be an object');
+    }
+    if (!Number.isInteger(raw.id) || raw.id < 1) {
+        throw new Error('id must be a positive integer');
+    }
+    if (typeof raw.name !== 'string' || !raw.name.trim()) {
+        throw new Error('name is required');
+    }
+
+    const rawValues = raw.values === undefined ? [] : raw.values;
+    if (!Array.isArray(rawValues)) {
+        throw new Error('values must be a list');
+    }
+
+    const values = {};
+    for (const entry of rawValues) {
+        if (!entry || !Number.isInteger(entry.commandClass) || entry.property === undefined) {
+            throw new Error('every value needs a commandClass and property');
+        }
+        const value = {endpoint: 0, writeable: true, ...entry};
+        value.id = valueId(raw.id, value);
+        value.nodeId = raw.id;
+        values[value.id] = value;
+    }
+
+    const batteryLevels = Object.values(values)
+        .filter(value => value.commandClass === BATTERY_CC && value.property === 'level')
+        .map(value => Number(value.value));
+
+    return {
+        ready: true,
+        available: true,
+        failed: false,
+        status: raw.isListening === false ? 'Asleep' : 'Alive',
+        interviewStage: 'Complete',
+        isListening: true,
+        ...raw,
+        name: raw.name.trim(),
+        loc: raw.loc || '',
+        lastActive: Date.now(),
+        ...(batteryLevels.length > 0 ? {minBatteryLevel: Math.min(...batteryLevels)} : {}),
+        values,
+    };
+}
+
+/**
+ * Load virtual nodes from a fixture file
+ * @param {string} filePath - JSON file with a "nodes" list
+ * @returns {Promise<ZWaveNode[]>}
+ * @throws {Error} If the file is missing, not valid JSON or has no "nodes" list
+ */
+export async function loadFixture(filePath) {
+    let raw;
+    try {
+        raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Simulator fixture ${filePath} not found`);
+        }
+        throw error;
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Simulator fixture ${filePath} is not valid JSON: ${error.message}`);
+    }
+
+    if (!parsed || !Array.isArray(parsed.nodes)) {
+        throw new Error(`Simulator fixture ${filePath} must contain a "nodes" list`);
+    }
+
+    const nodes = [];
+    const ids = new Set();
+    parsed.nodes.forEach((entry, index) => {
+        try {
+            const node = normalizeFixtureNode(entry);
+            if (ids.has(node.id)) {
+                throw new Error(`node ${node.id} is listed twice`);
+            }
+            ids.add(node.id);
+            nodes.push(node);
+        } catch (error) {
+            console.warn(`[Simulator] Skipping fixture node ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return nodes;
+}
+
+/**
+ * Virtual Z-Wave network: node state, value reports, /set handling and synthetic sensor readings.
+ * Nothing here touches the network, so it can be driven directly in tests.
+ */
+export class VirtualNetwork {
+    /**
+     * @param {ZWaveNode[]} nodes
+     * @param {Object} [options]
+     * @param {() => number} [options.random=Math.random]
+     * @param {() => number} [options.now=Date.now]
+     */
+    constructor(nodes, {random = Math.random, now = Date.now} = {}) {
+        /** @type {Map<number, ZWaveNode>} */
+        this.nodes = new Map(nodes.map(node => [node.id, node]));
+        this.random = random;
+        this.now = now;
+        this.registryBuilder = new DeviceRegistryBuilder();
+        /** @type {Map<string, number>} - Meter value id -> fixture reading that power drifts around */
+        this.baselines = new Map();
+        /** @type {Map<string, number>} - Dimmer value id -> level restored by "on" */
+        this.lastLevels = new Map();
+        this.lastTick = now();
+
+        for (const node of this.nodes.values()) {
+            for (const value of Object.values(node.values)) {
+                if (value.commandClass === METER_CC && typeof value.value === 'number') {
+                    this.baselines.set(value.id, value.value);
+                }
+            }
+        }
+    }
+
+    /** @returns {ZWaveNode[]} */
+    getNodes() {
+        return [...this.nodes.values()];
+    }
+
+    /**
+     * @param {ZWaveNode} node
+     * @param {Record<string, any>} value
+     * @returns {string}
+     */
+    topicFor(node, value) {
+        const builder = this.registryBuilder;
+        const propertyKey = value.propertyKey !== undefined && value.propertyKey !== null
+            ? builder.sanitizeForTopic(String(value.propertyKey))
+            : undefined;
+        return builder.buildValueTopic(node.loc, node.name, value.commandClass, builder.sanitizeForTopic(String(value.property)), propertyKey, value.endpoint);
+    }
+
+    /**
+     * @param {ZWaveNode} node
+     * @param {Record<string, any>} value
+     * @returns {SimulatedMessage}
+     */
+    report(node, value) {
+        return {topic: this.topicFor(node, value), payload: {time: this.now(), value: value.value}};
+    }
+
+    /**
+     * Every value and node status, as published when the simulator starts
+     * @param {ZWaveNode[]} [nodes] - Defaults to every node
+     * @returns {SimulatedMessage[]}
+     */
+    snapshot(nodes = this.getNodes()) {
+        return nodes.flatMap(node => {
+            const location = this.registryBuilder.sanitizeForTopic(node.loc);
+            const status = {
+                topic: `zwave/${location ? `${location}/` : ''}${this.registryBuilder.sanitizeForTopic(node.name)}/status`,
+                payload: {time: this.now(), value: node.available, status: node.status, nodeId: node.id},
+            };
+            return [status, ...Object.values(node.values).map(value => this.report(node, value))];
+        });
+    }
+
+    /**
+     * @param {string} topic - Value topic without /set
+     * @returns {{ node: ZWaveNode, value: Record<string, any> } | null}
+     */
+    findValue(topic) {
+        for (const node of this.nodes.values()) {
+            for (const value of Object.values(node.values)) {
+                if (this.topicFor(node, value) === topic) {
+                    return {node, value};
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Apply a write the way the device would: targetX/set also moves currentX, other writable values change in place
+     * @param {string} topic - e.g. zwave/Kitchen/Kitchen_Light/switch_binary/endpoint_0/targetValue/set
+     * @param {any} message - {value} payload or a bare value
+     * @returns {SimulatedMessage[]} Reports to publish, empty if the topic isn't a known value
+     */
+    handleSet(topic, message) {
+        if (!topic.endsWith('/set')) {
+            return [];
+        }
+        const match = this.findValue(topic.slice(0, -'/set'.length));
+        if (!match) {
+            return [];
+        }
+
+        const {node, value} = match;
+        const property = String(value.property);
+        const state = property.startsWith('target')
+            ? Object.values(node.values).find(candidate => candidate.commandClass === value.commandClass
+                && candidate.endpoint === value.endpoint
+                && candidate.property === `current${property.slice('target'.length)}`) || value
+            : value;
+
+        const next = this.coerce(value.commandClass, state, extractPayloadValue(message));
+        value.value = next;
+        state.value = next;
+        node.lastActive = this.now();
+
+        return state === value ? [this.report(node, value)] : [this.report(node, value), this.report(node, state)];
+    }
+
+    /**
+     * @param {number} commandClass
+     * @param {Record<string, any>} state - Value that reports the result
+     * @param {any} requested
+     * @returns {any}
+     */
+    coerce(commandClass, state, requested) {
+        if (commandClass === SWITCH_BINARY_CC) {
+            return requested === true || requested === 'true' || Number(requested) > 0;
+        }
+
+        if (commandClass === SWITCH_MULTILEVEL_CC) {
+            if (Number(state.value) > 0) {
+                this.lastLevels.set(state.id, Number(state.value));
+            }
+            // true and 255 restore the last level, like the real command
+            if (requested === true || Number(requested) === 255) {
+                return this.lastLevels.get(state.id) || 99;
+            }
+            if (requested === false) {
+                return 0;
+            }
+            return Math.max(0, Math.min(99, Math.round(Number(requested) || 0)));
+        }
+
+        return requested;
+    }
+
+    /**
+     * Produce one round of synthetic readings
+     * @returns {SimulatedMessage[]}
+     */
+    tickSensors() {
+        const now = this.now();
+        const hours = Math.max(0, now - this.lastTick) / (60 * 60 * 1000);
+        this.lastTick = now;
+
+        const messages = [];
+        for (const node of this.nodes.values()) {
+            if (!node.available) {
+                continue;
+            }
+
+            const values = Object.values(node.values);
+            const watts = values.find(value => value.commandClass === METER_CC && value.unit === 'W');
+
+            for (const value of values) {
+                const next = this.nextReading(node, value, watts, hours);
+                if (next !== undefined && next !== value.value) {
+                    value.value = next;
+                    node.lastActive = now;
+                    messages.push(this.report(node, value));
+                }
+            }
+        }
+        return messages;
+    }
+
+    /**
+     * @param {ZWaveNode} node
+     * @param {Record<string, any>} value
+     * @param {Record<string, any> | undefined} watts - The node's power meter, if any
+     * @param {number} hours - Time since the last tick
+     * @returns {any} The new reading, or undefined if the value isn't simulated
+     */
+    nextReading(node, value, watts, hours) {
+        const round = (number, digits) => Number(number.toFixed(digits));
+
+        if (value.commandClass === SENSOR_MULTILEVEL_CC && typeof value.value === 'number') {
+            const drift = SENSOR_DRIFT[value.unit] ?? Math.max(0.1, Math.abs(value.value) * 0.02);
+            const isTemperature = /temperature/i.test(String(value.property));
+            const min = value.min ?? (isTemperature ? -Infinity : 0);
+            const max = value.max ?? Infinity;
+            return round(Math.max(min, Math.min(max, value.value + (this.random() * 2 - 1) * drift)), 1);
+        }
+
+        if (value.commandClass === METER_CC && value === watts) {
+            return this.isSwitchedOff(node) ? 0 : round(this.baselines.get(value.id) * (0.9 + this.random() * 0.2), 1);
+        }
+
+        if (value.commandClass === METER_CC && value.unit === 'kWh' && watts) {
+            return round(value.value + (Number(watts.value) / 1000) * hours, 3);
+        }
+
+        if (value.commandClass === NOTIFICATION_CC && value.propertyKey === 'Motion sensor status') {
+            if (value.value === MOTION_DETECTED) {
+                return 0;
+            }
+            return this.random() < MOTION_CHANCE ? MOTION_DETECTED : value.value;
+        }
+
+        if (value.commandClass === BINARY_SENSOR_CC && value.property === 'Motion') {
+            return value.value ? false : this.random() < MOTION_CHANCE;
+        }
+
+        return undefined;
+    }
+
+    /**
+     * @param {ZWaveNode} node
+     * @returns {boolean} Whether the node's main switch reports off
+     */
+    isSwitchedOff(node) {
+        const current = Object.values(node.values).find(value => value.endpoint === 0
+            && value.property === 'currentValue'
+            && (value.commandClass === SWITCH_BINARY_CC || value.commandClass === SWITCH_MULTILEVEL_CC));
+        return Boolean(current) && (current.value === false || current.value === 0);
+    }
+
+    /**
+     * Run a ZWAVE_API call
+     * @param {string} api
+     * @param {any[]} [args]
+     * @returns {ApiResult}
+     */
+    callApi(api, args = []) {
+        const ok = (result, messages = []) => ({response: {success: true, message: 'Success zwave api call', result}, messages});
+
+        if (NO_OP_APIS.has(api)) {
+            return ok(true);
+        }
+
+        const node = this.nodes.get(Number(args[0]));
+        const needsNode = ['setNodeName', 'setNodeLocation', 'pingNode', 'refreshValues'].includes(api);
+        if (needsNode && !node) {
+            return {response: {success: false, message: `Node ${args[0]} not found`}, messages: []};
+        }
+
+        switch (api) {
+            case 'setNodeName':
+                node.name = String(args[1]);
+                return ok(true, this.snapshot([node]));
+            case 'setNodeLocation':
+                node.loc = String(args[1]);
+                return ok(true, this.snapshot([node]));
+            case 'pingNode':
+                return ok(Boolean(node.available));
+            case 'refreshValues':
+                node.lastActive = this.now();
+                return ok(true, this.snapshot([node]));
+            default:
+                return {response: {success: false, message: `Unknown API ${api}`}, messages: []};
+        }
+    }
+}
+
+/**
+ * @param {http.Server | net.Server} server
+ * @param {number} port
+ * @param {string} host
+ * @returns {Promise<number>} The port actually bound (port 0 picks a free one)
+ */
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.removeListener('error', reject);
+            resolve(/** @type {import('net').AddressInfo} */ (server.address()).port);
+        });
+    });
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the simulated Z-Wave JS UI (HTTP + socket.io) and MQTT broker
+ * @param {SimulatorConfig} config
+ * @param {Object} [options]
+ * @param {() => number} [options.random] - For predictable sensor readings in tests
+ * @returns {Promise<{ network: VirtualNetwork, zwaveUrl: string, mqttUrl: string, tickSensors: () => Promise<void>, close: () => Promise<void> }>}
+ */
+export async function startSimulator(config, {random} = {}) {
+    const network = new VirtualNetwork(await loadFixture(config.fixturePath), {random});
+
+    const broker = await Aedes.createBroker();
+    const publish = messages => Promise.all(messages.map(({topic, payload}) => new Promise((resolve, reject) => {
+        broker.publish({cmd: 'publish', topic, payload: Buffer.from(JSON.stringify(payload)), qos: 0, retain: true, dup: false}, error => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        });
+    })));
+
+    broker.on('publish', (packet, client) => {
+        // Only clients' writes; the simulator's own reports come through with no client
+        if (!client || !packet.topic.endsWith('/set')) {
+            return;
+        }
+        let message = packet.payload.toString();
+        try {
+            message = JSON.parse(message);
+        } catch {
+            // Bare values like "true" parse above; anything else stays a string
+        }
+        publish(network.handleSet(packet.topic, message)).catch(error => {
+            console.error('[Simulator] Failed to publish value report:', error);
+        });
+    });
+
+    const mqttServer = net.createServer(broker.handle);
+    const mqttPort = await listen(mqttServer, config.mqttPort, config.host);
+
+    // Auth is accepted with any credentials so an .env with ZWAVE_UI_AUTH_ENABLED=true still works
+    const httpServer = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://simulator');
+        if (req.method === 'POST' && url.pathname === '/api/authenticate') {
+            sendJson(res, 200, {success: true, user: {username: 'simulator', token: 'simulator'}});
+        } else if (url.pathname === '/api/exportConfig') {
+            sendJson(res, 200, {success: true, data: Object.fromEntries(network.getNodes().map(node => [String(node.id), node]))});
+        } else if (url.pathname === '/api/settings') {
+            sendJson(res, 200, {success: true, settings: {mqtt: {prefix: 'zwave'}}});
+        } else if (!url.pathname.startsWith('/socket.io')) {
+            sendJson(res, 404, {success: false, message: 'Not found'});
+        }
+    });
+    const io = new SocketServer(httpServer, {path: '/socket.io'});
+    io.on('connection', (socket) => {
+        socket.on('INITED', (payload, ack) => {
+            ack({nodes: network.getNodes(), info: {appVersion: 'simulator'}});
+        });
+        socket.on('ZWAVE_API', ({api, args} = {}, ack) => {
+            const {response, messages} = network.callApi(api, args);
+            publish(messages).catch(error => {
+                console.error('[Simulator] Failed to publish value report:', error);
+            });
+            ack({...response, api, args});
+        });
+    });
+    const zwavePort = await listen(httpServer, config.zwavePort, config.host);
+
+    await publish(network.snapshot());
+
+    const tickSensors = async () => {
+        await publish(network.tickSensors());
+    };
+    const timer = config.sensorIntervalMs > 0
+        ? setInterval(() => {
+            tickSensors().catch(error => {
+                console.error('[Simulator] Failed to publish sensor readings:', error);
+            });
+        }, config.sensorIntervalMs)
+        : null;
+    timer?.unref?.();
+
+    const zwaveUrl = `http://${config.host}:${zwavePort}`;
+    const mqttUrl = `mqtt://${config.host}:${mqttPort}`;
+    console.warn(`[Simulator] ${network.nodes.size} virtual node(s) on ${zwaveUrl}, MQTT broker on ${mqttUrl}`);
+
+    const close = async () => {
+        clearInterval(timer);
+        await new Promise(resolve => io.close(() => resolve()));
+        await new Promise(resolve => broker.close(() => resolve()));
+        await new Promise(resolve => mqttServer.close(() => resolve()));
+    };
+
+    return {network, zwaveUrl, mqttUrl, tickSensors, close};
+}
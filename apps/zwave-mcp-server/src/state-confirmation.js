@@ -0,0 +1,87 @@
+/**
+ * Helpers for confirming that a device actually reached the state we asked for.
+ *
+ * After publishing to targetValue/set, the MCP server watches the matching
+ * currentValue state topic and compares what the device reports with what was sent.
+ */
+
+/**
+ * Confirmation outcome after a control command
+ * - confirmed: the device reported the requested state within the timeout
+ * - pending: the device reported, but not the requested state yet
+ * - no_response: the device reported nothing within the timeout
+ * @typedef {'confirmed' | 'pending' | 'no_response'} ConfirmationStatus
+ */
+
+/**
+ * @typedef {Object} StateWaitResult
+ * @property {ConfirmationStatus} status
+ * @property {any} [value] - Last value the device reported, if any
+ */
+
+/**
+ * Extract the value from a Z-Wave JS UI state payload.
+ * Depending on the gateway payload type this is either {"time": ..., "value": x} or the bare value.
+ * @param {any} message - Parsed MQTT payload
+ * @returns {any}
+ */
+export function extractPayloadValue(message) {
+    if (message && typeof message === 'object' && 'value' in message) {
+        return message.value;
+    }
+    return message;
+}
+
+/**
+ * Build a predicate that checks whether a reported value matches a control command.
+ * Dimmers report 0-99 and may round, so levels match within one step; "on" for a
+ * dimmer means any non-zero level.
+ *
+ * @param {'on'|'off'|'dim'} action
+ * @param {boolean|number} sentValue - Value published to targetValue/set
+ * @returns {(value: any) => boolean}
+ */
+export function buildStateMatcher(action, sentValue) {
+    return (value) => {
+        if (value === undefined || value === null) {
+            return false;
+        }
+
+        if (typeof value === 'boolean') {
+            return action === 'dim' ? value === (sentValue > 0) : value === sentValue;
+        }
+
+        const numeric = Number(value);
+        if (!Number.isFinite(numeric)) {
+            return false;
+        }
+
+        if (action === 'on') {
+            return numeric > 0;
+        }
+
+        if (action === 'off') {
+            return numeric === 0;
+        }
+
+        return Math.abs(numeric - Number(sentValue)) <= 1;
+    };
+}
+
+/**
+ * Describe a reported switch/dimmer value for a spoken response
+ * @param {any} value
+ * @returns {string} - 'on', 'off', or a percentage
+ */
+export function describeReportedValue(value) {
+    if (typeof value === 'boolean') {
+        return value ? 'on' : 'off';
+    }
+
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+        return numeric === 0 ? 'off' : `${numeric}%`;
+    }
+
+    return String(value);
+}
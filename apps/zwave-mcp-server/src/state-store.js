@@ -0,0 +1,291 @@
+/**
+ * In-memory store of every value Z-Wave JS UI publishes over MQTT.
+ *
+ * Fed by a `zwave/#` subscription, so switches, dimmers, meters, binary sensors and
+ * multilevel sensors are all cached, not just sensor_multilevel.
+ *
+ * Topic format (Z-Wave JS UI with nodeNames=true):
+ *   zwave/[Location/]Device_Name/command_class/endpoint_N/property[/propertyKey]
+ *   zwave/[Location/]Device_Name/status   (node status: Alive/Dead/Asleep)
+ *
+ * Entries are keyed by location + device + command class + endpoint + property (+ property key),
+ * so same-named devices in different locations no longer overwrite each other.
+ * Names in topics are sanitized (spaces -> underscores); lookups sanitize the same way.
+ */
+
+import {sanitizeForTopic, topicKey} from './device-registry.js';
+import {extractPayloadValue} from './state-confirmation.js';
+
+const ENDPOINT_PATTERN = /^endpoint_(\d+)$/;
+
+/**
+ * @typedef {Object} StateEntry
+ * @property {string} location - Sanitized location from the topic ('' if none)
+ * @property {string} device - Sanitized device name from the topic
+ * @property {string} commandClass - Command class topic name (e.g. 'switch_binary')
+ * @property {number} endpoint
+ * @property {string} property - Value property (e.g. 'currentValue', 'Air_temperature')
+ * @property {string} [propertyKey]
+ * @property {any} value
+ * @property {string} [unit]
+ * @property {number} timestamp - When the value was reported (ms)
+ * @property {string} topic - Full MQTT topic
+ */
+
+/**
+ * @typedef {Object} NodeStatusEntry
+ * @property {string} location
+ * @property {string} device
+ * @property {string} [status] - Z-Wave JS UI node status (e.g. 'Alive', 'Dead', 'Asleep')
+ * @property {boolean} [ready]
+ * @property {number} [nodeId]
+ * @property {number} timestamp
+ */
+
+/**
+ * Build the lookup key for a device
+ * @param {string} location
+ * @param {string} device
+ * @returns {string}
+ */
+function deviceKey(location, device) {
+    return `${topicKey(location)}|${topicKey(device)}`;
+}
+
+/**
+ * Parse a Z-Wave JS UI value topic
+ * @param {string} topic
+ * @param {string} [prefix='zwave']
+ * @returns {{ location: string, device: string, commandClass: string, endpoint: number, property: string, propertyKey?: string } | null}
+ */
+export function parseValueTopic(topic, prefix = 'zwave') {
+    const parts = topic.split('/');
+
+    if (parts[0] !== prefix || parts[parts.length - 1] === 'set') {
+        return null;
+    }
+
+    const endpointIndex = parts.findIndex(part => ENDPOINT_PATTERN.test(part));
+
+    // Need at least prefix/device/cc before the endpoint and a property after it
+    if (endpointIndex < 3 || endpointIndex >= parts.length - 1) {
+        return null;
+    }
+
+    const propertyKey = parts.slice(endpointIndex + 2).join('/');
+
+    return {
+        location: parts.slice(1, endpointIndex - 2).join('/'),
+        device: parts[endpointIndex - 2],
+        commandClass: parts[endpointIndex - 1],
+        endpoint: Number(parts[endpointIndex].match(ENDPOINT_PATTERN)[1]),
+        property: parts[endpointIndex + 1],
+        ...(propertyKey ? {propertyKey} : {}),
+    };
+}
+
+/**
+ * Overlay stored MQTT values onto a node's values so formatters see the latest reports
+ * instead of whatever the node list held when it was fetched.
+ * Values whose command class has no known topic name are left as-is.
+ *
+ * @param {Record<string, any> | undefined} values - Node values from Z-Wave JS UI
+ * @param {StateEntry[]} entries - Stored values for the same device
+ * @param {(commandClass: number) => string} getCommandClassName - Maps a CC number to its topic name
+ * @returns {Record<string, any> | undefined}
+ */
+export function overlayStoredValues(values, entries, getCommandClassName) {
+    if (!values || entries.length === 0) {
+        return values;
+    }
+
+    const byKey = new Map(entries.map(entry => [
+        [entry.commandClass, entry.endpoint, entry.property, entry.propertyKey || ''].join('|'),
+        entry,
+    ]));
+
+    const merged = {};
+    for (const [id, value] of Object.entries(values)) {
+        const key = [
+            getCommandClassName(Number(value.commandClass)),
+            Number(value.endpoint) || 0,
+            sanitizeForTopic(value.property),
+            value.propertyKey !== undefined && value.propertyKey !== null ? sanitizeForTopic(value.propertyKey) : '',
+        ].join('|');
+
+        const stored = byKey.get(key);
+        merged[id] = stored ? {...value, value: stored.value} : value;
+    }
+
+    return merged;
+}
+
+export class DeviceStateStore {
+    /**
+     * @param {string} [prefix='zwave'] - MQTT topic prefix
+     */
+    constructor(prefix = 'zwave') {
+        this.prefix = prefix;
+        /** @type {Map<string, Map<string, StateEntry>>} - Device key -> value key -> entry */
+        this.devices = new Map();
+        /** @type {Map<string, NodeStatusEntry>} - Device key -> node status */
+        this.nodeStatus = new Map();
+    }
+
+    /**
+     * Record an MQTT message
+     * @param {string} topic
+     * @param {any} message - Parsed payload
+     * @returns {StateEntry | NodeStatusEntry | null} The stored entry, or null if the topic is not a device value
+     */
+    update(topic, message) {
+        const timestamp = message && typeof message === 'object' && Number.isFinite(message.time)
+            ? message.time
+            : Date.now();
+
+        const parsed = parseValueTopic(topic, this.prefix);
+
+        if (!parsed) {
+            return this._updateNodeStatus(topic, message, timestamp);
+        }
+
+        /** @type {StateEntry} */
+        const entry = {
+            ...parsed,
+            value: extractPayloadValue(message),
+            timestamp,
+            topic,
+        };
+
+        if (message && typeof message === 'object' && message.unit) {
+            entry.unit = message.unit;
+        }
+
+        const key = deviceKey(parsed.location, parsed.device);
+        if (!this.devices.has(key)) {
+            this.devices.set(key, new Map());
+        }
+
+        const valueKey = [parsed.commandClass, parsed.endpoint, parsed.property, parsed.propertyKey || ''].join('|');
+        this.devices.get(key).set(valueKey, entry);
+
+        return entry;
+    }
+
+    /**
+     * All values reported by a device
+     * @param {string} location - Device location ('' if none)
+     * @param {string} deviceName - Device name (friendly or sanitized)
+     * @returns {StateEntry[]} Most recent first
+     */
+    getDeviceValues(location, deviceName) {
+        const values = this.devices.get(deviceKey(location, deviceName));
+        return values ? [...values.values()].sort((a, b) => b.timestamp - a.timestamp) : [];
+    }
+
+    /**
+     * Get a single value
+     * @param {string} location
+     * @param {string} deviceName
+     * @param {string} commandClass - Command class topic name (e.g. 'switch_binary')
+     * @param {string} [property='currentValue']
+     * @param {number} [endpoint=0]
+     * @returns {StateEntry | undefined}
+     */
+    getValue(location, deviceName, commandClass, property = 'currentValue', endpoint = 0) {
+        return this.getDeviceValues(location, deviceName).find(entry =>
+            entry.commandClass === commandClass &&
+            entry.property === property &&
+            entry.endpoint === endpoint
+        );
+    }
+
+    /**
+     * Find values for a device by name in any location
+     * @param {string} deviceName
+     * @param {string} [commandClass] - Optional command class filter
+     * @returns {StateEntry[]} Most recent first
+     */
+    findValuesByName(deviceName, commandClass) {
+        const wanted = topicKey(deviceName);
+        const matches = [];
+
+        for (const [key, values] of this.devices.entries()) {
+            if (key.split('|')[1] !== wanted) continue;
+
+            for (const entry of values.values()) {
+                if (!commandClass || entry.commandClass === commandClass) {
+                    matches.push(entry);
+                }
+            }
+        }
+
+        return matches.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Get node status (Alive/Dead/Asleep) if Z-Wave JS UI has published it
+     * @param {string} location
+     * @param {string} deviceName
+     * @returns {NodeStatusEntry | undefined}
+     */
+    getNodeStatus(location, deviceName) {
+        return this.nodeStatus.get(deviceKey(location, deviceName));
+    }
+
+    /**
+     * Most recent report from a device across all of its values
+     * @param {string} location
+     * @param {string} deviceName
+     * @returns {number | null} Timestamp in ms
+     */
+    getLastReported(location, deviceName) {
+        const [latest] = this.getDeviceValues(location, deviceName);
+        return latest ? latest.timestamp : null;
+    }
+
+    /**
+     * Every stored value (for debugging)
+     * @returns {StateEntry[]}
+     */
+    getAllValues() {
+        return [...this.devices.values()].flatMap(values => [...values.values()]);
+    }
+
+    clear() {
+        this.devices.clear();
+        this.nodeStatus.clear();
+    }
+
+    /**
+     * @private
+     * @param {string} topic
+     * @param {any} message
+     * @param {number} timestamp
+     * @returns {NodeStatusEntry | null}
+     */
+    _updateNodeStatus(topic, message, timestamp) {
+        const parts = topic.split('/');
+
+        // zwave/[Location/]Device_Name/status, excluding gateway client topics (zwave/_CLIENTS/...)
+        if (parts[0] !== this.prefix || parts[parts.length - 1] !== 'status' || parts.length < 3 || parts[1].startsWith('_')) {
+            return null;
+        }
+
+        /** @type {NodeStatusEntry} */
+        const entry = {
+            location: parts.slice(1, -2).join('/'),
+            device: parts[parts.length - 2],
+            timestamp,
+        };
+
+        if (message && typeof message === 'object') {
+            if (typeof message.status === 'string') entry.status = message.status;
+            if (typeof message.value === 'boolean') entry.ready = message.value;
+            if (Number.isFinite(message.nodeId)) entry.nodeId = message.nodeId;
+        }
+
+        this.nodeStatus.set(deviceKey(entry.location, entry.device), entry);
+        return entry;
+    }
+}
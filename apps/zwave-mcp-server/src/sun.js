@@ -0,0 +1,67 @@
+/**
+ * Sunrise and sunset times for automation conditions like "after sunset".
+ *
+ * Uses the standard sunrise equation (as in NOAA's and SunCalc's approximations), which is
+ * accurate to within a minute or two for latitudes outside the polar circles.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = RAD * 23.4397;
+
+// Sun's apparent upper edge touching the horizon, including refraction
+const HORIZON = RAD * -0.833;
+
+/**
+ * @param {number} ms
+ * @returns {number} Days since J2000
+ */
+function toDays(ms) {
+    return ms / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+/**
+ * @param {number} julian
+ * @returns {number} ms
+ */
+function fromJulian(julian) {
+    return (julian + 0.5 - J1970) * DAY_MS;
+}
+
+/**
+ * Sunrise and sunset for the solar day nearest to the given time
+ * @param {number} timestamp - ms; pass local noon to get that calendar day's times
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east
+ * @returns {{ sunrise: number, sunset: number } | null} ms, or null during polar day or night
+ */
+export function getSunTimes(timestamp, latitude, longitude) {
+    const lw = RAD * -longitude;
+    const phi = RAD * latitude;
+
+    const cycle = Math.round(toDays(timestamp) - J0 - lw / (2 * Math.PI));
+    const approxTransit = (hourAngle) => J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+
+    const ds = approxTransit(0);
+    const meanAnomaly = RAD * (357.5291 + 0.98560028 * ds);
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    const eclipticLongitude = meanAnomaly + center + RAD * 102.9372 + Math.PI;
+    const declination = Math.asin(Math.sin(OBLIQUITY) * Math.sin(eclipticLongitude));
+
+    const equationOfTime = 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+    const noon = J2000 + ds + equationOfTime;
+
+    const cosHourAngle = (Math.sin(HORIZON) - Math.sin(phi) * Math.sin(declination)) /
+        (Math.cos(phi) * Math.cos(declination));
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+        return null;
+    }
+
+    const set = J2000 + approxTransit(Math.acos(cosHourAngle)) + equationOfTime;
+    const rise = noon - (set - noon);
+
+    return {sunrise: fromJulian(rise), sunset: fromJulian(set)};
+}
@@ -0,0 +1,207 @@
+/**
+ * Thermostat helpers for the Z-Wave MCP server.
+ *
+ * Thermostats expose two command classes that matter for voice control:
+ * - Thermostat Mode (CC 64): property "mode" (0 = off, 1 = heat, 2 = cool, 3 = auto)
+ * - Thermostat Setpoint (CC 67): property "setpoint", keyed by setpoint type (1 = heating, 2 = cooling)
+ *
+ * Z-Wave JS UI publishes these as:
+ *   zwave/[Location/]Device_Name/thermostat_mode/endpoint_0/mode
+ *   zwave/[Location/]Device_Name/thermostat_setpoint/endpoint_0/setpoint/1
+ * and accepts writes on the same topics with a trailing "/set".
+ */
+
+export const THERMOSTAT_MODE_CC = 64;
+export const THERMOSTAT_SETPOINT_CC = 67;
+const SENSOR_MULTILEVEL_CC = 49;
+
+/** Mode names accepted by the control_thermostat tool mapped to Z-Wave mode values */
+export const THERMOSTAT_MODES = {
+    off: 0,
+    heat: 1,
+    cool: 2,
+    auto: 3,
+};
+
+/** Setpoint types (Thermostat Setpoint CC property keys) */
+export const SETPOINT_TYPES = {
+    heat: 1,
+    cool: 2,
+};
+
+/** Friendly names for every mode value a thermostat may report */
+const MODE_NAMES = {
+    0: 'off',
+    1: 'heat',
+    2: 'cool',
+    3: 'auto',
+    4: 'auxiliary heat',
+    5: 'resume',
+    6: 'fan only',
+    7: 'furnace',
+    8: 'dry',
+    9: 'moist',
+    10: 'auto changeover',
+    11: 'energy save heat',
+    12: 'energy save cool',
+    13: 'away',
+    15: 'full power',
+    31: 'manufacturer specific',
+};
+
+/**
+ * Get a friendly name for a reported thermostat mode value
+ * @param {number} value - Z-Wave Thermostat Mode value
+ * @returns {string}
+ */
+export function getThermostatModeName(value) {
+    return MODE_NAMES[value] || `mode ${value}`;
+}
+
+/**
+ * Check whether a node exposes thermostat command classes
+ * @param {import('./types.js').ZWaveNode} node
+ * @returns {boolean}
+ */
+export function isThermostatNode(node) {
+    const values = node && node.values ? Object.values(node.values) : [];
+    return values.some((value) => {
+        const cc = Number(value && value.commandClass);
+        return cc === THERMOSTAT_MODE_CC || cc === THERMOSTAT_SETPOINT_CC;
+    });
+}
+
+/**
+ * Pick the setpoint type to change.
+ * An explicit type wins, then the requested mode, then the mode the thermostat is already in.
+ * Falls back to heating because that is the setpoint every thermostat supports.
+ *
+ * @param {string} [requestedType] - 'heat' or 'cool'
+ * @param {string} [requestedMode] - Mode being set in the same call
+ * @param {number|null} [currentMode] - Mode value currently reported by the device
+ * @returns {'heat'|'cool'}
+ */
+export function resolveSetpointType(requestedType, requestedMode, currentMode) {
+    if (requestedType === 'heat' || requestedType === 'cool') {
+        return requestedType;
+    }
+
+    if (requestedMode === 'cool' || requestedMode === 'heat') {
+        return requestedMode;
+    }
+
+    if (currentMode === THERMOSTAT_MODES.cool) {
+        return 'cool';
+    }
+
+    return 'heat';
+}
+
+/**
+ * @typedef {Object} ThermostatState
+ * @property {number|null} mode - Raw mode value (null if not reported)
+ * @property {string|null} modeName - Friendly mode name
+ * @property {Record<'heat'|'cool', {value: number, unit: string}>} setpoints - Reported setpoints by type
+ * @property {{value: number, unit: string} | null} temperature - Ambient temperature if the thermostat reports one
+ */
+
+/**
+ * Read current mode, setpoints and ambient temperature from Z-Wave JS UI node values
+ * @param {import('./types.js').ZWaveNode} node
+ * @returns {ThermostatState}
+ */
+export function readThermostatState(node) {
+    const values = node && node.values ? Object.values(node.values) : [];
+
+    /** @type {ThermostatState} */
+    const state = {
+        mode: null,
+        modeName: null,
+        setpoints: {},
+        temperature: null,
+    };
+
+    for (const value of values) {
+        if (!value || value.value === undefined || value.value === null) continue;
+
+        const cc = Number(value.commandClass);
+
+        if (cc === THERMOSTAT_MODE_CC && value.property === 'mode') {
+            state.mode = Number(value.value);
+            state.modeName = getThermostatModeName(state.mode);
+        } else if (cc === THERMOSTAT_SETPOINT_CC && value.property === 'setpoint') {
+            const key = Number(value.propertyKey);
+            const type = key === SETPOINT_TYPES.cool ? 'cool' : key === SETPOINT_TYPES.heat ? 'heat' : null;
+            if (type) {
+                state.setpoints[type] = {value: Number(value.value), unit: value.unit || ''};
+            }
+        } else if (cc === SENSOR_MULTILEVEL_CC && String(value.property).toLowerCase().includes('temperature')) {
+            state.temperature = {value: Number(value.value), unit: value.unit || ''};
+        }
+    }
+
+    return state;
+}
+
+/**
+ * Format thermostat state for a spoken response
+ * @param {string} deviceName
+ * @param {ThermostatState} state
+ * @returns {string} - e.g. 'Downstairs Thermostat is in heat mode, heating to 68°F, currently 66°F.'
+ */
+export function formatThermostatState(deviceName, state) {
+    const parts = [];
+
+    parts.push(state.modeName ? `is in ${state.modeName} mode` : 'has not reported its mode');
+
+    if (state.setpoints.heat) {
+        parts.push(`heating to ${state.setpoints.heat.value}${state.setpoints.heat.unit}`);
+    }
+
+    if (state.setpoints.cool) {
+        parts.push(`cooling to ${state.setpoints.cool.value}${state.setpoints.cool.unit}`);
+    }
+
+    if (state.temperature) {
+        parts.push(`currently ${state.temperature.value}${state.temperature.unit}`);
+    }
+
+    return `${deviceName} ${parts.join(', ')}.`;
+}
+
+/**
+ * @typedef {Object} ThermostatChange
+ * @property {string} description - e.g. 'set the mode to heat'
+ * @property {(value: any) => string} describe - Describes a reported value, e.g. 'the mode is heat'
+ * @property {import('./state-confirmation.js').StateWaitResult} outcome - What the state topic reported
+ */
+
+/**
+ * Describe whether a thermostat confirmed each requested change
+ * @param {string} deviceName
+ * @param {ThermostatChange[]} changes
+ * @param {number} timeoutMs - How long each change was waited for
+ * @returns {{ text: string, responded: boolean }} responded is false when any change got no report at all
+ */
+export function formatThermostatConfirmation(deviceName, changes, timeoutMs) {
+    const seconds = Math.round(timeoutMs / 100) / 10;
+    const confirmed = changes.filter(change => change.outcome.status === 'confirmed');
+    const sentences = [];
+
+    if (confirmed.length > 0) {
+        sentences.push(`Confirmed: on ${deviceName}, ${confirmed.map(change => change.describe(change.outcome.value)).join(' and ')}.`);
+    }
+
+    for (const change of changes) {
+        if (change.outcome.status === 'pending') {
+            sentences.push(`Pending: sent command to ${change.description} on ${deviceName}, but ${change.describe(change.outcome.value)}. It may take a moment to update.`);
+        } else if (change.outcome.status !== 'confirmed') {
+            sentences.push(`Unconfirmed: sent command to ${change.description} on ${deviceName}, but it did not report back within ${seconds} seconds. It may be offline or out of range.`);
+        }
+    }
+
+    return {
+        text: sentences.join(' '),
+        responded: changes.every(change => change.outcome.status !== 'no_response'),
+    };
+}
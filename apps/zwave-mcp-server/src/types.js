@@ -16,6 +16,12 @@
  * @property {number} [lastActive]
  * @property {Record<string, any>} [values]
  * @property {Record<string, any>} [hassDevices]
+ * @property {string} [interviewStage] - e.g. 'ProtocolInfo', 'Complete'
+ * @property {boolean} [isListening] - false for battery devices that sleep
+ * @property {boolean} [isControllerNode]
+ * @property {number} [minBatteryLevel] - Lowest battery level across endpoints
+ * @property {Record<string, any>} [statistics] - zwave-js node statistics (commandsTX, rtt, rssi, lwr, ...)
+ * @property {{ index: number, label?: string }[]} [endpoints]
  */
 
 /**
@@ -24,8 +30,19 @@
  * @property {string} name
  * @property {string} location
  * @property {{ control: string; state: string }} topics
- * @property {'switch' | 'dimmer' | 'thermostat' | 'sensor' | 'unknown'} type
+ * @property {'switch' | 'dimmer' | 'thermostat' | 'sensor' | 'lock' | 'barrier' | 'unknown'} type
  * @property {number} commandClass
+ * @property {DeviceEndpoint[]} [endpoints] - Separately switchable endpoints of a multi-channel device
+ * @property {number} [endpoint] - Set on entries that stand for a single endpoint
+ */
+
+/**
+ * @typedef {Object} DeviceEndpoint
+ * @property {number} index - Endpoint index (1 and up)
+ * @property {string} name - Sub-device name (e.g. 'Power Strip outlet 2')
+ * @property {'switch' | 'dimmer'} type
+ * @property {number} commandClass
+ * @property {{ control: string; state: string }} topics
  */
 
 /**
@@ -41,6 +58,8 @@
  * @property {string} brokerUrl
  * @property {string} [username]
  * @property {string} [password]
+ * @property {string} [topicPrefix]
+ * @property {{ topic: string, payload: string }} [will] - Published (retained) by the broker if the connection drops
  */
 
 /**
@@ -0,0 +1,262 @@
+/**
+ * Zigbee2MQTT device backend.
+ *
+ * Zigbee2MQTT announces its devices (retained) on <base>/bridge/devices, each with an "exposes"
+ * list describing what it can do, and reports and accepts state as JSON per device:
+ *   zigbee2mqtt/Kitchen/Ceiling Light                {"state": "ON", "brightness": 127}
+ *   zigbee2mqtt/Kitchen/Ceiling Light/set            {"state": "ON", "brightness": 127}
+ *   zigbee2mqtt/Kitchen/Ceiling Light/availability   {"state": "online"}
+ *
+ * Friendly names may contain slashes; everything before the last one is used as the location.
+ * Availability is only reported when it is enabled in Zigbee2MQTT, otherwise it stays unknown.
+ */
+
+import {describeSwitchState, scaleLevel, splitLocation, switchReportMatches} from './backends.js';
+
+/** @typedef {import('./backends.js').BackendDevice} BackendDevice */
+/** @typedef {import('./backends.js').BackendCommand} BackendCommand */
+/** @typedef {import('./backends.js').SwitchReport} SwitchReport */
+
+/** Zigbee brightness range when a device doesn't say */
+const DEFAULT_BRIGHTNESS_MAX = 254;
+
+/** Sensor properties read aloud, in order, with how to speak each value */
+const SENSOR_PROPERTIES = [
+    ['contact', value => (value ? 'closed' : 'open')],
+    ['occupancy', value => (value ? 'motion' : 'no motion')],
+    ['water_leak', value => (value ? 'water leak detected' : 'dry')],
+    ['smoke', value => (value ? 'smoke detected' : 'no smoke')],
+    ['temperature', value => `${value}°C`],
+    ['humidity', value => `${value}% humidity`],
+];
+
+/** Expose types that don't take on/off, mapped to the registry's device types */
+const EXPOSE_TYPES = {
+    climate: 'thermostat',
+    lock: 'lock',
+    cover: 'barrier',
+};
+
+/**
+ * @typedef {Object} ZigbeeDevice
+ * @property {string} friendlyName
+ * @property {BackendDevice['type']} type
+ * @property {string} [stateProperty] - e.g. 'state' or 'state_l1'
+ * @property {string} [valueOn]
+ * @property {string} [valueOff]
+ * @property {string} [brightnessProperty] - Set for dimmable lights
+ * @property {number} [brightnessMax]
+ */
+
+/**
+ * Work out what a device is from its exposes: the first light or switch makes it controllable
+ * @param {Object} definition - Device definition from bridge/devices
+ * @returns {Omit<ZigbeeDevice, 'friendlyName'>}
+ */
+export function classifyExposes(definition) {
+    const exposes = Array.isArray(definition && definition.exposes) ? definition.exposes : [];
+
+    for (const expose of exposes) {
+        if (!['light', 'switch'].includes(expose.type) || !Array.isArray(expose.features)) {
+            continue;
+        }
+        const state = expose.features.find(feature => feature.name === 'state');
+        if (!state) {
+            continue;
+        }
+        const brightness = expose.type === 'light'
+            ? expose.features.find(feature => feature.name === 'brightness')
+            : undefined;
+
+        return {
+            type: brightness ? 'dimmer' : 'switch',
+            stateProperty: state.property,
+            valueOn: state.value_on ?? 'ON',
+            valueOff: state.value_off ?? 'OFF',
+            ...(brightness ? {
+                brightnessProperty: brightness.property,
+                brightnessMax: brightness.value_max || DEFAULT_BRIGHTNESS_MAX,
+            } : {}),
+        };
+    }
+
+    const other = exposes.find(expose => expose.type in EXPOSE_TYPES);
+    if (other) {
+        return {type: EXPOSE_TYPES[other.type]};
+    }
+
+    return {type: exposes.length > 0 ? 'sensor' : 'unknown'};
+}
+
+export class Zigbee2MQTTBackend {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.baseTopic='zigbee2mqtt']
+     * @param {() => number} [options.now]
+     */
+    constructor({baseTopic = 'zigbee2mqtt', now = Date.now} = {}) {
+        this.id = 'zigbee2mqtt';
+        this.label = 'Zigbee2MQTT';
+        this.baseTopic = baseTopic;
+        this.topics = [`${baseTopic}/#`];
+        this.now = now;
+        /** @type {Map<string, ZigbeeDevice>} - Friendly name -> device */
+        this.devices = new Map();
+        /** @type {Map<string, Record<string, any>>} - Friendly name -> last reported state */
+        this.states = new Map();
+        /** @type {Map<string, boolean>} */
+        this.availability = new Map();
+        /** @type {Map<string, number>} */
+        this.lastSeen = new Map();
+    }
+
+    /**
+     * @param {string} topic
+     * @param {any} message - Parsed payload
+     * @returns {boolean}
+     */
+    handleMessage(topic, message) {
+        if (!topic.startsWith(`${this.baseTopic}/`)) {
+            return false;
+        }
+        const rest = topic.slice(this.baseTopic.length + 1);
+
+        if (rest === 'bridge/devices') {
+            this.setDevices(message);
+            return true;
+        }
+
+        // Other bridge topics (info, logging, responses) and our own commands echoed back
+        if (rest.startsWith('bridge/') || /\/(set|get)(\/[^/]+)?$/.test(rest)) {
+            return false;
+        }
+
+        if (rest.endsWith('/availability')) {
+            const friendlyName = rest.slice(0, -'/availability'.length);
+            const state = message && typeof message === 'object' ? message.state : message;
+            this.availability.set(friendlyName, state === 'online');
+            return true;
+        }
+
+        // Device state; kept even before bridge/devices arrives, since retained messages come in any order
+        if (message && typeof message === 'object' && !Array.isArray(message)) {
+            this.states.set(rest, {...this.states.get(rest), ...message});
+            this.lastSeen.set(rest, this.now());
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Replace the device list from a bridge/devices message
+     * @param {any} list
+     */
+    setDevices(list) {
+        if (!Array.isArray(list)) {
+            console.warn('[Zigbee2MQTT] Ignoring bridge/devices message that is not a list');
+            return;
+        }
+
+        this.devices.clear();
+        for (const device of list) {
+            if (!device || device.type === 'Coordinator' || device.disabled || !device.friendly_name) {
+                continue;
+            }
+            this.devices.set(device.friendly_name, {
+                friendlyName: device.friendly_name,
+                ...classifyExposes(device.definition),
+            });
+        }
+        console.warn(`[Zigbee2MQTT] ${this.devices.size} device(s) announced`);
+    }
+
+    /**
+     * @returns {Promise<BackendDevice[]>}
+     */
+    async listDevices() {
+        return [...this.devices.values()].map(device => ({
+            id: `${this.id}:${device.friendlyName}`,
+            backend: this.id,
+            ...splitLocation(device.friendlyName),
+            type: device.type,
+            available: this.availability.has(device.friendlyName) ? this.availability.get(device.friendlyName) : null,
+            state: this.describeState(device, this.states.get(device.friendlyName)),
+            lastSeen: this.lastSeen.get(device.friendlyName) ?? null,
+            address: device.friendlyName,
+        }));
+    }
+
+    /**
+     * @param {ZigbeeDevice} device
+     * @param {Record<string, any>} [state]
+     * @returns {string}
+     */
+    describeState(device, state) {
+        if (!state) {
+            return 'unknown';
+        }
+        if (device.stateProperty) {
+            return describeSwitchState(this.readReport(device, state));
+        }
+
+        const parts = SENSOR_PROPERTIES
+            .filter(([property]) => state[property] !== undefined && state[property] !== null)
+            .map(([property, speak]) => speak(state[property]));
+        return parts.length > 0 ? parts.join(', ') : 'unknown';
+    }
+
+    /**
+     * @param {ZigbeeDevice} device
+     * @param {any} state - Reported state payload
+     * @returns {SwitchReport}
+     */
+    readReport(device, state) {
+        if (!state || typeof state !== 'object' || state[device.stateProperty] === undefined) {
+            return {};
+        }
+        const brightness = device.brightnessProperty ? Number(state[device.brightnessProperty]) : NaN;
+        return {
+            power: state[device.stateProperty] === device.valueOn,
+            ...(Number.isFinite(brightness) ? {level: Math.round((brightness / device.brightnessMax) * 100)} : {}),
+        };
+    }
+
+    /**
+     * @param {BackendDevice} target
+     * @param {'on'|'off'|'dim'} action
+     * @param {number} [level] - Brightness level 0-100 for dim
+     * @returns {BackendCommand}
+     * @throws {Error} If the device isn't a switch or light, or can't dim
+     */
+    buildCommand(target, action, level) {
+        const device = this.devices.get(target.address);
+        if (!device) {
+            throw new Error(`"${target.name}" is no longer listed by Zigbee2MQTT.`);
+        }
+        if (!device.stateProperty) {
+            throw new Error(`"${target.name}" is a ${device.type} and can't be turned on or off.`);
+        }
+        if (action === 'dim' && !device.brightnessProperty) {
+            throw new Error(`"${target.name}" can only be turned on or off.`);
+        }
+
+        let payload;
+        if (action === 'dim' && level > 0) {
+            payload = {
+                [device.stateProperty]: device.valueOn,
+                [device.brightnessProperty]: scaleLevel(level, device.brightnessMax),
+            };
+        } else {
+            payload = {[device.stateProperty]: action === 'on' ? device.valueOn : device.valueOff};
+        }
+
+        return {
+            topic: `${this.baseTopic}/${device.friendlyName}/set`,
+            payload,
+            stateTopic: `${this.baseTopic}/${device.friendlyName}`,
+            matches: value => switchReportMatches(this.readReport(device, value), action, level),
+            describe: value => describeSwitchState(this.readReport(device, value)).toLowerCase(),
+        };
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Z-Wave JS UI device backend.
+ *
+ * Nodes come from the Z-Wave JS UI socket (through getNodes, which may cache them) and are
+ * controlled over the gateway's MQTT topics:
+ *   zwave/[Location/]Device_Name/switch_binary/endpoint_0/targetValue/set   {"value": true}
+ *   zwave/[Location/]Device_Name/switch_binary/endpoint_0/currentValue      {"value": true}
+ *
+ * The state store already subscribes to everything under the topic prefix, so this backend
+ * needs no subscriptions of its own.
+ */
+
+import {buildStateMatcher, describeReportedValue} from './state-confirmation.js';
+
+/** @typedef {import('./backends.js').BackendDevice} BackendDevice */
+/** @typedef {import('./backends.js').BackendCommand} BackendCommand */
+/** @typedef {import('./types.js').ZWaveNode} ZWaveNode */
+
+export class ZWaveBackend {
+    /**
+     * @param {Object} options
+     * @param {() => Promise<ZWaveNode[]>} options.getNodes
+     * @param {import('./device-registry.js').DeviceRegistryBuilder} options.registryBuilder
+     * @param {(node: ZWaveNode) => string} options.describeState - Speakable state of a node
+     */
+    constructor({getNodes, registryBuilder, describeState}) {
+        this.id = 'zwave';
+        this.label = 'Z-Wave JS UI';
+        /** @type {string[]} */
+        this.topics = [];
+        this.getNodes = getNodes;
+        this.registryBuilder = registryBuilder;
+        this.describeState = describeState;
+    }
+
+    /**
+     * @returns {boolean} Messages under the topic prefix reach the state store instead
+     */
+    handleMessage() {
+        return false;
+    }
+
+    /**
+     * @returns {Promise<BackendDevice[]>} Each device carries its node and registry entry
+     */
+    async listDevices() {
+        const nodes = await this.getNodes();
+        const byId = new Map(nodes.filter(node => node && typeof node.id === 'number').map(node => [node.id, node]));
+        const registry = this.registryBuilder.build(Object.fromEntries([...byId].map(([id, node]) => [String(id), node])));
+
+        return Object.values(registry).map(entry => {
+            const node = byId.get(entry.nodeId);
+            return {
+                id: `zwave:${entry.nodeId}`,
+                backend: this.id,
+                name: entry.name,
+                location: entry.location,
+                type: entry.type,
+                available: Boolean(node.ready && node.available),
+                state: this.describeState(node),
+                lastSeen: entry.lastSeen,
+                node,
+                entry,
+            };
+        });
+    }
+
+    /**
+     * Build the targetValue publish for a device or one of its endpoints.
+     * Dimmers take 0-99, so 100% is sent as 99.
+     * @param {{ topics: { control: string, state: string } }} target - Registry entry or endpoint
+     * @param {'on'|'off'|'dim'} action
+     * @param {number} [level] - Brightness level 0-100 for dim
+     * @returns {BackendCommand}
+     */
+    buildCommand(target, action, level) {
+        const value = action === 'dim' ? Math.min(99, level) : action === 'on';
+        return {
+            topic: target.topics.control,
+            payload: {value},
+            stateTopic: target.topics.state,
+            matches: buildStateMatcher(action, value),
+            describe: describeReportedValue,
+        };
+    }
+}
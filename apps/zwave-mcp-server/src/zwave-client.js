@@ -75,7 +75,14 @@ export class ZWaveUIClient {
         return {endpoint, path};
     }
 
-    async fetchNodesViaSocket() {
+    /**
+     * Open a socket, emit one event and resolve with its acknowledgement
+     * @param {string} event - Socket event name (e.g. 'INITED', 'ZWAVE_API')
+     * @param {Object} payload
+     * @param {string} timeoutMessage - Error message if no acknowledgement arrives in time
+     * @returns {Promise<any>}
+     */
+    async emitViaSocket(event, payload, timeoutMessage) {
         const {endpoint, path} = this.buildSocketConnection();
         const timeoutMs = this.config.socketTimeoutMs ?? DEFAULT_SOCKET_TIMEOUT_MS;
 
@@ -91,7 +98,7 @@ export class ZWaveUIClient {
 
             const timeout = setTimeout(() => {
                 socket.disconnect();
-                reject(new Error('Timed out while fetching nodes from Z-Wave JS UI'));
+                reject(new Error(timeoutMessage));
             }, timeoutMs);
 
             socket.on('connect_error', (error) => {
@@ -108,21 +115,115 @@ export class ZWaveUIClient {
             });
 
             socket.on('connect', () => {
-                socket.emit('INITED', {}, (state) => {
+                socket.emit(event, payload, (response) => {
                     clearTimeout(timeout);
                     socket.disconnect();
-
-                    if (!state || !Array.isArray(state.nodes)) {
-                        resolve([]);
-                        return;
-                    }
-
-                    resolve(state.nodes);
+                    resolve(response);
                 });
             });
         });
     }
 
+    async fetchNodesViaSocket() {
+        const state = await this.emitViaSocket('INITED', {}, 'Timed out while fetching nodes from Z-Wave JS UI');
+
+        if (!state || !Array.isArray(state.nodes)) {
+            return [];
+        }
+
+        return state.nodes;
+    }
+
+    /**
+     * Call a Z-Wave JS UI driver API over the socket (the same calls its Control Panel makes)
+     * @param {string} api - API name (e.g. 'startInclusion', 'pingNode')
+     * @param {any[]} [args] - Positional API arguments
+     * @returns {Promise<any>} The API result
+     * @throws {Error} If the API reports failure
+     */
+    async callZWaveApi(api, args = []) {
+        await this.ensureAuthenticated();
+
+        const call = () => this.emitViaSocket('ZWAVE_API', {api, args}, `Timed out waiting for Z-Wave JS UI to run ${api}`);
+
+        let response;
+        try {
+            response = await call();
+        } catch (error) {
+            if (!this.config.authEnabled) {
+                throw error;
+            }
+            await this.ensureAuthenticated(true);
+            response = await call();
+        }
+
+        if (!response || !response.success) {
+            const error = new Error(response && response.message ? response.message : `Z-Wave JS UI failed to run ${api}`);
+            // Lets callers tell a refused API call apart from a connection problem
+            error.api = api;
+            throw error;
+        }
+
+        return response.result;
+    }
+
+    /**
+     * Put the controller into inclusion mode
+     * @param {number} strategy - zwave-js InclusionStrategy
+     * @returns {Promise<boolean>} Whether inclusion started
+     */
+    async startInclusion(strategy) {
+        return await this.callZWaveApi('startInclusion', [strategy]);
+    }
+
+    async stopInclusion() {
+        return await this.callZWaveApi('stopInclusion');
+    }
+
+    /**
+     * Put the controller into exclusion mode
+     * @returns {Promise<boolean>} Whether exclusion started
+     */
+    async startExclusion() {
+        return await this.callZWaveApi('startExclusion');
+    }
+
+    async stopExclusion() {
+        return await this.callZWaveApi('stopExclusion');
+    }
+
+    async setNodeName(nodeId, name) {
+        return await this.callZWaveApi('setNodeName', [nodeId, name]);
+    }
+
+    async setNodeLocation(nodeId, location) {
+        return await this.callZWaveApi('setNodeLocation', [nodeId, location]);
+    }
+
+    /**
+     * Start rebuilding routes for every node (called "heal network" before zwave-js 12)
+     * @returns {Promise<boolean>} Whether the rebuild started
+     */
+    async beginRebuildingRoutes() {
+        return await this.callZWaveApi('beginRebuildingRoutes');
+    }
+
+    async stopRebuildingRoutes() {
+        return await this.callZWaveApi('stopRebuildingRoutes');
+    }
+
+    /**
+     * @param {number} nodeId
+     * @returns {Promise<boolean>} Whether the node answered
+     */
+    async pingNode(nodeId) {
+        return await this.callZWaveApi('pingNode', [nodeId]);
+    }
+
+    async refreshNodeValues(nodeId) {
+        return await this.callZWaveApi('refreshValues', [nodeId]);
+    }
+
     async getLiveNodes() {
         await this.ensureAuthenticated();
 